@@ -0,0 +1,43 @@
+/**
+ * Data sources that can feed the full-collection load
+ * A source is a plain, cloneable descriptor that is posted to the data worker,
+ * which picks the matching page reader (see readSourcePages in dataWorker.js).
+ */
+
+/**
+ * File extensions accepted for offline import (gzipped variants end in .gz)
+ */
+export const DUMP_EXTENSIONS = ['.json', '.ndjson', '.jsonl', '.gz'];
+
+/**
+ * Create a source for the SMK API (CONFIG.api.baseUrl), optionally limited to a scope
+ * @param {Object|null} scope - Normalized fetch scope (see scope.js), or null for the full collection
+ * @returns {Object} { kind: 'api', label, scope }
+ */
+export function createApiSource(scope) {
+  return { kind: 'api', label: 'API', scope: scope || null };
+}
+
+/**
+ * The full collection from the live SMK API
+ */
+export const API_SOURCE = Object.freeze(createApiSource(null));
+
+/**
+ * Create a source that reads raw API items from a local dump file
+ * @param {File} file - .json, .ndjson or gzipped dump of SMK API responses
+ * @returns {Object} { kind: 'file', label, file, scope }
+ */
+export function createFileSource(file) {
+  return { kind: 'file', label: file.name, file, scope: null };
+}
+
+/**
+ * Check whether a file looks like a supported dump, by extension
+ * @param {File} file - Candidate file
+ * @returns {boolean}
+ */
+export function isSupportedDumpFile(file) {
+  const name = file.name.toLowerCase();
+  return DUMP_EXTENSIONS.some(extension => name.endsWith(extension));
+}
@@ -0,0 +1,781 @@
+/**
+ * Data worker: owns the SMK fetch loop, retries, normalization and cache writes
+ * so that none of it runs on the main thread. Driven by smkApi.js.
+ *
+ * Messages in:  { type: 'fetchAll', id, persist, keepSnapshots, transport, source },
+ *               { type: 'sync', id, persist, keepSnapshots, transport, scope }, { type: 'pause', id },
+ *               { type: 'continue', id } and { type: 'cancel', id }
+ * Messages out: { type: 'resume', id, count, total, buffer },
+ *               { type: 'progress', id, count, total, buffer? },
+ *               { type: 'retry', id, attempt, maxAttempts, delay, offset, message },
+ *               { type: 'complete', id, health, loaded, ... }
+ *               and { type: 'error', id, message, details }
+ * Artwork batches travel as transferable ArrayBuffers (see utils/transfer.js).
+ * Raw pages are checked against the API field reference before they are
+ * normalized; `health` is the resulting report (see data/schemaCheck.js).
+ * API pages are fetched in every language of CONFIG.api.languages, and the
+ * labels of the others are merged into the records (see addLabelVariants).
+ * `loaded` ({ syncState, scope, takenAt }) describes the data sent, so the main
+ * thread can still save it if consent is given after the task was started.
+ */
+import { CONFIG } from '../config.js';
+import { normalizeItems, addLabelVariants, recordKey, NORMALIZER_FIELDS, LABEL_SOURCE_FIELDS } from '../data/normalize.js';
+import {
+  readCacheMeta,
+  isCurrentCacheVersion,
+  getCachedKeys,
+  readCachedArtworks,
+  setCachedData,
+  applyCacheChanges,
+  getDownloadRun,
+  getDownloadPages,
+  startDownloadRun,
+  saveDownloadPage,
+  clearDownloadRun,
+  saveSnapshot
+} from './smkApi.js';
+import { createTransport } from './transport.js';
+import { getScopeKey, buildScopeParams, combineRanges } from './scope.js';
+import { readDumpPages } from '../data/dumpReader.js';
+import { loadFieldReference, createSchemaMonitor } from '../data/schemaCheck.js';
+import { applyOverrides, restoreCatalogue } from '../data/overrides.js';
+import { buildSnapshot } from '../stats/snapshots.js';
+import { encodeBatch } from '../utils/transfer.js';
+import { wait } from '../utils/wait.js';
+import {
+  createFetchError,
+  getFetchErrorDetails,
+  classifyStatus,
+  isRetryable,
+  parseRetryAfter,
+  backoffDelay
+} from './fetchErrors.js';
+
+// Active AbortController and the id of the task it belongs to
+let activeController = null;
+let activeTaskId = null;
+
+// Resolves when a paused task continues; null while the task is running.
+// Requests already in flight finish, new ones wait.
+let pauseGate = null;
+let releasePause = null;
+
+// Sends API requests: live, replayed from fixtures or recorded (see transport.js)
+let activeTransport = createTransport();
+
+// Bundled API field reference, loaded once on first use
+let fieldReferencePromise = null;
+
+// `fields=` projection: what the normalizer reads, plus `modified` for delta sync
+const PROJECTED_FIELDS = [...NORMALIZER_FIELDS, 'modified'];
+// Projection of the requests in the other languages, which only add labels
+const LABEL_FIELDS = LABEL_SOURCE_FIELDS.join(',');
+
+/**
+ * Build an SMK search URL
+ * @param {Object} params - Query parameters added to (or overriding) the defaults
+ * @returns {string} Search URL
+ */
+function buildSearchUrl(params = {}) {
+  const query = new URLSearchParams({
+    keys: '*',
+    rows: CONFIG.api.pageSize,
+    lang: CONFIG.api.languages[0],
+    ...(CONFIG.api.projectFields ? { fields: PROJECTED_FIELDS.join(',') } : {}),
+    ...params
+  });
+  return `${CONFIG.api.baseUrl}?${query.toString()}`;
+}
+
+/**
+ * Hold new requests back while the task is paused
+ */
+function pauseTask() {
+  if (!pauseGate) {
+    pauseGate = new Promise(resolve => { releasePause = resolve; });
+  }
+}
+
+/**
+ * Let a paused task continue
+ */
+function continueTask() {
+  if (releasePause) {
+    releasePause();
+  }
+  pauseGate = null;
+  releasePause = null;
+}
+
+/**
+ * Wait until the task is no longer paused, rejecting early if it is aborted
+ * @param {AbortSignal} signal - Abort signal for the active operation
+ * @returns {Promise<void>}
+ */
+function waitWhilePaused(signal) {
+  if (!pauseGate) return Promise.resolve();
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(new DOMException('Request aborted', 'AbortError'));
+    if (signal.aborted) {
+      onAbort();
+      return;
+    }
+    signal.addEventListener('abort', onAbort, { once: true });
+    pauseGate.then(() => {
+      signal.removeEventListener('abort', onAbort);
+      resolve();
+    });
+  });
+}
+
+/**
+ * Fetch a single search page, retrying with jittered backoff on failure
+ * Retry-After is honoured on 429 and 503 responses; errors that will never
+ * succeed (most 4xx statuses) are not retried. See fetchErrors.js.
+ * @param {Object} params - Query parameters for the page
+ * @param {AbortSignal} signal - Abort signal for the active operation
+ * @returns {Promise<Object>} Parsed API response with an `items` array
+ * @throws {Error} FetchError with kind, status, offset and attempt count once it gives up
+ */
+async function fetchPageWithRetry(params, signal) {
+  const { maxAttempts, maxDelay } = CONFIG.api.retry;
+  let attempt = 0;
+
+  while (true) {
+    await waitWhilePaused(signal);
+    attempt++;
+    let failure;
+
+    try {
+      const res = await activeTransport(buildSearchUrl(params), signal);
+
+      if (res.ok) {
+        const json = await res.json();
+        if (Array.isArray(json.items)) {
+          return json;
+        }
+        failure = { message: 'Invalid API response format', kind: 'invalid-response', status: res.status };
+      } else {
+        failure = {
+          message: res.statusText ? `HTTP ${res.status}: ${res.statusText}` : `HTTP ${res.status}`,
+          kind: classifyStatus(res.status),
+          status: res.status,
+          retryAfter: parseRetryAfter(res.headers.get('Retry-After'))
+        };
+      }
+    } catch (fetchError) {
+      // If aborted, stop immediately
+      if (fetchError.name === 'AbortError') {
+        throw fetchError;
+      }
+      failure = {
+        message: fetchError.message,
+        kind: fetchError instanceof SyntaxError ? 'invalid-response' : 'network'
+      };
+    }
+
+    console.warn(`Fetch attempt ${attempt} failed:`, failure.message);
+
+    const retryAfter = failure.retryAfter ?? null;
+    // A server asking for a longer pause than we are willing to wait ends the task now
+    const waitTooLong = retryAfter !== null && retryAfter > maxDelay;
+
+    if (!isRetryable(failure.kind) || attempt >= maxAttempts || waitTooLong) {
+      const message = attempt > 1 ? `Failed after ${attempt} attempts: ${failure.message}` : failure.message;
+      throw createFetchError(message, { ...failure, offset: params.offset, attempts: attempt });
+    }
+
+    const delay = retryAfter ?? backoffDelay(attempt);
+    self.postMessage({
+      type: 'retry',
+      id: activeTaskId,
+      attempt,
+      maxAttempts,
+      delay,
+      offset: params.offset ?? null,
+      message: failure.message
+    });
+    await wait(delay, signal);
+  }
+}
+
+/**
+ * Fetch a search page in every language of CONFIG.api.languages. Requests
+ * that set their own `fields` (keys, counts) only need the first language.
+ * @param {Object} params - Query parameters for the page
+ * @param {AbortSignal} signal - Abort signal for the active operation
+ * @returns {Promise<Object>} Response in the first language, with `variants`
+ *   mapping each other language to its items
+ */
+async function fetchSearchPage(params, signal) {
+  const [primary, ...others] = CONFIG.api.languages;
+  if (params.fields || !others.length) {
+    return fetchPageWithRetry(params, signal);
+  }
+
+  const [json, ...variants] = await Promise.all([
+    fetchPageWithRetry({ ...params, lang: primary }, signal),
+    ...others.map(lang => fetchPageWithRetry({ ...params, lang, fields: LABEL_FIELDS }, signal))
+  ]);
+  json.variants = Object.fromEntries(others.map((lang, index) => [lang, variants[index].items]));
+  return json;
+}
+
+/**
+ * Normalize a page of raw items, adding the labels of the page's other languages
+ * @param {Array<Object>} items - Raw items
+ * @param {Object} json - Page response (see fetchSearchPage)
+ * @param {Array<Object>} overrides - Curator overrides of the task
+ * @returns {Array<Object>} Normalized artworks
+ */
+function normalizePage(items, json, overrides) {
+  const artworks = normalizeItems(items, CONFIG.api.languages[0], overrides);
+  Object.entries(json.variants || {}).forEach(([language, variantItems]) => {
+    addLabelVariants(artworks, variantItems, language);
+  });
+  return artworks;
+}
+
+/**
+ * Fetch the pages after the first one through a bounded pool of concurrent
+ * requests, handing them to onPage strictly in offset order
+ * @param {Object} params - Query parameters shared by all pages
+ * @param {AbortSignal} signal - Abort signal for the active operation
+ * @param {Function} onPage - Called with (items, json, offset) for each non-empty page
+ * @param {number} startOffset - First offset to fetch
+ * @param {number} pageSize - Rows per page
+ * @param {number} total - Total hit count reported by the first page
+ * @returns {Promise<number>} Offset following the last page fetched
+ */
+async function fetchPagesConcurrently(params, signal, onPage, startOffset, pageSize, total) {
+  const offsets = [];
+  for (let offset = startOffset; offset < total; offset += pageSize) {
+    offsets.push(offset);
+  }
+
+  const concurrency = Math.max(1, CONFIG.api.concurrency || 1);
+  // Pages held back waiting for a slower, earlier page are capped to bound memory
+  const maxAhead = concurrency * 2;
+
+  // One failed page cancels the requests still in flight
+  const poolController = new AbortController();
+  const abortPool = () => poolController.abort();
+  signal.addEventListener('abort', abortPool);
+
+  const completed = new Map();
+  let nextIndex = 0;
+  let flushIndex = 0;
+  let waiting = [];
+
+  const wakeWaiting = () => {
+    waiting.forEach(resolve => resolve());
+    waiting = [];
+  };
+
+  // Hand over every page that is next in line
+  const flush = () => {
+    while (completed.has(flushIndex)) {
+      const json = completed.get(flushIndex);
+      completed.delete(flushIndex);
+      if (json.items.length) {
+        onPage(json.items, json, offsets[flushIndex]);
+      }
+      flushIndex++;
+    }
+    wakeWaiting();
+  };
+
+  const runner = async () => {
+    while (nextIndex < offsets.length && !poolController.signal.aborted) {
+      if (nextIndex - flushIndex >= maxAhead) {
+        await new Promise(resolve => waiting.push(resolve));
+        continue;
+      }
+
+      const index = nextIndex++;
+      const json = await fetchSearchPage({ ...params, offset: offsets[index] }, poolController.signal);
+      completed.set(index, json);
+      flush();
+    }
+  };
+
+  try {
+    const runners = Array.from({ length: Math.min(concurrency, offsets.length) }, runner);
+    await Promise.all(runners);
+  } catch (error) {
+    poolController.abort();
+    wakeWaiting();
+    throw error;
+  } finally {
+    signal.removeEventListener('abort', abortPool);
+  }
+
+  return startOffset + offsets.length * pageSize;
+}
+
+/**
+ * Fetch every page of a search. The first page reveals the total hit count,
+ * after which the remaining pages are fetched concurrently.
+ * @param {Object} params - Query parameters shared by all pages
+ * @param {AbortSignal} signal - Abort signal for the active operation
+ * @param {Function} onPage - Called with (items, json, offset) for each non-empty page, in order
+ * @param {number} [startOffset=0] - Offset to start from (when resuming)
+ */
+async function fetchPages(params, signal, onPage, startOffset = 0) {
+  const pageSize = params.rows || CONFIG.api.pageSize;
+
+  const first = await fetchSearchPage({ ...params, offset: startOffset }, signal);
+  if (!first.items.length) {
+    return;
+  }
+  onPage(first.items, first, startOffset);
+
+  let offset = startOffset + pageSize;
+  if (typeof first.found === 'number' && first.found > offset) {
+    offset = await fetchPagesConcurrently(params, signal, onPage, offset, pageSize, first.found);
+  }
+
+  // Keep walking until an empty page, in case records were added mid-download
+  while (true) {
+    const json = await fetchSearchPage({ ...params, offset }, signal);
+    if (!json.items.length) {
+      break;
+    }
+
+    onPage(json.items, json, offset);
+    offset += pageSize;
+  }
+}
+
+/**
+ * Read every page of the full collection from a data source (see dataSources.js)
+ * @param {Object} source - Source descriptor ({ kind: 'api' } or { kind: 'file', file })
+ * @param {AbortSignal} signal - Abort signal for the active operation
+ * @param {Function} onPage - Called with (items, json, offset) for each non-empty page, in order
+ * @param {number} [startOffset=0] - Offset to start from (API only, when resuming)
+ */
+async function readSourcePages(source, signal, onPage, startOffset = 0) {
+  switch (source.kind) {
+    case 'api':
+      return fetchPages(buildScopeParams(source.scope), signal, onPage, startOffset);
+    case 'file':
+      return readDumpPages(source.file, CONFIG.api.pageSize, signal, onPage);
+    default:
+      throw new Error(`Unknown data source: ${source.kind}`);
+  }
+}
+
+/**
+ * Find the newest `modified` timestamp in a page of raw items
+ * @param {Array<Object>} items - Raw API items
+ * @param {string|null} current - Newest timestamp seen so far
+ * @returns {string|null} Newest ISO timestamp
+ */
+function latestModified(items, current) {
+  let latest = current ? Date.parse(current) : -Infinity;
+  items.forEach(item => {
+    const modified = Date.parse(item.modified);
+    if (!isNaN(modified) && modified > latest) latest = modified;
+  });
+  return latest === -Infinity ? null : new Date(latest).toISOString();
+}
+
+/**
+ * Pick the high-water mark for the next delta sync
+ * Never later than the moment this sync started, so records edited while
+ * pages were being downloaded are picked up again next time. Re-fetching a
+ * record is harmless because the merge is an upsert.
+ * @param {string|null} maxModified - Newest `modified` value seen
+ * @param {string} startedAt - ISO time the sync started
+ * @param {string|null} previous - Previous high-water mark
+ * @returns {string} ISO high-water mark
+ */
+function nextHighWaterMark(maxModified, startedAt, previous) {
+  if (!maxModified) return previous || startedAt;
+  return Date.parse(maxModified) < Date.parse(startedAt) ? maxModified : startedAt;
+}
+
+/**
+ * Fetch the keys of every record currently in the collection (or scope)
+ * Used to detect records that were deleted or withdrawn upstream
+ * @param {AbortSignal} signal - Abort signal for the active operation
+ * @param {Object} [scopeParams={}] - Scope filters (see scope.js)
+ * @returns {Promise<Set<string>>} Set of ids and object numbers
+ */
+async function fetchLiveKeys(signal, scopeParams = {}) {
+  const keys = new Set();
+  await fetchPages({ ...scopeParams, fields: 'id,object_number' }, signal, (items) => {
+    items.forEach(item => {
+      if (item.id) keys.add(item.id);
+      if (item.object_number) keys.add(item.object_number);
+    });
+  });
+  return keys;
+}
+
+/**
+ * Find an interrupted download that can be resumed
+ * Its pages must not be older than the cache may be, or the resumed data would
+ * count as fresh while it is not.
+ * @param {string|null} scopeKey - Scope of the download (see scope.js)
+ * @param {number} cacheDuration - Cache expiry chosen by the user, in milliseconds (may be Infinity)
+ * @returns {Promise<Object|null>} Run or null if none is usable
+ */
+async function findResumableRun(scopeKey, cacheDuration) {
+  const run = await getDownloadRun();
+  if (!run) return null;
+
+  const maxAge = Number.isFinite(cacheDuration) ? cacheDuration : CONFIG.cache.resumeWindow;
+
+  const usable = (run.scopeKey || null) === scopeKey &&
+    run.version === (CONFIG.cache.version || 1) &&
+    run.pageSize === CONFIG.api.pageSize &&
+    Date.now() - Date.parse(run.startedAt) < maxAge;
+
+  return usable ? run : null;
+}
+
+/**
+ * Create a schema monitor for a task, loading the field reference on first use
+ * @param {boolean} fromApi - Whether the items come from API requests, which
+ *   carry only the projected fields when CONFIG.api.projectFields is set
+ * @returns {Promise<Object>} Monitor (see createSchemaMonitor)
+ */
+async function createTaskMonitor(fromApi) {
+  if (!fieldReferencePromise) {
+    fieldReferencePromise = loadFieldReference();
+  }
+  const requested = fromApi && CONFIG.api.projectFields ? PROJECTED_FIELDS : null;
+  return createSchemaMonitor(await fieldReferencePromise, requested);
+}
+
+/**
+ * Drop records that appear twice, which can happen when records shift between
+ * pages while a download is interrupted
+ * @param {Array<Object>} artworks - Normalized artworks
+ * @returns {Array<Object>} Artworks with the first occurrence of each key kept
+ */
+function dedupeRecords(artworks) {
+  const seen = new Set();
+  return artworks.filter(artwork => {
+    const key = recordKey(artwork);
+    if (!key) return true;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Fetch the whole collection, posting each normalized page back as it arrives.
+ * With storage consent every page of an API download is also saved as it
+ * arrives, so an interrupted download resumes from the last completed offset
+ * next time. Imported files are read from the start each time.
+ * @param {number} id - Task id
+ * @param {boolean} persist - Whether the user consented to caching
+ * @param {boolean} keepSnapshots - Whether the user consented to the snapshot history
+ * @param {Object} source - Source descriptor (see dataSources.js)
+ * @param {Array<Object>} overrides - Curator overrides, applied as records are normalized
+ * @param {number} cacheDuration - Cache expiry chosen by the user, in milliseconds
+ */
+async function fetchAllData(id, persist, keepSnapshots, source, overrides, cacheDuration) {
+  const signal = activeController.signal;
+  const pageSize = CONFIG.api.pageSize;
+  let startedAt = new Date().toISOString();
+  let maxModified = null;
+  let sourceTotal = null;
+  let startOffset = 0;
+  let artworks = [];
+
+  const fromApi = source.kind === 'api';
+  const scope = source.scope || null;
+  const scopeKey = getScopeKey(scope);
+  let run = persist && fromApi ? await findResumableRun(scopeKey, cacheDuration) : null;
+
+  if (run) {
+    // Pages are saved in offset order, so recover them up to the first gap
+    const pages = await getDownloadPages(run.runId);
+    for (const page of pages) {
+      if (page.offset !== startOffset) break;
+      artworks.push(...page.items);
+      maxModified = latestModified([{ modified: page.maxModified }], maxModified);
+      if (typeof page.found === 'number') sourceTotal = page.found;
+      startOffset += pageSize;
+    }
+
+    // Changes made since the interrupted run began are picked up by the next sync
+    startedAt = run.startedAt;
+
+    if (artworks.length) {
+      const buffer = encodeBatch(artworks);
+      self.postMessage({ type: 'resume', id, count: artworks.length, total: sourceTotal, buffer }, [buffer]);
+    }
+  } else if (persist && fromApi) {
+    run = {
+      runId: `${startedAt}-${Math.random().toString(36).slice(2, 8)}`,
+      startedAt,
+      scopeKey,
+      version: CONFIG.cache.version || 1,
+      pageSize
+    };
+    await startDownloadRun(run);
+  }
+
+  const resumed = startOffset > 0;
+  // Pages recovered from an interrupted run were checked when first downloaded
+  const monitor = await createTaskMonitor(fromApi);
+  // Page saves run alongside the download; all are settled before the run is
+  // cleared or the task ends, so none is lost or written after the clear
+  const pageSaves = [];
+
+  try {
+    await readSourcePages(source, signal, (items, json, offset) => {
+      monitor.inspect(items);
+      const normalized = normalizePage(items, json, overrides);
+      artworks.push(...normalized);
+      maxModified = latestModified(items, maxModified);
+      if (typeof json.found === 'number') sourceTotal = json.found;
+
+      if (run) {
+        pageSaves.push(saveDownloadPage(run.runId, {
+          offset,
+          items: normalized,
+          maxModified: latestModified(items, null),
+          found: json.found
+        }));
+      }
+
+      const buffer = encodeBatch(normalized);
+      self.postMessage({ type: 'progress', id, count: offset + items.length, total: sourceTotal, buffer }, [buffer]);
+    }, startOffset);
+  } finally {
+    // saveDownloadPage resolves even when a write fails
+    await Promise.all(pageSaves);
+  }
+
+  let buffer = null;
+  if (resumed) {
+    // Pages recovered from the interrupted run carry the overrides of that time
+    const corrected = applyOverrides(dedupeRecords(artworks), overrides);
+    if (corrected !== artworks) {
+      artworks = corrected;
+      buffer = encodeBatch(artworks);
+    }
+  }
+
+  // A dump is as fresh as its newest record, so a later sync picks up from
+  // there; without `modified` values the next refresh does a full reload.
+  // Snapshots of a dump are dated by that record too.
+  const loaded = fromApi
+    ? {
+      syncState: { syncedAt: nextHighWaterMark(maxModified, startedAt, null), sourceTotal },
+      scope,
+      takenAt: new Date().toISOString()
+    }
+    : { syncState: { syncedAt: maxModified, sourceTotal }, scope: null, takenAt: maxModified };
+
+  // Cache the data for future use (only if user consented)
+  let cacheStatus = null;
+  if (persist) {
+    cacheStatus = { ...await setCachedData(artworks, loaded.syncState, loaded.scope), ...loaded };
+  }
+  if (run) {
+    await clearDownloadRun();
+  }
+  // Snapshots track the whole collection over time
+  if (keepSnapshots && !loaded.scope && loaded.takenAt) {
+    // Snapshots record the catalogue as SMK publishes it, without local corrections
+    await saveSnapshot(buildSnapshot(artworks.map(restoreCatalogue), new Date(loaded.takenAt)));
+  }
+
+  const health = monitor.report();
+  if (buffer) {
+    self.postMessage({ type: 'complete', id, buffer, health, cacheStatus, loaded }, [buffer]);
+  } else {
+    self.postMessage({ type: 'complete', id, health, cacheStatus, loaded });
+  }
+}
+
+/**
+ * Bring the cached snapshot up to date by fetching only records modified since
+ * its high-water mark. Changed records are re-normalized and merged by id (or
+ * object number); records that no longer validate, or that have disappeared
+ * from the collection (or left the scope), are removed.
+ * @param {number} id - Task id
+ * @param {boolean} persist - Whether the user consented to caching
+ * @param {boolean} keepSnapshots - Whether the user consented to the snapshot history
+ * @param {Object|null} scope - Fetch scope of the snapshot, or null for the full collection
+ * @param {Array<Object>} overrides - Curator overrides, applied to changed and cached records alike
+ */
+async function syncData(id, persist, keepSnapshots, scope, overrides) {
+  // A snapshot only exists when the user consented to caching
+  const meta = persist ? await readCacheMeta(scope) : null;
+  if (!meta || !meta.syncedAt || !isCurrentCacheVersion(meta)) {
+    self.postMessage({ type: 'complete', id, noSnapshot: true });
+    return;
+  }
+
+  const signal = activeController.signal;
+  const startedAt = new Date().toISOString();
+  const scopeParams = buildScopeParams(scope);
+
+  // Only keys are read up front; unchanged records are never deserialized
+  const keys = await getCachedKeys(scope);
+  const upserts = new Map();
+  const deletedKeys = new Set();
+
+  const summary = { added: 0, updated: 0, removed: 0 };
+  let newKeys = 0;
+  let processed = 0;
+  let maxModified = null;
+
+  const monitor = await createTaskMonitor(true);
+
+  const removeKey = (key) => {
+    keys.delete(key);
+    upserts.delete(key);
+    deletedKeys.add(key);
+    summary.removed++;
+  };
+
+  const modifiedParams = {
+    ...scopeParams,
+    range: combineRanges(scopeParams.range, `[modified:{${meta.syncedAt};*}]`)
+  };
+
+  await fetchPages(modifiedParams, signal, (items, json) => {
+    monitor.inspect(items);
+    maxModified = latestModified(items, maxModified);
+
+    // Only the changed records go through the normalizer
+    const normalized = new Map(normalizePage(items, json, overrides).map(a => [recordKey(a), a]));
+
+    items.forEach(item => {
+      const key = recordKey(item);
+      if (!key) return;
+
+      const existed = keys.has(key);
+      const record = normalized.get(key);
+
+      if (record) {
+        // Records the normalizer drops were never cached, but `sourceTotal` already counts them
+        if (!existed) newKeys++;
+        keys.add(key);
+        upserts.set(key, record);
+        deletedKeys.delete(key);
+        existed ? summary.updated++ : summary.added++;
+      } else if (existed) {
+        // Record no longer carries enough data to be analysed (withdrawn)
+        removeKey(key);
+      }
+    });
+
+    processed += items.length;
+    self.postMessage({ type: 'progress', id, count: processed, total: json.found ?? null });
+  });
+
+  // Deleted records never show up in a `modified` query, so compare the live
+  // collection size with what we expect and reconcile keys only on a mismatch.
+  // Records that left the scope are caught the same way.
+  const { found } = await fetchPageWithRetry({ ...scopeParams, rows: 1, fields: 'id' }, signal);
+  const expectedTotal = typeof meta.sourceTotal === 'number' ? meta.sourceTotal + newKeys : null;
+
+  if (found !== expectedTotal) {
+    const liveKeys = await fetchLiveKeys(signal, scopeParams);
+    Array.from(keys).forEach(key => {
+      if (!liveKeys.has(key)) removeKey(key);
+    });
+  }
+
+  const syncState = {
+    syncedAt: nextHighWaterMark(maxModified, startedAt, meta.syncedAt),
+    sourceTotal: found
+  };
+  const status = await applyCacheChanges(Array.from(upserts.values()), Array.from(deletedKeys), syncState, scope);
+
+  let artworks = await readCachedArtworks(scope);
+  if (!status.saved) {
+    // The snapshot was left as it was, so the changes are merged here for this session
+    artworks = artworks
+      .filter(artwork => !deletedKeys.has(recordKey(artwork)) && !upserts.has(recordKey(artwork)))
+      .concat(Array.from(upserts.values()));
+  }
+  // Cached records were corrected with the overrides of their download
+  artworks = applyOverrides(artworks, overrides);
+  const loaded = { syncState, scope, takenAt: new Date().toISOString() };
+  if (keepSnapshots && !scope) {
+    // Snapshots record the catalogue as SMK publishes it, without local corrections
+    await saveSnapshot(buildSnapshot(artworks.map(restoreCatalogue), new Date(loaded.takenAt)));
+  }
+
+  const buffer = encodeBatch(artworks);
+  self.postMessage({
+    type: 'complete',
+    id,
+    buffer,
+    health: monitor.report(),
+    cacheStatus: { ...status, ...loaded },
+    loaded,
+    ...summary
+  }, [buffer]);
+}
+
+/**
+ * Run a task with its own AbortController, reporting failures to the main thread
+ * @param {number} id - Task id
+ * @param {Object} transport - Transport settings for the task's requests
+ * @param {Function} task - Async task to run
+ */
+async function runTask(id, transport, task) {
+  // Only one task runs at a time
+  if (activeController) activeController.abort();
+
+  const controller = new AbortController();
+  activeController = controller;
+  activeTaskId = id;
+  activeTransport = createTransport(transport);
+  continueTask();
+
+  try {
+    await task();
+  } catch (error) {
+    // Aborted tasks have already been settled on the main thread
+    if (error.name !== 'AbortError') {
+      self.postMessage({ type: 'error', id, message: error.message, details: getFetchErrorDetails(error) });
+    }
+  } finally {
+    if (activeController === controller) {
+      activeController = null;
+      activeTaskId = null;
+    }
+  }
+}
+
+self.onmessage = (event) => {
+  const { type, id, persist, keepSnapshots, transport, scope, overrides = [], cacheDuration = CONFIG.cache.duration } = event.data;
+
+  switch (type) {
+    case 'fetchAll':
+      runTask(id, transport, () => fetchAllData(id, persist, keepSnapshots, event.data.source, overrides, cacheDuration));
+      break;
+    case 'sync':
+      runTask(id, transport, () => syncData(id, persist, keepSnapshots, scope || null, overrides));
+      break;
+    case 'pause':
+      if (activeTaskId === id) {
+        pauseTask();
+      }
+      break;
+    case 'continue':
+      if (activeTaskId === id) {
+        continueTask();
+      }
+      break;
+    case 'cancel':
+      if (activeController && activeTaskId === id) {
+        activeController.abort();
+      }
+      break;
+  }
+};
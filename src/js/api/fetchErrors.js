@@ -0,0 +1,131 @@
+/**
+ * Retry policy and structured errors for SMK API requests
+ * The data worker decides whether and when to retry (see fetchPageWithRetry in
+ * dataWorker.js); the main thread turns a final failure into advice for the user.
+ *
+ * Error kinds:
+ * - 'rate-limited': HTTP 429, retried and honouring Retry-After
+ * - 'unavailable': HTTP 5xx or 408, retried
+ * - 'rejected': any other HTTP 4xx, which will never succeed and is not retried
+ * - 'invalid-response': a response without an `items` array, retried
+ * - 'network': the request did not get a response, retried
+ */
+import { CONFIG } from '../config.js';
+
+/**
+ * Create a structured fetch error
+ * @param {string} message - Error message
+ * @param {Object} details - { kind, status?, offset?, attempts?, retryAfter? }
+ * @returns {Error} Error with name 'FetchError' and the details as properties
+ */
+export function createFetchError(message, details) {
+  const error = new Error(message);
+  error.name = 'FetchError';
+  error.kind = details.kind;
+  error.status = details.status ?? null;
+  error.offset = details.offset ?? null;
+  error.attempts = details.attempts ?? 1;
+  error.retryAfter = details.retryAfter ?? null;
+  return error;
+}
+
+/**
+ * Extract the details of a fetch error so it can be posted between threads
+ * @param {Error} error - Any error
+ * @returns {Object|null} Details for createFetchError(), or null for other errors
+ */
+export function getFetchErrorDetails(error) {
+  if (error.name !== 'FetchError') return null;
+
+  const { kind, status, offset, attempts, retryAfter } = error;
+  return { kind, status, offset, attempts, retryAfter };
+}
+
+/**
+ * Classify an HTTP error status
+ * @param {number} status - HTTP status code
+ * @returns {string} Error kind
+ */
+export function classifyStatus(status) {
+  if (status === 429) return 'rate-limited';
+  if (status === 408 || status >= 500) return 'unavailable';
+  return 'rejected';
+}
+
+/**
+ * Check whether another attempt could succeed
+ * @param {string} kind - Error kind
+ * @returns {boolean}
+ */
+export function isRetryable(kind) {
+  return kind !== 'rejected';
+}
+
+/**
+ * Parse a Retry-After header
+ * @param {string|null} value - Header value: delay in seconds or an HTTP date
+ * @returns {number|null} Milliseconds to wait, or null if absent or invalid
+ */
+export function parseRetryAfter(value) {
+  if (!value) return null;
+
+  if (/^\s*\d+\s*$/.test(value)) {
+    return parseInt(value, 10) * 1000;
+  }
+
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Delay before the next attempt: exponential backoff with jitter, so that
+ * concurrent page requests that failed together do not retry together
+ * @param {number} attempt - Number of the attempt that just failed (1-based)
+ * @returns {number} Milliseconds to wait
+ */
+export function backoffDelay(attempt) {
+  const { baseDelay, maxDelay } = CONFIG.api.retry;
+  const ceiling = Math.min(maxDelay, baseDelay * 2 ** (attempt - 1));
+  // Equal jitter: at least half the exponential delay, at most all of it
+  return ceiling / 2 + Math.random() * ceiling / 2;
+}
+
+/**
+ * Format a wait for display
+ * @param {number} ms - Milliseconds
+ * @returns {string} e.g. "45 seconds" or "3 minutes"
+ */
+function formatWait(ms) {
+  const seconds = Math.ceil(ms / 1000);
+  if (seconds < 90) return `${seconds} ${seconds === 1 ? 'second' : 'seconds'}`;
+  return `${Math.ceil(seconds / 60)} minutes`;
+}
+
+/**
+ * Tell the user what to do about a failed load or sync
+ * @param {Error} error - Error from fetchAllDataIncremental() or syncDataIncremental()
+ * @returns {string} Advice to show after the error message
+ */
+export function describeFetchError(error) {
+  if (error.name !== 'FetchError') {
+    return 'Please try refreshing the page.';
+  }
+
+  const waitHint = error.retryAfter !== null
+    ? `Please wait ${formatWait(error.retryAfter)} and try again.`
+    : 'Please wait a few minutes and try again.';
+  const where = error.offset !== null ? ` at record ${error.offset.toLocaleString()}` : '';
+
+  switch (error.kind) {
+    case 'rate-limited':
+      return `The SMK API is limiting requests. ${waitHint}`;
+    case 'unavailable':
+      return `The SMK API is temporarily unavailable. ${waitHint}`;
+    case 'network':
+      return 'Could not reach the SMK API. Check your internet connection and try again.';
+    case 'invalid-response':
+      return `The SMK API returned an unexpected response${where}. If this keeps happening, please report it.`;
+    default:
+      return `The SMK API rejected the request (HTTP ${error.status}${where}). Retrying will not help; please report this problem.`;
+  }
+}
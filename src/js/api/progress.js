@@ -0,0 +1,187 @@
+/**
+ * Progress events for data worker tasks (full downloads and delta syncs)
+ * smkApi.js feeds a tracker from the worker's messages; any module can
+ * subscribe to the resulting events. A tab waiting for another tab's task
+ * receives that task's events, marked `remote` (see tabCoordination.js).
+ *
+ * Event shape:
+ * {
+ *   task: 'fetchAll' | 'sync',
+ *   status: 'waiting' | 'running' | 'paused' | 'retrying' | 'complete' | 'cancelled' | 'failed',
+ *   loaded,       // records processed so far
+ *   total,        // records expected (the API's `found` count), or null when unknown
+ *   percent,      // 0-100, or null without a total
+ *   throughput,   // records per second (moving average), or null until measurable
+ *   eta,          // milliseconds left, or null
+ *   retry,        // { attempt, maxAttempts, delay, offset, message } while retrying, else null
+ *   remote        // true for a task running in another tab
+ * }
+ */
+
+/**
+ * Throughput is averaged over the samples from this many milliseconds
+ */
+const THROUGHPUT_WINDOW = 20000;
+
+const listeners = new Set();
+
+/**
+ * Subscribe to progress events
+ * @param {Function} listener - Called with each progress event
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToProgress(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Send an event to every subscriber
+ * @param {Object} event - Progress event
+ */
+function emit(event) {
+  listeners.forEach(listener => {
+    try {
+      listener(event);
+    } catch (error) {
+      console.warn('Progress listener failed:', error);
+    }
+  });
+}
+
+/**
+ * Pass on an event from the task another tab is running
+ * @param {Object} event - Progress event received from that tab
+ */
+export function relayProgress(event) {
+  emit({ ...event, remote: true });
+}
+
+/**
+ * Create a tracker for one worker task
+ * @param {string} task - Task type ('fetchAll' or 'sync')
+ * @param {Function|null} [share=null] - Also called with each event, to share it with other tabs
+ * @returns {Object} { resumeFrom, update, retry, wait, pause, unpause, finish }
+ */
+export function createProgressTracker(task, share = null) {
+  let status = 'running';
+  let loaded = 0;
+  let total = null;
+  let retry = null;
+  // { time, loaded } pairs within THROUGHPUT_WINDOW
+  let samples = [];
+
+  const throughput = () => {
+    if (samples.length < 2) return null;
+    const first = samples[0];
+    const last = samples[samples.length - 1];
+    const seconds = (last.time - first.time) / 1000;
+    return seconds > 0 ? (last.loaded - first.loaded) / seconds : null;
+  };
+
+  const report = () => {
+    const rate = throughput();
+    const remaining = total !== null ? Math.max(0, total - loaded) : null;
+    const event = {
+      task,
+      status,
+      loaded,
+      total,
+      percent: total ? Math.min(100, (loaded / total) * 100) : null,
+      throughput: rate,
+      eta: status === 'running' && rate && remaining !== null ? (remaining / rate) * 1000 : null,
+      retry,
+      remote: false
+    };
+    emit(event);
+    if (share) share(event);
+  };
+
+  const addSample = () => {
+    const time = Date.now();
+    samples.push({ time, loaded });
+    // Keep at least two samples so the rate survives slow pages
+    while (samples.length > 2 && time - samples[0].time > THROUGHPUT_WINDOW) {
+      samples.shift();
+    }
+  };
+
+  report();
+
+  return {
+    /**
+     * Records recovered from an interrupted download; they arrive at once, so
+     * the throughput is measured from here
+     * @param {number} count - Records recovered
+     * @param {number|null} newTotal - Records expected
+     */
+    resumeFrom(count, newTotal) {
+      loaded = count;
+      total = newTotal ?? total;
+      samples = [];
+      addSample();
+      report();
+    },
+
+    /**
+     * A page was processed
+     * @param {number} count - Records processed so far
+     * @param {number|null} newTotal - Records expected
+     */
+    update(count, newTotal) {
+      loaded = count;
+      total = newTotal ?? total;
+      retry = null;
+      if (status === 'retrying') status = 'running';
+      // Pages that were in flight when the task was paused do not count towards the rate
+      if (status !== 'paused') addSample();
+      report();
+    },
+
+    /**
+     * A page request failed and will be retried
+     * @param {Object} info - { attempt, maxAttempts, delay, offset, message }
+     */
+    retry(info) {
+      retry = info;
+      if (status === 'running') status = 'retrying';
+      report();
+    },
+
+    /**
+     * Another tab is running a task; this one waits until it is done
+     */
+    wait() {
+      status = 'waiting';
+      report();
+    },
+
+    /**
+     * The task was paused; the throughput is measured afresh after it resumes
+     */
+    pause() {
+      status = 'paused';
+      samples = [];
+      report();
+    },
+
+    /**
+     * The task continues after a pause, or starts after waiting for another tab
+     */
+    unpause() {
+      status = retry ? 'retrying' : 'running';
+      addSample();
+      report();
+    },
+
+    /**
+     * The task settled
+     * @param {string} finalStatus - 'complete', 'cancelled' or 'failed'
+     */
+    finish(finalStatus) {
+      status = finalStatus;
+      retry = null;
+      report();
+    }
+  };
+}
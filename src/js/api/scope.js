@@ -0,0 +1,123 @@
+/**
+ * Fetch scopes: a subset of the collection described by department, object
+ * type, acquisition years, on-display and has-image choices, translated into
+ * SMK search `filters` and `range` parameters. `null` is the full collection.
+ *
+ * Scope shape: { department, objectType, acquiredFrom, acquiredTo, onDisplay, hasImage }
+ * with null (or false) for choices that are not set.
+ */
+
+/**
+ * Clean up a scope from the builder, dropping unset choices
+ * @param {Object|null} scope - Raw scope choices
+ * @returns {Object|null} Scope, or null when nothing narrows the collection
+ */
+export function normalizeScope(scope) {
+  if (!scope) return null;
+
+  const year = (value) => {
+    const parsed = parseInt(value, 10);
+    return isNaN(parsed) ? null : parsed;
+  };
+
+  const normalized = {
+    department: scope.department || null,
+    objectType: scope.objectType || null,
+    acquiredFrom: year(scope.acquiredFrom),
+    acquiredTo: year(scope.acquiredTo),
+    onDisplay: Boolean(scope.onDisplay),
+    hasImage: Boolean(scope.hasImage)
+  };
+
+  // A reversed year range is almost certainly a typo
+  if (normalized.acquiredFrom !== null && normalized.acquiredTo !== null &&
+      normalized.acquiredFrom > normalized.acquiredTo) {
+    [normalized.acquiredFrom, normalized.acquiredTo] = [normalized.acquiredTo, normalized.acquiredFrom];
+  }
+
+  const isEmpty = !normalized.department && !normalized.objectType &&
+    normalized.acquiredFrom === null && normalized.acquiredTo === null &&
+    !normalized.onDisplay && !normalized.hasImage;
+
+  return isEmpty ? null : normalized;
+}
+
+/**
+ * Stable key for a scope, used to cache it next to the full collection
+ * @param {Object|null} scope - Normalized scope
+ * @returns {string|null} Key, or null for the full collection
+ */
+export function getScopeKey(scope) {
+  if (!scope) return null;
+
+  return [
+    scope.department && `department=${scope.department}`,
+    scope.objectType && `objectType=${scope.objectType}`,
+    (scope.acquiredFrom !== null || scope.acquiredTo !== null) &&
+      `acquired=${scope.acquiredFrom ?? ''}-${scope.acquiredTo ?? ''}`,
+    scope.onDisplay && 'onDisplay',
+    scope.hasImage && 'hasImage'
+  ].filter(Boolean).join('|');
+}
+
+/**
+ * Combine SMK range expressions into one `range` parameter value
+ * @param {...(string|null)} ranges - Range expressions such as "[modified:{2024-01-01;*}]"
+ * @returns {string|null} Comma-separated ranges, or null if there are none
+ */
+export function combineRanges(...ranges) {
+  const present = ranges.filter(Boolean);
+  return present.length ? present.join(',') : null;
+}
+
+/**
+ * Translate a scope into SMK search parameters
+ * @param {Object|null} scope - Normalized scope
+ * @returns {Object} { filters?, range? } to merge into the search query
+ */
+export function buildScopeParams(scope) {
+  if (!scope) return {};
+
+  const filters = [];
+  if (scope.department) filters.push(`[responsible_department:${scope.department}]`);
+  if (scope.objectType) filters.push(`[object_names:${scope.objectType}]`);
+  if (scope.onDisplay) filters.push('[on_display:true]');
+  if (scope.hasImage) filters.push('[has_image:true]');
+
+  const params = {};
+  if (filters.length) {
+    params.filters = filters.join(',');
+  }
+
+  if (scope.acquiredFrom !== null || scope.acquiredTo !== null) {
+    const from = scope.acquiredFrom !== null ? `${scope.acquiredFrom}-01-01T00:00:00.000Z` : '*';
+    const to = scope.acquiredTo !== null ? `${scope.acquiredTo}-12-31T23:59:59.999Z` : '*';
+    params.range = `[acquisition_date:{${from};${to}}]`;
+  }
+
+  return params;
+}
+
+/**
+ * Describe a scope for the cache status bar and messages
+ * @param {Object|null} scope - Normalized scope
+ * @returns {string} e.g. "Paintings · maleri · acquired 1900–2000 · on display"
+ */
+export function describeScope(scope) {
+  if (!scope) return 'Full collection';
+
+  const parts = [];
+  if (scope.department) parts.push(scope.department);
+  if (scope.objectType) parts.push(scope.objectType);
+  if (scope.acquiredFrom !== null && scope.acquiredTo !== null) {
+    parts.push(`acquired ${scope.acquiredFrom}–${scope.acquiredTo}`);
+  } else if (scope.acquiredFrom !== null) {
+    parts.push(`acquired ${scope.acquiredFrom} or later`);
+  } else if (scope.acquiredTo !== null) {
+    parts.push(`acquired ${scope.acquiredTo} or earlier`);
+  }
+  if (scope.onDisplay) parts.push('on display');
+  if (scope.hasImage) parts.push('with image');
+
+  return parts.join(' · ');
+}
@@ -1,17 +1,86 @@
 /**
  * SMK API integration with caching and error handling
+ * Fetching and normalization run in a dedicated worker (dataWorker.js)
  */
 import { CONFIG } from '../config.js';
-import { normalizeItems } from '../data/normalize.js';
+import { recordKey } from '../data/normalize.js';
+import { applyOverrides, restoreCatalogue } from '../data/overrides.js';
 import { hasStorageConsent } from '../utils/consent.js';
+import { getCacheDuration } from '../utils/cacheSettings.js';
+import { decodeBatch } from '../utils/transfer.js';
+import { API_SOURCE } from './dataSources.js';
+import { getTransportSettings } from './transport.js';
+import { getScopeKey } from './scope.js';
+import { createFetchError } from './fetchErrors.js';
+import { createProgressTracker, relayProgress } from './progress.js';
+import { postToTabs, subscribeToTabs, runExclusive } from './tabCoordination.js';
+import { checkStorageQuota } from './storageQuota.js';
+import { compressRecords, decompressRecords } from '../utils/compression.js';
+import { buildSnapshot } from '../stats/snapshots.js';
 
-// Active AbortController for cancelling ongoing requests
-let activeController = null;
+// Data worker instance (created on first fetch)
+let dataWorker = null;
+
+// Task currently running in the data worker
+let activeTask = null;
+let taskCounter = 0;
+
+// Schema check report from the last completed fetch or sync (see data/schemaCheck.js)
+let lastHealthReport = null;
+
+// Outcome of the cache write at the end of the last fetch or sync
+let lastCacheStatus = null;
+
+// Where the data on screen came from when it was the live API, a dump or the
+// cache (the worker's `loaded` description), kept so it can be saved once
+// consent is given (see saveLoadedData)
+let lastLoad = null;
+
+// Curator overrides applied to loaded records (see setCuratorOverrides)
+let curatorOverrides = [];
+
+// Called when another tab saved new data to the cache (see subscribeToCacheUpdates)
+const cacheUpdateListeners = new Set();
+let listeningToTabs = false;
 
 // IndexedDB configuration
 const DB_NAME = 'smk_data_visualized';
-const DB_VERSION = 1;
+const DB_VERSION = 7;
+// One entry per artwork, keyed by SMK id (or object number): the indexed
+// fields and the number of the chunk holding the full record
 const STORE_NAME = 'artworks';
+// Scoped datasets (see scope.js), keyed by [scope key, SMK id]
+const SCOPED_STORE = 'scopedArtworks';
+// Full records, compressed in chunks of CONFIG.cache.chunkSize (see
+// utils/compression.js), keyed by [metadata key, chunk number]
+const CHUNKS_STORE = 'artworkChunks';
+// Snapshot metadata (timestamp, version, item count, sync state), one record
+// per cached dataset
+const META_STORE = 'cacheMeta';
+// Partially completed downloads, so an interrupted fetch can be resumed
+const RUNS_STORE = 'downloadRuns';
+const PAGES_STORE = 'downloadPages';
+// Dated snapshot history: summaries and the per-record columns, kept apart so
+// listing snapshots does not read every record
+const SNAPSHOTS_STORE = 'snapshots';
+const SNAPSHOT_RECORDS_STORE = 'snapshotRecords';
+// Curator overrides (see data/overrides.js), keyed by override id
+const OVERRIDES_STORE = 'overrides';
+
+// Stores holding the data of each consent purpose (see STORAGE_PURPOSES in
+// consent.js); saved views are not stored yet
+const PURPOSE_STORES = {
+  cache: [STORE_NAME, SCOPED_STORE, CHUNKS_STORE, META_STORE, RUNS_STORE, PAGES_STORE],
+  views: [],
+  snapshots: [SNAPSHOTS_STORE, SNAPSHOT_RECORDS_STORE],
+  overrides: [OVERRIDES_STORE]
+};
+
+// Artwork fields with a secondary index, usable with queryCachedArtworks()
+export const INDEXED_FIELDS = ['gender', 'acquisitionYear', 'department', 'object_type', 'creatorName'];
+
+// Rough size of an artwork entry and its index rows, for quota estimates
+const ENTRY_OVERHEAD = 120;
 
 /**
  * Open IndexedDB connection
@@ -26,60 +95,260 @@ function openDB() {
 
     request.onupgradeneeded = (event) => {
       const db = event.target.result;
+
+      // Versions 1-2 stored the whole collection as a single value
+      if (event.oldVersion < 3 && db.objectStoreNames.contains(STORE_NAME)) {
+        db.deleteObjectStore(STORE_NAME);
+      }
+      // Versions 3-5 stored uncompressed records; they are downloaded again
+      if (event.oldVersion >= 3 && event.oldVersion < 6) {
+        const upgrade = event.target.transaction;
+        db.deleteObjectStore(STORE_NAME);
+        if (db.objectStoreNames.contains(SCOPED_STORE)) db.deleteObjectStore(SCOPED_STORE);
+        [META_STORE, RUNS_STORE, PAGES_STORE]
+          .filter(name => db.objectStoreNames.contains(name))
+          .forEach(name => upgrade.objectStore(name).clear());
+      }
       if (!db.objectStoreNames.contains(STORE_NAME)) {
-        db.createObjectStore(STORE_NAME);
+        const store = db.createObjectStore(STORE_NAME);
+        INDEXED_FIELDS.forEach(field => store.createIndex(field, field));
+      }
+      if (!db.objectStoreNames.contains(SCOPED_STORE)) {
+        db.createObjectStore(SCOPED_STORE);
+      }
+      if (!db.objectStoreNames.contains(CHUNKS_STORE)) {
+        db.createObjectStore(CHUNKS_STORE);
+      }
+      if (!db.objectStoreNames.contains(META_STORE)) {
+        db.createObjectStore(META_STORE);
+      }
+      if (!db.objectStoreNames.contains(RUNS_STORE)) {
+        db.createObjectStore(RUNS_STORE, { keyPath: 'runId' });
       }
+      if (!db.objectStoreNames.contains(PAGES_STORE)) {
+        // Keyed by [runId, offset]
+        db.createObjectStore(PAGES_STORE);
+      }
+      if (!db.objectStoreNames.contains(SNAPSHOTS_STORE)) {
+        db.createObjectStore(SNAPSHOTS_STORE, { keyPath: 'id' });
+      }
+      if (!db.objectStoreNames.contains(SNAPSHOT_RECORDS_STORE)) {
+        db.createObjectStore(SNAPSHOT_RECORDS_STORE);
+      }
+      if (!db.objectStoreNames.contains(OVERRIDES_STORE)) {
+        db.createObjectStore(OVERRIDES_STORE, { keyPath: 'id' });
+      }
+    };
+  });
+}
+
+/**
+ * Find where a dataset is cached: the full collection lives in the indexed
+ * artworks store, each scope in a key range of the scoped store
+ * @param {Object|null} scope - Fetch scope, or null for the full collection
+ * @returns {Object} { storeName, metaKey, range, toStoreKey, fromStoreKey }
+ */
+function cacheLocation(scope) {
+  const scopeKey = getScopeKey(scope);
+
+  if (!scopeKey) {
+    return {
+      storeName: STORE_NAME,
+      metaKey: CONFIG.cache.key,
+      range: undefined,
+      toStoreKey: key => key,
+      fromStoreKey: key => key
+    };
+  }
+
+  return {
+    storeName: SCOPED_STORE,
+    metaKey: `${CONFIG.cache.key}:${scopeKey}`,
+    // Arrays sort after strings, so this spans every [scopeKey, recordKey]
+    range: IDBKeyRange.bound([scopeKey], [scopeKey, []]),
+    toStoreKey: key => [scopeKey, key],
+    fromStoreKey: key => key[1]
+  };
+}
+
+/**
+ * Key range of a dataset's record chunks
+ * @param {string} metaKey - Metadata key of the dataset (see cacheLocation)
+ * @returns {IDBKeyRange}
+ */
+function chunkRange(metaKey) {
+  return IDBKeyRange.bound([metaKey, 0], [metaKey, Infinity]);
+}
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - Pending request
+ * @returns {Promise<*>} The request's result
+ */
+function requestResult(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Build the entry stored for an artwork: its indexed fields and its chunk
+ * @param {Object} artwork - Normalized artwork
+ * @param {number} chunkNo - Number of the chunk holding the record
+ * @returns {Object} Entry
+ */
+function buildEntry(artwork, chunkNo) {
+  const entry = { chunk: chunkNo };
+  INDEXED_FIELDS.forEach(field => {
+    if (artwork[field] !== undefined) entry[field] = artwork[field];
+  });
+  return entry;
+}
+
+/**
+ * Compress one chunk of records
+ * @param {number} chunkNo - Chunk number
+ * @param {Array<Array>} pairs - [record key, artwork] pairs
+ * @returns {Promise<Object>} Chunk ({ chunkNo, keys, encoding, bytes })
+ */
+async function encodeChunk(chunkNo, pairs) {
+  const { encoding, bytes } = await compressRecords(pairs.map(([, artwork]) => artwork));
+  return { chunkNo, keys: pairs.map(([key]) => key), encoding, bytes };
+}
+
+/**
+ * Compress records into consecutive chunks of CONFIG.cache.chunkSize
+ * @param {Array<Array>} pairs - [record key, artwork] pairs
+ * @param {number} firstChunkNo - Number of the first chunk
+ * @returns {Promise<Array<Object>>} Chunks
+ */
+async function encodeChunks(pairs, firstChunkNo) {
+  const size = CONFIG.cache.chunkSize;
+  const chunks = [];
+  for (let start = 0; start < pairs.length; start += size) {
+    chunks.push(await encodeChunk(firstChunkNo + chunks.length, pairs.slice(start, start + size)));
+  }
+  return chunks;
+}
+
+/**
+ * Decompress a chunk into [record key, artwork] pairs
+ * @param {Object} chunk - Stored chunk
+ * @returns {Promise<Array<Array>>}
+ */
+async function decodeChunk(chunk) {
+  const records = await decompressRecords(chunk);
+  return records.map((artwork, index) => [chunk.keys[index], artwork]);
+}
+
+/**
+ * Estimate the bytes a dataset occupies in IndexedDB
+ * @param {Array<Object>} chunks - Stored chunks
+ * @param {number} entryCount - Number of artwork entries
+ * @returns {number}
+ */
+function storedSize(chunks, entryCount) {
+  return chunks.reduce((sum, chunk) => sum + chunk.bytes.byteLength, 0) + entryCount * ENTRY_OVERHEAD;
+}
+
+/**
+ * Read the record chunks of a dataset
+ * @param {string} metaKey - Metadata key of the dataset
+ * @param {Array<number>|null} [chunkNos=null] - Chunks to read, or null for all of them
+ * @returns {Promise<Array<Object>>} Chunks in the requested order (missing ones are skipped)
+ */
+async function readChunks(metaKey, chunkNos = null) {
+  const db = await openDB();
+  const store = db.transaction(CHUNKS_STORE, 'readonly').objectStore(CHUNKS_STORE);
+
+  if (!chunkNos) {
+    return requestResult(store.getAll(chunkRange(metaKey)));
+  }
+  const chunks = await Promise.all(chunkNos.map(chunkNo => requestResult(store.get([metaKey, chunkNo]))));
+  return chunks.filter(Boolean);
+}
+
+/**
+ * Report the outcome of a cache write transaction
+ * @param {IDBTransaction} transaction - Write transaction
+ * @param {string} label - What is being written, for the console
+ * @param {number} needed - Estimated additional bytes
+ * @returns {Promise<Object>} Cache status ({ saved, reason?, needed?, available? })
+ */
+function settleCacheWrite(transaction, label, needed) {
+  return new Promise((resolve) => {
+    transaction.oncomplete = () => resolve({ saved: true });
+    // A full disk aborts the transaction with a QuotaExceededError
+    transaction.onabort = () => {
+      console.warn(`Error ${label}:`, transaction.error);
+      const reason = transaction.error?.name === 'QuotaExceededError' ? 'quota' : 'error';
+      resolve({ saved: false, reason, needed, available: null });
     };
   });
 }
 
 /**
- * Cancel any ongoing data fetch operation
+ * Pause the ongoing data fetch: requests already in flight finish, no new
+ * pages are requested until resumeFetch()
+ */
+export function pauseFetch() {
+  if (activeTask?.started) {
+    dataWorker.postMessage({ type: 'pause', id: activeTask.id });
+    activeTask.progress.pause();
+  }
+}
+
+/**
+ * Resume a paused data fetch
+ */
+export function resumeFetch() {
+  if (activeTask?.started) {
+    dataWorker.postMessage({ type: 'continue', id: activeTask.id });
+    activeTask.progress.unpause();
+  }
+}
+
+/**
+ * Cancel (stop) any ongoing data fetch operation
+ * The pending promise settles immediately with whatever has been received so far.
+ * With storage consent the pages saved so far let the next load resume.
  */
 export function cancelFetch() {
-  if (activeController) {
-    activeController.abort();
-    activeController = null;
+  if (activeTask) {
+    const task = activeTask;
+    activeTask = null;
+    if (task.started) {
+      dataWorker.postMessage({ type: 'cancel', id: task.id });
+    } else if (task.waiting) {
+      task.waiting.abort();
+    }
+    task.progress.finish('cancelled');
+    task.resolve(task.partialResult());
   }
 }
 
 /**
- * Get cached data from IndexedDB if available and not expired
- * @returns {Promise<Array|null>} Cached artworks data or null if cache is invalid/expired
+ * Read the snapshot metadata without validating it
+ * Also used by the data worker when merging a delta sync
+ * @param {Object|null} [scope=null] - Fetch scope, or null for the full collection
+ * @returns {Promise<Object|null>} Metadata ({ timestamp, version, itemCount, syncedAt, sourceTotal, scope, storedBytes }) or null
  */
-export async function getCachedData() {
+export async function readCacheMeta(scope = null) {
   try {
     const db = await openDB();
-    const transaction = db.transaction(STORE_NAME, 'readonly');
-    const store = transaction.objectStore(STORE_NAME);
+    const transaction = db.transaction(META_STORE, 'readonly');
+    const store = transaction.objectStore(META_STORE);
 
-    return new Promise((resolve, reject) => {
-      const request = store.get(CONFIG.cache.key);
+    return new Promise((resolve) => {
+      const request = store.get(cacheLocation(scope).metaKey);
 
       request.onsuccess = () => {
-        const cached = request.result;
-        if (cached && cached.data && cached.timestamp) {
-          // Check if cache version matches current version
-          const cacheVersion = cached.version || 1;
-          const currentVersion = CONFIG.cache.version || 1;
-
-          if (cacheVersion !== currentVersion) {
-            // Cache version mismatch - clear and return null
-            clearCachedData();
-            resolve(null);
-          } else if (Date.now() - cached.timestamp < CONFIG.cache.duration) {
-            resolve(cached.data);
-          } else {
-            clearCachedData();
-            resolve(null);
-          }
-        } else {
-          resolve(null);
-        }
+        resolve(request.result || null);
       };
 
       request.onerror = () => {
-        console.warn('Error reading cache:', request.error);
+        console.warn('Error reading cache metadata:', request.error);
         resolve(null);
       };
     });
@@ -90,205 +359,1255 @@ export async function getCachedData() {
 }
 
 /**
- * Save data to IndexedDB with timestamp
- * @param {Array} data - Artworks data to cache
+ * Check whether snapshot metadata belongs to the current cache version
+ * @param {Object|null} meta - Snapshot metadata
+ * @returns {boolean}
+ */
+export function isCurrentCacheVersion(meta) {
+  return Boolean(meta) && (meta.version || 1) === (CONFIG.cache.version || 1);
+}
+
+/**
+ * Check whether a snapshot has outlived the cache expiry policy (see cacheSettings.js)
+ * @param {Object} meta - Snapshot metadata
+ * @returns {boolean}
+ */
+function isCacheExpired(meta) {
+  return Date.now() - meta.timestamp >= getCacheDuration();
+}
+
+/**
+ * Get the keys of every cached artwork without reading the records themselves
+ * @param {Object|null} [scope=null] - Fetch scope, or null for the full collection
+ * @returns {Promise<Set<string>>} Cached record keys
  */
-export async function setCachedData(data) {
+export async function getCachedKeys(scope = null) {
   try {
+    const location = cacheLocation(scope);
     const db = await openDB();
-    const transaction = db.transaction(STORE_NAME, 'readwrite');
-    const store = transaction.objectStore(STORE_NAME);
-
-    const cacheObject = {
-      data,
-      timestamp: Date.now(),
-      version: CONFIG.cache.version || 1
-    };
+    const transaction = db.transaction(location.storeName, 'readonly');
+    const store = transaction.objectStore(location.storeName);
 
-    return new Promise((resolve, reject) => {
-      const request = store.put(cacheObject, CONFIG.cache.key);
+    return new Promise((resolve) => {
+      const request = store.getAllKeys(location.range);
 
       request.onsuccess = () => {
-        resolve();
+        resolve(new Set(request.result.map(location.fromStoreKey)));
       };
 
       request.onerror = () => {
-        console.warn('Error saving to cache:', request.error);
-        resolve(); // Don't reject, just log
+        console.warn('Error reading cache keys:', request.error);
+        resolve(new Set());
       };
     });
   } catch (error) {
-    console.warn('Error saving to IndexedDB:', error);
+    console.warn('Error opening IndexedDB:', error);
+    return new Set();
   }
 }
 
 /**
- * Clear cached data from IndexedDB
+ * Read every artwork of a cached dataset
+ * @param {Object|null} [scope=null] - Fetch scope, or null for the full collection
+ * @returns {Promise<Array<Object>>} Cached artworks
  */
-export async function clearCachedData() {
+export async function readCachedArtworks(scope = null) {
   try {
-    const db = await openDB();
-    const transaction = db.transaction(STORE_NAME, 'readwrite');
-    const store = transaction.objectStore(STORE_NAME);
+    const chunks = await readChunks(cacheLocation(scope).metaKey);
+    const records = await Promise.all(chunks.map(decompressRecords));
+    return records.flat();
+  } catch (error) {
+    console.warn('Error reading cache from IndexedDB:', error);
+    return [];
+  }
+}
 
-    return new Promise((resolve) => {
-      const request = store.delete(CONFIG.cache.key);
+/**
+ * Read cached artworks of the full collection, optionally through one of the
+ * secondary indexes
+ * @param {string|null} indexName - One of INDEXED_FIELDS, or null for the whole store
+ * @param {*} [query] - Index value or IDBKeyRange
+ * @returns {Promise<Array<Object>>} Matching artworks
+ */
+export async function queryCachedArtworks(indexName = null, query = undefined) {
+  if (!indexName) {
+    return readCachedArtworks();
+  }
 
-      request.onsuccess = () => {
-        resolve();
-      };
+  try {
+    const db = await openDB();
+    const index = db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME).index(indexName);
+    const [keys, entries] = await Promise.all([
+      requestResult(index.getAllKeys(query)),
+      requestResult(index.getAll(query))
+    ]);
 
-      request.onerror = () => {
-        console.warn('Error clearing cache:', request.error);
-        resolve();
-      };
-    });
+    // Only the chunks holding a match are decompressed
+    const wanted = new Set(keys);
+    const chunkNos = Array.from(new Set(entries.map(entry => entry.chunk)));
+    const records = new Map();
+    for (const chunk of await readChunks(cacheLocation(null).metaKey, chunkNos)) {
+      (await decodeChunk(chunk)).forEach(([key, artwork]) => {
+        if (wanted.has(key)) records.set(key, artwork);
+      });
+    }
+
+    return keys.map(key => records.get(key)).filter(Boolean);
   } catch (error) {
-    console.warn('Error clearing IndexedDB:', error);
+    console.warn('Error querying IndexedDB:', error);
+    return [];
   }
 }
 
 /**
- * Get cache metadata (timestamp and item count) without loading full data
- * @returns {Promise<Object|null>} Cache metadata or null if no cache exists
+ * Count cached artworks of the full collection, optionally through one of the
+ * secondary indexes
+ * @param {string|null} indexName - One of INDEXED_FIELDS, or null for the whole store
+ * @param {*} [query] - Index value or IDBKeyRange
+ * @returns {Promise<number>} Number of matching artworks
  */
-export async function getCacheMetadata() {
+export async function countCachedArtworks(indexName = null, query = undefined) {
   try {
     const db = await openDB();
     const transaction = db.transaction(STORE_NAME, 'readonly');
     const store = transaction.objectStore(STORE_NAME);
+    const source = indexName ? store.index(indexName) : store;
 
     return new Promise((resolve) => {
-      const request = store.get(CONFIG.cache.key);
+      const request = source.count(query);
 
       request.onsuccess = () => {
-        const cached = request.result;
-        if (cached && cached.timestamp) {
-          resolve({
-            timestamp: cached.timestamp,
-            itemCount: cached.data ? cached.data.length : 0,
-            isExpired: Date.now() - cached.timestamp >= CONFIG.cache.duration
-          });
-        } else {
-          resolve(null);
-        }
+        resolve(request.result);
       };
 
       request.onerror = () => {
-        console.warn('Error reading cache metadata:', request.error);
-        resolve(null);
+        console.warn('Error counting cache:', request.error);
+        resolve(0);
       };
     });
   } catch (error) {
-    console.warn('Error reading IndexedDB metadata:', error);
+    console.warn('Error counting IndexedDB:', error);
+    return 0;
+  }
+}
+
+/**
+ * Get cached data from IndexedDB if available and not expired
+ * @param {Object|null} [scope=null] - Fetch scope, or null for the full collection
+ * @returns {Promise<Array|null>} Cached artworks data or null if cache is invalid/expired
+ */
+export async function getCachedData(scope = null) {
+  const meta = await readCacheMeta(scope);
+  if (!meta || !meta.timestamp) {
+    return null;
+  }
+
+  if (!isCurrentCacheVersion(meta)) {
+    // Cache version mismatch - clear and return null
+    clearCachedData(scope);
+    return null;
+  }
+
+  // Offline, an expired snapshot is kept and used: it cannot be replaced anyway
+  if (isCacheExpired(meta) && navigator.onLine !== false) {
+    clearCachedData(scope);
     return null;
   }
+
+  const artworks = await readCachedArtworks(scope);
+  lastLoad = describeCachedLoad(meta);
+  // Cached records carry the overrides of their download
+  return applyOverrides(artworks, curatorOverrides);
 }
 
 /**
- * Fetch all data from SMK API with incremental updates and error handling
- * @param {Function} onProgress - Callback for progress updates (offset, items)
- * @param {Function} onError - Callback for errors
- * @returns {Promise<Array>} Array of normalized artwork objects
+ * Set the curator overrides applied to the records of later fetches, syncs
+ * and cache reads (see data/overrides.js)
+ * @param {Array<Object>} overrides - Curator overrides
  */
-export async function fetchAllDataIncremental(onProgress, onError) {
-  // Cancel any previous fetch operation
-  cancelFetch();
+export function setCuratorOverrides(overrides) {
+  curatorOverrides = overrides;
+}
 
-  // Create new AbortController for this fetch operation
-  activeController = new AbortController();
-  const signal = activeController.signal;
+/**
+ * Apply the current curator overrides to a task's records if they changed
+ * while it ran
+ * @param {Array<Object>} artworks - Normalized artworks
+ * @param {Array<Object>} applied - Overrides the task started with
+ * @returns {Array<Object>}
+ */
+function withCurrentOverrides(artworks, applied) {
+  return applied === curatorOverrides ? artworks : applyOverrides(artworks, curatorOverrides);
+}
 
-  const pageSize = CONFIG.api.pageSize;
-  const MAX_RETRIES = 3;
-  let offset = 0;
-  let keepFetching = true;
-  let artworks = [];
+/**
+ * Describe a dataset read from the cache like the worker's `loaded`, so it
+ * can be saved again should the cache be declined and accepted later
+ * @param {Object} meta - Metadata record of the dataset
+ * @returns {Object} { syncState, scope, takenAt }; takenAt is null as the
+ *   snapshot history already covers cached data
+ */
+function describeCachedLoad(meta) {
+  return {
+    syncState: { syncedAt: meta.syncedAt, sourceTotal: meta.sourceTotal },
+    scope: meta.scope || null,
+    takenAt: null
+  };
+}
+
+/**
+ * Build the metadata record stored next to the artworks
+ * @param {number} itemCount - Number of cached artworks
+ * @param {Object} syncState - Delta sync state ({ syncedAt, sourceTotal })
+ * @param {Object|null} scope - Fetch scope, or null for the full collection
+ * @param {number} storedBytes - Estimated size of the dataset in IndexedDB
+ * @returns {Object} Metadata record
+ */
+function buildCacheMeta(itemCount, syncState, scope, storedBytes) {
+  return {
+    timestamp: Date.now(),
+    version: CONFIG.cache.version || 1,
+    itemCount,
+    syncedAt: syncState.syncedAt || null,
+    sourceTotal: syncState.sourceTotal ?? null,
+    scope: scope || null,
+    storedBytes
+  };
+}
 
+/**
+ * Save data to IndexedDB with timestamp, replacing the previous snapshot.
+ * Records are stored in compressed chunks; when the storage quota would be
+ * exceeded nothing is written and the previous snapshot stays as it was.
+ * @param {Array} data - Artworks data to cache
+ * @param {Object} [syncState] - Delta sync state for the snapshot
+ * @param {string} [syncState.syncedAt] - ISO high-water mark of the API's `modified` field
+ * @param {number} [syncState.sourceTotal] - Total record count reported by the API (`found`)
+ * @param {Object|null} [scope=null] - Fetch scope, or null for the full collection
+ * @returns {Promise<Object>} Cache status: { saved: true }, or { saved: false,
+ *   reason: 'quota' | 'error', needed, available } with sizes in bytes (available may be null)
+ */
+export async function setCachedData(data, syncState = {}, scope = null) {
   try {
-    while (keepFetching) {
-      let retryCount = 0;
-      let success = false;
-
-      while (!success && retryCount <= MAX_RETRIES) {
-        try {
-          const url = `${CONFIG.api.baseUrl}?keys=*&rows=${pageSize}&offset=${offset}&lang=${CONFIG.api.language}`;
-          const res = await fetch(url, { signal });
-
-          if (!res.ok) {
-            throw new Error(`HTTP ${res.status}: ${res.statusText}`);
-          }
-
-          const json = await res.json();
-
-          if (!json.items || !Array.isArray(json.items)) {
-            throw new Error('Invalid API response format');
-          }
-
-          const items = json.items || [];
-          if (!items.length) {
-            keepFetching = false;
-            break;
-          }
-
-          const normalized = normalizeItems(items);
-          artworks = artworks.concat(normalized);
-          success = true;
-          retryCount = 0; // Reset retry count on success
-
-          // Notify progress
-          if (onProgress) {
-            onProgress(offset + items.length, artworks);
-          }
-
-        } catch (fetchError) {
-          // If aborted, stop immediately
-          if (fetchError.name === 'AbortError') {
-            throw fetchError;
-          }
-
-          retryCount++;
-          console.warn(`Fetch attempt ${retryCount} failed:`, fetchError.message);
-
-          if (retryCount > MAX_RETRIES) {
-            throw new Error(`Failed after ${MAX_RETRIES} retries: ${fetchError.message}`);
-          }
-
-          // Exponential backoff
-          await new Promise(resolve => setTimeout(resolve, 1000 * retryCount));
-        }
-      }
+    const location = cacheLocation(scope);
+    // A record that appears twice is stored once, with its last version
+    const records = new Map();
+    data.forEach((artwork, index) => {
+      records.set(recordKey(artwork) ?? `record-${index}`, artwork);
+    });
+    const chunks = await encodeChunks(Array.from(records), 0);
+    const storedBytes = storedSize(chunks, records.size);
+
+    // The snapshot being replaced frees its own space
+    const previous = await readCacheMeta(scope);
+    const quota = await checkStorageQuota(storedBytes - (previous?.storedBytes || 0));
+    if (!quota.ok) {
+      console.warn('Not enough storage to cache the data:', quota);
+      return { saved: false, reason: 'quota', needed: quota.needed, available: quota.available };
+    }
+
+    const db = await openDB();
+    const transaction = db.transaction([location.storeName, CHUNKS_STORE, META_STORE], 'readwrite');
+    const store = transaction.objectStore(location.storeName);
+    const chunkStore = transaction.objectStore(CHUNKS_STORE);
+
+    if (location.range) {
+      store.delete(location.range);
+    } else {
+      store.clear();
+    }
+    chunkStore.delete(chunkRange(location.metaKey));
+    chunks.forEach(chunk => {
+      chunkStore.put(chunk, [location.metaKey, chunk.chunkNo]);
+      chunk.keys.forEach(key => {
+        store.put(buildEntry(records.get(key), chunk.chunkNo), location.toStoreKey(key));
+      });
+    });
+    transaction.objectStore(META_STORE).put(
+      buildCacheMeta(records.size, syncState, scope, storedBytes),
+      location.metaKey
+    );
+
+    return settleCacheWrite(transaction, 'saving to cache', quota.needed);
+  } catch (error) {
+    console.warn('Error saving to IndexedDB:', error);
+    return { saved: false, reason: 'error', needed: null, available: null };
+  }
+}
+
+/**
+ * Apply a delta sync to the cached snapshot, rewriting only the chunks that
+ * hold changed records. New records fill up the last chunk, then new ones.
+ * @param {Array<Object>} upserts - Added or updated artworks
+ * @param {Array<string>} deletedKeys - Keys of removed artworks
+ * @param {Object} syncState - New delta sync state ({ syncedAt, sourceTotal })
+ * @param {Object|null} [scope=null] - Fetch scope, or null for the full collection
+ * @returns {Promise<Object>} Cache status, as for setCachedData(); when the
+ *   changes are not saved the snapshot is left untouched
+ */
+export async function applyCacheChanges(upserts, deletedKeys, syncState, scope = null) {
+  try {
+    const location = cacheLocation(scope);
+    const db = await openDB();
+    const changes = new Map(upserts.map(artwork => [recordKey(artwork), artwork]));
+    const removed = new Set(deletedKeys);
+    const changedKeys = [...removed, ...changes.keys()];
+
+    // Find the chunks holding changed records, and the last chunk, which takes new records
+    const lookup = db.transaction([location.storeName, CHUNKS_STORE, META_STORE], 'readonly');
+    const entryStore = lookup.objectStore(location.storeName);
+    const [entries, lastChunkCursor, meta] = await Promise.all([
+      Promise.all(changedKeys.map(key => requestResult(entryStore.get(location.toStoreKey(key))))),
+      requestResult(lookup.objectStore(CHUNKS_STORE).openKeyCursor(chunkRange(location.metaKey), 'prev')),
+      requestResult(lookup.objectStore(META_STORE).get(location.metaKey))
+    ]);
+
+    const lastChunkNo = lastChunkCursor ? lastChunkCursor.key[1] : -1;
+    const dirty = new Set();
+    const existing = new Set();
+    changedKeys.forEach((key, index) => {
+      if (!entries[index]) return;
+      existing.add(key);
+      dirty.add(entries[index].chunk);
+    });
+
+    const chunkNos = new Set(dirty);
+    if (lastChunkNo >= 0) chunkNos.add(lastChunkNo);
+    const oldChunks = await readChunks(location.metaKey, Array.from(chunkNos));
 
-      if (!success) {
-        break;
+    const contents = new Map();
+    for (const chunk of oldChunks) {
+      const pairs = (await decodeChunk(chunk))
+        .filter(([key]) => !removed.has(key))
+        .map(([key, artwork]) => [key, changes.get(key) ?? artwork]);
+      contents.set(chunk.chunkNo, pairs);
+    }
+
+    const added = Array.from(changes).filter(([key]) => !existing.has(key));
+    const addedCount = added.length;
+    if (added.length && contents.has(lastChunkNo)) {
+      const last = contents.get(lastChunkNo);
+      const room = Math.max(0, CONFIG.cache.chunkSize - last.length);
+      if (room) {
+        last.push(...added.splice(0, room));
+        dirty.add(lastChunkNo);
       }
+    }
 
-      offset += pageSize;
+    const emptied = [];
+    const written = [];
+    for (const chunkNo of dirty) {
+      const pairs = contents.get(chunkNo) || [];
+      if (pairs.length) {
+        written.push(await encodeChunk(chunkNo, pairs));
+      } else {
+        emptied.push(chunkNo);
+      }
     }
+    written.push(...await encodeChunks(added, lastChunkNo + 1));
 
-    // Cache the data for future use (only if user consented)
-    if (hasStorageConsent() === true) {
-      await setCachedData(artworks);
+    const removedCount = deletedKeys.filter(key => existing.has(key)).length;
+    const freedBytes = oldChunks
+      .filter(chunk => dirty.has(chunk.chunkNo))
+      .reduce((sum, chunk) => sum + chunk.bytes.byteLength, 0);
+    const neededBytes = storedSize(written, addedCount - removedCount) - freedBytes;
+    const storedBytes = Math.max(0, (meta?.storedBytes || 0) + neededBytes);
+
+    const quota = await checkStorageQuota(neededBytes);
+    if (!quota.ok) {
+      console.warn('Not enough storage to update the cache:', quota);
+      return { saved: false, reason: 'quota', needed: quota.needed, available: quota.available };
     }
 
-    // Clear the controller on success
-    activeController = null;
+    const transaction = db.transaction([location.storeName, CHUNKS_STORE, META_STORE], 'readwrite');
+    const store = transaction.objectStore(location.storeName);
+    const chunkStore = transaction.objectStore(CHUNKS_STORE);
+
+    deletedKeys.forEach(key => store.delete(location.toStoreKey(key)));
+    emptied.forEach(chunkNo => chunkStore.delete([location.metaKey, chunkNo]));
+    written.forEach(chunk => {
+      chunkStore.put(chunk, [location.metaKey, chunk.chunkNo]);
+      // Unchanged records keep their entries
+      chunk.keys
+        .filter(key => changes.has(key))
+        .forEach(key => store.put(buildEntry(changes.get(key), chunk.chunkNo), location.toStoreKey(key)));
+    });
 
-    return artworks;
+    const countRequest = store.count(location.range);
+    countRequest.onsuccess = () => {
+      transaction.objectStore(META_STORE).put(
+        buildCacheMeta(countRequest.result, syncState, scope, storedBytes),
+        location.metaKey
+      );
+    };
 
+    return settleCacheWrite(transaction, 'updating cache', quota.needed);
   } catch (error) {
-    // Clear the controller
-    activeController = null;
+    console.warn('Error updating IndexedDB:', error);
+    return { saved: false, reason: 'error', needed: null, available: null };
+  }
+}
 
-    // Don't report abort errors as failures
-    if (error.name === 'AbortError') {
-      return artworks; // Return whatever we have so far
+/**
+ * Clear cached data from IndexedDB
+ * @param {Object|null} [scope=null] - Fetch scope, or null for the full collection
+ */
+export async function clearCachedData(scope = null) {
+  try {
+    const location = cacheLocation(scope);
+    const db = await openDB();
+    const transaction = db.transaction([location.storeName, CHUNKS_STORE, META_STORE], 'readwrite');
+    const store = transaction.objectStore(location.storeName);
+    if (location.range) {
+      store.delete(location.range);
+    } else {
+      store.clear();
     }
+    transaction.objectStore(CHUNKS_STORE).delete(chunkRange(location.metaKey));
+    transaction.objectStore(META_STORE).delete(location.metaKey);
 
-    console.error('Data fetch failed:', error);
-    if (onError) {
-      onError(error);
-    }
-    throw error;
+    return new Promise((resolve) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => {
+        console.warn('Error clearing cache:', transaction.error);
+        resolve();
+      };
+    });
+  } catch (error) {
+    console.warn('Error clearing IndexedDB:', error);
+  }
+}
+
+/**
+ * Get cache metadata (timestamp and item count) without loading full data
+ * @param {Object|null} [scope=null] - Fetch scope, or null for the full collection
+ * @returns {Promise<Object|null>} Cache metadata ({ timestamp, itemCount, isExpired,
+ *   expiresAt, version, isCurrentVersion, storedBytes }) or null if no cache exists.
+ *   `expiresAt` is null when the cache never expires; `storedBytes` is null for
+ *   snapshots saved before it was recorded.
+ */
+export async function getCacheMetadata(scope = null) {
+  const meta = await readCacheMeta(scope);
+  if (!meta || !meta.timestamp) {
+    return null;
+  }
+
+  return {
+    timestamp: meta.timestamp,
+    itemCount: meta.itemCount || 0,
+    isExpired: isCacheExpired(meta),
+    expiresAt: Number.isFinite(getCacheDuration()) ? meta.timestamp + getCacheDuration() : null,
+    version: meta.version || 1,
+    isCurrentVersion: isCurrentCacheVersion(meta),
+    storedBytes: meta.storedBytes ?? null
+  };
+}
+
+/**
+ * List the scoped datasets in the cache (the full collection is not included)
+ * @returns {Promise<Array<Object>>} Entries ({ scope, timestamp, itemCount, isExpired }), newest first
+ */
+export async function listCachedScopes() {
+  try {
+    const db = await openDB();
+    const transaction = db.transaction(META_STORE, 'readonly');
+    const store = transaction.objectStore(META_STORE);
+
+    return new Promise((resolve) => {
+      const request = store.getAll();
+
+      request.onsuccess = () => {
+        const scopes = request.result
+          .filter(meta => meta.scope && isCurrentCacheVersion(meta))
+          .map(meta => ({
+            scope: meta.scope,
+            timestamp: meta.timestamp,
+            itemCount: meta.itemCount || 0,
+            isExpired: isCacheExpired(meta)
+          }))
+          .sort((a, b) => b.timestamp - a.timestamp);
+        resolve(scopes);
+      };
+
+      request.onerror = () => {
+        console.warn('Error listing cached scopes:', request.error);
+        resolve([]);
+      };
+    });
+  } catch (error) {
+    console.warn('Error listing cached scopes from IndexedDB:', error);
+    return [];
   }
 }
+
+/**
+ * List the distinct values of an indexed field in the cached full collection
+ * @param {string} indexName - One of INDEXED_FIELDS
+ * @returns {Promise<Array>} Distinct values in index order
+ */
+export async function listIndexedValues(indexName) {
+  try {
+    const db = await openDB();
+    const transaction = db.transaction(STORE_NAME, 'readonly');
+    const index = transaction.objectStore(STORE_NAME).index(indexName);
+
+    return new Promise((resolve) => {
+      const values = [];
+      const request = index.openKeyCursor(null, 'nextunique');
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (cursor) {
+          values.push(cursor.key);
+          cursor.continue();
+        } else {
+          resolve(values);
+        }
+      };
+
+      request.onerror = () => {
+        console.warn('Error listing index values:', request.error);
+        resolve([]);
+      };
+    });
+  } catch (error) {
+    console.warn('Error listing index values from IndexedDB:', error);
+    return [];
+  }
+}
+
+/**
+ * Get the interrupted download run, if any
+ * @returns {Promise<Object|null>} Run ({ runId, startedAt, version, pageSize }) or null
+ */
+export async function getDownloadRun() {
+  try {
+    const db = await openDB();
+    const transaction = db.transaction(RUNS_STORE, 'readonly');
+    const store = transaction.objectStore(RUNS_STORE);
+
+    return new Promise((resolve) => {
+      const request = store.getAll();
+
+      request.onsuccess = () => {
+        resolve(request.result[0] || null);
+      };
+
+      request.onerror = () => {
+        console.warn('Error reading download run:', request.error);
+        resolve(null);
+      };
+    });
+  } catch (error) {
+    console.warn('Error reading download run from IndexedDB:', error);
+    return null;
+  }
+}
+
+/**
+ * Get the pages saved for a download run, ordered by offset
+ * @param {string} runId - Download run id
+ * @returns {Promise<Array<Object>>} Pages ({ offset, items, maxModified, found })
+ */
+export async function getDownloadPages(runId) {
+  try {
+    const db = await openDB();
+    const transaction = db.transaction(PAGES_STORE, 'readonly');
+    const store = transaction.objectStore(PAGES_STORE);
+
+    const pages = await new Promise((resolve) => {
+      const request = store.getAll(IDBKeyRange.bound([runId, 0], [runId, Infinity]));
+
+      request.onsuccess = () => {
+        resolve(request.result);
+      };
+
+      request.onerror = () => {
+        console.warn('Error reading download pages:', request.error);
+        resolve([]);
+      };
+    });
+
+    return await Promise.all(pages.map(async ({ chunk, ...page }) => ({
+      ...page,
+      items: await decompressRecords(chunk)
+    })));
+  } catch (error) {
+    console.warn('Error reading download pages from IndexedDB:', error);
+    return [];
+  }
+}
+
+/**
+ * Start a new download run, discarding any previous one
+ * @param {Object} run - Run ({ runId, startedAt, version, pageSize })
+ */
+export async function startDownloadRun(run) {
+  await clearDownloadRun();
+
+  try {
+    const db = await openDB();
+    const transaction = db.transaction(RUNS_STORE, 'readwrite');
+    const store = transaction.objectStore(RUNS_STORE);
+
+    return new Promise((resolve) => {
+      const request = store.put(run);
+
+      request.onsuccess = () => {
+        resolve();
+      };
+
+      request.onerror = () => {
+        console.warn('Error saving download run:', request.error);
+        resolve();
+      };
+    });
+  } catch (error) {
+    console.warn('Error saving download run to IndexedDB:', error);
+  }
+}
+
+/**
+ * Save one downloaded page of a run, with its items compressed
+ * @param {string} runId - Download run id
+ * @param {Object} page - Page ({ offset, items, maxModified, found })
+ */
+export async function saveDownloadPage(runId, { items, ...page }) {
+  try {
+    const chunk = await compressRecords(items);
+    const db = await openDB();
+    const transaction = db.transaction(PAGES_STORE, 'readwrite');
+    const store = transaction.objectStore(PAGES_STORE);
+
+    return new Promise((resolve) => {
+      const request = store.put({ ...page, chunk }, [runId, page.offset]);
+
+      request.onsuccess = () => {
+        resolve();
+      };
+
+      request.onerror = () => {
+        console.warn('Error saving download page:', request.error);
+        resolve();
+      };
+    });
+  } catch (error) {
+    console.warn('Error saving download page to IndexedDB:', error);
+  }
+}
+
+/**
+ * Remove the download run and all of its pages
+ */
+export async function clearDownloadRun() {
+  try {
+    const db = await openDB();
+    const transaction = db.transaction([RUNS_STORE, PAGES_STORE], 'readwrite');
+    transaction.objectStore(RUNS_STORE).clear();
+    transaction.objectStore(PAGES_STORE).clear();
+
+    return new Promise((resolve) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => {
+        console.warn('Error clearing download run:', transaction.error);
+        resolve();
+      };
+    });
+  } catch (error) {
+    console.warn('Error clearing download run from IndexedDB:', error);
+  }
+}
+
+/**
+ * Save a dated snapshot and prune the oldest ones beyond CONFIG.cache.snapshotRetention
+ * Snapshots are independent of the cache: they survive expiry and version bumps.
+ * @param {Object} snapshot - { summary, records } from buildSnapshot()
+ */
+export async function saveSnapshot(snapshot) {
+  try {
+    const db = await openDB();
+    const transaction = db.transaction([SNAPSHOTS_STORE, SNAPSHOT_RECORDS_STORE], 'readwrite');
+    const summaries = transaction.objectStore(SNAPSHOTS_STORE);
+    const records = transaction.objectStore(SNAPSHOT_RECORDS_STORE);
+
+    summaries.put(snapshot.summary);
+    records.put(snapshot.records, snapshot.summary.id);
+
+    // Ids are ISO dates, so key order is chronological
+    const keysRequest = summaries.getAllKeys();
+    keysRequest.onsuccess = () => {
+      const retention = Math.max(2, CONFIG.cache.snapshotRetention || 2);
+      const expired = keysRequest.result.slice(0, Math.max(0, keysRequest.result.length - retention));
+      expired.forEach(id => {
+        summaries.delete(id);
+        records.delete(id);
+      });
+    };
+
+    return new Promise((resolve) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => {
+        console.warn('Error saving snapshot:', transaction.error);
+        resolve();
+      };
+    });
+  } catch (error) {
+    console.warn('Error saving snapshot to IndexedDB:', error);
+  }
+}
+
+/**
+ * List snapshot summaries, newest first
+ * @returns {Promise<Array<Object>>} Summaries ({ id, takenAt, itemCount, stats })
+ */
+export async function listSnapshots() {
+  try {
+    const db = await openDB();
+    const transaction = db.transaction(SNAPSHOTS_STORE, 'readonly');
+    const store = transaction.objectStore(SNAPSHOTS_STORE);
+
+    return new Promise((resolve) => {
+      const request = store.getAll();
+
+      request.onsuccess = () => {
+        resolve(request.result.reverse());
+      };
+
+      request.onerror = () => {
+        console.warn('Error listing snapshots:', request.error);
+        resolve([]);
+      };
+    });
+  } catch (error) {
+    console.warn('Error listing snapshots from IndexedDB:', error);
+    return [];
+  }
+}
+
+/**
+ * Load a snapshot including its per-record columns
+ * @param {string} id - Snapshot id (ISO date)
+ * @returns {Promise<Object|null>} { summary, records } or null if not found
+ */
+export async function getSnapshot(id) {
+  try {
+    const db = await openDB();
+    const transaction = db.transaction([SNAPSHOTS_STORE, SNAPSHOT_RECORDS_STORE], 'readonly');
+    const summaryRequest = transaction.objectStore(SNAPSHOTS_STORE).get(id);
+    const recordsRequest = transaction.objectStore(SNAPSHOT_RECORDS_STORE).get(id);
+
+    return new Promise((resolve) => {
+      transaction.oncomplete = () => {
+        const summary = summaryRequest.result;
+        const records = recordsRequest.result;
+        resolve(summary && records ? { summary, records } : null);
+      };
+      transaction.onerror = () => {
+        console.warn('Error reading snapshot:', transaction.error);
+        resolve(null);
+      };
+    });
+  } catch (error) {
+    console.warn('Error reading snapshot from IndexedDB:', error);
+    return null;
+  }
+}
+
+/**
+ * List the saved curator overrides
+ * @returns {Promise<Array<Object>>} Overrides (see data/overrides.js), in the order they were saved
+ */
+export async function listOverrides() {
+  try {
+    const db = await openDB();
+    const transaction = db.transaction(OVERRIDES_STORE, 'readonly');
+    const store = transaction.objectStore(OVERRIDES_STORE);
+
+    return new Promise((resolve) => {
+      const request = store.getAll();
+
+      request.onsuccess = () => {
+        resolve(request.result.sort((a, b) => a.order - b.order).map(({ order, ...override }) => override));
+      };
+
+      request.onerror = () => {
+        console.warn('Error listing overrides:', request.error);
+        resolve([]);
+      };
+    });
+  } catch (error) {
+    console.warn('Error listing overrides from IndexedDB:', error);
+    return [];
+  }
+}
+
+/**
+ * Replace the saved curator overrides
+ * @param {Array<Object>} overrides - Every override (see data/overrides.js)
+ */
+export async function saveOverrides(overrides) {
+  try {
+    const db = await openDB();
+    const transaction = db.transaction(OVERRIDES_STORE, 'readwrite');
+    const store = transaction.objectStore(OVERRIDES_STORE);
+
+    store.clear();
+    overrides.forEach((override, order) => store.put({ ...override, order }));
+
+    return new Promise((resolve) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => {
+        console.warn('Error saving overrides:', transaction.error);
+        resolve();
+      };
+    });
+  } catch (error) {
+    console.warn('Error saving overrides to IndexedDB:', error);
+  }
+}
+
+/**
+ * Delete everything kept in IndexedDB: every cached dataset, the snapshot
+ * history and any interrupted download. Curator overrides are kept: they are
+ * the user's own work, deleted from their panel or by declining their storage.
+ */
+export async function purgeCache() {
+  try {
+    const db = await openDB();
+    const stores = Array.from(db.objectStoreNames).filter(name => name !== OVERRIDES_STORE);
+    const transaction = db.transaction(stores, 'readwrite');
+    stores.forEach(name => transaction.objectStore(name).clear());
+
+    return new Promise((resolve) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => {
+        console.warn('Error purging cache:', transaction.error);
+        resolve();
+      };
+    });
+  } catch (error) {
+    console.warn('Error purging IndexedDB:', error);
+  }
+}
+
+/**
+ * Delete the data stored for consent purposes the user declined
+ * @param {Array<string>} purposes - Purposes (see STORAGE_PURPOSES in consent.js)
+ */
+export async function clearPurposeData(purposes) {
+  const stores = purposes.flatMap(purpose => PURPOSE_STORES[purpose] || []);
+  if (!stores.length) return;
+
+  try {
+    const db = await openDB();
+    const transaction = db.transaction(stores, 'readwrite');
+    stores.forEach(name => transaction.objectStore(name).clear());
+
+    return new Promise((resolve) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => {
+        console.warn('Error clearing declined data:', transaction.error);
+        resolve();
+      };
+    });
+  } catch (error) {
+    console.warn('Error clearing declined data from IndexedDB:', error);
+  }
+}
+
+/**
+ * Save the data of the last completed fetch or sync for purposes the user
+ * has just accepted, so the choice applies without downloading it again
+ * @param {Array<Object>} data - The artworks on screen (from that fetch or sync)
+ * @param {Array<string>} purposes - Newly accepted purposes; 'snapshots' only
+ *   applies to the full collection
+ * @returns {Promise<Object|null>} Cache status as from getCacheWriteStatus(),
+ *   or null when nothing was cached (no such data, or 'cache' not among the purposes)
+ */
+export async function saveLoadedData(data, purposes) {
+  if (!lastLoad) return null;
+  const { syncState, scope, takenAt } = lastLoad;
+
+  if (purposes.includes('snapshots') && !scope && takenAt) {
+    // Snapshots record the catalogue as SMK publishes it, without local corrections
+    await saveSnapshot(buildSnapshot(data.map(restoreCatalogue), new Date(takenAt)));
+  }
+  if (!purposes.includes('cache')) return null;
+
+  lastCacheStatus = { ...await setCachedData(data, syncState, scope), syncState, scope };
+  if (lastCacheStatus.saved) {
+    announceCacheUpdate(scope);
+  }
+  return lastCacheStatus;
+}
+
+/**
+ * Make room for a dataset that did not fit in the storage quota: remove every
+ * other cached dataset, the snapshot history and any interrupted download
+ * @param {Object|null} [keepScope=null] - Fetch scope of the dataset to keep, or null for the full collection
+ */
+export async function freeCacheSpace(keepScope = null) {
+  const keepKey = cacheLocation(keepScope).metaKey;
+
+  try {
+    const db = await openDB();
+    const metas = await requestResult(db.transaction(META_STORE, 'readonly').objectStore(META_STORE).getAll());
+    for (const meta of metas) {
+      if (cacheLocation(meta.scope).metaKey !== keepKey) {
+        await clearCachedData(meta.scope);
+      }
+    }
+
+    const stores = [SNAPSHOTS_STORE, SNAPSHOT_RECORDS_STORE, RUNS_STORE, PAGES_STORE];
+    const transaction = db.transaction(stores, 'readwrite');
+    stores.forEach(name => transaction.objectStore(name).clear());
+
+    return new Promise((resolve) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => {
+        console.warn('Error freeing cache space:', transaction.error);
+        resolve();
+      };
+    });
+  } catch (error) {
+    console.warn('Error freeing space in IndexedDB:', error);
+  }
+}
+
+/**
+ * Get the data worker, creating it on first use
+ * @returns {Worker}
+ */
+function getDataWorker() {
+  if (!dataWorker) {
+    dataWorker = new Worker(new URL('./dataWorker.js', import.meta.url), { type: 'module' });
+    dataWorker.onmessage = handleWorkerMessage;
+    dataWorker.onerror = (event) => {
+      if (activeTask) {
+        const task = activeTask;
+        activeTask = null;
+        task.progress.finish('failed');
+        task.fail(new Error(event.message || 'Data worker failed to start'));
+      }
+    };
+  }
+  return dataWorker;
+}
+
+/**
+ * Get the data health report from the last fetch or sync in this session
+ * @returns {Object|null} Report, or null if no data has been fetched yet
+ */
+export function getDataHealthReport() {
+  return lastHealthReport;
+}
+
+/**
+ * Get the outcome of the cache write at the end of the last fetch or sync
+ * @returns {Object|null} Cache status from setCachedData() or applyCacheChanges(),
+ *   with the data's `syncState` and `scope` so the write can be retried; null
+ *   when nothing was cached (no consent, or not the live API)
+ */
+export function getCacheWriteStatus() {
+  return lastCacheStatus;
+}
+
+/**
+ * Route a worker message to the task it belongs to
+ * @param {MessageEvent} event - Message from the data worker
+ */
+function handleWorkerMessage(event) {
+  const message = event.data;
+
+  // Ignore messages from cancelled or superseded tasks
+  if (!activeTask || message.id !== activeTask.id) return;
+
+  const task = activeTask;
+  switch (message.type) {
+    case 'resume':
+      task.progress.resumeFrom(message.count, message.total);
+      task.onResume(message);
+      break;
+    case 'progress':
+      task.progress.update(message.count, message.total);
+      task.onProgress(message);
+      break;
+    case 'retry':
+      task.progress.retry({
+        attempt: message.attempt,
+        maxAttempts: message.maxAttempts,
+        delay: message.delay,
+        offset: message.offset,
+        message: message.message
+      });
+      break;
+    case 'complete':
+      activeTask = null;
+      if (message.health) {
+        lastHealthReport = message.health;
+      }
+      lastCacheStatus = message.cacheStatus || null;
+      lastLoad = task.live ? message.loaded || null : null;
+      if (lastCacheStatus?.saved) {
+        postToTabs({ type: 'updated', dataset: task.dataset, scope: lastCacheStatus.scope });
+      }
+      task.progress.finish('complete');
+      task.resolve(task.complete(message));
+      break;
+    case 'error':
+      activeTask = null;
+      task.progress.finish('failed');
+      task.fail(message.details
+        ? createFetchError(message.message, message.details)
+        : new Error(message.message));
+      break;
+  }
+}
+
+/**
+ * Start a task in the data worker. With storage consent, tabs take turns
+ * (see tabCoordination.js): a tab that has to wait shows the other tab's
+ * progress, and settles with the cached data if that tab saved the same dataset.
+ * @param {string} type - Task type ('fetchAll' or 'sync')
+ * @param {Object} handlers - { onProgress, onResume, complete, fromCache, partialResult, onError }
+ * @param {Object} [payload] - Extra message fields for the task
+ * @returns {Promise<*>} Settles with the task's result
+ */
+function runWorkerTask(type, handlers, payload = {}) {
+  // Cancel any previous fetch operation
+  cancelFetch();
+
+  const id = ++taskCounter;
+  const transport = getTransportSettings();
+  // Only data from the live API is cached or added to the snapshot history
+  const persist = hasStorageConsent('cache') === true && transport.mode === 'live';
+  const keepSnapshots = hasStorageConsent('snapshots') === true && transport.mode === 'live';
+  const scope = (type === 'sync' ? payload.scope : payload.source.scope) || null;
+  // The data on screen is replaced by this task's
+  lastLoad = null;
+
+  let task = null;
+  const result = new Promise((resolve, reject) => {
+    task = {
+      id,
+      resolve,
+      // Metadata key of the cached dataset the task writes
+      dataset: cacheLocation(scope).metaKey,
+      // Whether the worker runs the task (it may first wait for another tab)
+      started: false,
+      // Whether the data may be saved later (see saveLoadedData)
+      live: transport.mode === 'live',
+      // AbortController that stops waiting for another tab
+      waiting: null,
+      // Feeds progress events to subscribers (see progress.js) and, once
+      // started, to the other tabs
+      progress: createProgressTracker(type, persist
+        ? (event) => {
+          if (task?.started) postToTabs({ type: 'progress', dataset: task.dataset, event });
+        }
+        : null),
+      onProgress: handlers.onProgress,
+      onResume: handlers.onResume,
+      complete: handlers.complete,
+      fromCache: handlers.fromCache,
+      partialResult: handlers.partialResult,
+      fail: (error) => {
+        console.error('Data fetch failed:', error);
+        if (handlers.onError) {
+          handlers.onError(error);
+        }
+        reject(error);
+      }
+    };
+  });
+  activeTask = task;
+
+  const start = () => {
+    task.started = true;
+    // The worker cannot read the expiry cookie, so it is sent along
+    const cacheDuration = getCacheDuration();
+    getDataWorker().postMessage({ type, id, persist, keepSnapshots, transport, cacheDuration, ...payload });
+  };
+
+  if (persist) {
+    coordinateTask(task, scope, start, result);
+  } else {
+    // Nothing is written to the shared cache, so other tabs are not involved
+    start();
+  }
+  return result;
+}
+
+/**
+ * Start a task once no other tab is running one. If another tab saved the
+ * same dataset in the meantime, the task settles with that data instead.
+ * @param {Object} task - Task created by runWorkerTask()
+ * @param {Object|null} scope - Fetch scope of the task's dataset
+ * @param {Function} start - Starts the task in the data worker
+ * @param {Promise} result - Settles with the task
+ */
+function coordinateTask(task, scope, start, result) {
+  listenToTabs();
+  const requestedAt = Date.now();
+  task.waiting = new AbortController();
+
+  runExclusive(async (waited) => {
+    if (activeTask !== task) return;
+
+    if (waited) {
+      const meta = await readCacheMeta(scope);
+      if (activeTask !== task) return;
+
+      if (isCurrentCacheVersion(meta) && meta.timestamp >= requestedAt) {
+        const artworks = await readCachedArtworks(scope);
+        if (activeTask !== task) return;
+        activeTask = null;
+        // Nothing was written by this tab
+        lastCacheStatus = null;
+        lastLoad = describeCachedLoad(meta);
+        task.progress.finish('complete');
+        task.resolve(task.fromCache(applyOverrides(artworks, curatorOverrides)));
+        return;
+      }
+      task.progress.unpause();
+    }
+
+    task.waiting = null;
+    start();
+    // The lock is held until the task settles
+    await result.catch(() => {});
+  }, {
+    signal: task.waiting.signal,
+    onWait: () => task.progress.wait()
+  }).catch((error) => {
+    // Cancelled while waiting
+    if (error.name === 'AbortError') return;
+    console.warn('Could not coordinate with other tabs:', error);
+    if (activeTask === task && !task.started) {
+      start();
+    }
+  });
+}
+
+/**
+ * Start handling messages from other tabs (once)
+ */
+function listenToTabs() {
+  if (listeningToTabs) return;
+  listeningToTabs = true;
+  subscribeToTabs(handleTabMessage);
+}
+
+/**
+ * Handle a message from another tab
+ * @param {Object} message - Message (see tabCoordination.js)
+ */
+function handleTabMessage(message) {
+  switch (message.type) {
+    case 'progress':
+      // Show the progress of the task this tab is waiting for
+      if (activeTask && !activeTask.started && activeTask.dataset === message.dataset) {
+        relayProgress(message.event);
+      }
+      break;
+    case 'updated':
+      // A task in this tab picks up the new data itself
+      if (!activeTask) {
+        cacheUpdateListeners.forEach(listener => listener(message.scope));
+      }
+      break;
+  }
+}
+
+/**
+ * Subscribe to cache updates made by other tabs (a download, sync or refresh there)
+ * @param {Function} listener - Called with the fetch scope of the updated dataset
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToCacheUpdates(listener) {
+  listenToTabs();
+  cacheUpdateListeners.add(listener);
+  return () => cacheUpdateListeners.delete(listener);
+}
+
+/**
+ * Tell the other tabs that this tab saved a dataset outside a worker task
+ * @param {Object|null} scope - Fetch scope of the dataset
+ */
+export function announceCacheUpdate(scope) {
+  postToTabs({ type: 'updated', dataset: cacheLocation(scope).metaKey, scope });
+}
+
+/**
+ * Fetch all data from SMK API (or another data source) with incremental updates
+ * and error handling. Resumes an interrupted API download when one was saved
+ * (requires storage consent).
+ * @param {Function} onProgress - Callback for progress updates (offset, items, total); total is
+ *   the source's record count, or null when unknown (imported files)
+ * @param {Function} onError - Callback for errors (a FetchError when the API gave up, see fetchErrors.js)
+ * @param {Function} [onResume] - Callback when resuming (recoveredCount, items, total)
+ * @param {Object} [source=API_SOURCE] - Data source (see dataSources.js)
+ * @returns {Promise<Array>} Array of normalized artwork objects
+ */
+export function fetchAllDataIncremental(onProgress, onError, onResume, source = API_SOURCE) {
+  let artworks = [];
+  const overrides = curatorOverrides;
+
+  return runWorkerTask('fetchAll', {
+    onResume: ({ count, total, buffer }) => {
+      artworks.push(...decodeBatch(buffer));
+      if (onResume) {
+        onResume(count, artworks, total ?? null);
+      }
+    },
+    onProgress: ({ count, total, buffer }) => {
+      artworks.push(...decodeBatch(buffer));
+      if (onProgress) {
+        onProgress(count, artworks, total ?? null);
+      }
+    },
+    complete: (message) => {
+      // A resumed download sends the final set if it had to drop duplicates
+      if (message.buffer) {
+        artworks = decodeBatch(message.buffer);
+      }
+      return withCurrentOverrides(artworks, overrides);
+    },
+    // Another tab saved this dataset while this one waited
+    fromCache: cached => cached,
+    // Return whatever we have so far
+    partialResult: () => artworks,
+    onError
+  }, { source, overrides });
+}
+
+/**
+ * Bring the cached snapshot up to date by fetching only records modified since
+ * its high-water mark (see syncData in dataWorker.js)
+ * @param {Function} onProgress - Callback for progress updates (changed records processed)
+ * @param {Function} onError - Callback for errors (a FetchError when the API gave up, see fetchErrors.js)
+ * @param {Object|null} [scope=null] - Fetch scope of the snapshot, or null for the full collection
+ * @returns {Promise<Object|null>} { artworks, added, updated, removed }, or null when
+ *   there is no usable snapshot and a full fetch is needed instead. `artworks` is
+ *   null if the sync was cancelled, in which case the snapshot is untouched. When
+ *   another tab updated the snapshot meanwhile, its data is returned with zero counts.
+ */
+export function syncDataIncremental(onProgress, onError, scope = null) {
+  const overrides = curatorOverrides;
+
+  return runWorkerTask('sync', {
+    onProgress: ({ count }) => {
+      if (onProgress) {
+        onProgress(count);
+      }
+    },
+    complete: (message) => {
+      if (message.noSnapshot) return null;
+      const { added, updated, removed } = message;
+      return { artworks: withCurrentOverrides(decodeBatch(message.buffer), overrides), added, updated, removed };
+    },
+    fromCache: cached => ({ artworks: cached, added: 0, updated: 0, removed: 0 }),
+    partialResult: () => ({ artworks: null, added: 0, updated: 0, removed: 0 }),
+    onError
+  }, { scope, overrides });
+}
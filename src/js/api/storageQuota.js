@@ -0,0 +1,59 @@
+/**
+ * Storage quota checks and persistent storage for the IndexedDB cache
+ * Uses the Storage API (navigator.storage) where available; without it every
+ * write is allowed and a failed write is reported instead.
+ */
+
+/**
+ * Share of the quota the cache may fill. Browsers report quota generously and
+ * other sites' data shares the same pool, so some headroom is kept.
+ */
+const QUOTA_HEADROOM = 0.9;
+
+/**
+ * Read the current storage usage and quota
+ * @returns {Promise<Object|null>} { usage, quota } in bytes, or null when unknown
+ */
+export async function estimateStorage() {
+  if (typeof navigator === 'undefined' || !navigator.storage?.estimate) return null;
+
+  try {
+    const { usage, quota } = await navigator.storage.estimate();
+    return typeof quota === 'number' ? { usage: usage || 0, quota } : null;
+  } catch (error) {
+    console.warn('Could not estimate storage:', error);
+    return null;
+  }
+}
+
+/**
+ * Check whether a write of a given size is likely to fit
+ * @param {number} bytesNeeded - Additional bytes the write will use (may be negative)
+ * @returns {Promise<Object>} { ok, needed, available } (available is null when unknown)
+ */
+export async function checkStorageQuota(bytesNeeded) {
+  const estimate = await estimateStorage();
+  if (!estimate) {
+    return { ok: true, needed: bytesNeeded, available: null };
+  }
+
+  const available = Math.max(0, estimate.quota * QUOTA_HEADROOM - estimate.usage);
+  return { ok: bytesNeeded <= available, needed: bytesNeeded, available };
+}
+
+/**
+ * Ask the browser not to evict the cache under storage pressure
+ * Only called once the user has consented to caching.
+ * @returns {Promise<boolean>} Whether storage is persistent
+ */
+export async function requestPersistentStorage() {
+  if (typeof navigator === 'undefined' || !navigator.storage?.persist) return false;
+
+  try {
+    if (await navigator.storage.persisted()) return true;
+    return await navigator.storage.persist();
+  } catch (error) {
+    console.warn('Could not request persistent storage:', error);
+    return false;
+  }
+}
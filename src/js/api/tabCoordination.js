@@ -0,0 +1,86 @@
+/**
+ * Coordination between open tabs of the app
+ * Only one tab downloads or syncs at a time: data worker tasks take a Web Lock,
+ * and the tab holding it shares its progress and announces cache updates on a
+ * BroadcastChannel (see runWorkerTask in smkApi.js). Without these APIs every
+ * tab works on its own, as before.
+ *
+ * Messages:
+ * - { type: 'progress', dataset, event }: progress event of the running task (see progress.js)
+ * - { type: 'updated', dataset, scope }: new data was saved to the cache
+ */
+
+const LOCK_NAME = 'smk-data-fetch';
+const CHANNEL_NAME = 'smk-data';
+
+// Created on first use, so importing this module has no side effects
+let channel = null;
+const listeners = new Set();
+
+/**
+ * Get the channel shared by all tabs
+ * @returns {BroadcastChannel|null} Channel, or null without BroadcastChannel support
+ */
+function getChannel() {
+  if (!channel && typeof BroadcastChannel !== 'undefined') {
+    channel = new BroadcastChannel(CHANNEL_NAME);
+    channel.onmessage = (event) => {
+      listeners.forEach(listener => {
+        try {
+          listener(event.data);
+        } catch (error) {
+          console.warn('Tab message listener failed:', error);
+        }
+      });
+    };
+  }
+  return channel;
+}
+
+/**
+ * Send a message to the other open tabs (not to this one)
+ * @param {Object} message - Structured-cloneable message
+ */
+export function postToTabs(message) {
+  const target = getChannel();
+  if (target) {
+    target.postMessage(message);
+  }
+}
+
+/**
+ * Subscribe to messages from the other open tabs
+ * @param {Function} listener - Called with each message
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToTabs(listener) {
+  getChannel();
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Run a task while no other tab runs one. The lock is held until the task's
+ * promise settles.
+ * @param {Function} task - Async function, called with `true` if it had to wait for another tab
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Gives up waiting (the returned promise rejects with an AbortError)
+ * @param {Function} [options.onWait] - Called when another tab holds the lock
+ * @returns {Promise<*>} The task's result
+ */
+export async function runExclusive(task, { signal, onWait } = {}) {
+  if (typeof navigator === 'undefined' || !navigator.locks) {
+    return task(false);
+  }
+
+  let ran = false;
+  const result = await navigator.locks.request(LOCK_NAME, { ifAvailable: true }, (lock) => {
+    if (!lock) return null;
+    ran = true;
+    return task(false);
+  });
+  if (ran) return result;
+
+  if (onWait) onWait();
+  return navigator.locks.request(LOCK_NAME, { signal }, () => task(true));
+}
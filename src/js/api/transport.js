@@ -0,0 +1,189 @@
+/**
+ * HTTP transport for SMK API requests: live, replay or record
+ * Replay serves recorded pages from CONFIG.api.fixturesPath instead of the API
+ * and can inject faults (HTTP errors, malformed payloads, slow responses) to
+ * exercise the retry, backoff and abort paths. Record fetches live pages and
+ * also saves each one in the same layout, one file per request.
+ *
+ * The settings are resolved on the main thread (getTransportSettings) and the
+ * transport itself is created in the data worker (createTransport).
+ */
+import { CONFIG } from '../config.js';
+import { hashString } from '../utils/hash.js';
+import { wait } from '../utils/wait.js';
+
+const MODES = ['live', 'replay', 'record'];
+const FAULTS = ['http', 'malformed'];
+
+// Longer parameter values (such as the `fields` projection) are hashed to keep
+// file names within file system limits
+const MAX_NAME_VALUE_LENGTH = 40;
+
+// Folder chosen for record mode (main thread only)
+let recordDirectory = null;
+
+/**
+ * Resolve the transport settings from CONFIG.api and URL parameters
+ * (?apiMode=, ?apiFault=, ?apiFaultStatus=, ?apiFaultAttempts=, ?apiRetryAfter=, ?apiDelay=)
+ * @returns {Object} Settings to post to the data worker
+ */
+export function getTransportSettings() {
+  const params = new URLSearchParams(window.location.search);
+  const replay = CONFIG.api.replay || {};
+
+  let mode = params.get('apiMode') || CONFIG.api.mode || 'live';
+  if (!MODES.includes(mode)) {
+    console.warn(`Unknown API mode "${mode}", using live`);
+    mode = 'live';
+  }
+
+  let fault = params.get('apiFault') || replay.fault || null;
+  if (fault && !FAULTS.includes(fault)) {
+    console.warn(`Unknown API fault "${fault}", ignoring it`);
+    fault = null;
+  }
+
+  const numberParam = (name, fallback) => {
+    const value = parseInt(params.get(name), 10);
+    return isNaN(value) ? fallback : value;
+  };
+
+  return {
+    mode,
+    // Absolute, because the worker resolves relative URLs against its own script
+    fixturesUrl: new URL(CONFIG.api.fixturesPath, document.baseURI).href,
+    fault,
+    faultStatus: numberParam('apiFaultStatus', replay.faultStatus || 503),
+    faultAttempts: numberParam('apiFaultAttempts', replay.faultAttempts ?? 1),
+    retryAfter: numberParam('apiRetryAfter', replay.retryAfter ?? null),
+    delay: numberParam('apiDelay', replay.delay || 0),
+    recordDirectory: mode === 'record' ? recordDirectory : null
+  };
+}
+
+/**
+ * Check whether requests go to the live API (cache reads and writes are
+ * skipped in the other modes so fixtures never mix with real data)
+ * @returns {boolean}
+ */
+export function isLiveTransport() {
+  return getTransportSettings().mode === 'live';
+}
+
+/**
+ * Ask the user for the folder recorded pages are written to
+ * Must be called from a user gesture. Needs the File System Access API.
+ * @returns {Promise<boolean>} Whether a folder was chosen
+ */
+export async function chooseRecordDirectory() {
+  if (typeof window.showDirectoryPicker !== 'function') {
+    throw new Error('Recording needs a browser with the File System Access API');
+  }
+
+  try {
+    recordDirectory = await window.showDirectoryPicker({ id: 'smk-fixtures', mode: 'readwrite' });
+    return true;
+  } catch (error) {
+    // The user closed the picker
+    if (error.name === 'AbortError') return false;
+    throw error;
+  }
+}
+
+/**
+ * File name of the recorded page for a request: its sorted query parameters
+ * @param {string} url - Search URL
+ * @returns {string} e.g. "fields-h1a2b3c4d__keys-___lang-en__offset-0__rows-2000.json"
+ */
+function fixtureName(url) {
+  const params = Array.from(new URL(url).searchParams.entries())
+    .sort(([a], [b]) => a.localeCompare(b));
+  return params.map(([key, value]) => {
+    const safeValue = value.length > MAX_NAME_VALUE_LENGTH
+      ? `h${hashString(value).toString(16).padStart(8, '0')}`
+      : value.replace(/[^A-Za-z0-9.-]+/g, '_');
+    return `${key}-${safeValue}`;
+  }).join('__') + '.json';
+}
+
+/**
+ * Build the response for a simulated fault
+ * @param {Object} settings - Transport settings
+ * @returns {Response}
+ */
+function simulatedFault(settings) {
+  if (settings.fault === 'malformed') {
+    // Valid JSON without an `items` array
+    return new Response('{"simulated":"malformed payload"}', {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+  const headers = settings.retryAfter !== null && settings.retryAfter !== undefined
+    ? { 'Retry-After': String(settings.retryAfter) }
+    : {};
+  return new Response(null, { status: settings.faultStatus, statusText: 'Simulated failure', headers });
+}
+
+/**
+ * Save a recorded page into the record folder
+ * @param {FileSystemDirectoryHandle} directory - Record folder
+ * @param {string} name - Fixture file name
+ * @param {string} body - Response body
+ */
+async function writeFixture(directory, name, body) {
+  try {
+    const handle = await directory.getFileHandle(name, { create: true });
+    const writable = await handle.createWritable();
+    await writable.write(body);
+    await writable.close();
+  } catch (error) {
+    console.warn(`Could not record ${name}:`, error);
+  }
+}
+
+/**
+ * Create the function the data worker uses for API requests
+ * @param {Object} [settings] - From getTransportSettings(); live when omitted
+ * @returns {Function} (url, signal) => Promise<Response>
+ */
+export function createTransport(settings = { mode: 'live' }) {
+  if (settings.mode === 'replay') {
+    // Failed attempts so far, per request
+    const attempts = new Map();
+
+    return async (url, signal) => {
+      const name = fixtureName(url);
+
+      if (settings.delay > 0) {
+        await wait(settings.delay, signal);
+      }
+
+      if (settings.fault) {
+        const failed = attempts.get(name) || 0;
+        if (failed < settings.faultAttempts) {
+          attempts.set(name, failed + 1);
+          return simulatedFault(settings);
+        }
+      }
+
+      const res = await fetch(settings.fixturesUrl + name, { signal });
+      if (res.status === 404) {
+        return new Response(null, { status: 404, statusText: `No recorded page ${name}` });
+      }
+      return res;
+    };
+  }
+
+  if (settings.mode === 'record' && settings.recordDirectory) {
+    return async (url, signal) => {
+      const res = await fetch(url, { signal });
+      if (res.ok) {
+        await writeFixture(settings.recordDirectory, fixtureName(url), await res.clone().text());
+      }
+      return res;
+    };
+  }
+
+  return (url, signal) => fetch(url, { signal });
+}
@@ -5,74 +5,70 @@
 
 import { CONFIG } from '../config.js';
 import { getCanvasContext } from './lineCharts.js';
+import { createGenderDatasets, setGenderDatasets } from './genderDatasets.js';
+import { getGenders, byGender, genderColor, genderLabel } from '../data/genders.js';
+
+// Bubble fill opacity per gender: many male artists overlap, so theirs is faintest
+const SCATTER_OPACITY = { Male: '20', Unknown: '40' };
 
 /**
- * Create bubble scatterplot of artists by birth year and artwork count
- * @param {Array<Object>} scatterData - Array of artist objects with name, birthYear, artworkCount, gender
- * @param {string} canvasId - Canvas element ID
- * @returns {Chart} Chart.js instance
+ * Separate artists by gender into bubble points
+ * @param {Array<Object>} scatterData - Artists with name, birthYear, artworkCount, gender
+ * @returns {Object} { genders, values } with the points of each gender
  */
-export function createArtistScatterplot(scatterData, canvasId) {
-  const ctx = getCanvasContext(canvasId);
-  if (!ctx) return null;
-
-  // Separate by gender for different datasets
-  const maleData = scatterData
-    .filter(a => a.gender === 'Male')
+function groupScatterData(scatterData) {
+  const genders = getGenders(scatterData);
+  const values = byGender(genders, gender => scatterData
+    .filter(a => a.gender === gender)
     .map(a => ({
       x: a.birthYear,
       y: a.artworkCount,
       r: Math.sqrt(a.artworkCount) * 1.5, // Scale bubble size
       label: a.name,
       nationality: a.nationality
-    }));
+    })));
+  return { genders, values };
+}
 
-  const femaleData = scatterData
-    .filter(a => a.gender === 'Female')
-    .map(a => ({
-      x: a.birthYear,
-      y: a.artworkCount,
-      r: Math.sqrt(a.artworkCount) * 1.5,
-      label: a.name,
-      nationality: a.nationality
-    }));
+/**
+ * Dataset style of the scatterplot
+ * @param {string} color - Gender color
+ * @param {string} gender - Gender category
+ * @returns {Object}
+ */
+function scatterStyle(color, gender) {
+  return {
+    label: gender === 'Unknown' ? 'Unknown Gender' : `${genderLabel(gender)} Artists`,
+    backgroundColor: color + (SCATTER_OPACITY[gender] || '80'), // Add transparency
+    borderColor: color,
+    borderWidth: 1
+  };
+}
 
-  const unknownData = scatterData
-    .filter(a => a.gender === 'Unknown')
-    .map(a => ({
-      x: a.birthYear,
-      y: a.artworkCount,
-      r: Math.sqrt(a.artworkCount) * 1.5,
-      label: a.name,
-      nationality: a.nationality
-    }));
+/**
+ * Create one bubble dataset per gender
+ * @param {Array<Object>} scatterData - Artists with name, birthYear, artworkCount, gender
+ * @returns {Array<Object>}
+ */
+function createScatterDatasets(scatterData) {
+  const { genders, values } = groupScatterData(scatterData);
+  return createGenderDatasets(genders, values, scatterStyle);
+}
+
+/**
+ * Create bubble scatterplot of artists by birth year and artwork count
+ * @param {Array<Object>} scatterData - Array of artist objects with name, birthYear, artworkCount, gender
+ * @param {string} canvasId - Canvas element ID
+ * @returns {Chart} Chart.js instance
+ */
+export function createArtistScatterplot(scatterData, canvasId) {
+  const ctx = getCanvasContext(canvasId);
+  if (!ctx) return null;
 
   return new Chart(ctx, {
     type: 'bubble',
     data: {
-      datasets: [
-        {
-          label: 'Male Artists',
-          data: maleData,
-          backgroundColor: CONFIG.colors.male + '20', // Add transparency
-          borderColor: CONFIG.colors.male,
-          borderWidth: 1
-        },
-        {
-          label: 'Female Artists',
-          data: femaleData,
-          backgroundColor: CONFIG.colors.female + '80',
-          borderColor: CONFIG.colors.female,
-          borderWidth: 1
-        },
-        {
-          label: 'Unknown Gender',
-          data: unknownData,
-          backgroundColor: CONFIG.colors.unknown + '40',
-          borderColor: CONFIG.colors.unknown,
-          borderWidth: 1
-        }
-      ]
+      datasets: createScatterDatasets(scatterData)
     },
     options: {
       responsive: true,
@@ -151,40 +147,8 @@ export function createArtistScatterplot(scatterData, canvasId) {
  * Update artist scatterplot
  */
 export function updateArtistScatterplot(chartInstance, scatterData) {
-  const maleData = scatterData
-    .filter(a => a.gender === 'Male')
-    .map(a => ({
-      x: a.birthYear,
-      y: a.artworkCount,
-      r: Math.sqrt(a.artworkCount) * 1.5,
-      label: a.name,
-      nationality: a.nationality
-    }));
-
-  const femaleData = scatterData
-    .filter(a => a.gender === 'Female')
-    .map(a => ({
-      x: a.birthYear,
-      y: a.artworkCount,
-      r: Math.sqrt(a.artworkCount) * 1.5,
-      label: a.name,
-      nationality: a.nationality
-    }));
-
-  const unknownData = scatterData
-    .filter(a => a.gender === 'Unknown')
-    .map(a => ({
-      x: a.birthYear,
-      y: a.artworkCount,
-      r: Math.sqrt(a.artworkCount) * 1.5,
-      label: a.name,
-      nationality: a.nationality
-    }));
-
-  chartInstance.data.datasets[0].data = maleData;
-  chartInstance.data.datasets[1].data = femaleData;
-  chartInstance.data.datasets[2].data = unknownData;
-
+  const { genders, values } = groupScatterData(scatterData);
+  setGenderDatasets(chartInstance, genders, values, scatterStyle);
   chartInstance.update('none');
 }
 
@@ -205,7 +169,7 @@ export function renderTopArtistsLists(topMale, topFemale, containerId) {
   );
 
   const renderList = (artists, title, gender) => {
-    const color = gender === 'Male' ? CONFIG.colors.male : CONFIG.colors.female;
+    const color = genderColor(gender);
 
     let html = `<div class="top-artists-list">`;
     html += `<h3>${title}</h3>`;
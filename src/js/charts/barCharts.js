@@ -3,34 +3,28 @@
  */
 import { CONFIG } from '../config.js';
 import { getCanvasContext } from './lineCharts.js';
+import { createGenderDatasets, setGenderDatasets } from './genderDatasets.js';
+import { genderColor, genderLabel } from '../data/genders.js';
 
 /**
  * Update bar stack chart
  */
-export function updateBarStackChart(chartInstance, labels, maleData, femaleData, unknownData) {
+export function updateBarStackChart(chartInstance, labels, genders, data) {
   chartInstance.data.labels = labels;
-  chartInstance.data.datasets[0].data = maleData;
-  chartInstance.data.datasets[1].data = femaleData;
-  chartInstance.data.datasets[2].data = unknownData;
+  setGenderDatasets(chartInstance, genders, data);
   chartInstance.update('none');
 }
 
 /**
  * Create stacked bar chart
  */
-export function createBarStackChart(labels, maleData, femaleData, unknownData, canvasId) {
+export function createBarStackChart(labels, genders, data, canvasId) {
   const ctx = getCanvasContext(canvasId);
   if (!ctx) return null;
 
   return new Chart(ctx, {
     type: "bar",
-    data: {
-      labels, datasets: [
-        { label: "Male", data: maleData, backgroundColor: CONFIG.colors.male },
-        { label: "Female", data: femaleData, backgroundColor: CONFIG.colors.female },
-        { label: "Unknown", data: unknownData, backgroundColor: CONFIG.colors.unknown }
-      ]
-    },
+    data: { labels, datasets: createGenderDatasets(genders, data) },
     options: { responsive: true, scales: { x: { stacked: true }, y: { stacked: true } }, animation: false }
   });
 }
@@ -38,30 +32,22 @@ export function createBarStackChart(labels, maleData, femaleData, unknownData, c
 /**
  * Update horizontal bar chart
  */
-export function updateHorizontalBarChart(chartInstance, labels, maleData, femaleData, unknownData) {
+export function updateHorizontalBarChart(chartInstance, labels, genders, data) {
   chartInstance.data.labels = labels;
-  chartInstance.data.datasets[0].data = maleData;
-  chartInstance.data.datasets[1].data = femaleData;
-  chartInstance.data.datasets[2].data = unknownData;
+  setGenderDatasets(chartInstance, genders, data);
   chartInstance.update('none');
 }
 
 /**
  * Create horizontal bar chart
  */
-export function createHorizontalBarChart(labels, maleData, femaleData, unknownData, canvasId) {
+export function createHorizontalBarChart(labels, genders, data, canvasId) {
   const ctx = getCanvasContext(canvasId);
   if (!ctx) return null;
 
   return new Chart(ctx, {
     type: "bar",
-    data: {
-      labels, datasets: [
-        { label: "Male", data: maleData, backgroundColor: CONFIG.colors.male },
-        { label: "Female", data: femaleData, backgroundColor: CONFIG.colors.female },
-        { label: "Unknown", data: unknownData, backgroundColor: CONFIG.colors.unknown }
-      ]
-    },
+    data: { labels, datasets: createGenderDatasets(genders, data) },
     options: { indexAxis: 'y', responsive: true, animation: false }
   });
 }
@@ -69,69 +55,54 @@ export function createHorizontalBarChart(labels, maleData, femaleData, unknownDa
 /**
  * Update regular bar chart
  */
-export function updateBarChart(chartInstance, labels, maleData, femaleData, unknownData) {
+export function updateBarChart(chartInstance, labels, genders, data) {
   chartInstance.data.labels = labels;
-  chartInstance.data.datasets[0].data = maleData;
-  chartInstance.data.datasets[1].data = femaleData;
-  chartInstance.data.datasets[2].data = unknownData;
+  setGenderDatasets(chartInstance, genders, data);
   chartInstance.update('none');
 }
 
 /**
  * Create regular bar chart
  */
-export function createBarChart(labels, maleData, femaleData, unknownData, canvasId) {
+export function createBarChart(labels, genders, data, canvasId) {
   const ctx = getCanvasContext(canvasId);
   if (!ctx) return null;
 
   return new Chart(ctx, {
     type: "bar",
-    data: {
-      labels, datasets: [
-        { label: "Male", data: maleData, backgroundColor: CONFIG.colors.male },
-        { label: "Female", data: femaleData, backgroundColor: CONFIG.colors.female },
-        { label: "Unknown", data: unknownData, backgroundColor: CONFIG.colors.unknown }
-      ]
-    },
+    data: { labels, datasets: createGenderDatasets(genders, data) },
     options: { responsive: true, animation: false }
   });
 }
 
+/**
+ * Dataset style of the 100% stacked bar chart: counts are kept for tooltips
+ * @param {Object|null} count - Count array per gender
+ * @returns {Function} Style for createGenderDatasets()
+ */
+function percentageStackStyle(count) {
+  return (color, gender) => ({ backgroundColor: color, countData: count ? count[gender] : null });
+}
+
 /**
  * Update 100% stacked bar chart (shows percentages)
  */
-export function updatePercentageStackChart(chartInstance, labels, maleData, femaleData, unknownData, maleCount = null, femaleCount = null, unknownCount = null) {
+export function updatePercentageStackChart(chartInstance, labels, genders, data, count = null) {
   chartInstance.data.labels = labels;
-  chartInstance.data.datasets[0].data = maleData;
-  chartInstance.data.datasets[1].data = femaleData;
-  chartInstance.data.datasets[2].data = unknownData;
-
-  // Store count data for tooltips if provided
-  if (maleCount && femaleCount && unknownCount) {
-    chartInstance.data.datasets[0].countData = maleCount;
-    chartInstance.data.datasets[1].countData = femaleCount;
-    chartInstance.data.datasets[2].countData = unknownCount;
-  }
-
+  setGenderDatasets(chartInstance, genders, data, percentageStackStyle(count));
   chartInstance.update('none');
 }
 
 /**
  * Create 100% stacked bar chart (shows percentages within each category)
  */
-export function createPercentageStackChart(labels, maleData, femaleData, unknownData, canvasId, maleCount = null, femaleCount = null, unknownCount = null) {
+export function createPercentageStackChart(labels, genders, data, canvasId, count = null) {
   const ctx = getCanvasContext(canvasId);
   if (!ctx) return null;
 
   return new Chart(ctx, {
     type: "bar",
-    data: {
-      labels, datasets: [
-        { label: "Male", data: maleData, countData: maleCount, backgroundColor: CONFIG.colors.male },
-        { label: "Female", data: femaleData, countData: femaleCount, backgroundColor: CONFIG.colors.female },
-        { label: "Unknown", data: unknownData, countData: unknownCount, backgroundColor: CONFIG.colors.unknown }
-      ]
-    },
+    data: { labels, datasets: createGenderDatasets(genders, data, percentageStackStyle(count)) },
     options: {
       responsive: true,
       scales: {
@@ -171,10 +142,12 @@ export function createPercentageStackChart(labels, maleData, femaleData, unknown
 /**
  * Update display status horizontal stacked bar chart
  */
-export function updateDisplayStatusChart(chartInstance, labels, displayedData, notDisplayedData, displayedCount = null, notDisplayedCount = null) {
-  chartInstance.data.labels = labels;
+export function updateDisplayStatusChart(chartInstance, genders, displayedData, notDisplayedData, displayedCount = null, notDisplayedCount = null) {
+  chartInstance.data.labels = genders.map(genderLabel);
   chartInstance.data.datasets[0].data = displayedData;
+  chartInstance.data.datasets[0].backgroundColor = genders.map(genderColor);
   chartInstance.data.datasets[1].data = notDisplayedData;
+  chartInstance.data.datasets[1].backgroundColor = genders.map(gender => genderColor(gender) + '40');
   if (displayedCount) chartInstance.data.datasets[0].countData = displayedCount;
   if (notDisplayedCount) chartInstance.data.datasets[1].countData = notDisplayedCount;
   chartInstance.update('none');
@@ -183,33 +156,34 @@ export function updateDisplayStatusChart(chartInstance, labels, displayedData, n
 /**
  * Update creator-depicted gender relationship chart
  */
-export function updateCreatorDepictedChart(chartInstance, labels, maleDepictedData, femaleDepictedData, unknownDepictedData, maleCount = null, femaleCount = null, unknownCount = null) {
+export function updateCreatorDepictedChart(chartInstance, labels, depictedGenders, depictedData, depictedCount = null) {
   chartInstance.data.labels = labels;
-  chartInstance.data.datasets[0].data = maleDepictedData;
-  chartInstance.data.datasets[0].countData = maleCount;
-  chartInstance.data.datasets[1].data = femaleDepictedData;
-  chartInstance.data.datasets[1].countData = femaleCount;
-  chartInstance.data.datasets[2].data = unknownDepictedData;
-  chartInstance.data.datasets[2].countData = unknownCount;
+  setGenderDatasets(chartInstance, depictedGenders, depictedData, creatorDepictedStyle(depictedCount));
   chartInstance.update('none');
 }
 
+/**
+ * Dataset style of the creator-depicted chart
+ * @param {Object|null} depictedCount - Count array per depicted gender
+ * @returns {Function} Style for createGenderDatasets()
+ */
+function creatorDepictedStyle(depictedCount) {
+  return (color, gender) => ({
+    label: `Depicted: ${genderLabel(gender)}`,
+    countData: depictedCount ? depictedCount[gender] : null,
+    backgroundColor: color,
+    borderWidth: 0
+  });
+}
+
 /**
  * Create horizontal stacked bar chart for display status (On Display vs Not on Display)
  */
-export function createDisplayStatusChart(labels, displayedData, notDisplayedData, canvasId, displayedCount = null, notDisplayedCount = null) {
-  // Create color arrays matching each gender
-  const displayedColors = [
-    CONFIG.colors.male,      // Male - solid blue
-    CONFIG.colors.female,    // Female - solid pink
-    CONFIG.colors.unknown    // Unknown - solid gray
-  ];
-
-  const notDisplayedColors = [
-    CONFIG.colors.male + '40',      // Male - transparent blue
-    CONFIG.colors.female + '40',    // Female - transparent pink
-    CONFIG.colors.unknown + '40'    // Unknown - transparent gray
-  ];
+export function createDisplayStatusChart(genders, displayedData, notDisplayedData, canvasId, displayedCount = null, notDisplayedCount = null) {
+  // Create color arrays matching each gender: solid when displayed, transparent when not
+  const labels = genders.map(genderLabel);
+  const displayedColors = genders.map(genderColor);
+  const notDisplayedColors = genders.map(gender => genderColor(gender) + '40');
 
   const ctx = getCanvasContext(canvasId);
   if (!ctx) return null;
@@ -280,10 +254,12 @@ export function createDisplayStatusChart(labels, displayedData, notDisplayedData
 /**
  * Update image availability chart
  */
-export function updateImageAvailabilityChart(chartInstance, labels, withImageData, withoutImageData, withImageCount = null, withoutImageCount = null) {
-  chartInstance.data.labels = labels;
+export function updateImageAvailabilityChart(chartInstance, genders, withImageData, withoutImageData, withImageCount = null, withoutImageCount = null) {
+  chartInstance.data.labels = genders.map(genderLabel);
   chartInstance.data.datasets[0].data = withImageData;
+  chartInstance.data.datasets[0].backgroundColor = genders.map(genderColor);
   chartInstance.data.datasets[1].data = withoutImageData;
+  chartInstance.data.datasets[1].backgroundColor = genders.map(gender => genderColor(gender) + '40');
   if (withImageCount) chartInstance.data.datasets[0].countData = withImageCount;
   if (withoutImageCount) chartInstance.data.datasets[1].countData = withoutImageCount;
   chartInstance.update('none');
@@ -292,19 +268,11 @@ export function updateImageAvailabilityChart(chartInstance, labels, withImageDat
 /**
  * Create horizontal stacked bar chart for image availability (With Image vs Without Image)
  */
-export function createImageAvailabilityChart(labels, withImageData, withoutImageData, canvasId, withImageCount = null, withoutImageCount = null) {
-  // Create color arrays matching each gender
-  const withImageColors = [
-    CONFIG.colors.male,      // Male - solid teal
-    CONFIG.colors.female,    // Female - solid purple
-    CONFIG.colors.unknown    // Unknown - solid gray
-  ];
-
-  const withoutImageColors = [
-    CONFIG.colors.male + '40',      // Male - transparent teal
-    CONFIG.colors.female + '40',    // Female - transparent purple
-    CONFIG.colors.unknown + '40'    // Unknown - transparent gray
-  ];
+export function createImageAvailabilityChart(genders, withImageData, withoutImageData, canvasId, withImageCount = null, withoutImageCount = null) {
+  // Create color arrays matching each gender: solid with an image, transparent without
+  const labels = genders.map(genderLabel);
+  const withImageColors = genders.map(genderColor);
+  const withoutImageColors = genders.map(gender => genderColor(gender) + '40');
 
   const ctx = getCanvasContext(canvasId);
   if (!ctx) return null;
@@ -376,7 +344,7 @@ export function createImageAvailabilityChart(labels, withImageData, withoutImage
  * Create horizontal 100% stacked bar chart showing creator-depicted gender relationships
  * Shows what gender is depicted by each creator gender (as percentages)
  */
-export function createCreatorDepictedChart(labels, maleDepictedData, femaleDepictedData, unknownDepictedData, canvasId, maleCount = null, femaleCount = null, unknownCount = null) {
+export function createCreatorDepictedChart(labels, depictedGenders, depictedData, canvasId, depictedCount = null) {
   const ctx = getCanvasContext(canvasId);
   if (!ctx) return null;
 
@@ -384,29 +352,7 @@ export function createCreatorDepictedChart(labels, maleDepictedData, femaleDepic
     type: "bar",
     data: {
       labels,
-      datasets: [
-        {
-          label: "Depicted: Male",
-          data: maleDepictedData,
-          countData: maleCount,
-          backgroundColor: CONFIG.colors.male,
-          borderWidth: 0
-        },
-        {
-          label: "Depicted: Female",
-          data: femaleDepictedData,
-          countData: femaleCount,
-          backgroundColor: CONFIG.colors.female,
-          borderWidth: 0
-        },
-        {
-          label: "Depicted: Unknown",
-          data: unknownDepictedData,
-          countData: unknownCount,
-          backgroundColor: CONFIG.colors.unknown,
-          borderWidth: 0
-        }
-      ]
+      datasets: createGenderDatasets(depictedGenders, depictedData, creatorDepictedStyle(depictedCount))
     },
     options: {
       indexAxis: 'y',
@@ -453,36 +399,36 @@ export function createCreatorDepictedChart(labels, maleDepictedData, femaleDepic
 /**
  * Update dimension comparison bar chart
  */
-export function updateDimensionChart(chartInstance, labels, maleData, femaleData, unknownData) {
-  chartInstance.data.labels = labels;
-  chartInstance.data.datasets[0].data = maleData;
-  chartInstance.data.datasets[1].data = femaleData;
-  chartInstance.data.datasets[2].data = unknownData;
+export function updateDimensionChart(chartInstance, labels, genders, data) {
+  chartInstance.data.labels = labels.slice(0, 2);
+  setGenderDatasets(chartInstance, genders, heightAndWidth(genders, data));
   chartInstance.update('none');
 }
 
+/**
+ * Take height and width (the first 2 values) of dimension data, excluding area
+ * @param {Array<string>} genders - Gender categories
+ * @param {Object} data - Values per gender
+ * @returns {Object}
+ */
+function heightAndWidth(genders, data) {
+  return Object.fromEntries(genders.map(gender => [gender, data[gender].slice(0, 2)]));
+}
+
 /**
  * Create grouped bar chart for dimension comparison (height and width only, not area)
  */
-export function createDimensionChart(labels, maleData, femaleData, unknownData, canvasId) {
+export function createDimensionChart(labels, genders, data, canvasId) {
   const ctx = getCanvasContext(canvasId);
   if (!ctx) return null;
 
-  // Only take height and width (first 2 values), exclude area
-  const maleHeightWidth = maleData.slice(0, 2);
-  const femaleHeightWidth = femaleData.slice(0, 2);
-  const unknownHeightWidth = unknownData.slice(0, 2);
   const dimensionLabels = labels.slice(0, 2); // "Avg Height (cm)", "Avg Width (cm)"
 
   return new Chart(ctx, {
     type: "bar",
     data: {
       labels: dimensionLabels,
-      datasets: [
-        { label: "Male", data: maleHeightWidth, backgroundColor: CONFIG.colors.male },
-        { label: "Female", data: femaleHeightWidth, backgroundColor: CONFIG.colors.female },
-        { label: "Unknown", data: unknownHeightWidth, backgroundColor: CONFIG.colors.unknown }
-      ]
+      datasets: createGenderDatasets(genders, heightAndWidth(genders, data))
     },
     options: {
       responsive: true,
@@ -542,24 +488,15 @@ export function createDimensionChart(labels, maleData, femaleData, unknownData,
 /**
  * Create grouped bar chart for area comparison
  */
-export function createAreaChart(labels, maleData, femaleData, unknownData, canvasId) {
+export function createAreaChart(labels, genders, data, canvasId) {
   const ctx = getCanvasContext(canvasId);
   if (!ctx) return null;
 
-  // Only take area (3rd value)
-  const maleArea = [maleData[2]];
-  const femaleArea = [femaleData[2]];
-  const unknownArea = [unknownData[2]];
-
   return new Chart(ctx, {
     type: "bar",
     data: {
       labels: ['Average Area'],
-      datasets: [
-        { label: "Male", data: maleArea, backgroundColor: CONFIG.colors.male },
-        { label: "Female", data: femaleArea, backgroundColor: CONFIG.colors.female },
-        { label: "Unknown", data: unknownArea, backgroundColor: CONFIG.colors.unknown }
-      ]
+      datasets: createGenderDatasets(genders, areaOnly(genders, data))
     },
     options: {
       responsive: true,
@@ -619,44 +556,123 @@ export function createAreaChart(labels, maleData, femaleData, unknownData, canva
 /**
  * Update area chart
  */
-export function updateAreaChart(chartInstance, labels, maleData, femaleData, unknownData) {
-  const maleArea = [maleData[2]];
-  const femaleArea = [femaleData[2]];
-  const unknownArea = [unknownData[2]];
-
-  chartInstance.data.datasets[0].data = maleArea;
-  chartInstance.data.datasets[1].data = femaleArea;
-  chartInstance.data.datasets[2].data = unknownArea;
+export function updateAreaChart(chartInstance, labels, genders, data) {
+  setGenderDatasets(chartInstance, genders, areaOnly(genders, data));
   chartInstance.update('none');
 }
 
+/**
+ * Take area (the 3rd value) of dimension data
+ * @param {Array<string>} genders - Gender categories
+ * @param {Object} data - Values per gender
+ * @returns {Object}
+ */
+function areaOnly(genders, data) {
+  return Object.fromEntries(genders.map(gender => [gender, [data[gender][2]]]));
+}
+
+/**
+ * Dataset style of the area distribution line chart
+ * @param {string} color - Gender color
+ * @returns {Object}
+ */
+function areaDistributionStyle(color) {
+  return {
+    borderColor: color,
+    backgroundColor: color + '40',
+    fill: false,
+    tension: 0.3
+  };
+}
+
 /**
  * Update area distribution line chart
  */
-export function updateAreaDistributionChart(chartInstance, labels, maleData, femaleData, unknownData) {
+export function updateAreaDistributionChart(chartInstance, labels, genders, data) {
   chartInstance.data.labels = labels;
-  chartInstance.data.datasets[0].data = maleData;
-  chartInstance.data.datasets[1].data = femaleData;
-  chartInstance.data.datasets[2].data = unknownData;
+  setGenderDatasets(chartInstance, genders, data, areaDistributionStyle);
   chartInstance.update('none');
 }
 
 /**
- * Update birth year histogram chart
+ * Format a count that may be fractional (shared credit or distributed dates)
+ * @param {number} count
+ * @returns {string}
  */
-export function updateBirthYearHistogramChart(chartInstance, labels, maleData, femaleData, unknownData, maleCount = null, femaleCount = null, unknownCount = null) {
-  chartInstance.data.labels = labels;
-  chartInstance.data.datasets[0].data = maleData;
-  chartInstance.data.datasets[1].data = femaleData;
-  chartInstance.data.datasets[2].data = unknownData;
-
-  // Store count data for tooltips if provided
-  if (maleCount && femaleCount && unknownCount) {
-    chartInstance.data.datasets[0].countData = maleCount;
-    chartInstance.data.datasets[1].countData = femaleCount;
-    chartInstance.data.datasets[2].countData = unknownCount;
+function formatCount(count) {
+  return count.toLocaleString(undefined, { maximumFractionDigits: 1 });
+}
+
+/**
+ * Attach the uncertain-date counts of a year histogram to its datasets, for tooltips
+ * @param {Array<Object>} datasets - Chart datasets, one per gender
+ * @param {Object|null} uncertainty - { uncertainData, excluded } from getBirthYearData() or getCreationYearData()
+ */
+function attachUncertainty(datasets, uncertainty) {
+  datasets.forEach(dataset => {
+    dataset.uncertainData = uncertainty ? uncertainty.uncertainData[dataset.gender] : null;
+    dataset.excludedCount = uncertainty ? uncertainty.excluded[dataset.gender] || 0 : 0;
+  });
+}
+
+/**
+ * Dataset style of the year histograms
+ * @param {Object|null} count - Count array per gender, for tooltips
+ * @param {boolean} single - Whether one gender is shown on its own
+ * @returns {Function} Style for createGenderDatasets()
+ */
+function histogramStyle(count, single) {
+  return (color, gender) => ({
+    countData: count ? count[gender] : null,
+    backgroundColor: single ? color : color + 'CC',
+    borderColor: color,
+    borderWidth: 1
+  });
+}
+
+/**
+ * Create the datasets of a year histogram
+ * @param {Array<string>} genders - Gender categories
+ * @param {Object} data - Values per gender
+ * @param {string} gender - Gender shown on its own, or 'All'
+ * @param {Object|null} count - Count array per gender
+ * @param {Object|null} uncertainty - See attachUncertainty()
+ * @returns {Array<Object>}
+ */
+function createHistogramDatasets(genders, data, gender, count, uncertainty) {
+  // Determine which datasets to show based on gender filter
+  const shown = gender === 'All' ? genders : genders.filter(key => key === gender);
+  const datasets = createGenderDatasets(shown, data, histogramStyle(count, gender !== 'All'));
+  attachUncertainty(datasets, uncertainty);
+  return datasets;
+}
+
+/**
+ * Describe the uncertain dates behind a histogram bar
+ * @param {Object} dataset - Chart dataset (see attachUncertainty)
+ * @param {number} index - Bar index
+ * @param {string} unit - "artworks" or "artists"
+ * @returns {Array<string>} Extra tooltip lines
+ */
+function describeUncertainty(dataset, index, unit) {
+  const lines = [];
+  const uncertain = dataset.uncertainData?.[index] || 0;
+  if (uncertain > 0) {
+    lines.push(`${formatCount(uncertain)} ${unit} from uncertain dates`);
   }
+  if (dataset.excludedCount > 0) {
+    lines.push(`${formatCount(dataset.excludedCount)} ${unit} with uncertain dates left out`);
+  }
+  return lines;
+}
 
+/**
+ * Update birth year histogram chart
+ */
+export function updateBirthYearHistogramChart(chartInstance, labels, genders, data, count = null, uncertainty = null) {
+  chartInstance.data.labels = labels;
+  setGenderDatasets(chartInstance, genders, data, histogramStyle(count, false));
+  attachUncertainty(chartInstance.data.datasets, uncertainty);
   chartInstance.update('none');
 }
 
@@ -664,60 +680,11 @@ export function updateBirthYearHistogramChart(chartInstance, labels, maleData, f
  * Create histogram chart for birth year distribution
  * Shows count or percentage of unique artists by birth year decade
  */
-export function createBirthYearHistogramChart(labels, maleData, femaleData, unknownData, canvasId, genderLabel = 'All', usePercentage = false, maleCount = null, femaleCount = null, unknownCount = null) {
+export function createBirthYearHistogramChart(labels, genders, data, canvasId, gender = 'All', usePercentage = false, count = null, uncertainty = null) {
   const ctx = getCanvasContext(canvasId);
   if (!ctx) return null;
 
-  // Determine which datasets to show based on gender filter
-  const datasets = [];
-
-  if (genderLabel === 'Male') {
-    datasets.push({
-      label: "Male",
-      data: maleData,
-      countData: maleCount,
-      backgroundColor: CONFIG.colors.male,
-      borderColor: CONFIG.colors.male,
-      borderWidth: 1
-    });
-  } else if (genderLabel === 'Female') {
-    datasets.push({
-      label: "Female",
-      data: femaleData,
-      countData: femaleCount,
-      backgroundColor: CONFIG.colors.female,
-      borderColor: CONFIG.colors.female,
-      borderWidth: 1
-    });
-  } else {
-    // Show all genders
-    datasets.push(
-      {
-        label: "Male",
-        data: maleData,
-        countData: maleCount,
-        backgroundColor: CONFIG.colors.male + 'CC',
-        borderColor: CONFIG.colors.male,
-        borderWidth: 1
-      },
-      {
-        label: "Female",
-        data: femaleData,
-        countData: femaleCount,
-        backgroundColor: CONFIG.colors.female + 'CC',
-        borderColor: CONFIG.colors.female,
-        borderWidth: 1
-      },
-      {
-        label: "Unknown",
-        data: unknownData,
-        countData: unknownCount,
-        backgroundColor: CONFIG.colors.unknown + 'CC',
-        borderColor: CONFIG.colors.unknown,
-        borderWidth: 1
-      }
-    );
-  }
+  const datasets = createHistogramDatasets(genders, data, gender, count, uncertainty);
 
   const yAxisTitle = usePercentage ? 'Percentage of Artists (%)' : 'Number of Artists';
   const tooltipSuffix = usePercentage ? '%' : ' artists';
@@ -755,15 +722,16 @@ export function createBirthYearHistogramChart(labels, maleData, femaleData, unkn
               // If we have count data and are showing percentages, also show the count
               if (usePercentage && context.dataset.countData) {
                 const count = context.dataset.countData[context.dataIndex];
-                label += ' (' + count + ' artists)';
+                label += ' (' + formatCount(count) + ' artists)';
               }
 
-              return label;
+              const uncertaintyLines = describeUncertainty(context.dataset, context.dataIndex, 'artists');
+              return uncertaintyLines.length ? [label, ...uncertaintyLines] : label;
             }
           }
         },
         legend: {
-          display: genderLabel === 'All',
+          display: gender === 'All',
           position: 'top'
         }
       },
@@ -775,19 +743,10 @@ export function createBirthYearHistogramChart(labels, maleData, femaleData, unkn
 /**
  * Update creation year histogram chart
  */
-export function updateCreationYearHistogramChart(chartInstance, labels, maleData, femaleData, unknownData, maleCount = null, femaleCount = null, unknownCount = null) {
+export function updateCreationYearHistogramChart(chartInstance, labels, genders, data, count = null, uncertainty = null) {
   chartInstance.data.labels = labels;
-  chartInstance.data.datasets[0].data = maleData;
-  chartInstance.data.datasets[1].data = femaleData;
-  chartInstance.data.datasets[2].data = unknownData;
-
-  // Store count data for tooltips if provided
-  if (maleCount && femaleCount && unknownCount) {
-    chartInstance.data.datasets[0].countData = maleCount;
-    chartInstance.data.datasets[1].countData = femaleCount;
-    chartInstance.data.datasets[2].countData = unknownCount;
-  }
-
+  setGenderDatasets(chartInstance, genders, data, histogramStyle(count, false));
+  attachUncertainty(chartInstance.data.datasets, uncertainty);
   chartInstance.update('none');
 }
 
@@ -795,60 +754,11 @@ export function updateCreationYearHistogramChart(chartInstance, labels, maleData
  * Create histogram chart for creation year distribution
  * Shows count or percentage of artworks by creation year decade
  */
-export function createCreationYearHistogramChart(labels, maleData, femaleData, unknownData, canvasId, genderLabel = 'All', usePercentage = false, maleCount = null, femaleCount = null, unknownCount = null) {
+export function createCreationYearHistogramChart(labels, genders, data, canvasId, gender = 'All', usePercentage = false, count = null, uncertainty = null) {
   const ctx = getCanvasContext(canvasId);
   if (!ctx) return null;
 
-  // Determine which datasets to show based on gender filter
-  const datasets = [];
-
-  if (genderLabel === 'Male') {
-    datasets.push({
-      label: "Male",
-      data: maleData,
-      countData: maleCount,
-      backgroundColor: CONFIG.colors.male,
-      borderColor: CONFIG.colors.male,
-      borderWidth: 1
-    });
-  } else if (genderLabel === 'Female') {
-    datasets.push({
-      label: "Female",
-      data: femaleData,
-      countData: femaleCount,
-      backgroundColor: CONFIG.colors.female,
-      borderColor: CONFIG.colors.female,
-      borderWidth: 1
-    });
-  } else {
-    // Show all genders
-    datasets.push(
-      {
-        label: "Male",
-        data: maleData,
-        countData: maleCount,
-        backgroundColor: CONFIG.colors.male + 'CC',
-        borderColor: CONFIG.colors.male,
-        borderWidth: 1
-      },
-      {
-        label: "Female",
-        data: femaleData,
-        countData: femaleCount,
-        backgroundColor: CONFIG.colors.female + 'CC',
-        borderColor: CONFIG.colors.female,
-        borderWidth: 1
-      },
-      {
-        label: "Unknown",
-        data: unknownData,
-        countData: unknownCount,
-        backgroundColor: CONFIG.colors.unknown + 'CC',
-        borderColor: CONFIG.colors.unknown,
-        borderWidth: 1
-      }
-    );
-  }
+  const datasets = createHistogramDatasets(genders, data, gender, count, uncertainty);
 
   const yAxisTitle = usePercentage ? 'Percentage of Artworks (%)' : 'Number of Artworks';
   const tooltipSuffix = usePercentage ? '%' : ' artworks';
@@ -886,15 +796,16 @@ export function createCreationYearHistogramChart(labels, maleData, femaleData, u
               // If we have count data and are showing percentages, also show the count
               if (usePercentage && context.dataset.countData) {
                 const count = context.dataset.countData[context.dataIndex];
-                label += ' (' + count + ' artworks)';
+                label += ' (' + formatCount(count) + ' artworks)';
               }
 
-              return label;
+              const uncertaintyLines = describeUncertainty(context.dataset, context.dataIndex, 'artworks');
+              return uncertaintyLines.length ? [label, ...uncertaintyLines] : label;
             }
           }
         },
         legend: {
-          display: genderLabel === 'All',
+          display: gender === 'All',
           position: 'top'
         }
       },
@@ -907,7 +818,7 @@ export function createCreationYearHistogramChart(labels, maleData, femaleData, u
  * Create line chart for area distribution comparison
  * Shows percentage distribution across size bins
  */
-export function createAreaDistributionChart(labels, maleData, femaleData, unknownData, canvasId, xAxisLabel = 'Area (cm²)') {
+export function createAreaDistributionChart(labels, genders, data, canvasId, xAxisLabel = 'Area (cm²)') {
   const ctx = getCanvasContext(canvasId);
   if (!ctx) return null;
 
@@ -915,32 +826,7 @@ export function createAreaDistributionChart(labels, maleData, femaleData, unknow
     type: "line",
     data: {
       labels,
-      datasets: [
-        {
-          label: "Male",
-          data: maleData,
-          borderColor: CONFIG.colors.male,
-          backgroundColor: CONFIG.colors.male + '40',
-          fill: false,
-          tension: 0.3
-        },
-        {
-          label: "Female",
-          data: femaleData,
-          borderColor: CONFIG.colors.female,
-          backgroundColor: CONFIG.colors.female + '40',
-          fill: false,
-          tension: 0.3
-        },
-        {
-          label: "Unknown",
-          data: unknownData,
-          borderColor: CONFIG.colors.unknown,
-          backgroundColor: CONFIG.colors.unknown + '40',
-          fill: false,
-          tension: 0.3
-        }
-      ]
+      datasets: createGenderDatasets(genders, data, areaDistributionStyle)
     },
     options: {
       responsive: true,
@@ -977,27 +863,22 @@ export function createAreaDistributionChart(labels, maleData, femaleData, unknow
  * Create simple exhibition average chart
  * Shows average number of exhibitions per artwork by gender
  */
-export function createExhibitionAvgChart(labels, values, totalWorks, totalExhibitions, canvasId) {
+export function createExhibitionAvgChart(genders, values, totalWorks, totalExhibitions, canvasId) {
   const ctx = getCanvasContext(canvasId);
   if (!ctx) return null;
 
   return new Chart(ctx, {
     type: 'bar',
     data: {
-      labels: labels,
+      labels: genders.map(genderLabel),
       datasets: [{
         label: 'Average exhibitions per artwork',
         data: values,
-        backgroundColor: labels.map(label => {
-          if (label === 'Male') return CONFIG.colors.male;
-          if (label === 'Female') return CONFIG.colors.female;
-          return CONFIG.colors.unknown;
-        }),
-        borderColor: labels.map(label => {
-          if (label === 'Male') return CONFIG.colors.male;
-          if (label === 'Female') return CONFIG.colors.female;
-          return CONFIG.colors.unknown;
-        }),
+        genders,
+        totalWorks,
+        totalExhibitions,
+        backgroundColor: genders.map(genderColor),
+        borderColor: genders.map(genderColor),
         borderWidth: 1
       }]
     },
@@ -1011,10 +892,11 @@ export function createExhibitionAvgChart(labels, values, totalWorks, totalExhibi
         tooltip: {
           callbacks: {
             label: function(context) {
-              const label = context.label;
+              const dataset = context.dataset;
+              const gender = dataset.genders[context.dataIndex];
               const avg = context.parsed.y.toFixed(2);
-              const total = totalWorks[label] || 0;
-              const exhibitions = totalExhibitions[label] || 0;
+              const total = dataset.totalWorks[gender] || 0;
+              const exhibitions = dataset.totalExhibitions[gender] || 0;
               return [
                 `Average: ${avg} exhibitions per artwork`,
                 `Total: ${exhibitions.toLocaleString()} exhibitions`,
@@ -1056,9 +938,16 @@ export function createExhibitionAvgChart(labels, values, totalWorks, totalExhibi
 /**
  * Update exhibition average chart
  */
-export function updateExhibitionAvgChart(chartInstance, labels, values, totalWorks, totalExhibitions) {
-  chartInstance.data.labels = labels;
-  chartInstance.data.datasets[0].data = values;
+export function updateExhibitionAvgChart(chartInstance, genders, values, totalWorks, totalExhibitions) {
+  chartInstance.data.labels = genders.map(genderLabel);
+  Object.assign(chartInstance.data.datasets[0], {
+    data: values,
+    genders,
+    totalWorks,
+    totalExhibitions,
+    backgroundColor: genders.map(genderColor),
+    borderColor: genders.map(genderColor)
+  });
   chartInstance.update('none');
 }
 
@@ -1066,27 +955,22 @@ export function updateExhibitionAvgChart(chartInstance, labels, values, totalWor
  * Create simple exhibition percentage chart
  * Shows percentage of works exhibited at least once by gender
  */
-export function createExhibitionPercentChart(labels, values, totalWorks, worksExhibited, canvasId) {
+export function createExhibitionPercentChart(genders, values, totalWorks, worksExhibited, canvasId) {
   const ctx = getCanvasContext(canvasId);
   if (!ctx) return null;
 
   return new Chart(ctx, {
     type: 'bar',
     data: {
-      labels: labels,
+      labels: genders.map(genderLabel),
       datasets: [{
         label: '% of works exhibited',
         data: values,
-        backgroundColor: labels.map(label => {
-          if (label === 'Male') return CONFIG.colors.male;
-          if (label === 'Female') return CONFIG.colors.female;
-          return CONFIG.colors.unknown;
-        }),
-        borderColor: labels.map(label => {
-          if (label === 'Male') return CONFIG.colors.male;
-          if (label === 'Female') return CONFIG.colors.female;
-          return CONFIG.colors.unknown;
-        }),
+        genders,
+        totalWorks,
+        worksExhibited,
+        backgroundColor: genders.map(genderColor),
+        borderColor: genders.map(genderColor),
         borderWidth: 1
       }]
     },
@@ -1100,10 +984,11 @@ export function createExhibitionPercentChart(labels, values, totalWorks, worksEx
         tooltip: {
           callbacks: {
             label: function(context) {
-              const label = context.label;
+              const dataset = context.dataset;
+              const gender = dataset.genders[context.dataIndex];
               const percent = context.parsed.y.toFixed(1);
-              const exhibited = worksExhibited[label] || 0;
-              const total = totalWorks[label] || 0;
+              const exhibited = dataset.worksExhibited[gender] || 0;
+              const total = dataset.totalWorks[gender] || 0;
               return [
                 `${percent}% exhibited at least once`,
                 `${exhibited.toLocaleString()} of ${total.toLocaleString()} works`
@@ -1148,8 +1033,15 @@ export function createExhibitionPercentChart(labels, values, totalWorks, worksEx
 /**
  * Update exhibition percentage chart
  */
-export function updateExhibitionPercentChart(chartInstance, labels, values, totalWorks, worksExhibited) {
-  chartInstance.data.labels = labels;
-  chartInstance.data.datasets[0].data = values;
+export function updateExhibitionPercentChart(chartInstance, genders, values, totalWorks, worksExhibited) {
+  chartInstance.data.labels = genders.map(genderLabel);
+  Object.assign(chartInstance.data.datasets[0], {
+    data: values,
+    genders,
+    totalWorks,
+    worksExhibited,
+    backgroundColor: genders.map(genderColor),
+    borderColor: genders.map(genderColor)
+  });
   chartInstance.update('none');
 }
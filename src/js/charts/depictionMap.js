@@ -3,9 +3,11 @@
  * Shows geographic locations depicted in artworks, grouped by artist gender
  */
 import { CONFIG } from '../config.js';
+import { genderColor, genderLabel } from '../data/genders.js';
+import { renderGenderFilters } from './genderFilters.js';
 
 let depictionMapInstance = null;
-let currentDepictionGender = 'all'; // 'all', 'male', 'female'
+let currentDepictionGender = 'all'; // 'all' or a gender category
 
 /**
  * Creates a world map showing depicted locations by artist gender
@@ -28,7 +30,7 @@ export function createDepictionMap(data, containerId) {
   const height = Math.min(width * 0.5, 500);
 
   // Load world topology
-  d3.json('https://cdn.jsdelivr.net/npm/world-atlas@2/countries-110m.json')
+  d3.json(CONFIG.maps.worldAtlasUrl)
     .then(world => {
       const countries = topojson.feature(world, world.objects.countries);
 
@@ -68,13 +70,13 @@ export function createDepictionMap(data, containerId) {
       // Create bubbles group
       const bubblesGroup = g.append('g').attr('class', 'bubbles');
 
-      // Draw location bubbles
-      updateDepictionBubbles(bubblesGroup, data, projection);
-
       depictionMapInstance = { svg, g, bubblesGroup, projection, data, container };
 
       // Setup filter buttons
-      setupDepictionFilterButtons();
+      setupDepictionFilterButtons(data.genders);
+
+      // Draw location bubbles
+      updateDepictionBubbles(bubblesGroup, data, projection);
     })
     .catch(error => {
       console.error('Error loading map data:', error);
@@ -91,19 +93,22 @@ function updateDepictionBubbles(bubblesGroup, data, projection) {
   // Determine which locations to show based on current gender filter
   let locations = [];
 
-  if (currentDepictionGender === 'male') {
-    locations = data.maleLocations.map(loc => ({ ...loc, filterGender: 'male' }));
-  } else if (currentDepictionGender === 'female') {
-    locations = data.femaleLocations.map(loc => ({ ...loc, filterGender: 'female' }));
+  if (currentDepictionGender !== 'all') {
+    locations = (data.locations[currentDepictionGender] || []).map(loc => ({ ...loc, filterGender: currentDepictionGender }));
   } else {
     // 'all' - show all locations with color based on dominant gender
     locations = data.allLocations.map(loc => {
-      const total = loc.Male + loc.Female + loc.Unknown;
-      const knownTotal = loc.Male + loc.Female;
-      let dominant = 'unknown';
-      if (knownTotal > 0) {
-        dominant = loc.Female >= loc.Male ? 'female' : 'male';
-      }
+      const total = Object.values(loc.counts).reduce((sum, count) => sum + count, 0);
+      // Most works among the known categories; a tie goes to the later category
+      let dominant = 'Unknown';
+      let dominantCount = 0;
+      data.genders.forEach(gender => {
+        if (gender === 'Unknown' || loc.counts[gender] === 0) return;
+        if (loc.counts[gender] >= dominantCount) {
+          dominant = gender;
+          dominantCount = loc.counts[gender];
+        }
+      });
       return {
         ...loc,
         count: total,
@@ -160,16 +165,11 @@ function updateDepictionBubbles(bubblesGroup, data, projection) {
  * Get bubble color based on filter and data
  */
 function getBubbleColor(d) {
-  if (currentDepictionGender === 'female') {
-    return CONFIG.colors.female;
-  } else if (currentDepictionGender === 'male') {
-    return CONFIG.colors.male;
-  } else {
-    // Color by dominant gender
-    if (d.dominant === 'female') return CONFIG.colors.female;
-    if (d.dominant === 'male') return CONFIG.colors.male;
-    return CONFIG.colors.unknown;
+  if (currentDepictionGender !== 'all') {
+    return genderColor(currentDepictionGender);
   }
+  // Color by dominant gender
+  return genderColor(d.dominant);
 }
 
 /**
@@ -182,15 +182,18 @@ function showDepictionTooltip(event, d) {
   let content = `<strong>${d.name}</strong>`;
 
   if (currentDepictionGender === 'all') {
-    const femalePercent = d.count > 0 ? ((d.Female / d.count) * 100).toFixed(1) : 0;
-    const malePercent = d.count > 0 ? ((d.Male / d.count) * 100).toFixed(1) : 0;
-
-    content += `
-      <br>Total: ${d.count.toLocaleString()} artworks
-      <br><span style="color:${CONFIG.colors.male}">Male: ${d.Male.toLocaleString()} (${malePercent}%)</span>
-      <br><span style="color:${CONFIG.colors.female}">Female: ${d.Female.toLocaleString()} (${femalePercent}%)</span>
-      ${d.Unknown > 0 ? `<br><span style="color:${CONFIG.colors.unknown}">Unknown: ${d.Unknown.toLocaleString()}</span>` : ''}
-    `;
+    content += `<br>Total: ${d.count.toLocaleString()} artworks`;
+
+    // Male and female always, other categories when present; Unknown without a share
+    Object.entries(d.counts).forEach(([gender, count]) => {
+      if (gender === 'Unknown') return;
+      if (count === 0 && gender !== 'Male' && gender !== 'Female') return;
+      const percent = d.count > 0 ? ((count / d.count) * 100).toFixed(1) : 0;
+      content += `<br><span style="color:${genderColor(gender)}">${genderLabel(gender)}: ${count.toLocaleString()} (${percent}%)</span>`;
+    });
+    if (d.counts.Unknown > 0) {
+      content += `<br><span style="color:${genderColor('Unknown')}">${genderLabel('Unknown')}: ${d.counts.Unknown.toLocaleString()}</span>`;
+    }
   } else {
     content += `<br><strong>${d.count.toLocaleString()} artworks</strong>`;
   }
@@ -228,35 +231,27 @@ function hideDepictionTooltip() {
 
 /**
  * Setup filter button functionality
+ * @param {Array<string>} genders - Gender categories of the location data
  */
-function setupDepictionFilterButtons() {
-  const buttons = document.querySelectorAll('#depictionGeographyContainer .map-filter-btn');
-
-  buttons.forEach(btn => {
-    btn.addEventListener('click', () => {
-      // Update active state
-      buttons.forEach(b => b.classList.remove('active'));
-      btn.classList.add('active');
-
-      // Update filter
-      const filter = btn.getAttribute('data-filter');
-      currentDepictionGender = filter;
-
-      // Redraw bubbles
-      if (depictionMapInstance) {
-        updateDepictionBubbles(
-          depictionMapInstance.bubblesGroup,
-          depictionMapInstance.data,
-          depictionMapInstance.projection
-        );
-      }
-    });
+function setupDepictionFilterButtons(genders) {
+  currentDepictionGender = renderGenderFilters('depictionMapFilters', genders, currentDepictionGender, filter => {
+    // Update filter
+    currentDepictionGender = filter;
+
+    // Redraw bubbles
+    if (depictionMapInstance) {
+      updateDepictionBubbles(
+        depictionMapInstance.bubblesGroup,
+        depictionMapInstance.data,
+        depictionMapInstance.projection
+      );
+    }
   });
 }
 
 /**
  * Update the depiction map with new gender filter
- * @param {string} gender - 'all', 'male', or 'female'
+ * @param {string} gender - 'all' or a gender category
  */
 export function updateDepictionMapGender(gender) {
   if (!depictionMapInstance) return;
@@ -277,6 +272,7 @@ export function updateDepictionMapGender(gender) {
 export function updateDepictionMap(data, containerId) {
   if (depictionMapInstance) {
     depictionMapInstance.data = data;
+    setupDepictionFilterButtons(data.genders);
     updateDepictionBubbles(
       depictionMapInstance.bubblesGroup,
       data,
@@ -0,0 +1,37 @@
+/**
+ * Chart datasets with one dataset per gender category (see data/genders.js)
+ */
+import { genderColor, genderLabel } from '../data/genders.js';
+
+/**
+ * Create one dataset per gender category
+ * @param {Array<string>} genders - Category keys, in chart order
+ * @param {Object} values - Data array per category
+ * @param {Function} [style] - Extra dataset properties from (color, gender);
+ *   by default the category color fills the bars
+ * @returns {Array<Object>} Datasets labelled and colored by category, each with its `gender`
+ */
+export function createGenderDatasets(genders, values, style = color => ({ backgroundColor: color })) {
+  return genders.map(gender => ({
+    gender,
+    label: genderLabel(gender),
+    data: values[gender],
+    ...style(genderColor(gender), gender)
+  }));
+}
+
+/**
+ * Replace the datasets of a chart with one per gender category, updating
+ * the dataset of a category already shown so its legend state is kept
+ * @param {Chart} chartInstance - Chart.js instance
+ * @param {Array<string>} genders - Category keys, in chart order
+ * @param {Object} values - Data array per category
+ * @param {Function} [style] - See createGenderDatasets()
+ */
+export function setGenderDatasets(chartInstance, genders, values, style) {
+  const previous = chartInstance.data.datasets;
+  chartInstance.data.datasets = createGenderDatasets(genders, values, style).map(dataset => {
+    const existing = previous.find(entry => entry.gender === dataset.gender);
+    return existing ? Object.assign(existing, dataset) : dataset;
+  });
+}
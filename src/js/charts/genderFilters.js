@@ -0,0 +1,42 @@
+/**
+ * Gender filter buttons of the maps
+ * The "All" button is part of the page; one button per gender category is
+ * added after it, so the buttons follow the categories of the loaded data.
+ */
+import { genderLabel } from '../data/genders.js';
+
+/**
+ * Render the gender filter buttons of a map
+ * @param {string} containerId - ID of the .map-controls element
+ * @param {Array<string>} genders - Gender categories to offer
+ * @param {string} current - Selected filter: 'all' or a category key
+ * @param {Function} onSelect - Called with the filter of a clicked button
+ * @returns {string} The selected filter; 'all' when the current category is no longer offered
+ */
+export function renderGenderFilters(containerId, genders, current, onSelect) {
+  const container = document.getElementById(containerId);
+  const selected = genders.includes(current) ? current : 'all';
+  if (!container) return selected;
+
+  container.querySelectorAll('[data-gender]').forEach(button => button.remove());
+  genders.forEach(gender => {
+    const button = document.createElement('button');
+    button.className = 'map-filter-btn';
+    button.dataset.filter = gender;
+    button.dataset.gender = gender;
+    button.textContent = genderLabel(gender);
+    container.appendChild(button);
+  });
+
+  const buttons = container.querySelectorAll('.map-filter-btn');
+  buttons.forEach(button => {
+    button.classList.toggle('active', button.dataset.filter === selected);
+    // Assigned rather than added, so rendering again does not stack handlers on "All"
+    button.onclick = () => {
+      buttons.forEach(other => other.classList.toggle('active', other === button));
+      onSelect(button.dataset.filter);
+    };
+  });
+
+  return selected;
+}
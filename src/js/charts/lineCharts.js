@@ -2,6 +2,7 @@
  * Chart factory and management utilities
  */
 import { CONFIG } from '../config.js';
+import { createGenderDatasets, setGenderDatasets } from './genderDatasets.js';
 
 /**
  * Safely get canvas context with null check
@@ -59,19 +60,30 @@ export function getColors() {
   return CONFIG.colors;
 }
 
+/**
+ * Dataset style of the stacked area chart
+ * @param {string} color - Gender color
+ * @returns {Object}
+ */
+function stackedAreaStyle(color) {
+  return {
+    backgroundColor: color + '80', // Add transparency
+    borderColor: color,
+    borderWidth: 2,
+    fill: true
+  };
+}
+
 /**
  * Update stacked area chart
  * @param {Chart} chartInstance - Chart.js instance
  * @param {Array} years - Year labels
- * @param {Array} malePercent - Male percentages
- * @param {Array} femalePercent - Female percentages
- * @param {Array} unknownPercent - Unknown percentages
+ * @param {Array<string>} genders - Gender categories
+ * @param {Object} percent - Percentages per gender
  */
-export function updateStackedAreaChart(chartInstance, years, malePercent, femalePercent, unknownPercent) {
+export function updateStackedAreaChart(chartInstance, years, genders, percent) {
   chartInstance.data.labels = years;
-  chartInstance.data.datasets[0].data = malePercent;
-  chartInstance.data.datasets[1].data = femalePercent;
-  chartInstance.data.datasets[2].data = unknownPercent;
+  setGenderDatasets(chartInstance, genders, percent, stackedAreaStyle);
   chartInstance.update('none');
 }
 
@@ -79,12 +91,11 @@ export function updateStackedAreaChart(chartInstance, years, malePercent, female
  * Create 100% stacked area chart for gender distribution over time
  * @param {string} canvasId - Canvas element ID
  * @param {Array} years - Year labels
- * @param {Array} malePercent - Male percentages
- * @param {Array} femalePercent - Female percentages
- * @param {Array} unknownPercent - Unknown percentages
+ * @param {Array<string>} genders - Gender categories
+ * @param {Object} percent - Percentages per gender
  * @returns {Chart} Chart.js instance
  */
-export function createStackedAreaChart(canvasId, years, malePercent, femalePercent, unknownPercent) {
+export function createStackedAreaChart(canvasId, years, genders, percent) {
   const ctx = getCanvasContext(canvasId);
   if (!ctx) return null;
 
@@ -92,32 +103,7 @@ export function createStackedAreaChart(canvasId, years, malePercent, femalePerce
     type: "line",
     data: {
       labels: years,
-      datasets: [
-        {
-          label: "Male",
-          data: malePercent,
-          backgroundColor: CONFIG.colors.male + '80', // Add transparency
-          borderColor: CONFIG.colors.male,
-          borderWidth: 2,
-          fill: true
-        },
-        {
-          label: "Female",
-          data: femalePercent,
-          backgroundColor: CONFIG.colors.female + '80',
-          borderColor: CONFIG.colors.female,
-          borderWidth: 2,
-          fill: true
-        },
-        {
-          label: "Unknown",
-          data: unknownPercent,
-          backgroundColor: CONFIG.colors.unknown + '80',
-          borderColor: CONFIG.colors.unknown,
-          borderWidth: 2,
-          fill: true
-        }
-      ]
+      datasets: createGenderDatasets(genders, percent, stackedAreaStyle)
     },
     options: {
       responsive: true,
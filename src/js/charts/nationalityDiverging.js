@@ -3,29 +3,53 @@
  */
 import { CONFIG } from '../config.js';
 import { getCanvasContext } from './lineCharts.js';
+import { genderColor } from '../data/genders.js';
+
+/**
+ * Sum the artists of a gender over the nationalities shown
+ * @param {Array<number>} values - Artist counts per nationality
+ * @returns {number}
+ */
+function sum(values) {
+  return values.reduce((total, val) => total + val, 0);
+}
+
+/**
+ * Get the totals used for percentages: per gender, and of every gender category
+ * @param {Array<string>} genders - Gender categories
+ * @param {Object} data - Artist counts per gender
+ * @returns {Object} { totalMale, totalFemale, totalAll }
+ */
+function getTotals(genders, data) {
+  return {
+    totalMale: sum(data.Male),
+    totalFemale: sum(data.Female),
+    totalAll: genders.reduce((total, gender) => total + sum(data[gender]), 0)
+  };
+}
 
 /**
  * Create diverging bar chart for nationality comparison
- * Male bars extend left (negative values), female bars extend right (positive values)
+ * Male bars extend left (negative values), female bars extend right (positive values);
+ * other gender categories count towards "all artists" only
  * @param {Array<string>} labels - Nationality labels
- * @param {Array<number>} maleData - Male artist counts
- * @param {Array<number>} femaleData - Female artist counts
- * @param {Array<number>} unknownData - Unknown gender artist counts
+ * @param {Array<string>} genders - Gender categories
+ * @param {Object} data - Artist counts per gender
  * @param {string} canvasId - Canvas element ID
  * @returns {Chart} Chart.js instance
  */
-export function createNationalityDivergingChart(labels, maleData, femaleData, unknownData, canvasId) {
+export function createNationalityDivergingChart(labels, genders, data, canvasId) {
   const ctx = getCanvasContext(canvasId);
   if (!ctx) return null;
 
+  const maleData = data.Male;
+  const femaleData = data.Female;
+
   // Convert male data to negative values for left-side bars
   const maleNegative = maleData.map(val => -val);
 
-  // Calculate totals for percentage calculations (including unknown)
-  const totalMale = maleData.reduce((sum, val) => sum + val, 0);
-  const totalFemale = femaleData.reduce((sum, val) => sum + val, 0);
-  const totalUnknown = unknownData.reduce((sum, val) => sum + val, 0);
-  const totalAll = totalMale + totalFemale + totalUnknown;
+  // Calculate totals for percentage calculations (including every other category)
+  const { totalMale, totalFemale, totalAll } = getTotals(genders, data);
 
   return new Chart(ctx, {
     type: 'bar',
@@ -38,8 +62,8 @@ export function createNationalityDivergingChart(labels, maleData, femaleData, un
           rawData: maleData, // Store original positive values
           totalGender: totalMale,
           totalAll: totalAll,
-          backgroundColor: CONFIG.colors.male,
-          borderColor: CONFIG.colors.male,
+          backgroundColor: genderColor('Male'),
+          borderColor: genderColor('Male'),
           borderWidth: 1
         },
         {
@@ -48,8 +72,8 @@ export function createNationalityDivergingChart(labels, maleData, femaleData, un
           rawData: femaleData,
           totalGender: totalFemale,
           totalAll: totalAll,
-          backgroundColor: CONFIG.colors.female,
-          borderColor: CONFIG.colors.female,
+          backgroundColor: genderColor('Female'),
+          borderColor: genderColor('Female'),
           borderWidth: 1
         }
       ]
@@ -118,14 +142,13 @@ export function createNationalityDivergingChart(labels, maleData, femaleData, un
 /**
  * Update diverging bar chart for nationality
  */
-export function updateNationalityDivergingChart(chartInstance, labels, maleData, femaleData, unknownData) {
+export function updateNationalityDivergingChart(chartInstance, labels, genders, data) {
+  const maleData = data.Male;
+  const femaleData = data.Female;
   const maleNegative = maleData.map(val => -val);
 
-  // Recalculate totals for percentage calculations (including unknown)
-  const totalMale = maleData.reduce((sum, val) => sum + val, 0);
-  const totalFemale = femaleData.reduce((sum, val) => sum + val, 0);
-  const totalUnknown = unknownData.reduce((sum, val) => sum + val, 0);
-  const totalAll = totalMale + totalFemale + totalUnknown;
+  // Recalculate totals for percentage calculations (including every other category)
+  const { totalMale, totalFemale, totalAll } = getTotals(genders, data);
 
   chartInstance.data.labels = labels;
   chartInstance.data.datasets[0].data = maleNegative;
@@ -2,7 +2,7 @@
  * Sankey diagram visualization using D3.js
  * Shows flow from departments (left) to gender categories (right)
  */
-import { CONFIG } from '../config.js';
+import { genderColor } from '../data/genders.js';
 
 let sankeyChartInstance = null;
 
@@ -67,17 +67,9 @@ export function createDepartmentSankeyChart(data, containerId) {
     links: data.links.map(d => ({ ...d }))
   });
 
-  // Color scale for genders
-  const genderColors = {
-    'gender_male': CONFIG.colors.male,
-    'gender_female': CONFIG.colors.female,
-    'gender_unknown': CONFIG.colors.unknown
-  };
-
   // Function to get link color based on source gender
   const getLinkColor = (link) => {
-    const sourceId = link.source.id;
-    const baseColor = genderColors[sourceId] || '#999999';
+    const baseColor = link.source.gender ? genderColor(link.source.gender) : '#999999';
     return baseColor + '40'; // Add transparency
   };
 
@@ -132,8 +124,8 @@ export function createDepartmentSankeyChart(data, containerId) {
     .attr('width', d => d.x1 - d.x0)
     .attr('fill', d => {
       // Color gender nodes with gender colors, departments with neutral gray
-      if (d.id.startsWith('gender_')) {
-        return genderColors[d.id] || '#666666';
+      if (d.gender) {
+        return genderColor(d.gender);
       }
       return '#666666';
     })
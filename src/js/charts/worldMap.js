@@ -3,6 +3,9 @@
  * Shows geographic distribution of artists by gender using bubbles
  */
 import { CONFIG } from '../config.js';
+import { artistKey } from '../data/artists.js';
+import { getGenders, byGender, genderColor, genderLabel } from '../data/genders.js';
+import { renderGenderFilters } from './genderFilters.js';
 
 // Nationality to ISO 3166-1 alpha-3 country code mapping
 const nationalityToCountry = {
@@ -171,14 +174,17 @@ const countryCentroids = {
 
 // Map state
 let mapInstance = null;
+// 'all' or a gender category
 let currentFilter = 'all';
 let currentData = null;
 
 /**
  * Get map data from artworks grouped by country
- * Counts unique artists per country, not total artworks
+ * Counts unique artists (see data/artists.js) per country, not total artworks
+ * @returns {Object} Country code to { code, nationality, total, counts } with counts per gender
  */
 export function getMapData(items) {
+  const genders = getGenders(items);
   const countryData = {};
 
   items.forEach(item => {
@@ -187,44 +193,32 @@ export function getMapData(items) {
     const countryCode = nationalityToCountry[item.nationality];
     if (!countryCode) return;
 
-    const artist = item.creatorName || "Unknown";
-    if (artist === "Unknown") return;
+    const artist = artistKey(item);
+    if (!artist) return;
 
     if (!countryData[countryCode]) {
       countryData[countryCode] = {
         code: countryCode,
         nationality: item.nationality,
-        maleArtists: new Set(),
-        femaleArtists: new Set(),
-        unknownArtists: new Set()
+        artists: byGender(genders, () => new Set())
       };
     }
 
     // Add artist to the appropriate gender set
-    if (item.gender === 'Male') {
-      countryData[countryCode].maleArtists.add(artist);
-    } else if (item.gender === 'Female') {
-      countryData[countryCode].femaleArtists.add(artist);
-    } else {
-      countryData[countryCode].unknownArtists.add(artist);
-    }
+    countryData[countryCode].artists[item.gender].add(artist);
   });
 
   // Convert Sets to counts
   const result = {};
   Object.keys(countryData).forEach(code => {
     const data = countryData[code];
-    const male = data.maleArtists.size;
-    const female = data.femaleArtists.size;
-    const unknown = data.unknownArtists.size;
+    const counts = byGender(genders, gender => data.artists[gender].size);
 
     result[code] = {
       code: code,
       nationality: data.nationality,
-      total: male + female + unknown,
-      male: male,
-      female: female,
-      unknown: unknown
+      total: Object.values(counts).reduce((sum, count) => sum + count, 0),
+      counts
     };
   });
 
@@ -248,7 +242,7 @@ export async function createWorldMap(items, containerId = 'worldMap') {
   // Load world topology
   try {
     // Use fetch with explicit CORS mode for better iOS Safari compatibility
-    const response = await fetch('https://cdn.jsdelivr.net/npm/world-atlas@2/countries-110m.json', {
+    const response = await fetch(CONFIG.maps.worldAtlasUrl, {
       mode: 'cors',
       credentials: 'omit'
     });
@@ -357,7 +351,7 @@ export async function createWorldMap(items, containerId = 'worldMap') {
     createBubbleLegend(maxTotal, sizeScale);
 
     // Setup filter buttons
-    setupFilterButtons();
+    setupFilterButtons(getGenders(items));
 
     return mapInstance;
   } catch (error) {
@@ -376,6 +370,9 @@ export function updateWorldMap(items) {
   currentData = getMapData(items);
   const maxTotal = Math.max(...Object.values(currentData).map(d => d.total), 1);
 
+  // Update filter buttons for the categories now loaded
+  setupFilterButtons(getGenders(items));
+
   // Update size scale
   mapInstance.sizeScale.domain([0, maxTotal]);
 
@@ -431,29 +428,26 @@ export function updateWorldMap(items) {
  * Get bubble radius based on filter
  */
 function getBubbleRadius(data, filter, sizeScale) {
-  if (filter === 'female') {
-    return sizeScale(data.female);
-  } else if (filter === 'male') {
-    return sizeScale(data.male);
-  } else {
+  if (filter === 'all') {
     return sizeScale(data.total);
   }
+  return sizeScale(data.counts[filter] || 0);
 }
 
 /**
  * Get bubble color based on female percentage
  */
 function getBubbleColor(data, filter) {
-  if (filter === 'female') {
-    return CONFIG.colors.female;
-  } else if (filter === 'male') {
-    return CONFIG.colors.male;
+  if (filter !== 'all') {
+    return genderColor(filter);
   } else {
-    // Color by female percentage (gradient from blue to pink)
-    const knownTotal = data.male + data.female;
+    // Color by female percentage of male and female artists (gradient from blue to pink)
+    const male = data.counts.Male;
+    const female = data.counts.Female;
+    const knownTotal = male + female;
     if (knownTotal === 0) return CONFIG.colors.unknown;
 
-    const femaleRatio = data.female / knownTotal;
+    const femaleRatio = female / knownTotal;
 
     // Create gradient: 0% female = blue, 50% = purple, 100% = pink
     if (femaleRatio < 0.5) {
@@ -475,18 +469,21 @@ function showBubbleTooltip(event, data) {
   const tooltip = document.getElementById('mapTooltip');
   if (!tooltip) return;
 
-  const femalePercent = data.total > 0 ? ((data.female / data.total) * 100).toFixed(1) : 0;
-  const malePercent = data.total > 0 ? ((data.male / data.total) * 100).toFixed(1) : 0;
-
   const artistLabel = data.total === 1 ? 'artist' : 'artists';
 
   let content = `<strong>${data.nationality}</strong>`;
-  content += `
-    <br>Total: ${data.total.toLocaleString()} ${artistLabel}
-    <br><span style="color:${CONFIG.colors.male}">Male: ${data.male.toLocaleString()} (${malePercent}%)</span>
-    <br><span style="color:${CONFIG.colors.female}">Female: ${data.female.toLocaleString()} (${femalePercent}%)</span>
-    ${data.unknown > 0 ? `<br><span style="color:${CONFIG.colors.unknown}">Unknown: ${data.unknown.toLocaleString()}</span>` : ''}
-  `;
+  content += `<br>Total: ${data.total.toLocaleString()} ${artistLabel}`;
+
+  // Male and female always, other categories when present; Unknown without a share
+  Object.entries(data.counts).forEach(([gender, count]) => {
+    if (gender === 'Unknown') return;
+    if (count === 0 && gender !== 'Male' && gender !== 'Female') return;
+    const percent = data.total > 0 ? ((count / data.total) * 100).toFixed(1) : 0;
+    content += `<br><span style="color:${genderColor(gender)}">${genderLabel(gender)}: ${count.toLocaleString()} (${percent}%)</span>`;
+  });
+  if (data.counts.Unknown > 0) {
+    content += `<br><span style="color:${genderColor('Unknown')}">${genderLabel('Unknown')}: ${data.counts.Unknown.toLocaleString()}</span>`;
+  }
 
   tooltip.innerHTML = content;
   tooltip.style.display = 'block';
@@ -563,26 +560,19 @@ function createBubbleLegend(maxTotal, sizeScale) {
 
 /**
  * Setup filter button functionality
+ * @param {Array<string>} genders - Gender categories of the loaded artworks
  */
-function setupFilterButtons() {
-  const buttons = document.querySelectorAll('.map-filter-btn');
-
-  buttons.forEach(btn => {
-    btn.addEventListener('click', () => {
-      // Update active state
-      buttons.forEach(b => b.classList.remove('active'));
-      btn.classList.add('active');
-
-      // Update filter and redraw
-      currentFilter = btn.getAttribute('data-filter');
-
-      if (mapInstance && currentData) {
-        mapInstance.bubblesGroup.selectAll('circle')
-          .transition()
-          .duration(300)
-          .attr('r', d => getBubbleRadius(d, currentFilter, mapInstance.sizeScale))
-          .attr('fill', d => getBubbleColor(d, currentFilter));
-      }
-    });
+function setupFilterButtons(genders) {
+  currentFilter = renderGenderFilters('worldMapFilters', genders, currentFilter, filter => {
+    // Update filter and redraw
+    currentFilter = filter;
+
+    if (mapInstance && currentData) {
+      mapInstance.bubblesGroup.selectAll('circle')
+        .transition()
+        .duration(300)
+        .attr('r', d => getBubbleRadius(d, currentFilter, mapInstance.sizeScale))
+        .attr('fill', d => getBubbleColor(d, currentFilter));
+    }
   });
 }
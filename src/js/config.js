@@ -2,20 +2,87 @@
  * Configuration constants for the SMK Data Visualized application
  */
 export const CONFIG = {
+  // Extra runtime checks when served from a local development server
+  development: typeof location !== 'undefined' && ['localhost', '127.0.0.1'].includes(location.hostname),
   colors: {
     male: '#00C4AA',
     female: '#8700F9',
+    nonBinary: '#F2B134',
+    collective: '#3C8DDE',
     unknown: '#dbdddd'
   },
+  genders: {
+    // Creator gender categories, in chart order (see data/genders.js); `color` names an entry of `colors`
+    categories: [
+      { key: 'Male', label: 'Male', artists: 'male artists', color: 'male' },
+      { key: 'Female', label: 'Female', artists: 'female artists', color: 'female' },
+      { key: 'Non-binary', label: 'Non-binary', artists: 'non-binary artists', color: 'nonBinary' },
+      { key: 'Collective', label: 'Collective', artists: 'collectives and groups', color: 'collective' },
+      { key: 'Unknown', label: 'Unknown', artists: 'artists of unknown gender', color: 'unknown' }
+    ],
+    // Catalogue gender values (lower case, English and Danish) and their category; any other value is 'Unknown'
+    mapping: {
+      'male': 'Male',
+      'm': 'Male',
+      'man': 'Male',
+      'mand': 'Male',
+      'female': 'Female',
+      'f': 'Female',
+      'woman': 'Female',
+      'kvinde': 'Female',
+      'non-binary': 'Non-binary',
+      'nonbinary': 'Non-binary',
+      'non binary': 'Non-binary',
+      'ikke-binær': 'Non-binary',
+      'ikkebinær': 'Non-binary',
+      'collective': 'Collective',
+      'group': 'Collective',
+      'mixed': 'Collective',
+      'kollektiv': 'Collective',
+      'gruppe': 'Collective',
+      'blandet': 'Collective',
+      'unknown': 'Unknown',
+      'ukendt': 'Unknown'
+    }
+  },
   api: {
     baseUrl: 'https://api.smk.dk/api/v1/art/search/',
     pageSize: 2000,
-    language: 'en'
+    concurrency: 4, // parallel page requests once the total hit count is known
+    languages: ['en', 'da'], // the first is used for analysis; the others only add labels (see addLabelVariants)
+    projectFields: true, // request only the fields the normalizer reads (see NORMALIZER_FIELDS)
+    retry: {
+      maxAttempts: 4, // attempts per page request before giving up
+      baseDelay: 1000, // milliseconds before the first retry, doubled for each further attempt
+      maxDelay: 30000 // longest wait between attempts; a longer Retry-After ends the download
+    },
+    mode: 'live', // 'live', 'replay' (serve recorded pages) or 'record'; ?apiMode= overrides
+    fixturesPath: 'fixtures/smk-api/', // recorded pages, relative to the page
+    replay: {
+      // Fault injection in replay mode; ?apiFault=, ?apiFaultStatus=, ?apiFaultAttempts=, ?apiRetryAfter= and ?apiDelay= override
+      fault: null, // 'http' or 'malformed'
+      faultStatus: 503, // HTTP status of simulated 'http' failures
+      faultAttempts: 1, // failed attempts per request before it succeeds (above the retry limit to exhaust retries)
+      retryAfter: null, // Retry-After seconds sent with simulated 'http' failures
+      delay: 0 // milliseconds added to every response
+    }
+  },
+  maps: {
+    // World atlas shared by both maps; also precached by the service worker (sw.js)
+    worldAtlasUrl: 'https://cdn.jsdelivr.net/npm/world-atlas@2/countries-110m.json'
   },
   cache: {
     key: 'smk_data_cache',
-    version: 2, // Increment when data structure changes to invalidate old cache
-    duration: 30 * 24 * 60 * 60 * 1000 // 30 days (1 month)
+    version: 12, // Increment when data structure changes to invalidate old cache
+    chunkSize: 1000, // records per compressed chunk in IndexedDB
+    duration: 30 * 24 * 60 * 60 * 1000, // 30 days (1 month)
+    resumeWindow: 24 * 60 * 60 * 1000, // 1 day: how long an interrupted download can be resumed when the cache never expires
+    snapshotRetention: 6 // dated snapshots kept for comparison (one per day)
+  },
+  stats: {
+    attribution: 'first', // default attribution strategy for works with several creators (see stats/attribution.js)
+    uncertainDates: 'distribute', // default for dates spanning several years in the year histograms: 'distribute', 'exclude' or 'start'
+    genderPreset: 'all' // default gender categories shown: 'all' or 'threeWay' (see data/genders.js)
   },
   performance: {
     debounceDelay: 300, // milliseconds to wait before updating charts during data load
@@ -0,0 +1,123 @@
+/**
+ * Artist identity: artists are told apart by their SMK authority reference
+ * (`production[].creator_lref`, kept as the creator's `id`), so people who
+ * share a name stay separate and spelling variants of one person are merged.
+ * Creators without a reference fall back to their name.
+ */
+
+/**
+ * Get the identity key of a creator
+ * @param {string|null} id - Authority reference
+ * @param {string|null} name - Name as catalogued
+ * @returns {string|null} "id:<reference>", "name:<name>", or null for an unnamed creator without reference
+ */
+function creatorKey(id, name) {
+  if (id) return `id:${id}`;
+  if (name && name !== 'Unknown') return `name:${name}`;
+  return null;
+}
+
+/**
+ * Get the identity key of the artist a record or attribution unit is credited to
+ * @param {Object} item - Normalized artwork or attribution unit
+ * @returns {string|null}
+ */
+export function artistKey(item) {
+  return creatorKey(item.creatorId, item.creatorName);
+}
+
+/**
+ * Pick the canonical name of each artist: the spelling used by most of their works
+ * @param {Array<Object>} items - Normalized artworks or attribution units
+ * @returns {Map<string, string>} Artist key to name
+ */
+export function getCanonicalNames(items) {
+  const spellings = new Map();
+  items.forEach(item => {
+    const key = artistKey(item);
+    if (!key) return;
+    if (!spellings.has(key)) spellings.set(key, new Map());
+    const counts = spellings.get(key);
+    counts.set(item.creatorName, (counts.get(item.creatorName) || 0) + 1);
+  });
+
+  const names = new Map();
+  spellings.forEach((counts, key) => {
+    // Ties keep the spelling seen first
+    let best = null;
+    counts.forEach((count, name) => {
+      if (best === null || count > counts.get(best)) best = name;
+    });
+    names.set(key, best);
+  });
+  return names;
+}
+
+/**
+ * Build the registry of every creator of the artworks
+ * @param {Array<Object>} artworks - Normalized artworks (not attribution units)
+ * @returns {Object} {
+ *   artists: Map of key to { key, id, name, aliases, gender, nationality, birthYear, artworkCount },
+ *   collisions: [{ name, artists }] names shared by several artists, most works first,
+ *   unidentified: creator credits without an authority reference
+ * }
+ */
+export function buildArtistRegistry(artworks) {
+  const artists = new Map();
+  const spellings = new Map();
+  let unidentified = 0;
+
+  artworks.forEach(artwork => {
+    (artwork.creators || []).forEach(creator => {
+      const key = creatorKey(creator.id, creator.name);
+      if (!key) return;
+      if (!creator.id) unidentified++;
+
+      if (!artists.has(key)) {
+        artists.set(key, {
+          key,
+          id: creator.id || null,
+          name: creator.name,
+          aliases: [],
+          gender: creator.gender,
+          nationality: creator.nationality,
+          birthYear: creator.birthYear,
+          artworkCount: 0
+        });
+        spellings.set(key, new Map());
+      }
+      artists.get(key).artworkCount++;
+      const counts = spellings.get(key);
+      counts.set(creator.name, (counts.get(creator.name) || 0) + 1);
+    });
+  });
+
+  // Canonical name and aliases, most used spelling first
+  artists.forEach((artist, key) => {
+    const names = [...spellings.get(key).entries()]
+      .sort((a, b) => b[1] - a[1])
+      .map(([name]) => name);
+    artist.name = names[0];
+    artist.aliases = names.slice(1);
+  });
+
+  // Names (ignoring case and spacing) used by more than one artist
+  const byName = new Map();
+  artists.forEach(artist => {
+    [artist.name, ...artist.aliases].forEach(name => {
+      const normalized = name.trim().replace(/\s+/g, ' ').toLowerCase();
+      if (!byName.has(normalized)) byName.set(normalized, { name, artists: new Set() });
+      byName.get(normalized).artists.add(artist);
+    });
+  });
+
+  const collisions = [...byName.values()]
+    .filter(entry => entry.artists.size > 1)
+    .map(entry => ({
+      name: entry.name,
+      artists: [...entry.artists].sort((a, b) => b.artworkCount - a.artworkCount)
+    }))
+    .sort((a, b) => b.artists.length - a.artists.length || a.name.localeCompare(b.name));
+
+  return { artists, collisions, unidentified };
+}
@@ -0,0 +1,159 @@
+/**
+ * Date parsing for production, acquisition and birth dates
+ * Dates are read as { start, end, precision, approximate }:
+ * - start/end: first and last year the date may fall in (inclusive); BCE
+ *   years are negative (500 BCE is -500); null for an open bound ("before 1800")
+ * - precision: 'day', 'year', 'decade' or 'century'
+ * - approximate: marked circa, uncertain ("?") or open-ended
+ */
+
+// Words marking an approximate date, in English and Danish
+const APPROXIMATE_PATTERN = /\b(c|ca|circa|approx|about|omkr|omkring)\b\.?|\?/;
+const BCE_PATTERN = /\b(bce?|b\.c\.?|f\.\s?kr)\.?/;
+const BEFORE_PATTERN = /\b(before|until|f[øo]r|indtil)\b/;
+const AFTER_PATTERN = /\b(after|from|since|efter|fra)\b/;
+
+// ISO 8601 date or timestamp, e.g. "1850-01-01T00:00:00.000Z" or "-0499-01-01"
+const ISO_PATTERN = /^([+-]?\d{4,6})-(\d{2})-(\d{2})(?:[T ].*)?$/;
+
+/**
+ * Check whether a date is uncertain: approximate, open-ended or a range of years
+ * @param {Object|null} date - Parsed date
+ * @returns {boolean}
+ */
+export function isUncertainDate(date) {
+  return Boolean(date) && (date.approximate || date.start === null || date.end === null || date.end !== date.start);
+}
+
+/**
+ * Get the single year a date is counted in where one year is needed
+ * @param {Object|null} date - Parsed date
+ * @returns {number|null} The start year, or the end year of a date open at the start
+ */
+export function dateYear(date) {
+  if (!date) return null;
+  return date.start ?? date.end;
+}
+
+/**
+ * Parse an ISO date or timestamp
+ * @param {string} value - Trimmed value
+ * @returns {Object|null}
+ */
+function parseIsoDate(value) {
+  const match = value.match(ISO_PATTERN);
+  if (!match) return null;
+
+  // ISO years are astronomical: year 0 is 1 BCE
+  const isoYear = parseInt(match[1], 10);
+  const year = isoYear > 0 ? isoYear : isoYear - 1;
+  return { start: year, end: year, precision: 'day', approximate: false };
+}
+
+/**
+ * Parse a catalogue date text such as "c. 1650-60", "before 1800", "1850s",
+ * "18th century", "1700-tallet", "1700s", "2000s" (a decade) or "500 BC"
+ * @param {string} value - Trimmed value
+ * @returns {Object|null}
+ */
+function parseDateText(value) {
+  const text = value.toLowerCase();
+  const bce = BCE_PATTERN.test(text);
+  const sign = bce ? -1 : 1;
+  const approximate = APPROXIMATE_PATTERN.test(text);
+
+  // Centuries: "18th century", "1700-tallet"; "1700s" is a century, not the
+  // decade 1700-1709, but "2000s" is the decade 2000-2009 as usually meant
+  const ordinalCentury = text.match(/\b(\d{1,2})(?:st|nd|rd|th)\s+century\b/);
+  const danishCentury = text.match(/\b(\d{1,2})00-tallet\b/) ||
+    text.match(/\b(?!20\d\d)(\d{1,2})00(?:'?s|'?erne)\b/);
+  if (ordinalCentury || danishCentury) {
+    const century = ordinalCentury ? parseInt(ordinalCentury[1], 10) : parseInt(danishCentury[1], 10) + 1;
+    const first = (century - 1) * 100 + 1;
+    const last = century * 100;
+    return bce
+      ? { start: -last, end: -first, precision: 'century', approximate }
+      : { start: first - 1, end: last - 1, precision: 'century', approximate };
+  }
+
+  // Decades: "1850s", "1850'erne"
+  const decade = text.match(/\b(\d{3})0(?:'?s|'?erne)\b/);
+  if (decade) {
+    const first = parseInt(decade[1], 10) * 10;
+    return { start: first, end: first + 9, precision: 'decade', approximate };
+  }
+
+  // Years and ranges: "1650-60", "1650–1660"; BCE years may be short
+  const yearPattern = bce
+    ? /\b(\d{1,4})(?:\s*[-–—/]\s*(\d{1,4}))?\b/
+    : /\b(\d{3,4})(?:\s*[-–—/]\s*(\d{1,4}))?\b/;
+  const match = text.match(yearPattern);
+  if (!match) return null;
+
+  const first = match[1];
+  // A shorter second year keeps the first's leading digits: 1650-60 is 1650-1660
+  const second = match[2] && match[2].length < first.length
+    ? first.slice(0, first.length - match[2].length) + match[2]
+    : match[2];
+  let start = sign * parseInt(first, 10);
+  let end = second ? sign * parseInt(second, 10) : start;
+  if (bce && end < start) {
+    [start, end] = [end, start];
+  } else if (end < start) {
+    // Not a range, e.g. the month of "1850-01"
+    end = start;
+  }
+
+  if (BEFORE_PATTERN.test(text)) {
+    return { start: null, end, precision: 'year', approximate: true };
+  }
+  if (AFTER_PATTERN.test(text) && !second) {
+    return { start, end: null, precision: 'year', approximate: true };
+  }
+  return { start, end, precision: 'year', approximate };
+}
+
+/**
+ * Parse a date value
+ * @param {string|null} value - ISO date or timestamp, or catalogue date text
+ * @returns {Object|null} { start, end, precision, approximate }, or null when no year is found
+ */
+export function parseDate(value) {
+  if (typeof value !== 'string' || !value.trim()) return null;
+  const trimmed = value.trim();
+  return parseIsoDate(trimmed) || parseDateText(trimmed);
+}
+
+/**
+ * Parse a production date entry
+ * @param {Object|null} entry - Element of production_date ({ start, end, start_prec, end_prec, period })
+ * @returns {Object|null}
+ */
+export function parseProductionDate(entry) {
+  if (!entry || typeof entry !== 'object') return null;
+
+  const period = parseDate(entry.period);
+  const start = parseDate(entry.start);
+  const end = parseDate(entry.end);
+  if (!start && !end) return period;
+
+  const approximate = Boolean(period?.approximate) ||
+    [entry.start_prec, entry.end_prec].some(prec => typeof prec === 'string' && APPROXIMATE_PATTERN.test(prec.toLowerCase()));
+
+  return {
+    start: start ? start.start : null,
+    end: end ? end.end : start.end,
+    precision: period?.precision || 'year',
+    approximate: approximate || !start
+  };
+}
+
+/**
+ * Parse an acquisition date, preferring its catalogue text
+ * @param {string|null} date - acquisition_date (ISO timestamp)
+ * @param {string|null} text - acquisition_date_precision (the date as text)
+ * @returns {Object|null}
+ */
+export function parseAcquisitionDate(date, text) {
+  return parseDate(text) || parseDate(date);
+}
@@ -0,0 +1,171 @@
+/**
+ * Reader for offline dumps of the SMK API
+ * Accepts a search response ({ items: [...] }), a JSON array of items or
+ * responses, or NDJSON with one item or response per line. Any of these may
+ * be gzipped. Raw items are handed over in pages, exactly like the API pager.
+ */
+
+/**
+ * Check for the gzip magic number (1f 8b), whatever the file is called
+ * @param {File} file - Dump file
+ * @returns {Promise<boolean>}
+ */
+async function isGzipped(file) {
+  const header = new Uint8Array(await file.slice(0, 2).arrayBuffer());
+  return header[0] === 0x1f && header[1] === 0x8b;
+}
+
+/**
+ * Open a dump file as a stream of decoded text
+ * @param {File} file - Dump file
+ * @returns {Promise<ReadableStream<string>>}
+ */
+async function openTextStream(file) {
+  let stream = file.stream();
+  if (await isGzipped(file)) {
+    stream = stream.pipeThrough(new DecompressionStream('gzip'));
+  }
+  return stream.pipeThrough(new TextDecoderStream());
+}
+
+/**
+ * Get the raw items contained in a parsed JSON value
+ * A search response contributes its `items`; any other object is taken to be an item.
+ * @param {*} value - Parsed JSON value
+ * @returns {Array<Object>} Raw API items
+ */
+function extractItems(value) {
+  if (Array.isArray(value)) {
+    return value.flatMap(extractItems);
+  }
+  if (value && typeof value === 'object') {
+    return Array.isArray(value.items) ? value.items : [value];
+  }
+  return [];
+}
+
+/**
+ * Work out whether the text is NDJSON or a single JSON document
+ * @param {string} text - Text read so far
+ * @param {boolean} complete - Whether the whole file has been read
+ * @returns {string|null} 'ndjson', 'json', or null if more text is needed
+ */
+function detectFormat(text, complete) {
+  const start = text.search(/\S/);
+  if (start === -1) {
+    if (complete) throw new Error('File is empty');
+    return null;
+  }
+
+  const first = text[start];
+  if (first === '[') return 'json';
+  if (first !== '{') {
+    throw new Error('File is not JSON or NDJSON');
+  }
+
+  // NDJSON if the first line is a complete JSON value on its own
+  const newline = text.indexOf('\n', start);
+  if (newline === -1) {
+    return complete ? 'json' : null;
+  }
+  try {
+    JSON.parse(text.slice(start, newline));
+    return 'ndjson';
+  } catch {
+    return 'json';
+  }
+}
+
+/**
+ * Parse a JSON document or NDJSON line, naming the position on failure
+ * @param {string} text - JSON text
+ * @param {string} where - Position for the error message
+ * @returns {*} Parsed value
+ */
+function parseJson(text, where) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid JSON ${where}: ${error.message}`);
+  }
+}
+
+/**
+ * Read every raw item in a dump file, page by page
+ * NDJSON is parsed line by line as it streams in; a JSON document has to be
+ * read completely before it can be parsed.
+ * @param {File} file - Dump file
+ * @param {number} pageSize - Items per page
+ * @param {AbortSignal} signal - Abort signal for the active operation
+ * @param {Function} onPage - Called with (items, json, offset) for each page, in order
+ */
+export async function readDumpPages(file, pageSize, signal, onPage) {
+  const reader = (await openTextStream(file)).getReader();
+
+  let page = [];
+  let offset = 0;
+
+  const addItems = (items) => {
+    items.forEach(item => {
+      page.push(item);
+      if (page.length === pageSize) {
+        onPage(page, {}, offset);
+        offset += page.length;
+        page = [];
+      }
+    });
+  };
+
+  let text = '';
+  let format = null;
+  let lineNumber = 0;
+
+  const parseLines = (lines) => {
+    lines.forEach(line => {
+      lineNumber++;
+      if (line.trim()) {
+        addItems(extractItems(parseJson(line, `on line ${lineNumber}`)));
+      }
+    });
+  };
+
+  try {
+    while (true) {
+      if (signal.aborted) {
+        throw new DOMException('Import cancelled', 'AbortError');
+      }
+
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      text += value;
+      format = format || detectFormat(text, false);
+
+      if (format === 'ndjson') {
+        const lines = text.split('\n');
+        // The last line may still be incomplete
+        text = lines.pop();
+        parseLines(lines);
+      }
+    }
+  } catch (error) {
+    reader.cancel().catch(() => {});
+    throw error;
+  }
+
+  format = format || detectFormat(text, true);
+  if (format === 'ndjson') {
+    parseLines([text]);
+  } else {
+    addItems(extractItems(parseJson(text, `in ${file.name}`)));
+  }
+
+  if (page.length) {
+    onPage(page, {}, offset);
+    offset += page.length;
+  }
+
+  if (offset === 0) {
+    throw new Error(`No SMK API items found in ${file.name}`);
+  }
+}
@@ -0,0 +1,94 @@
+/**
+ * Creator gender categories
+ * normalizeGender() (normalize.js) sorts catalogue values into the categories
+ * of CONFIG.genders through its mapping table, so missing data ('Unknown'),
+ * non-binary artists and collectives stay apart. A preset chooses which
+ * categories the charts show; categories it leaves out are counted as 'Unknown'.
+ */
+import { CONFIG } from '../config.js';
+
+// Presets offered in the overview; `keep` lists the categories shown (null for all)
+export const GENDER_PRESETS = [
+  { value: 'all', label: 'All categories', keep: null },
+  { value: 'threeWay', label: 'Male, female and unknown', keep: ['Male', 'Female', 'Unknown'] }
+];
+
+// Categories every result lists, even when no work falls into them
+const CORE_GENDERS = ['Male', 'Female', 'Unknown'];
+
+/**
+ * Get a gender category
+ * @param {string} key - Category key, e.g. "Female"
+ * @returns {Object} { key, label, artists, color } from CONFIG.genders; the key
+ *   itself as label and the unknown color for a key not configured
+ */
+export function getGenderCategory(key) {
+  const category = CONFIG.genders.categories.find(entry => entry.key === key);
+  if (!category) return { key, label: key, artists: `${key} artists`, color: CONFIG.colors.unknown };
+  return { ...category, color: CONFIG.colors[category.color] || CONFIG.colors.unknown };
+}
+
+/**
+ * Get the color of a gender category
+ * @param {string} key - Category key
+ * @returns {string} Hex color
+ */
+export function genderColor(key) {
+  return getGenderCategory(key).color;
+}
+
+/**
+ * Get the label of a gender category
+ * @param {string} key - Category key
+ * @returns {string}
+ */
+export function genderLabel(key) {
+  return getGenderCategory(key).label;
+}
+
+/**
+ * Get the categories to report for a set of items
+ * @param {Array<Object>} items - Artworks, attribution units or depicted persons (anything with `gender`)
+ * @returns {Array<string>} Male, Female and Unknown plus every other category
+ *   that occurs, in the order of CONFIG.genders.categories
+ */
+export function getGenders(items) {
+  const present = new Set(CORE_GENDERS);
+  items.forEach(item => present.add(item.gender));
+
+  const configured = CONFIG.genders.categories.map(category => category.key);
+  return [
+    ...configured.filter(key => present.has(key)),
+    ...[...present].filter(key => !configured.includes(key))
+  ];
+}
+
+/**
+ * Create one value per gender category
+ * @param {Array<string>} genders - Category keys
+ * @param {Function} [create] - Creates the initial value of a category (0 by default)
+ * @returns {Object} Category key to value
+ */
+export function byGender(genders, create = () => 0) {
+  return Object.fromEntries(genders.map(gender => [gender, create(gender)]));
+}
+
+/**
+ * Apply a gender preset to artworks: the record's, its creators' and its
+ * depicted persons' genders are folded into the preset's categories
+ * @param {Array<Object>} artworks - Normalized artworks
+ * @param {string} preset - One of GENDER_PRESETS
+ * @returns {Array<Object>} The artworks themselves when the preset shows every
+ *   category; otherwise shallow copies of the artworks
+ */
+export function applyGenderPreset(artworks, preset) {
+  const keep = GENDER_PRESETS.find(option => option.value === preset)?.keep;
+  if (!keep) return artworks;
+
+  const fold = entry => keep.includes(entry.gender) ? entry : { ...entry, gender: 'Unknown' };
+  return artworks.map(artwork => ({
+    ...fold(artwork),
+    creators: (artwork.creators || []).map(fold),
+    depictedPersons: (artwork.depictedPersons || []).map(fold)
+  }));
+}
@@ -0,0 +1,81 @@
+/**
+ * Display labels in the languages of CONFIG.api.languages
+ * Records are analysed with their values in the first language (see
+ * normalize.js); charts that show catalogue labels render a localized copy,
+ * so switching language needs no new download.
+ */
+
+// Names shown in the language switch
+export const LANGUAGE_NAMES = {
+  en: 'English',
+  da: 'Dansk'
+};
+
+/**
+ * Mark a label that is only catalogued in another language
+ * @param {string} label - Label
+ * @param {string} language - Language of the label
+ * @returns {string} e.g. "Maleri (DA)"
+ */
+export function markFallbackLabel(label, language) {
+  return `${label} (${language.toUpperCase()})`;
+}
+
+/**
+ * Pick a record's label in a language, falling back to another language
+ * @param {Object} labels - The record's labels per language
+ * @param {string} field - Label field
+ * @param {string} language - Wanted language
+ * @returns {*} The label, a marked label from another language, or null
+ */
+function pickLabel(labels, field, language) {
+  const own = labels[language]?.[field];
+  if (Array.isArray(own) ? own.length : own) return own;
+
+  for (const [other, values] of Object.entries(labels)) {
+    const value = values?.[field];
+    if (other === language || !(Array.isArray(value) ? value.length : value)) continue;
+    return Array.isArray(value)
+      ? value.map(label => markFallbackLabel(label, other))
+      : markFallbackLabel(value, other);
+  }
+  return null;
+}
+
+/**
+ * Get a copy of an artwork with its catalogue labels in a language
+ * @param {Object} artwork - Normalized artwork
+ * @param {string} language - One of CONFIG.api.languages
+ * @returns {Object} The artwork itself when nothing changes (including
+ *   records without labels), otherwise a shallow copy
+ */
+export function localizeArtwork(artwork, language) {
+  const labels = artwork.labels;
+  if (!labels) return artwork;
+
+  const changes = {};
+  ['department', 'object_type', 'techniques', 'materials'].forEach(field => {
+    const label = pickLabel(labels, field, language);
+    if (label !== null && String(label) !== String(artwork[field])) {
+      changes[field] = label;
+    }
+  });
+
+  // Depicted places are named after the artwork's title
+  const title = artwork.geoLocations.length ? pickLabel(labels, 'title', language) : null;
+  if (title !== null && artwork.geoLocations.some(location => location.name !== title)) {
+    changes.geoLocations = artwork.geoLocations.map(location => ({ ...location, name: title }));
+  }
+
+  return Object.keys(changes).length ? { ...artwork, ...changes } : artwork;
+}
+
+/**
+ * Get the artworks with their catalogue labels in a language
+ * @param {Array<Object>} artworks - Normalized artworks
+ * @param {string} language - One of CONFIG.api.languages
+ * @returns {Array<Object>}
+ */
+export function localizeArtworks(artworks, language) {
+  return artworks.map(artwork => localizeArtwork(artwork, language));
+}
@@ -1,6 +1,74 @@
 /**
  * Data normalization utilities for processing SMK API responses
  */
+import { CONFIG } from '../config.js';
+import { parseDate, parseProductionDate, parseAcquisitionDate, dateYear } from './dates.js';
+import { applyOverrides } from './overrides.js';
+
+/**
+ * Top-level API fields read by validateArtwork, recordKey and normalizeItems
+ * The API client requests only these (plus what it needs itself) with `fields=`,
+ * so a field read here must be listed here.
+ */
+export const NORMALIZER_FIELDS = [
+  'id',
+  'object_number',
+  'production',
+  'production_date',
+  'acquisition_date_precision',
+  'object_names',
+  'techniques',
+  'materials',
+  'responsible_department',
+  'acquisition_date',
+  'exhibitions',
+  'on_display',
+  'has_image',
+  'credit_line',
+  'content_person_full',
+  'geo_location',
+  'titles',
+  'dimensions',
+  'colors'
+];
+
+const NORMALIZER_FIELD_SET = new Set(NORMALIZER_FIELDS);
+
+/**
+ * API fields whose values depend on the `lang` parameter, plus the keys used
+ * to match records. Only these are requested in the languages after the first
+ * of CONFIG.api.languages (see addLabelVariants).
+ */
+export const LABEL_SOURCE_FIELDS = [
+  'id',
+  'object_number',
+  'responsible_department',
+  'object_names',
+  'techniques',
+  'materials',
+  'titles'
+];
+
+// Undeclared fields already reported, so each is warned about once
+const reportedFields = new Set();
+
+/**
+ * Wrap a raw item so that reading a field missing from NORMALIZER_FIELDS logs a
+ * warning (development only; the field would be absent from projected responses)
+ * @param {Object} item - Raw API item
+ * @returns {Object} Proxy around the item
+ */
+function trackFieldReads(item) {
+  return new Proxy(item, {
+    get(target, prop, receiver) {
+      if (typeof prop === 'string' && !NORMALIZER_FIELD_SET.has(prop) && !reportedFields.has(prop)) {
+        reportedFields.add(prop);
+        console.warn(`normalizeItems read "${prop}", which is not in NORMALIZER_FIELDS and is not requested from the API`);
+      }
+      return Reflect.get(target, prop, receiver);
+    }
+  });
+}
 
 /**
  * Map of object number prefixes to department names
@@ -42,33 +110,72 @@ function extractDepartmentFromObjectNumber(objectNumber) {
 }
 
 /**
- * Normalizes gender values from the API to standardized format
+ * Normalizes gender values from the API to a category of CONFIG.genders (see data/genders.js)
  * @param {string|null} rawGender - Raw gender value from API
- * @returns {string} Normalized gender: "Male", "Female", or "Unknown"
+ * @returns {string} Category key, e.g. "Male", "Female", "Non-binary", "Collective";
+ *   "Unknown" for missing values and values not in CONFIG.genders.mapping
  */
 export function normalizeGender(rawGender) {
   if (!rawGender) return "Unknown";
 
   const normalized = rawGender.toLowerCase().trim();
-
-  // Map common gender variations to standardized values
-  if (normalized === "male" || normalized === "m") return "Male";
-  if (normalized === "female" || normalized === "f") return "Female";
-
-  // Captures non-binary, missing, or unclear data
-  return "Unknown";
+  const mapping = CONFIG.genders.mapping;
+  return Object.hasOwn(mapping, normalized) ? mapping[normalized] : "Unknown";
 }
 
 /**
- * Extracts a 4-digit year from various date string formats
+ * Extracts the year a date string is counted in (see data/dates.js)
  * @param {string|null} dateString - Date string from API
- * @returns {number|null} Extracted year or null if not found
+ * @returns {number|null} Start year (end year of a date open at the start) or null if not found
  */
 export function extractYear(dateString) {
-  if (!dateString) return null;
+  return dateYear(parseDate(dateString));
+}
+
+/**
+ * Read the language-dependent labels of a raw item
+ * @param {Object} item - Raw API item
+ * @returns {Object} { department, object_type, techniques, materials, title };
+ *   null (or an empty array) where the item has no label
+ */
+function extractLabels(item) {
+  return {
+    department: item.responsible_department || null,
+    object_type: item.object_names?.[0]?.name || null,
+    techniques: Array.isArray(item.techniques) ? item.techniques : [],
+    materials: Array.isArray(item.materials) ? item.materials : [],
+    title: item.titles?.[0]?.title || null
+  };
+}
 
-  const match = dateString.match(/\d{4}/);
-  return match ? parseInt(match[0], 10) : null;
+/**
+ * Read every creator of a raw item, in catalogue order
+ * @param {Object} item - Raw API item
+ * @returns {Array<Object>} { id, name, role, gender, nationality, birthYear, birthDate,
+ *   productionIndex } per production entry that names a creator or a creator
+ *   gender; `id` is the SMK authority reference (see data/artists.js) and
+ *   `productionIndex` the entry's position in production[], so 0 marks the
+ *   creator the record's own creator fields describe
+ */
+function extractCreators(item) {
+  if (!Array.isArray(item.production)) return [];
+
+  return item.production
+    .map((entry, productionIndex) => ({ entry, productionIndex }))
+    .filter(({ entry }) => entry && (entry.creator || entry.creator_gender))
+    .map(({ entry, productionIndex }) => {
+      const birthDate = parseDate(entry.creator_date_of_birth);
+      return {
+        id: entry.creator_lref || null,
+        name: entry.creator || "Unknown",
+        role: entry.creator_role || null,
+        gender: normalizeGender(entry.creator_gender),
+        nationality: entry.creator_nationality || "Unknown",
+        birthYear: dateYear(birthDate),
+        birthDate,
+        productionIndex
+      };
+    });
 }
 
 /**
@@ -83,18 +190,40 @@ export function validateArtwork(item) {
   return true;
 }
 
+/**
+ * Get the key used to match records between the cache and the API
+ * @param {Object} record - Raw API item or normalized artwork
+ * @returns {string|null} SMK id, falling back to the object number
+ */
+export function recordKey(record) {
+  return record.id || record.object_number || record.objectNumber || null;
+}
+
 /**
  * Normalizes raw API items into a consistent data structure
+ * gender, creatorId, creatorName, nationality, birthYear and birthDate describe the first creator;
+ * `creators` lists all of them (see stats/attribution.js).
+ * Besides the fields used for analysis, each record keeps the labels of its
+ * language in `labels` ({ [language]: { department, object_type, techniques,
+ * materials, title } }); see addLabelVariants for the other languages.
+ * Curator overrides are applied after parsing; corrected records list their
+ * changes in `corrections` (see data/overrides.js).
  * @param {Array<Object>} items - Raw items from the SMK API
+ * @param {string} [language] - Language of the items, by default the first of CONFIG.api.languages
+ * @param {Array<Object>} [overrides=[]] - Curator overrides
  * @returns {Array<Object>} Normalized artwork objects with standardized fields
  */
-export function normalizeItems(items) {
+export function normalizeItems(items, language = CONFIG.api.languages[0], overrides = []) {
   if (!Array.isArray(items)) {
     console.warn('normalizeItems received non-array input');
     return [];
   }
 
-  return items
+  const source = CONFIG.development
+    ? items.map(item => (item && typeof item === 'object' ? trackFieldReads(item) : item))
+    : items;
+
+  const artworks = source
     .filter(validateArtwork)
     .map(item => {
       const production = item.production?.[0] || {};
@@ -103,22 +232,26 @@ export function normalizeItems(items) {
       const gender = normalizeGender(production.creator_gender);
 
       // Extract basic metadata with safe fallbacks
+      const creatorId = production.creator_lref || null;
       const creatorName = production.creator || "Unknown";
       const nationality = production.creator_nationality || "Unknown";
-      const birthYear = extractYear(production.creator_date_of_birth);
-      const object_type = item.object_names?.[0]?.name || "Unknown";
-      const techniques = Array.isArray(item.techniques) ? item.techniques : [];
-      const materials = Array.isArray(item.materials) ? item.materials : [];
+      const birthDate = parseDate(production.creator_date_of_birth);
+      const birthYear = dateYear(birthDate);
+      const creators = extractCreators(item);
+      const labels = extractLabels(item);
+      const object_type = labels.object_type || "Unknown";
+      const techniques = labels.techniques;
+      const materials = labels.materials;
       // Use responsible_department from API, fallback to object_number extraction if missing
-      const department = item.responsible_department || extractDepartmentFromObjectNumber(item.object_number);
+      const department = labels.department || extractDepartmentFromObjectNumber(item.object_number);
 
-      // Parse dates using helper function
-      const acquisitionYear = extractYear(item.acquisition_date);
+      // Parse dates into { start, end, precision, approximate } (see data/dates.js);
+      // the *Year fields hold the single year used where ranges are not needed
+      const acquisitionDate = parseAcquisitionDate(item.acquisition_date, item.acquisition_date_precision);
+      const acquisitionYear = dateYear(acquisitionDate);
       // production_date is an array with start/end dates
-      const productionDateObj = Array.isArray(item.production_date) ? item.production_date[0] : null;
-      const productionYear = productionDateObj?.start
-        ? extractYear(productionDateObj.start)
-        : null;
+      const productionDate = parseProductionDate(Array.isArray(item.production_date) ? item.production_date[0] : null);
+      const productionYear = dateYear(productionDate);
 
       // Extract exhibition and display information
       const exhibitions = Array.isArray(item.exhibitions) ? item.exhibitions.length : 0;
@@ -153,7 +286,7 @@ export function normalizeItems(items) {
           const longitude = parseFloat(coords[1].trim());
           if (!isNaN(latitude) && !isNaN(longitude)) {
             // Use title as location name if available
-            const locationName = item.titles?.[0]?.title || "Unknown Location";
+            const locationName = labels.title || "Unknown Location";
             geoLocations.push({
               name: locationName,
               latitude,
@@ -201,15 +334,22 @@ export function normalizeItems(items) {
       const colors = Array.isArray(item.colors) ? item.colors : [];
 
       return {
+        id: item.id || null,
+        objectNumber: item.object_number || null,
         gender,
+        creatorId,
         creatorName,
         nationality,
         birthYear,
+        birthDate,
+        creators,
         object_type,
         techniques,
         materials,
         acquisitionYear,
+        acquisitionDate,
         productionYear,
+        productionDate,
         exhibitions,
         onDisplay,
         hasImage,
@@ -218,18 +358,55 @@ export function normalizeItems(items) {
         geoLocations,
         dimensions,
         department,
-        colors
+        colors,
+        labels: { [language]: labels }
       };
     });
     // Note: acquisitionYear filtering removed from here - now applied only in functions that need it
     // This allows all artworks to be included in analyses where acquisition date is irrelevant
     // (e.g., color analysis, object types, techniques, materials, geographic data, etc.)
+
+  return applyOverrides(artworks, overrides);
+}
+
+/**
+ * Add the labels of another language to normalized records, matching raw
+ * items of that language by record key. Where the first language had no
+ * label, the other language's label becomes the record's value.
+ * @param {Array<Object>} artworks - Normalized artworks (modified in place)
+ * @param {Array<Object>} items - Raw items in the other language (LABEL_SOURCE_FIELDS at least)
+ * @param {string} language - Language of the items
+ * @returns {Array<Object>} The same artworks
+ */
+export function addLabelVariants(artworks, items, language) {
+  const variants = new Map();
+  (Array.isArray(items) ? items : []).forEach(item => {
+    const key = item && recordKey(item);
+    if (key) variants.set(key, extractLabels(item));
+  });
+
+  artworks.forEach(artwork => {
+    const labels = variants.get(recordKey(artwork));
+    if (!labels) return;
+
+    artwork.labels = { ...artwork.labels, [language]: labels };
+    if (artwork.object_type === "Unknown" && labels.object_type) artwork.object_type = labels.object_type;
+    if (artwork.department === "Unknown" && labels.department) artwork.department = labels.department;
+    if (!artwork.techniques.length) artwork.techniques = labels.techniques;
+    if (!artwork.materials.length) artwork.materials = labels.materials;
+    if (labels.title) {
+      artwork.geoLocations.forEach(location => {
+        if (location.name === "Unknown Location") location.name = labels.title;
+      });
+    }
+  });
+  return artworks;
 }
 
 /**
  * Groups artworks by acquisition year for a specific gender
  * @param {Array<Object>} items - Normalized artwork items
- * @param {string} gender - Gender to filter by ("Male", "Female", or "Unknown")
+ * @param {string} gender - Gender category to filter by (see data/genders.js)
  * @returns {Object<number, number>} Object mapping year to count
  */
 export function groupByYear(items, gender) {
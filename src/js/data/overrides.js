@@ -0,0 +1,398 @@
+/**
+ * Curator overrides: local corrections of a creator's gender, nationality or
+ * birth year, applied by normalizeItems after parsing until SMK corrects them.
+ * An override targets an object number (the record's first creator, the
+ * catalogue's production[0]) or an SMK artist reference (every credit of that
+ * artist, see data/artists.js); where both correct the same value, the object
+ * override wins. Corrected records list what was changed in `corrections`,
+ * with the catalogue value and the override it came from.
+ * Overrides are read from and written to JSON or CSV files with the columns
+ * of OVERRIDE_COLUMNS.
+ */
+import { CONFIG } from '../config.js';
+
+// Fields an override can correct, with the label shown in the overview
+export const OVERRIDE_FIELDS = [
+  { value: 'gender', label: 'Gender' },
+  { value: 'nationality', label: 'Nationality' },
+  { value: 'birthYear', label: 'Birth year' }
+];
+
+// What an override is keyed by
+export const OVERRIDE_TARGETS = [
+  { value: 'object', label: 'Object number' },
+  { value: 'artist', label: 'Artist reference' }
+];
+
+// Properties of an override, and the columns of the CSV format
+export const OVERRIDE_COLUMNS = ['target', 'key', 'field', 'value', 'note', 'author', 'createdAt'];
+
+/**
+ * Get the id of an override: one override per target, key and field
+ * @param {Object} override - { target, key, field }
+ * @returns {string} e.g. "object:KMS1:gender"
+ */
+export function overrideId(override) {
+  return `${override.target}:${override.key}:${override.field}`;
+}
+
+/**
+ * Read an override value into the form its field is stored in
+ * @param {string} field - One of OVERRIDE_FIELDS
+ * @param {*} value - Value as entered or read from a file
+ * @returns {*} Gender category key, nationality or year; undefined when not valid
+ */
+function readValue(field, value) {
+  const text = String(value ?? '').trim();
+  if (!text) return undefined;
+
+  if (field === 'gender') {
+    // The same values normalizeGender accepts (see CONFIG.genders.mapping)
+    const mapping = CONFIG.genders.mapping;
+    return Object.hasOwn(mapping, text.toLowerCase()) ? mapping[text.toLowerCase()] : undefined;
+  }
+  if (field === 'birthYear') {
+    return /^-?\d{1,4}$/.test(text) ? parseInt(text, 10) : undefined;
+  }
+  return text;
+}
+
+/**
+ * Check and complete an override
+ * Besides `target` and `key`, an entry may name its record or artist with
+ * `objectNumber` or `artistId`.
+ * @param {Object} entry - Override as entered or read from a file
+ * @returns {Object} { override } or { error } describing what is wrong
+ */
+export function createOverride(entry) {
+  const target = entry.target || (entry.objectNumber ? 'object' : entry.artistId ? 'artist' : '');
+  const key = String(entry.key || entry.objectNumber || entry.artistId || '').trim();
+  const field = entry.field;
+
+  if (!OVERRIDE_TARGETS.some(option => option.value === target)) {
+    return { error: `unknown target "${target}" (use ${OVERRIDE_TARGETS.map(option => option.value).join(' or ')})` };
+  }
+  if (!key) {
+    return { error: 'no object number or artist reference' };
+  }
+  if (!OVERRIDE_FIELDS.some(option => option.value === field)) {
+    return { error: `unknown field "${field}" (use ${OVERRIDE_FIELDS.map(option => option.value).join(', ')})` };
+  }
+
+  const value = readValue(field, entry.value);
+  if (value === undefined) {
+    return { error: `"${entry.value ?? ''}" is not a valid ${field}` };
+  }
+
+  const override = {
+    target,
+    key,
+    field,
+    value,
+    note: String(entry.note || '').trim(),
+    author: String(entry.author || '').trim(),
+    createdAt: entry.createdAt || new Date().toISOString()
+  };
+  return { override: { id: overrideId(override), ...override } };
+}
+
+/**
+ * Split CSV text into rows of fields (quoted fields may hold commas, quotes and line breaks)
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>}
+ */
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(cell => cell.trim()));
+}
+
+/**
+ * Read overrides from the text of a JSON or CSV file
+ * JSON holds an array of overrides, or an object with an `overrides` array;
+ * CSV has a header row naming the columns, in any order.
+ * @param {string} text - File contents
+ * @param {string} [filename=''] - File name; a .csv name is read as CSV, otherwise the contents decide
+ * @returns {Object} { overrides, errors }: the valid overrides, later ones
+ *   replacing earlier ones with the same id, and a message per rejected entry
+ */
+export function parseOverrides(text, filename = '') {
+  let entries;
+  let describe;
+
+  const trimmed = text.replace(/^\uFEFF/, '').trim();
+  if (!filename.toLowerCase().endsWith('.csv') && /^[[{]/.test(trimmed)) {
+    try {
+      const json = JSON.parse(trimmed);
+      entries = Array.isArray(json) ? json : json.overrides;
+    } catch (error) {
+      return { overrides: [], errors: [`Not valid JSON: ${error.message}`] };
+    }
+    if (!Array.isArray(entries)) {
+      return { overrides: [], errors: ['Expected an array of overrides'] };
+    }
+    describe = index => `Entry ${index + 1}`;
+  } else {
+    const [header = [], ...rows] = parseCSV(trimmed);
+    const columns = header.map(name => name.trim());
+    entries = rows.map(cells => Object.fromEntries(columns.map((column, i) => [column, cells[i]])));
+    // Row 1 is the header
+    describe = index => `Row ${index + 2}`;
+  }
+
+  const overrides = new Map();
+  const errors = [];
+  entries.forEach((entry, index) => {
+    const { override, error } = createOverride(entry && typeof entry === 'object' ? entry : {});
+    if (error) {
+      errors.push(`${describe(index)}: ${error}`);
+    } else {
+      overrides.set(override.id, override);
+    }
+  });
+  return { overrides: [...overrides.values()], errors };
+}
+
+/**
+ * Write overrides as CSV, with the columns of OVERRIDE_COLUMNS
+ * @param {Array<Object>} overrides - Overrides
+ * @param {Object} [extra] - Further columns: header to a function returning the value for an override
+ * @returns {string}
+ */
+export function overridesToCSV(overrides, extra = {}) {
+  const escape = (val) => {
+    if (val === null || val === undefined) return '';
+    const str = String(val);
+    return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  };
+  const headers = [...OVERRIDE_COLUMNS, ...Object.keys(extra)];
+  const lines = [headers.map(escape).join(',')];
+  overrides.forEach(override => {
+    const values = [
+      ...OVERRIDE_COLUMNS.map(column => override[column]),
+      ...Object.values(extra).map(read => read(override))
+    ];
+    lines.push(values.map(escape).join(','));
+  });
+  return lines.join('\n');
+}
+
+/**
+ * Write overrides as JSON, readable by parseOverrides()
+ * @param {Array<Object>} overrides - Overrides
+ * @returns {string}
+ */
+export function overridesToJSON(overrides) {
+  const entries = overrides.map(override => Object.fromEntries(OVERRIDE_COLUMNS.map(column => [column, override[column]])));
+  return JSON.stringify({ overrides: entries }, null, 2);
+}
+
+/**
+ * Index overrides by target and key
+ * @param {Array<Object>} overrides - Overrides
+ * @returns {Object} { object, artist }: Maps from key to { field: override }
+ */
+function indexOverrides(overrides) {
+  const index = { object: new Map(), artist: new Map() };
+  overrides.forEach(override => {
+    const byKey = index[override.target];
+    byKey.set(override.key, { ...byKey.get(override.key), [override.field]: override });
+  });
+  return index;
+}
+
+/**
+ * Check whether a creator is the record's own creator (production[0]), whose
+ * values the record's gender, nationality and birth year fields repeat
+ * @param {Object} creator - Element of `creators`
+ * @returns {boolean}
+ */
+function isFirstCreator(creator) {
+  return creator.productionIndex === 0;
+}
+
+/**
+ * Apply the overrides for one creator
+ * @param {Object} person - Record (its first creator) or creator
+ * @param {Object} byField - Override per field
+ * @returns {Object} { person, changes }: a copy of the person when a value changed
+ */
+function correctPerson(person, byField) {
+  const changes = [];
+  const corrected = { ...person };
+
+  OVERRIDE_FIELDS.forEach(({ value: field }) => {
+    const override = byField[field];
+    if (!override || person[field] === override.value) return;
+
+    const change = { field, catalogue: person[field], value: override.value, override: override.id };
+    corrected[field] = override.value;
+    if (field === 'birthYear') {
+      change.catalogueDate = person.birthDate ?? null;
+      corrected.birthDate = { start: override.value, end: override.value, precision: 'year', approximate: false };
+    }
+    changes.push(change);
+  });
+
+  return { person: changes.length ? corrected : person, changes };
+}
+
+/**
+ * Undo the corrections of a record, bringing back its catalogue values
+ * @param {Object} artwork - Normalized artwork, corrected or not
+ * @returns {Object} The artwork itself when it has no corrections, otherwise a
+ *   copy without `corrections`
+ */
+export function restoreCatalogue(artwork) {
+  if (!artwork.corrections) return artwork;
+
+  const { corrections, ...record } = artwork;
+  const creators = (artwork.creators || []).map(creator => ({ ...creator }));
+  const restore = (person, change) => {
+    person[change.field] = change.catalogue;
+    if (change.field === 'birthYear') person.birthDate = change.catalogueDate;
+  };
+
+  corrections.forEach(change => {
+    const creator = change.creator === null ? null : creators[change.creator];
+    if (creator) restore(creator, change);
+    if (!creator || isFirstCreator(creator)) restore(record, change);
+  });
+  return { ...record, creators };
+}
+
+/**
+ * Apply overrides to normalized artworks (see normalizeItems)
+ * Corrections made earlier, possibly by other overrides, are undone first, so
+ * records may be corrected again whenever the overrides change.
+ * @param {Array<Object>} artworks - Normalized artworks
+ * @param {Array<Object>} overrides - Overrides (see createOverride)
+ * @returns {Array<Object>} The artworks themselves when no record changes;
+ *   otherwise records whose values change are copies with
+ *   `corrections` ({ field, creator, catalogue, value, override }, where
+ *   `creator` is the index in `creators`, or null when the record's first
+ *   creator is not listed there; birth year corrections keep the catalogue
+ *   `birthDate` as `catalogueDate`)
+ */
+export function applyOverrides(artworks, overrides) {
+  if (!overrides.length && !artworks.some(artwork => artwork.corrections)) return artworks;
+  const index = indexOverrides(overrides);
+
+  const forPerson = (id, first, objectNumber) => ({
+    ...(id ? index.artist.get(id) : null),
+    ...(first ? index.object.get(objectNumber) : null)
+  });
+
+  const result = artworks.map(current => {
+    const artwork = restoreCatalogue(current);
+    const creators = artwork.creators || [];
+    // The record's own fields come from production[0], which `creators` may leave out
+    const firstIndex = creators.findIndex(isFirstCreator);
+
+    const record = correctPerson(artwork, forPerson(artwork.creatorId, true, artwork.objectNumber));
+    const corrected = creators.map((creator, i) =>
+      correctPerson(creator, forPerson(creator.id, i === firstIndex, artwork.objectNumber)));
+
+    // The first creator's corrections are listed once, for the record
+    const corrections = [
+      ...record.changes.map(change => ({ ...change, creator: firstIndex === -1 ? null : firstIndex })),
+      ...corrected.flatMap((result, i) => i === firstIndex ? [] : result.changes.map(change => ({ ...change, creator: i })))
+    ];
+    if (!corrections.length) return artwork;
+    // Unchanged corrections keep the record as it was
+    if (current.corrections && JSON.stringify(current.corrections) === JSON.stringify(corrections)) return current;
+
+    return { ...record.person, creators: corrected.map(result => result.person), corrections };
+  });
+  return result.every((artwork, i) => artwork === artworks[i]) ? artworks : result;
+}
+
+/**
+ * Count the values corrected locally
+ * @param {Array<Object>} artworks - Normalized artworks
+ * @returns {Object} { values, records }
+ */
+export function countCorrections(artworks) {
+  let values = 0;
+  let records = 0;
+  artworks.forEach(artwork => {
+    if (!artwork.corrections) return;
+    values += artwork.corrections.length;
+    records++;
+  });
+  return { values, records };
+}
+
+/**
+ * Review overrides against the catalogue
+ * @param {Array<Object>} artworks - Normalized artworks, corrected or not
+ * @param {Array<Object>} overrides - Overrides
+ * @returns {Array<Object>} Per override, in the given order: { override, records,
+ *   changed, catalogue }, where `records` counts the records it applies to,
+ *   `changed` those whose value it changes, and `catalogue` lists the distinct
+ *   catalogue values it replaces
+ */
+export function reviewOverrides(artworks, overrides) {
+  const reviews = new Map(overrides.map(override => [override.id, { override, records: 0, changed: 0, catalogue: new Set() }]));
+  const index = indexOverrides(overrides);
+
+  const visit = (byField, person) => {
+    Object.values(byField || {}).forEach(override => {
+      const review = reviews.get(override.id);
+      review.records++;
+      if (person[override.field] !== override.value) {
+        review.changed++;
+        review.catalogue.add(person[override.field] ?? '');
+      }
+    });
+  };
+
+  artworks.map(restoreCatalogue).forEach(artwork => {
+    const objectFields = index.object.get(artwork.objectNumber) || {};
+    visit(objectFields, artwork);
+    // Each record counts once per artist reference, even with that artist credited twice
+    const ids = new Set([artwork.creatorId, ...(artwork.creators || []).map(creator => creator.id)].filter(Boolean));
+    ids.forEach(id => {
+      const first = artwork.creatorId === id;
+      const person = first ? artwork : artwork.creators.find(creator => creator.id === id);
+      // An object override of the first creator's value takes precedence
+      const byField = Object.entries(index.artist.get(id) || {}).filter(([field]) => !(first && objectFields[field]));
+      visit(Object.fromEntries(byField), person);
+    });
+  });
+
+  return [...reviews.values()].map(review => ({ ...review, catalogue: [...review.catalogue] }));
+}
@@ -0,0 +1,190 @@
+/**
+ * Schema drift detection: compares raw API items with the bundled field
+ * reference (docs/smk-api-datapoints-reference.json) and with the shapes the
+ * normalizer expects, so upstream changes show up in a report instead of
+ * quietly skewing the charts.
+ */
+
+/**
+ * Shapes the normalizer (and delta sync) rely on, per top-level field
+ * Absent and null values are not checked; only values of the wrong shape are.
+ */
+const FIELD_SHAPES = {
+  id: { label: 'string', test: value => typeof value === 'string' },
+  object_number: { label: 'string', test: value => typeof value === 'string' },
+  modified: { label: 'ISO date string', test: value => typeof value === 'string' && !isNaN(Date.parse(value)) },
+  production: { label: 'array of objects', test: value => isArrayOfObjects(value) },
+  production_date: { label: 'array of objects', test: value => isArrayOfObjects(value) },
+  object_names: { label: 'array of objects', test: value => isArrayOfObjects(value) },
+  techniques: { label: 'array', test: value => Array.isArray(value) },
+  materials: { label: 'array', test: value => Array.isArray(value) },
+  responsible_department: { label: 'string', test: value => typeof value === 'string' },
+  acquisition_date: { label: 'date string', test: value => typeof value === 'string' && /\d{4}/.test(value) },
+  exhibitions: { label: 'array', test: value => Array.isArray(value) },
+  on_display: { label: 'boolean', test: value => typeof value === 'boolean' },
+  has_image: { label: 'boolean', test: value => typeof value === 'boolean' },
+  credit_line: { label: 'string', test: value => typeof value === 'string' },
+  content_person_full: { label: 'array of objects', test: value => isArrayOfObjects(value) },
+  geo_location: {
+    label: '"lat,lon" string',
+    test: value => typeof value === 'string' && /^\s*-?\d+(\.\d+)?\s*,\s*-?\d+(\.\d+)?\s*$/.test(value)
+  },
+  titles: { label: 'array of objects', test: value => isArrayOfObjects(value) },
+  dimensions: { label: 'array of objects', test: value => isArrayOfObjects(value) },
+  colors: { label: 'array of strings', test: value => Array.isArray(value) && value.every(c => typeof c === 'string') }
+};
+
+/**
+ * Fields are only reported missing once at least this many items have been
+ * inspected, since small delta syncs often lack sparse fields
+ */
+const MIN_ITEMS_FOR_MISSING = 500;
+
+/**
+ * Longest example value kept in the report
+ */
+const MAX_EXAMPLE_LENGTH = 80;
+
+/**
+ * Check for an array whose elements are all plain objects
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+function isArrayOfObjects(value) {
+  return Array.isArray(value) && value.every(entry => entry && typeof entry === 'object' && !Array.isArray(entry));
+}
+
+/**
+ * Shorten a value for display in the report
+ * @param {*} value - Offending value
+ * @returns {string} Truncated JSON
+ */
+function formatExample(value) {
+  const text = JSON.stringify(value) ?? String(value);
+  return text.length > MAX_EXAMPLE_LENGTH ? `${text.slice(0, MAX_EXAMPLE_LENGTH - 1)}…` : text;
+}
+
+/**
+ * Load the bundled field reference
+ * @returns {Promise<Object|null>} Map of field name to { description, subfields? }, or null if unavailable
+ */
+export async function loadFieldReference() {
+  try {
+    const res = await fetch(new URL('../../../docs/smk-api-datapoints-reference.json', import.meta.url));
+    if (!res.ok) {
+      throw new Error(`HTTP ${res.status}`);
+    }
+    const json = await res.json();
+    return json.fields || null;
+  } catch (error) {
+    console.warn('Could not load the API field reference:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Create a monitor that inspects raw items page by page
+ * A field is reported missing when it has a declared shape, the reference (if
+ * loaded) documents it, it was requested and no inspected item carries it.
+ * Other reference fields are left out of records when empty, so their absence
+ * is no sign of drift.
+ * @param {Object|null} reference - Field reference from loadFieldReference()
+ * @param {Array<string>|null} [requestedFields=null] - Fields requested with a
+ *   `fields=` projection, or null when items carry every field
+ * @returns {Object} { inspect(items), report() }
+ */
+export function createSchemaMonitor(reference, requestedFields = null) {
+  const requested = requestedFields ? new Set(requestedFields) : null;
+  const expectedFields = Object.keys(FIELD_SHAPES)
+    .filter(field => (!reference || field in reference) && (!requested || requested.has(field)));
+
+  const subfieldSets = new Map();
+  if (reference) {
+    Object.entries(reference).forEach(([field, entry]) => {
+      if (Array.isArray(entry.subfields)) {
+        subfieldSets.set(field, new Set(entry.subfields));
+      }
+    });
+  }
+
+  let inspectedItems = 0;
+  const seenFields = new Set();
+  // path -> { count, example }
+  const newFields = new Map();
+  const shapeChanges = new Map();
+
+  const record = (map, path, value) => {
+    const entry = map.get(path);
+    if (entry) {
+      entry.count++;
+    } else {
+      map.set(path, { count: 1, example: formatExample(value) });
+    }
+  };
+
+  const inspectSubfields = (field, value) => {
+    const known = subfieldSets.get(field);
+    if (!known) return;
+
+    const entries = Array.isArray(value) ? value : [value];
+    entries.forEach(entry => {
+      if (!entry || typeof entry !== 'object' || Array.isArray(entry)) return;
+      Object.keys(entry).forEach(key => {
+        if (!known.has(key)) record(newFields, `${field}.${key}`, entry[key]);
+      });
+    });
+  };
+
+  return {
+    /**
+     * Inspect a page of raw API items
+     * @param {Array<Object>} items - Raw items
+     */
+    inspect(items) {
+      items.forEach(item => {
+        if (!item || typeof item !== 'object') return;
+        inspectedItems++;
+
+        Object.entries(item).forEach(([field, value]) => {
+          seenFields.add(field);
+
+          if (reference && !(field in reference)) {
+            record(newFields, field, value);
+          }
+
+          if (value === null || value === undefined) return;
+
+          const shape = FIELD_SHAPES[field];
+          if (shape && !shape.test(value)) {
+            record(shapeChanges, field, value);
+          }
+
+          inspectSubfields(field, value);
+        });
+      });
+    },
+
+    /**
+     * Summarize everything inspected so far
+     * @returns {Object} { checkedAt, inspectedItems, referenceLoaded, newFields, missingFields, shapeChanges }
+     */
+    report() {
+      const missingFields = inspectedItems >= MIN_ITEMS_FOR_MISSING
+        ? expectedFields.filter(field => !seenFields.has(field)).map(path => ({ path }))
+        : [];
+
+      return {
+        checkedAt: Date.now(),
+        inspectedItems,
+        referenceLoaded: Boolean(reference),
+        newFields: Array.from(newFields, ([path, entry]) => ({ path, ...entry })),
+        missingFields,
+        shapeChanges: Array.from(shapeChanges, ([path, entry]) => ({
+          path,
+          expected: FIELD_SHAPES[path].label,
+          ...entry
+        }))
+      };
+    }
+  };
+}
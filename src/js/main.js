@@ -2,7 +2,31 @@
  * Main entry point for SMK Data Visualized application
  */
 import { CONFIG } from './config.js';
-import { fetchAllDataIncremental, getCachedData, clearCachedData, getCacheMetadata } from './api/smkApi.js';
+import {
+  fetchAllDataIncremental,
+  syncDataIncremental,
+  pauseFetch,
+  resumeFetch,
+  cancelFetch,
+  getCachedData,
+  clearCachedData,
+  getCacheMetadata,
+  setCachedData,
+  freeCacheSpace,
+  getCacheWriteStatus,
+  subscribeToCacheUpdates,
+  announceCacheUpdate,
+  purgeCache,
+  clearPurposeData,
+  saveLoadedData,
+  getDataHealthReport
+} from './api/smkApi.js';
+import { createApiSource, createFileSource } from './api/dataSources.js';
+import { describeScope, getScopeKey } from './api/scope.js';
+import { describeFetchError } from './api/fetchErrors.js';
+import { subscribeToProgress } from './api/progress.js';
+import { requestPersistentStorage } from './api/storageQuota.js';
+import { getTransportSettings, isLiveTransport, chooseRecordDirectory } from './api/transport.js';
 import { createFemaleTrendChart, updateFemaleTrendChart } from './charts/lineCharts.js';
 import {
   createBarStackChart,
@@ -70,17 +94,54 @@ import {
   showErrorMessage,
   showSuccessMessage,
   updateLoadingIndicator,
+  updateSyncIndicator,
+  showResumeIndicator,
+  showPausedIndicator,
+  showLoadProgress,
+  showDownloadControls,
+  setDownloadControlsPaused,
+  hideDownloadControls,
+  setPartialDataState,
   hideLoadingIndicator,
   showLoadingIndicator,
   showCacheStatus,
-  hideCacheStatus
+  hideCacheStatus,
+  showActionPrompt,
+  showChoicePrompt
 } from './utils/ui.js';
-import { hasStorageConsent, initConsentBanner } from './utils/consent.js';
+import { STORAGE_PURPOSES, getStorageConsent, hasStorageConsent, initConsentBanner } from './utils/consent.js';
+import { initSnapshotPanel, refreshSnapshotPanel } from './utils/snapshotView.js';
+import { initDumpImport } from './utils/dumpImport.js';
+import { initScopePanel, refreshScopePanel } from './utils/scopeView.js';
+import { showDataHealthReport } from './utils/dataHealthView.js';
+import { initArtistIdentityPanel, refreshArtistIdentityPanel } from './utils/artistIdentityView.js';
+import { getCuratorOverrides, initOverridePanel, refreshOverridePanel, saveCuratorOverrides } from './utils/overrideView.js';
+import { initCachePanel, refreshCachePanel } from './utils/cacheView.js';
+import { clearCacheExpiry } from './utils/cacheSettings.js';
+import { getLabelLanguage, initLanguageSwitch } from './utils/labelLanguage.js';
+import { localizeArtworks } from './data/labels.js';
+import { getAttributionStrategy, initAttributionSwitch } from './utils/attributionSetting.js';
+import { getUncertainDateMode, initUncertainDatesSwitch } from './utils/uncertainDatesSetting.js';
+import { getGenderPreset, initGenderPresetSwitch } from './utils/genderPresetSetting.js';
+import { applyGenderPreset, getGenderCategory } from './data/genders.js';
+import { applyOverrides, countCorrections } from './data/overrides.js';
+import { ATTRIBUTION_STRATEGIES, attributeArtworks, getCreatorTeamData } from './stats/attribution.js';
+import { registerServiceWorker } from './utils/serviceWorker.js';
 import { debounce } from './utils/debounce.js';
 import { LazyLoadManager } from './utils/lazyLoad.js';
 
 // Global state
 let artworks = [];
+// Fetch scope of the loaded artworks (null for the full collection)
+let activeScope = null;
+// Download in progress: { loaded, total, paused, stopped, source, consent } (null when none is running)
+let activeDownload = null;
+// Artworks with genders folded into the chosen preset's categories (see getCategorizedArtworks)
+let categorized = { source: null, count: 0, preset: null, artworks: [] };
+// Attribution units for the chosen strategy, rebuilt when either changes (see getAttributedArtworks)
+let attributed = { source: null, count: 0, strategy: null, artworks: [] };
+// Attribution units with labels in the chosen language (see getLabelledArtworks)
+let labelled = { source: null, count: 0, language: null, artworks: [] };
 
 // Performance optimization managers
 const lazyLoader = new LazyLoadManager();
@@ -118,11 +179,57 @@ let colorTimelineFemaleChartInstance;
 function updateOrCreateObjectTypeChart(items, canvasId, chartInstance) {
   const data = getObjectTypeData(items);
   if (chartInstance) {
-    updateBarStackChart(chartInstance, data.labels, data.maleData, data.femaleData, data.unknownData);
+    updateBarStackChart(chartInstance, data.labels, data.genders, data.data);
     return chartInstance;
   } else {
-    return createBarStackChart(data.labels, data.maleData, data.femaleData, data.unknownData, canvasId);
+    return createBarStackChart(data.labels, data.genders, data.data, canvasId);
+  }
+}
+
+/**
+ * Get the loaded artworks with their genders in the categories of the chosen
+ * gender preset (see data/genders.js)
+ * @returns {Array<Object>}
+ */
+function getCategorizedArtworks() {
+  const preset = getGenderPreset();
+  // During a download new pages are appended to the same array
+  if (categorized.source !== artworks || categorized.count !== artworks.length || categorized.preset !== preset) {
+    categorized = { source: artworks, count: artworks.length, preset, artworks: applyGenderPreset(artworks, preset) };
+  }
+  return categorized.artworks;
+}
+
+/**
+ * Get the loaded artworks as attribution units for the chosen strategy (see
+ * stats/attribution.js); every chart that splits works by gender uses these
+ * @returns {Array<Object>}
+ */
+function getAttributedArtworks() {
+  const source = getCategorizedArtworks();
+  const strategy = getAttributionStrategy();
+  // Without a preset that folds categories these are the loaded artworks themselves
+  if (attributed.source !== source || attributed.count !== source.length || attributed.strategy !== strategy) {
+    attributed = { source, count: source.length, strategy, artworks: attributeArtworks(source, strategy) };
+  }
+  return attributed.artworks;
+}
+
+/**
+ * Get the attribution units with department names, object types, techniques,
+ * materials and titles in the chosen label language (see data/labels.js).
+ * Charts that filter on these values, such as the painting dimensions, keep
+ * using the units without localized labels.
+ * @returns {Array<Object>}
+ */
+function getLabelledArtworks() {
+  const units = getAttributedArtworks();
+  const language = getLabelLanguage();
+  // Without other attribution than the first creator these are the artworks themselves
+  if (labelled.source !== units || labelled.count !== units.length || labelled.language !== language) {
+    labelled = { source: units, count: units.length, language, artworks: localizeArtworks(units, language) };
   }
+  return labelled.artworks;
 }
 
 /**
@@ -131,10 +238,10 @@ function updateOrCreateObjectTypeChart(items, canvasId, chartInstance) {
 function updateOrCreateNationalityChart(items, canvasId, chartInstance) {
   const data = getNationalityData(items);
   if (chartInstance) {
-    updateHorizontalBarChart(chartInstance, data.labels, data.maleData, data.femaleData, data.unknownData);
+    updateHorizontalBarChart(chartInstance, data.labels, data.genders, data.data);
     return chartInstance;
   } else {
-    return createHorizontalBarChart(data.labels, data.maleData, data.femaleData, data.unknownData, canvasId);
+    return createHorizontalBarChart(data.labels, data.genders, data.data, canvasId);
   }
 }
 
@@ -144,10 +251,10 @@ function updateOrCreateNationalityChart(items, canvasId, chartInstance) {
 function updateOrCreateTopAttributeChart(items, attr, canvasId, chartInstance) {
   const data = getTopAttributeData(items, attr);
   if (chartInstance) {
-    updateBarStackChart(chartInstance, data.labels, data.maleData, data.femaleData, data.unknownData);
+    updateBarStackChart(chartInstance, data.labels, data.genders, data.data);
     return chartInstance;
   } else {
-    return createBarStackChart(data.labels, data.maleData, data.femaleData, data.unknownData, canvasId);
+    return createBarStackChart(data.labels, data.genders, data.data, canvasId);
   }
 }
 
@@ -157,10 +264,10 @@ function updateOrCreateTopAttributeChart(items, attr, canvasId, chartInstance) {
 function updateOrCreateExhibitionChart(items, canvasId, chartInstance) {
   const data = getExhibitionData(items);
   if (chartInstance) {
-    updateBarChart(chartInstance, data.labels, data.maleData, data.femaleData, data.unknownData);
+    updateBarChart(chartInstance, data.labels, data.genders, data.data);
     return chartInstance;
   } else {
-    return createBarChart(data.labels, data.maleData, data.femaleData, data.unknownData, canvasId);
+    return createBarChart(data.labels, data.genders, data.data, canvasId);
   }
 }
 
@@ -171,10 +278,13 @@ function updateOrCreateExhibitionChart(items, canvasId, chartInstance) {
 function updateStatsDisplay() {
   if (artworks.length === 0) return;
 
-  const allYears = calculateStats(artworks);
+  const allYears = calculateStats(getAttributedArtworks());
+  const teams = getCreatorTeamData(getCategorizedArtworks());
+  const strategy = ATTRIBUTION_STRATEGIES.find(option => option.value === getAttributionStrategy());
+  const formatCount = count => count.toLocaleString(undefined, { maximumFractionDigits: 1 });
 
   // Calculate data completeness metrics
-  const knownGenderCount = allYears.stats.Male + allYears.stats.Female;
+  const knownGenderCount = allYears.total - allYears.stats.Unknown;
   const knownGenderPercent = allYears.total > 0 ? ((knownGenderCount / allYears.total) * 100).toFixed(1) : 0;
 
   const grid = document.getElementById('statsGrid');
@@ -217,24 +327,50 @@ function updateStatsDisplay() {
   ));
 
   grid.appendChild(createStatCard(
-    allYears.stats.Male.toLocaleString(),
+    formatCount(allYears.stats.Male),
     'Works by male artists',
-    `${allYears.malePercent}% of collection`
+    `${allYears.percent.Male}% ${strategy.unit}`
   ));
 
   grid.appendChild(createStatCard(
-    allYears.stats.Female.toLocaleString(),
+    formatCount(allYears.stats.Female),
     'Works by female artists',
-    `${allYears.femalePercent}% of collection`,
+    `${allYears.percent.Female}% ${strategy.unit}`,
     'female'
   ));
 
+  // Non-binary artists, collectives and other categories present in the data
+  allYears.genders
+    .filter(gender => !['Male', 'Female', 'Unknown'].includes(gender))
+    .forEach(gender => {
+      grid.appendChild(createStatCard(
+        formatCount(allYears.stats[gender]),
+        `Works by ${getGenderCategory(gender).artists}`,
+        `${allYears.percent[gender]}% ${strategy.unit}`
+      ));
+    });
+
   grid.appendChild(createStatCard(
     `${knownGenderPercent}%`,
     'Gender data complete',
-    `${knownGenderCount.toLocaleString()} of ${allYears.total.toLocaleString()} records`,
+    `${formatCount(knownGenderCount)} of ${formatCount(allYears.total)} ${strategy.value === 'perCreator' ? 'creator credits' : 'records'}`,
     parseFloat(knownGenderPercent) >= 70 ? '' : 'unknown'
   ));
+
+  grid.appendChild(createStatCard(
+    teams.mixedGender.toLocaleString(),
+    'Mixed-gender creator teams',
+    `of ${teams.multiCreator.toLocaleString()} works with several creators`
+  ));
+
+  const corrections = countCorrections(artworks);
+  if (corrections.values > 0) {
+    grid.appendChild(createStatCard(
+      corrections.values.toLocaleString(),
+      'Values corrected locally',
+      `in ${corrections.records.toLocaleString()} ${corrections.records === 1 ? 'record' : 'records'} by curator overrides`
+    ));
+  }
 }
 
 /**
@@ -244,7 +380,7 @@ function generateInsights() {
   if (artworks.length === 0) return;
 
   // Exhibition insights
-  const exhibitionData = getExhibitionData(artworks);
+  const exhibitionData = getExhibitionData(getAttributedArtworks());
 
   const percentExhibitedMale = exhibitionData.totalWorks.Male > 0 ?
     ((exhibitionData.worksExhibited.Male / exhibitionData.totalWorks.Male) * 100).toFixed(1) : 0;
@@ -269,9 +405,9 @@ function generateInsights() {
 function updateOnDisplayInsight() {
   if (artworks.length === 0) return;
 
-  const onDisplayData = getOnDisplayData(artworks);
-  const percentDisplayedMale = onDisplayData.maleData[2];
-  const percentDisplayedFemale = onDisplayData.femaleData[2];
+  const onDisplayData = getOnDisplayData(getAttributedArtworks());
+  const percentDisplayedMale = onDisplayData.percent.Male;
+  const percentDisplayedFemale = onDisplayData.percent.Female;
 
   const onDisplayBox = document.getElementById('onDisplayInsight');
   onDisplayBox.innerHTML = `
@@ -297,7 +433,7 @@ function updateOnDisplayInsight() {
  * Matches: #artistScatterChart (line 114) and #topArtistsLists (line 124)
  */
 function updateArtistCharts() {
-  const artistData = getArtistData(artworks);
+  const artistData = getArtistData(getAttributedArtworks());
 
   // Update or create scatterplot
   if (artistScatterChartInstance) {
@@ -307,12 +443,25 @@ function updateArtistCharts() {
   }
 
   // Render top 10 lists
-  renderTopArtistsLists(artistData.topMale, artistData.topFemale, 'topArtistsLists');
+  renderTopArtistsLists(artistData.top.Male, artistData.top.Female, 'topArtistsLists');
 
   // Update insights
   updateArtistInsights(artistData);
 }
 
+/**
+ * Describe the number of artists of each gender category
+ * @param {Object} artistData - From getArtistData()
+ * @returns {string} e.g. "1,200 male, 300 female, 40 unknown gender"
+ */
+function describeArtistCounts(artistData) {
+  return artistData.genders.map(gender => {
+    const count = artistData.stats.artistCount[gender].toLocaleString();
+    if (gender === 'Unknown') return `${count} unknown gender`;
+    return `${count} ${getGenderCategory(gender).label.toLowerCase()}`;
+  }).join(', ');
+}
+
 /**
  * Update artist analysis insights
  */
@@ -329,20 +478,22 @@ function updateArtistInsights(artistData) {
     return;
   }
 
-  insightHTML += `<p><strong>Breadth vs. depth of artist representation:</strong> The collection comprises works by ${artistData.stats.totalArtists.toLocaleString()} identified artists (${artistData.stats.maleArtistCount.toLocaleString()} male, ${artistData.stats.femaleArtistCount.toLocaleString()} female, ${artistData.stats.unknownArtistCount.toLocaleString()} unknown gender). `;
+  insightHTML += `<p><strong>Breadth vs. depth of artist representation:</strong> The collection comprises works by ${artistData.stats.totalArtists.toLocaleString()} identified artists (${describeArtistCounts(artistData)}). `;
 
-  if (artistData.topMale.length > 0 && artistData.topFemale.length > 0) {
-    const topMaleCount = artistData.topMale[0].artworkCount;
-    const topFemaleCount = artistData.topFemale[0].artworkCount;
+  const topMale = artistData.top.Male;
+  const topFemale = artistData.top.Female;
+  if (topMale.length > 0 && topFemale.length > 0) {
+    const topMaleCount = topMale[0].artworkCount;
+    const topFemaleCount = topFemale[0].artworkCount;
     const ratio = (topMaleCount / topFemaleCount).toFixed(1);
-    const top10MaleTotal = artistData.topMale.reduce((sum, a) => sum + a.artworkCount, 0);
-    const top10FemaleTotal = artistData.topFemale.reduce((sum, a) => sum + a.artworkCount, 0);
-    const maleTotal = artistData.maleArtists.reduce((sum, a) => sum + a.artworkCount, 0);
-    const femaleTotal = artistData.femaleArtists.reduce((sum, a) => sum + a.artworkCount, 0);
+    const top10MaleTotal = topMale.reduce((sum, a) => sum + a.artworkCount, 0);
+    const top10FemaleTotal = topFemale.reduce((sum, a) => sum + a.artworkCount, 0);
+    const maleTotal = artistData.artists.Male.reduce((sum, a) => sum + a.artworkCount, 0);
+    const femaleTotal = artistData.artists.Female.reduce((sum, a) => sum + a.artworkCount, 0);
     const maleConcentration = maleTotal > 0 ? (top10MaleTotal / maleTotal * 100).toFixed(1) : 0;
     const femaleConcentration = femaleTotal > 0 ? (top10FemaleTotal / femaleTotal * 100).toFixed(1) : 0;
 
-    insightHTML += `The most represented male artist (${artistData.topMale[0].name}) accounts for ${topMaleCount} works, while the leading female artist (${artistData.topFemale[0].name}) has ${topFemaleCount} works (${ratio}:1 ratio). Looking at concentration patterns, the top 10 male artists represent ${maleConcentration}% of all male artist works, while the top 10 female artists represent ${femaleConcentration}% of female artist works, indicating how institutional collecting balances deep engagement with select artists against broad representation across many creators.</p>`;
+    insightHTML += `The most represented male artist (${topMale[0].name}) accounts for ${topMaleCount} works, while the leading female artist (${topFemale[0].name}) has ${topFemaleCount} works (${ratio}:1 ratio). Looking at concentration patterns, the top 10 male artists represent ${maleConcentration}% of all male artist works, while the top 10 female artists represent ${femaleConcentration}% of female artist works, indicating how institutional collecting balances deep engagement with select artists against broad representation across many creators.</p>`;
   } else {
     insightHTML += `Limited data prevents detailed comparison of collection depth patterns.</p>`;
   }
@@ -357,9 +508,9 @@ function updateArtistInsights(artistData) {
  */
 async function updateWorldMapView() {
   if (worldMapInstance) {
-    updateWorldMap(artworks);
+    updateWorldMap(getAttributedArtworks());
   } else {
-    worldMapInstance = await createWorldMap(artworks, 'worldMap');
+    worldMapInstance = await createWorldMap(getAttributedArtworks(), 'worldMap');
   }
 }
 
@@ -369,17 +520,15 @@ async function updateWorldMapView() {
  */
 function updateNationalityCharts() {
   // Get top 10 nationalities from all artworks
-  const nationalityData = getNationalityData(artworks);
+  const nationalityData = getNationalityData(getAttributedArtworks());
   const top10Labels = nationalityData.labels.slice(0, 10);
-  const top10Male = nationalityData.maleData.slice(0, 10);
-  const top10Female = nationalityData.femaleData.slice(0, 10);
-  const top10Unknown = nationalityData.unknownData.slice(0, 10);
+  const top10Data = Object.fromEntries(nationalityData.genders.map(gender => [gender, nationalityData.data[gender].slice(0, 10)]));
 
   // Create or update diverging bar chart
   if (nationalityDivergingChartInstance) {
-    updateNationalityDivergingChart(nationalityDivergingChartInstance, top10Labels, top10Male, top10Female, top10Unknown);
+    updateNationalityDivergingChart(nationalityDivergingChartInstance, top10Labels, nationalityData.genders, top10Data);
   } else {
-    nationalityDivergingChartInstance = createNationalityDivergingChart(top10Labels, top10Male, top10Female, top10Unknown, "nationalityDivergingChart");
+    nationalityDivergingChartInstance = createNationalityDivergingChart(top10Labels, nationalityData.genders, top10Data, "nationalityDivergingChart");
   }
 }
 
@@ -388,7 +537,7 @@ function updateNationalityCharts() {
  * Matches: #birthYearContainer (line 161)
  */
 function updateBirthYearCharts() {
-  const birthYearData = getBirthYearData(artworks);
+  const birthYearData = getBirthYearData(getAttributedArtworks(), getUncertainDateMode());
 
   // Return early if no data
   if (!birthYearData.labels.length) {
@@ -397,9 +546,9 @@ function updateBirthYearCharts() {
 
   // Combined chart showing both male and female artists (use percentage data with counts in tooltip)
   if (birthYearChartInstance) {
-    updateBirthYearHistogramChart(birthYearChartInstance, birthYearData.labels, birthYearData.malePercent, birthYearData.femalePercent, birthYearData.unknownPercent, birthYearData.maleData, birthYearData.femaleData, birthYearData.unknownData);
+    updateBirthYearHistogramChart(birthYearChartInstance, birthYearData.labels, birthYearData.genders, birthYearData.percent, birthYearData.data, birthYearData);
   } else {
-    birthYearChartInstance = createBirthYearHistogramChart(birthYearData.labels, birthYearData.malePercent, birthYearData.femalePercent, birthYearData.unknownPercent, "birthYearChart", "All", true, birthYearData.maleData, birthYearData.femaleData, birthYearData.unknownData);
+    birthYearChartInstance = createBirthYearHistogramChart(birthYearData.labels, birthYearData.genders, birthYearData.percent, "birthYearChart", "All", true, birthYearData.data, birthYearData);
   }
 }
 
@@ -408,7 +557,7 @@ function updateBirthYearCharts() {
  * Matches: #creationYearContainer (line 174)
  */
 function updateCreationYearCharts() {
-  const creationYearData = getCreationYearData(artworks);
+  const creationYearData = getCreationYearData(getAttributedArtworks(), getUncertainDateMode());
 
   // Return early if no data
   if (!creationYearData.labels.length) {
@@ -417,9 +566,9 @@ function updateCreationYearCharts() {
 
   // Combined chart showing both male and female artists (use percentage data with counts in tooltip)
   if (creationYearChartInstance) {
-    updateCreationYearHistogramChart(creationYearChartInstance, creationYearData.labels, creationYearData.malePercent, creationYearData.femalePercent, creationYearData.unknownPercent, creationYearData.maleData, creationYearData.femaleData, creationYearData.unknownData);
+    updateCreationYearHistogramChart(creationYearChartInstance, creationYearData.labels, creationYearData.genders, creationYearData.percent, creationYearData.data, creationYearData);
   } else {
-    creationYearChartInstance = createCreationYearHistogramChart(creationYearData.labels, creationYearData.malePercent, creationYearData.femalePercent, creationYearData.unknownPercent, "creationYearChart", "All", true, creationYearData.maleData, creationYearData.femaleData, creationYearData.unknownData);
+    creationYearChartInstance = createCreationYearHistogramChart(creationYearData.labels, creationYearData.genders, creationYearData.percent, "creationYearChart", "All", true, creationYearData.data, creationYearData);
   }
 }
 
@@ -433,12 +582,12 @@ function updateCreationYearCharts() {
  * Matches: #genderDistributionTimelineContainer (line 183)
  */
 function updateGenderDistributionTimeline() {
-  const timelineData = getGenderDistributionOverTime(artworks);
+  const timelineData = getGenderDistributionOverTime(getAttributedArtworks());
 
   if (genderDistributionTimelineInstance) {
-    updatePercentageStackChart(genderDistributionTimelineInstance, timelineData.years, timelineData.malePercent, timelineData.femalePercent, timelineData.unknownPercent, timelineData.maleCount, timelineData.femaleCount, timelineData.unknownCount);
+    updatePercentageStackChart(genderDistributionTimelineInstance, timelineData.years, timelineData.genders, timelineData.percent, timelineData.count);
   } else {
-    genderDistributionTimelineInstance = createPercentageStackChart(timelineData.years, timelineData.malePercent, timelineData.femalePercent, timelineData.unknownPercent, "genderDistributionTimeline", timelineData.maleCount, timelineData.femaleCount, timelineData.unknownCount);
+    genderDistributionTimelineInstance = createPercentageStackChart(timelineData.years, timelineData.genders, timelineData.percent, "genderDistributionTimeline", timelineData.count);
   }
 }
 
@@ -447,7 +596,8 @@ function updateGenderDistributionTimeline() {
  * Matches: #femaleTrendContainer (line 192)
  */
 function updateFemaleTrendChartView() {
-  const trendData = getFemaleTrendData(artworks, artworks, 1975);
+  const items = getAttributedArtworks();
+  const trendData = getFemaleTrendData(items, items, 1975);
 
   if (femaleTrendChartInstance) {
     updateFemaleTrendChart(femaleTrendChartInstance, trendData.years, trendData.femalePercents, trendData.collectionAverage);
@@ -502,21 +652,22 @@ function generateFemaleTrendInsight(data) {
  */
 function updateAcquisitionLagCharts() {
   // Get acquisition lag data
-  const lagData = getAcquisitionLagData(artworks);
-  const lagDistData = getAcquisitionLagDistribution(artworks);
+  const items = getAttributedArtworks();
+  const lagData = getAcquisitionLagData(items);
+  const lagDistData = getAcquisitionLagDistribution(items);
 
   // Update or create acquisition lag comparison chart
   if (acquisitionLagChartInstance) {
-    updateDimensionChart(acquisitionLagChartInstance, lagData.labels, lagData.maleData, lagData.femaleData, lagData.unknownData);
+    updateDimensionChart(acquisitionLagChartInstance, lagData.labels, lagData.genders, lagData.data);
   } else {
-    acquisitionLagChartInstance = createDimensionChart(lagData.labels, lagData.maleData, lagData.femaleData, lagData.unknownData, "acquisitionLagChart");
+    acquisitionLagChartInstance = createDimensionChart(lagData.labels, lagData.genders, lagData.data, "acquisitionLagChart");
   }
 
   // Update or create lag distribution chart
   if (lagDistributionChartInstance) {
-    updateAreaDistributionChart(lagDistributionChartInstance, lagDistData.labels, lagDistData.malePercent, lagDistData.femalePercent, lagDistData.unknownPercent);
+    updateAreaDistributionChart(lagDistributionChartInstance, lagDistData.labels, lagDistData.genders, lagDistData.percent);
   } else {
-    lagDistributionChartInstance = createAreaDistributionChart(lagDistData.labels, lagDistData.malePercent, lagDistData.femalePercent, lagDistData.unknownPercent, "lagDistributionChart", "Years between production and acquisition");
+    lagDistributionChartInstance = createAreaDistributionChart(lagDistData.labels, lagDistData.genders, lagDistData.percent, "lagDistributionChart", "Years between production and acquisition");
   }
 
   // Update insights
@@ -561,7 +712,7 @@ function updateAcquisitionLagInsights(lagData) {
  * Matches: #departmentSankeyContainer (line 235)
  */
 function updateDepartmentSankey() {
-  const departmentData = getDepartmentGenderData(artworks);
+  const departmentData = getDepartmentGenderData(getLabelledArtworks());
 
   // Return early if no data
   if (!departmentData.nodes || departmentData.nodes.length === 0) {
@@ -586,16 +737,17 @@ function updateDepartmentSankey() {
  * Matches: #objectTypeContainer (line 245)
  */
 function updateObjectTypeCharts() {
-  objectTypeChartInstance = updateOrCreateObjectTypeChart(artworks, "objectTypeChart", objectTypeChartInstance);
+  const labelledArtworks = getLabelledArtworks();
+  objectTypeChartInstance = updateOrCreateObjectTypeChart(labelledArtworks, "objectTypeChart", objectTypeChartInstance);
 
   // Add percentage chart
-  const objectTypeData = getObjectTypeData(artworks);
+  const objectTypeData = getObjectTypeData(labelledArtworks);
   const objectTypePercentData = convertToPercentages(objectTypeData);
 
   if (objectTypeChartPercentInstance) {
-    updatePercentageStackChart(objectTypeChartPercentInstance, objectTypePercentData.labels, objectTypePercentData.maleData, objectTypePercentData.femaleData, objectTypePercentData.unknownData, objectTypePercentData.maleCount, objectTypePercentData.femaleCount, objectTypePercentData.unknownCount);
+    updatePercentageStackChart(objectTypeChartPercentInstance, objectTypePercentData.labels, objectTypePercentData.genders, objectTypePercentData.data, objectTypePercentData.count);
   } else {
-    objectTypeChartPercentInstance = createPercentageStackChart(objectTypePercentData.labels, objectTypePercentData.maleData, objectTypePercentData.femaleData, objectTypePercentData.unknownData, "objectTypeChartPercent", objectTypePercentData.maleCount, objectTypePercentData.femaleCount, objectTypePercentData.unknownCount);
+    objectTypeChartPercentInstance = createPercentageStackChart(objectTypePercentData.labels, objectTypePercentData.genders, objectTypePercentData.data, "objectTypeChartPercent", objectTypePercentData.count);
   }
 }
 
@@ -604,28 +756,29 @@ function updateObjectTypeCharts() {
  * Matches: #techniquesContainer (line 254) and #materialsContainer (line 263)
  */
 function updateTechniquesMaterialsCharts() {
-  techniquesChartInstance = updateOrCreateTopAttributeChart(artworks, "techniques", "techniquesChart", techniquesChartInstance);
+  const labelledArtworks = getLabelledArtworks();
+  techniquesChartInstance = updateOrCreateTopAttributeChart(labelledArtworks, "techniques", "techniquesChart", techniquesChartInstance);
 
   // Add techniques percentage chart
-  const techniquesData = getTopAttributeData(artworks, "techniques");
+  const techniquesData = getTopAttributeData(labelledArtworks, "techniques");
   const techniquesPercentData = convertToPercentages(techniquesData);
 
   if (techniquesChartPercentInstance) {
-    updatePercentageStackChart(techniquesChartPercentInstance, techniquesPercentData.labels, techniquesPercentData.maleData, techniquesPercentData.femaleData, techniquesPercentData.unknownData, techniquesPercentData.maleCount, techniquesPercentData.femaleCount, techniquesPercentData.unknownCount);
+    updatePercentageStackChart(techniquesChartPercentInstance, techniquesPercentData.labels, techniquesPercentData.genders, techniquesPercentData.data, techniquesPercentData.count);
   } else {
-    techniquesChartPercentInstance = createPercentageStackChart(techniquesPercentData.labels, techniquesPercentData.maleData, techniquesPercentData.femaleData, techniquesPercentData.unknownData, "techniquesChartPercent", techniquesPercentData.maleCount, techniquesPercentData.femaleCount, techniquesPercentData.unknownCount);
+    techniquesChartPercentInstance = createPercentageStackChart(techniquesPercentData.labels, techniquesPercentData.genders, techniquesPercentData.data, "techniquesChartPercent", techniquesPercentData.count);
   }
 
-  materialsChartInstance = updateOrCreateTopAttributeChart(artworks, "materials", "materialsChart", materialsChartInstance);
+  materialsChartInstance = updateOrCreateTopAttributeChart(labelledArtworks, "materials", "materialsChart", materialsChartInstance);
 
   // Add materials percentage chart
-  const materialsData = getTopAttributeData(artworks, "materials");
+  const materialsData = getTopAttributeData(labelledArtworks, "materials");
   const materialsPercentData = convertToPercentages(materialsData);
 
   if (materialsChartPercentInstance) {
-    updatePercentageStackChart(materialsChartPercentInstance, materialsPercentData.labels, materialsPercentData.maleData, materialsPercentData.femaleData, materialsPercentData.unknownData, materialsPercentData.maleCount, materialsPercentData.femaleCount, materialsPercentData.unknownCount);
+    updatePercentageStackChart(materialsChartPercentInstance, materialsPercentData.labels, materialsPercentData.genders, materialsPercentData.data, materialsPercentData.count);
   } else {
-    materialsChartPercentInstance = createPercentageStackChart(materialsPercentData.labels, materialsPercentData.maleData, materialsPercentData.femaleData, materialsPercentData.unknownData, "materialsChartPercent", materialsPercentData.maleCount, materialsPercentData.femaleCount, materialsPercentData.unknownCount);
+    materialsChartPercentInstance = createPercentageStackChart(materialsPercentData.labels, materialsPercentData.genders, materialsPercentData.data, "materialsChartPercent", materialsPercentData.count);
   }
 }
 
@@ -639,12 +792,12 @@ function updateTechniquesMaterialsCharts() {
  * Matches: #creatorDepictedContainer (line 275)
  */
 function updateCreatorDepictedChartView() {
-  const data = getCreatorDepictedGenderData(artworks);
+  const data = getCreatorDepictedGenderData(getAttributedArtworks());
 
   if (creatorDepictedChartInstance) {
-    updateCreatorDepictedChart(creatorDepictedChartInstance, data.labels, data.maleDepictedPercent, data.femaleDepictedPercent, data.unknownDepictedPercent, data.maleDepictedCount, data.femaleDepictedCount, data.unknownDepictedCount);
+    updateCreatorDepictedChart(creatorDepictedChartInstance, data.labels, data.depictedGenders, data.depictedPercent, data.depictedCount);
   } else {
-    creatorDepictedChartInstance = createCreatorDepictedChart(data.labels, data.maleDepictedPercent, data.femaleDepictedPercent, data.unknownDepictedPercent, "creatorDepictedChart", data.maleDepictedCount, data.femaleDepictedCount, data.unknownDepictedCount);
+    creatorDepictedChartInstance = createCreatorDepictedChart(data.labels, data.depictedGenders, data.depictedPercent, "creatorDepictedChart", data.depictedCount);
   }
 
   // Update insight text
@@ -685,7 +838,7 @@ function updateCreatorDepictedInsight(data) {
  * Matches: #depictionGeographyContainer (line 288)
  */
 function updateDepictionGeography() {
-  const locationData = getDepictedLocationData(artworks);
+  const locationData = getDepictedLocationData(getLabelledArtworks());
 
   // Update or create map
   if (depictionMapInstance) {
@@ -696,9 +849,9 @@ function updateDepictionGeography() {
 
   // Update or create distance chart
   if (depictionDistanceChartInstance) {
-    updateBarChart(depictionDistanceChartInstance, locationData.distanceBins, locationData.distanceDistribution.Male, locationData.distanceDistribution.Female, locationData.distanceDistribution.Unknown);
+    updateBarChart(depictionDistanceChartInstance, locationData.distanceBins, locationData.genders, locationData.distanceDistribution);
   } else {
-    depictionDistanceChartInstance = createBarChart(locationData.distanceBins, locationData.distanceDistribution.Male, locationData.distanceDistribution.Female, locationData.distanceDistribution.Unknown, "depictionDistanceChart");
+    depictionDistanceChartInstance = createBarChart(locationData.distanceBins, locationData.genders, locationData.distanceDistribution, "depictionDistanceChart");
   }
 
   // Update insights
@@ -718,21 +871,23 @@ function updateDepictionGeographyInsight(data) {
   }
 
   const coveragePercent = ((data.artworksWithLocation / data.totalArtworks) * 100).toFixed(1);
-  const medianDiff = Math.abs(data.maleStats.median - data.femaleStats.median);
+  const maleStats = data.distanceStats.Male;
+  const femaleStats = data.distanceStats.Female;
+  const medianDiff = Math.abs(maleStats.median - femaleStats.median);
   const maleLocal = data.distanceDistribution.Male[0]; // 0-50km
   const femaleLocal = data.distanceDistribution.Female[0];
   const maleLocalPercent = data.totals.Male > 0 ? (maleLocal / data.totals.Male * 100).toFixed(1) : 0;
   const femaleLocalPercent = data.totals.Female > 0 ? (femaleLocal / data.totals.Female * 100).toFixed(1) : 0;
-  const maxDistance = data.femaleStats.max > data.maleStats.max ? data.femaleStats.max : data.maleStats.max;
-  const maleAvgMedianDiff = Math.abs(data.maleStats.avg - data.maleStats.median);
-  const femaleAvgMedianDiff = Math.abs(data.femaleStats.avg - data.femaleStats.median);
+  const maxDistance = femaleStats.max > maleStats.max ? femaleStats.max : maleStats.max;
+  const maleAvgMedianDiff = Math.abs(maleStats.avg - maleStats.median);
+  const femaleAvgMedianDiff = Math.abs(femaleStats.avg - femaleStats.median);
 
   let insightHTML = `<p><strong>Geographic analysis of depicted locations:</strong> Among ${data.artworksWithLocation.toLocaleString()} artworks (${coveragePercent}% of collection) with identified geographic locations depicted in the artwork, we can measure the distance from Copenhagen to understand geographic scope. The analysis includes ${data.totals.Male.toLocaleString()} works by male artists and ${data.totals.Female.toLocaleString()} works by female artists.</p>`;
 
-  insightHTML += `<p><strong>Distance patterns:</strong> The median distance from Copenhagen is ${data.maleStats.median} km for male artists' works and ${data.femaleStats.median} km for female artists' works (${medianDiff} km difference). Looking at proximity to Denmark's capital, ${maleLocalPercent}% of male artists' works depict locations within 50 km of Copenhagen, compared to ${femaleLocalPercent}% for female artists, indicating the balance between local Danish scenes and international subject matter across the collection.</p>`;
+  insightHTML += `<p><strong>Distance patterns:</strong> The median distance from Copenhagen is ${maleStats.median} km for male artists' works and ${femaleStats.median} km for female artists' works (${medianDiff} km difference). Looking at proximity to Denmark's capital, ${maleLocalPercent}% of male artists' works depict locations within 50 km of Copenhagen, compared to ${femaleLocalPercent}% for female artists, indicating the balance between local Danish scenes and international subject matter across the collection.</p>`;
 
   if (maleAvgMedianDiff > 200 || femaleAvgMedianDiff > 200) {
-    insightHTML += `<p><strong>Statistical note:</strong> The median values provide more accurate typical distances than averages (Male: ${data.maleStats.avg} km, Female: ${data.femaleStats.avg} km) because some artworks depict very distant locations such as Greenland (maximum distance: ${maxDistance} km), which significantly skew the arithmetic means upward.</p>`;
+    insightHTML += `<p><strong>Statistical note:</strong> The median values provide more accurate typical distances than averages (Male: ${maleStats.avg} km, Female: ${femaleStats.avg} km) because some artworks depict very distant locations such as Greenland (maximum distance: ${maxDistance} km), which significantly skew the arithmetic means upward.</p>`;
   }
 
   insightEl.innerHTML = insightHTML;
@@ -750,7 +905,7 @@ function updateDepictionGeographyInsight(data) {
  */
 function updateColorCharts() {
   // Get color timeline data
-  const colorTimelineData = getColorTimelineData(artworks);
+  const colorTimelineData = getColorTimelineData(getAttributedArtworks());
 
   // Update or create male color timeline chart
   if (colorTimelineMaleChartInstance) {
@@ -758,13 +913,13 @@ function updateColorCharts() {
       colorTimelineMaleChartInstance,
       colorTimelineData.labels,
       colorTimelineData.colorFamilies,
-      colorTimelineData.maleData
+      colorTimelineData.data.Male
     );
   } else {
     colorTimelineMaleChartInstance = createColorFamilyTimelineChart(
       colorTimelineData.labels,
       colorTimelineData.colorFamilies,
-      colorTimelineData.maleData,
+      colorTimelineData.data.Male,
       "colorTimelineMaleChart"
     );
   }
@@ -775,25 +930,25 @@ function updateColorCharts() {
       colorTimelineFemaleChartInstance,
       colorTimelineData.labels,
       colorTimelineData.colorFamilies,
-      colorTimelineData.femaleData
+      colorTimelineData.data.Female
     );
   } else {
     colorTimelineFemaleChartInstance = createColorFamilyTimelineChart(
       colorTimelineData.labels,
       colorTimelineData.colorFamilies,
-      colorTimelineData.femaleData,
+      colorTimelineData.data.Female,
       "colorTimelineFemaleChart"
     );
   }
 
   // Get color treemap data
-  const colorTreemapData = getColorTreemapData(artworks);
+  const colorTreemapData = getColorTreemapData(getAttributedArtworks());
 
   // Create or update male color treemap
-  createColorTreemap(colorTreemapData.male, 'colorTreemapMaleContainer', 'Male Artists');
+  createColorTreemap(colorTreemapData.colors.Male, 'colorTreemapMaleContainer', 'Male Artists');
 
   // Create or update female color treemap
-  createColorTreemap(colorTreemapData.female, 'colorTreemapFemaleContainer', 'Female Artists');
+  createColorTreemap(colorTreemapData.colors.Female, 'colorTreemapFemaleContainer', 'Female Artists');
 }
 
 /**
@@ -802,28 +957,29 @@ function updateColorCharts() {
  */
 function updateDimensionCharts() {
   // Get dimension data for paintings
-  const dimensionData = getDimensionData(artworks, "Painting");
-  const areaDistData = getAreaDistributionData(artworks, "Painting");
+  const items = getAttributedArtworks();
+  const dimensionData = getDimensionData(items, "Painting");
+  const areaDistData = getAreaDistributionData(items, "Painting");
 
   // Update or create dimension comparison chart (height and width)
   if (dimensionChartInstance) {
-    updateDimensionChart(dimensionChartInstance, dimensionData.labels, dimensionData.maleData, dimensionData.femaleData, dimensionData.unknownData);
+    updateDimensionChart(dimensionChartInstance, dimensionData.labels, dimensionData.genders, dimensionData.data);
   } else {
-    dimensionChartInstance = createDimensionChart(dimensionData.labels, dimensionData.maleData, dimensionData.femaleData, dimensionData.unknownData, "dimensionChart");
+    dimensionChartInstance = createDimensionChart(dimensionData.labels, dimensionData.genders, dimensionData.data, "dimensionChart");
   }
 
   // Update or create area comparison chart
   if (areaChartInstance) {
-    updateAreaChart(areaChartInstance, dimensionData.labels, dimensionData.maleData, dimensionData.femaleData, dimensionData.unknownData);
+    updateAreaChart(areaChartInstance, dimensionData.labels, dimensionData.genders, dimensionData.data);
   } else {
-    areaChartInstance = createAreaChart(dimensionData.labels, dimensionData.maleData, dimensionData.femaleData, dimensionData.unknownData, "areaChart");
+    areaChartInstance = createAreaChart(dimensionData.labels, dimensionData.genders, dimensionData.data, "areaChart");
   }
 
   // Update or create area distribution chart
   if (areaDistributionChartInstance) {
-    updateAreaDistributionChart(areaDistributionChartInstance, areaDistData.labels, areaDistData.malePercent, areaDistData.femalePercent, areaDistData.unknownPercent);
+    updateAreaDistributionChart(areaDistributionChartInstance, areaDistData.labels, areaDistData.genders, areaDistData.percent);
   } else {
-    areaDistributionChartInstance = createAreaDistributionChart(areaDistData.labels, areaDistData.malePercent, areaDistData.femalePercent, areaDistData.unknownPercent, "areaDistributionChart");
+    areaDistributionChartInstance = createAreaDistributionChart(areaDistData.labels, areaDistData.genders, areaDistData.percent, "areaDistributionChart");
   }
 
   // Update insights
@@ -874,20 +1030,20 @@ function updateDimensionInsights(dimensionData) {
  */
 function updateExhibitionCharts() {
   // Get metrics for all years
-  const metrics = getExhibitionMetrics(artworks);
+  const metrics = getExhibitionMetrics(getAttributedArtworks());
 
   // Average exhibitions chart
   if (exhibitionAvgChartInstance) {
     updateExhibitionAvgChart(
       exhibitionAvgChartInstance,
-      metrics.avgData.labels,
+      metrics.genders,
       metrics.avgData.values,
       metrics.totalWorks,
       metrics.totalExhibitions
     );
   } else {
     exhibitionAvgChartInstance = createExhibitionAvgChart(
-      metrics.avgData.labels,
+      metrics.genders,
       metrics.avgData.values,
       metrics.totalWorks,
       metrics.totalExhibitions,
@@ -899,14 +1055,14 @@ function updateExhibitionCharts() {
   if (exhibitionPercentChartInstance) {
     updateExhibitionPercentChart(
       exhibitionPercentChartInstance,
-      metrics.percentData.labels,
+      metrics.genders,
       metrics.percentData.values,
       metrics.totalWorks,
       metrics.worksExhibited
     );
   } else {
     exhibitionPercentChartInstance = createExhibitionPercentChart(
-      metrics.percentData.labels,
+      metrics.genders,
       metrics.percentData.values,
       metrics.totalWorks,
       metrics.worksExhibited,
@@ -920,11 +1076,11 @@ function updateExhibitionCharts() {
  * Matches: #onDisplayContainer (line 411)
  */
 function updateOnDisplayChart() {
-  const onDisplayData = getOnDisplayData(artworks);
+  const onDisplayData = getOnDisplayData(getAttributedArtworks());
   if (onDisplayChartInstance) {
-    updateDisplayStatusChart(onDisplayChartInstance, onDisplayData.labels, onDisplayData.displayedPercent, onDisplayData.notDisplayedPercent, onDisplayData.displayedCount, onDisplayData.notDisplayedCount);
+    updateDisplayStatusChart(onDisplayChartInstance, onDisplayData.genders, onDisplayData.displayedPercent, onDisplayData.notDisplayedPercent, onDisplayData.displayedCount, onDisplayData.notDisplayedCount);
   } else {
-    onDisplayChartInstance = createDisplayStatusChart(onDisplayData.labels, onDisplayData.displayedPercent, onDisplayData.notDisplayedPercent, "onDisplayChart", onDisplayData.displayedCount, onDisplayData.notDisplayedCount);
+    onDisplayChartInstance = createDisplayStatusChart(onDisplayData.genders, onDisplayData.displayedPercent, onDisplayData.notDisplayedPercent, "onDisplayChart", onDisplayData.displayedCount, onDisplayData.notDisplayedCount);
   }
   updateOnDisplayInsight();
 }
@@ -934,11 +1090,11 @@ function updateOnDisplayChart() {
  * Matches: #hasImageContainer (line 423)
  */
 function updateHasImageChart() {
-  const hasImageData = getHasImageData(artworks);
+  const hasImageData = getHasImageData(getAttributedArtworks());
   if (hasImageChartInstance) {
-    updateImageAvailabilityChart(hasImageChartInstance, hasImageData.labels, hasImageData.withImagePercent, hasImageData.withoutImagePercent, hasImageData.withImageCount, hasImageData.withoutImageCount);
+    updateImageAvailabilityChart(hasImageChartInstance, hasImageData.genders, hasImageData.withImagePercent, hasImageData.withoutImagePercent, hasImageData.withImageCount, hasImageData.withoutImageCount);
   } else {
-    hasImageChartInstance = createImageAvailabilityChart(hasImageData.labels, hasImageData.withImagePercent, hasImageData.withoutImagePercent, "hasImageChart", hasImageData.withImageCount, hasImageData.withoutImageCount);
+    hasImageChartInstance = createImageAvailabilityChart(hasImageData.genders, hasImageData.withImagePercent, hasImageData.withoutImagePercent, "hasImageChart", hasImageData.withImageCount, hasImageData.withoutImageCount);
   }
   updateHasImageInsight(hasImageData);
 }
@@ -949,8 +1105,8 @@ function updateHasImageChart() {
 function updateHasImageInsight(hasImageData) {
   if (artworks.length === 0) return;
 
-  const percentWithImageMale = hasImageData.maleData[2];
-  const percentWithImageFemale = hasImageData.femaleData[2];
+  const percentWithImageMale = hasImageData.percent.Male;
+  const percentWithImageFemale = hasImageData.percent.Female;
 
   const hasImageBox = document.getElementById('hasImageInsight');
   hasImageBox.innerHTML = `
@@ -969,6 +1125,8 @@ function updateAllVisualizations() {
   // Always update stats and insights (above the fold)
   updateStatsDisplay();
   generateInsights();
+  refreshArtistIdentityPanel(artworks);
+  refreshOverridePanel(artworks);
 
   if (isInitialLoad) {
     // Setup lazy loading for below-the-fold charts
@@ -1023,33 +1181,43 @@ const debouncedUpdateVisualizations = debounce(updateAllVisualizations, CONFIG.p
 /**
  * Load data from cache or API
  * @param {boolean} forceRefresh - Force fetch from API even if cache exists
+ * @param {Object} [source] - Data source, by default the API limited to the active
+ *   scope; any other source is always read in full
  */
-async function loadData(forceRefresh = false) {
-  // Check storage consent
+async function loadData(forceRefresh = false, source = createApiSource(activeScope)) {
+  // Check storage consent (replayed and recorded API data is never cached)
   const consent = hasStorageConsent();
-  const canUseCache = consent === true;
+  const canUseCache = consent === true && source.kind === 'api' && isLiveTransport();
+  const scopeLabel = source.scope ? ` (${describeScope(source.scope)})` : '';
+
+  activeScope = source.scope;
 
   // Clear cache if force refresh
   if (forceRefresh) {
-    await clearCachedData();
+    await clearCachedData(source.scope);
     hideCacheStatus();
   }
 
   // Check cache first (only if consent is given)
   if (canUseCache && !forceRefresh) {
-    const cachedData = await getCachedData();
+    const cachedData = await getCachedData(source.scope);
     if (cachedData && cachedData.length > 0) {
       artworks = cachedData;
+      setPartialDataState(null);
       updateAllVisualizations();
       hideLoadingIndicator();
 
       // Show cache status
-      const metadata = await getCacheMetadata();
+      const metadata = await getCacheMetadata(source.scope);
       if (metadata) {
-        showCacheStatus(metadata.timestamp, metadata.itemCount);
+        showCacheStatus(metadata.timestamp, metadata.itemCount, describeScope(source.scope));
       }
+      refreshSnapshotPanel();
+      refreshCachePanel(activeScope);
+      refreshScopePanel(artworks, activeScope);
+      showDataHealthReport(getDataHealthReport());
 
-      showSuccessMessage(`Loaded ${artworks.length.toLocaleString()} artworks from cache`);
+      showSuccessMessage(`Loaded ${artworks.length.toLocaleString()} artworks${scopeLabel} from cache`);
       return;
     }
   }
@@ -1059,44 +1227,383 @@ async function loadData(forceRefresh = false) {
   hideCacheStatus();
 
   // Fetch data with progress updates (using debounced updates for performance)
+  let recoveredCount = 0;
+  const download = { loaded: 0, total: null, paused: false, stopped: false, source, consent: getStorageConsent() };
+  activeDownload = download;
+  showDownloadControls(source.kind === 'api');
+
+  const apiMode = getTransportSettings().mode;
+  const sourceLabel = source.kind === 'api' && apiMode !== 'live' ? `${source.label} (${apiMode})` : source.label;
+
+  // Reloading the page does not help with a file that cannot be imported
+  const reportFailure = (error) => {
+    showErrorMessage(source.kind === 'api'
+      ? `Failed to load data: ${error.message}. ${describeFetchError(error)}`
+      : `Failed to import ${source.label}: ${error.message}`);
+  };
+
   try {
     artworks = await fetchAllDataIncremental(
-      (offset, currentArtworks) => {
+      (offset, currentArtworks, total) => {
         artworks = currentArtworks;
+        download.loaded = offset;
+        download.total = total;
+        setPartialDataState(download);
         // Use debounced updates during incremental loading to reduce CPU usage
         debouncedUpdateVisualizations();
-        updateLoadingIndicator(offset);
+        if (download.paused) {
+          // Pages that were in flight when the download was paused
+          showPausedIndicator(offset, total);
+        } else {
+          updateLoadingIndicator(offset, recoveredCount, total);
+        }
       },
-      (error) => {
-        showErrorMessage(`Failed to load data: ${error.message}. Please try refreshing the page.`);
-      }
+      reportFailure,
+      (recovered, currentArtworks, total) => {
+        // Records saved by an interrupted download
+        recoveredCount = recovered;
+        artworks = currentArtworks;
+        download.loaded = recovered;
+        download.total = total;
+        setPartialDataState(download);
+        debouncedUpdateVisualizations();
+        showResumeIndicator(recovered);
+      },
+      source
     );
 
+    // Another load took over (e.g. a new scope was applied)
+    if (activeDownload !== download) return;
+    activeDownload = null;
+    hideDownloadControls();
+
     // Final update with all data (no debounce)
     updateAllVisualizations();
     hideLoadingIndicator();
+    showDataHealthReport(getDataHealthReport());
+
+    if (download.stopped) {
+      // The charts keep their partial-data flag until a complete load
+      setPartialDataState(download);
+      showSuccessMessage(`Download stopped: showing ${artworks.length.toLocaleString()} artworks${scopeLabel} (partial data)`);
+      return;
+    }
+    setPartialDataState(null);
+
+    // Choices made in the consent dialog during the download apply now
+    const changes = consentChangesSince(download.consent);
+    await clearPurposeData(changes.declined);
+    const saved = await saveLoadedData(artworks, changes.accepted);
 
     // Show success message
     const consentStatus = hasStorageConsent();
-    if (consentStatus === true) {
-      showSuccessMessage(`Successfully loaded ${artworks.length.toLocaleString()} artworks from API`);
+    if (consentStatus === true && isLiveTransport()) {
+      showSuccessMessage(`Successfully loaded ${artworks.length.toLocaleString()} artworks${scopeLabel} from ${sourceLabel}`);
+      const cached = await resolveCacheFailure(artworks, saved ?? getCacheWriteStatus());
 
       // Show cache status after data is cached
       setTimeout(async () => {
-        const metadata = await getCacheMetadata();
+        const metadata = cached ? await getCacheMetadata(source.scope) : null;
         if (metadata) {
-          showCacheStatus(metadata.timestamp, metadata.itemCount);
+          showCacheStatus(metadata.timestamp, metadata.itemCount, describeScope(source.scope));
         }
+        refreshSnapshotPanel();
+        refreshCachePanel(activeScope);
+        refreshScopePanel(artworks, activeScope);
       }, 100);
     } else if (consentStatus === false) {
-      showSuccessMessage(`Successfully loaded ${artworks.length.toLocaleString()} artworks from API (caching disabled)`);
+      showSuccessMessage(`Successfully loaded ${artworks.length.toLocaleString()} artworks${scopeLabel} from ${sourceLabel} (caching disabled)`);
+      // The snapshot history has its own consent
+      refreshSnapshotPanel();
+      refreshScopePanel(artworks, activeScope);
     } else {
-      showSuccessMessage(`Successfully loaded ${artworks.length.toLocaleString()} artworks from API`);
+      showSuccessMessage(`Successfully loaded ${artworks.length.toLocaleString()} artworks${scopeLabel} from ${sourceLabel}`);
+      refreshScopePanel(artworks, activeScope);
+    }
+
+  } catch (error) {
+    if (activeDownload === download) {
+      activeDownload = null;
+      hideDownloadControls();
+      // Records received before the failure stay on screen, flagged as partial
+      setPartialDataState(download.loaded > 0 ? download : null);
+    }
+    hideLoadingIndicator();
+    reportFailure(error);
+  }
+}
+
+/**
+ * Let the user decide what happens when the data just loaded could not be
+ * cached: make room by removing other cached data and save again, or keep the
+ * data for this session only
+ * @param {Array<Object>} data - The loaded artworks
+ * @param {Object|null} [status] - Outcome of the cache write, by default that of the last fetch or sync
+ * @returns {Promise<boolean>} Whether the data is cached
+ */
+async function resolveCacheFailure(data, status = getCacheWriteStatus()) {
+  if (!status || status.saved) return true;
+
+  const shortfall = status.needed ? ` (about ${(status.needed / 1048576).toFixed(1)} MB more is needed)` : '';
+  const message = status.reason === 'quota'
+    ? `There is not enough browser storage to save this data for offline use${shortfall}.`
+    : 'The data could not be saved for offline use.';
+  const consequence = 'Saving it removes the other saved datasets and the snapshot history.';
+  const choice = await showChoicePrompt(`${message} ${consequence}`, [
+    { value: 'free', label: 'Remove other saved data and save' },
+    { value: 'skip', label: 'Continue without saving' }
+  ]);
+  hideLoadingIndicator();
+
+  if (choice === 'skip') {
+    // The data stays on screen for this session only
+    hideCacheStatus();
+    return false;
+  }
+
+  await freeCacheSpace(status.scope);
+  const retry = await setCachedData(data, status.syncState, status.scope);
+  if (!retry.saved) {
+    hideCacheStatus();
+    showErrorMessage('The data could not be saved, even after removing other saved data and the snapshot history. It stays available until you close this page.');
+    return false;
+  }
+  announceCacheUpdate(status.scope);
+  return true;
+}
+
+/**
+ * Delete all saved data (cache panel); the artworks on screen stay until the
+ * page is closed
+ */
+async function purgeSavedData() {
+  // A running download would keep saving its pages
+  if (activeDownload) stopDownload();
+
+  await purgeCache();
+  hideCacheStatus();
+  refreshSnapshotPanel();
+  refreshCachePanel(activeScope);
+  refreshScopePanel(artworks, activeScope);
+}
+
+/**
+ * Purposes accepted or declined in the consent dialog since an earlier choice
+ * @param {Object|null} previous - Earlier choice (see getStorageConsent)
+ * @returns {Object} { accepted, declined }: purpose ids
+ */
+function consentChangesSince(previous) {
+  const consent = getStorageConsent();
+  const ids = STORAGE_PURPOSES.map(({ id }) => id);
+  return {
+    accepted: ids.filter(id => consent?.[id] === true && previous?.[id] !== true),
+    declined: ids.filter(id => consent?.[id] !== true && previous?.[id] === true)
+  };
+}
+
+/**
+ * Apply a choice made in the consent dialog without a reload: delete what was
+ * stored for the declined purposes and save the data on screen for the newly
+ * accepted ones
+ * @param {Object} choices - { cache, views, snapshots, overrides } booleans (see consent.js)
+ * @param {Object|null} previous - The choice before, or null on the first visit
+ */
+async function applyConsentChoice(choices, previous) {
+  const declined = STORAGE_PURPOSES.map(({ id }) => id).filter(id => !choices[id]);
+  const { accepted } = consentChangesSince(previous);
+
+  if (!choices.cache) {
+    // A running download keeps saving its pages: start it again without them
+    if (activeDownload?.consent?.cache) {
+      const { source } = activeDownload;
+      stopDownload();
+      loadData(false, source);
+    }
+    clearCacheExpiry();
+    hideCacheStatus();
+  }
+  // Everything stored for a declined purpose goes, not only what changed
+  await clearPurposeData(declined);
+
+  if (accepted.includes('cache') || accepted.includes('snapshots')) {
+    requestPersistentStorage();
+  }
+  if (accepted.includes('overrides')) {
+    await saveCuratorOverrides();
+  }
+
+  // A running download applies the choice once complete (see loadData)
+  if (!activeDownload) {
+    const status = await saveLoadedData(artworks, accepted);
+    if (status) {
+      const cached = await resolveCacheFailure(artworks, status);
+      const metadata = cached ? await getCacheMetadata(activeScope) : null;
+      if (metadata) {
+        showCacheStatus(metadata.timestamp, metadata.itemCount, describeScope(activeScope));
+      }
+    } else if (accepted.includes('cache') && isLiveTransport()) {
+      // Nothing complete to save (e.g. a stopped download), so download it again
+      loadData(false);
     }
+  }
+
+  refreshSnapshotPanel();
+  refreshCachePanel(activeScope);
+  refreshScopePanel(artworks, activeScope);
+}
+
+/**
+ * Show the data another tab saved (after a download, sync or refresh there)
+ * when it is the dataset on screen here
+ * @param {Object|null} scope - Fetch scope of the updated dataset
+ */
+function showUpdateFromOtherTab(scope) {
+  if (activeDownload || getScopeKey(scope) !== getScopeKey(activeScope)) return;
+  // Without the cache this tab could not read the new data
+  if (hasStorageConsent() !== true || !isLiveTransport()) return;
+
+  loadData(false);
+}
+
+/**
+ * Pause the running download; pages already requested still arrive
+ */
+function pauseDownload() {
+  if (!activeDownload || activeDownload.paused) return;
+
+  activeDownload.paused = true;
+  pauseFetch();
+  setDownloadControlsPaused(true);
+  showPausedIndicator(activeDownload.loaded, activeDownload.total);
+  setPartialDataState(activeDownload);
+}
+
+/**
+ * Resume a paused download
+ */
+function resumeDownload() {
+  if (!activeDownload || !activeDownload.paused) return;
+
+  activeDownload.paused = false;
+  resumeFetch();
+  setDownloadControlsPaused(false);
+  updateLoadingIndicator(activeDownload.loaded, 0, activeDownload.total);
+  setPartialDataState(activeDownload);
+}
+
+/**
+ * Stop the running download and keep the records loaded so far
+ * (loadData finishes up once the fetch settles)
+ */
+function stopDownload() {
+  if (!activeDownload) return;
+
+  activeDownload.stopped = true;
+  cancelFetch();
+}
+
+/**
+ * Initialize the Pause, Resume and Stop controls
+ */
+function initDownloadControls() {
+  const pauseButton = document.getElementById('pauseDownloadButton');
+  const resumeButton = document.getElementById('resumeDownloadButton');
+  const stopButton = document.getElementById('stopDownloadButton');
+  if (!pauseButton || !resumeButton || !stopButton) return;
+
+  pauseButton.addEventListener('click', pauseDownload);
+  resumeButton.addEventListener('click', resumeDownload);
+  stopButton.addEventListener('click', stopDownload);
+}
+
+/**
+ * Sync cached data with the API, fetching only records modified since the
+ * cached snapshot. Falls back to a full reload when there is nothing to sync.
+ */
+async function syncData() {
+  // Replayed and recorded data is not cached, so there is nothing to sync
+  if (!isLiveTransport()) {
+    await loadData(false);
+    return;
+  }
+
+  if (hasStorageConsent() !== true) {
+    await loadData(true);
+    return;
+  }
+
+  showLoadingIndicator();
+
+  try {
+    const result = await syncDataIncremental((count) => {
+      updateSyncIndicator(count);
+    }, undefined, activeScope);
+
+    if (!result) {
+      // No usable snapshot (missing, outdated format or never synced)
+      await loadData(true);
+      return;
+    }
+
+    if (!result.artworks) {
+      // Sync was cancelled, keep showing the cached data
+      hideLoadingIndicator();
+      return;
+    }
+
+    artworks = result.artworks;
+    setPartialDataState(null);
+    updateAllVisualizations();
+    hideLoadingIndicator();
+
+    const cached = await resolveCacheFailure(artworks);
+    const metadata = cached ? await getCacheMetadata(activeScope) : null;
+    if (metadata) {
+      showCacheStatus(metadata.timestamp, metadata.itemCount, describeScope(activeScope));
+    }
+    refreshSnapshotPanel();
+    refreshCachePanel(activeScope);
+    refreshScopePanel(artworks, activeScope);
+    showDataHealthReport(getDataHealthReport());
+
+    showSuccessMessage(`Synced with API: ${result.added.toLocaleString()} added, ${result.updated.toLocaleString()} updated, ${result.removed.toLocaleString()} removed`);
 
   } catch (error) {
     hideLoadingIndicator();
-    showErrorMessage(`Failed to load data: ${error.message}. Please try refreshing the page.`);
+    showErrorMessage(`Failed to sync data: ${error.message}. ${describeFetchError(error)}`);
+  }
+}
+
+/**
+ * Import an offline dump of the SMK API in place of the live API
+ * @param {File} file - .json, .ndjson or gzipped dump
+ */
+async function importData(file) {
+  await loadData(false, createFileSource(file));
+}
+
+/**
+ * Switch to a fetch scope, loading it from its own cache entry when available
+ * @param {Object|null} scope - Normalized scope, or null for the full collection
+ */
+async function applyScope(scope) {
+  await loadData(false, createApiSource(scope));
+}
+
+/**
+ * Ask for the folder that record mode saves API pages into
+ * Loading starts once a folder is chosen; without one the live API is used
+ * without recording.
+ */
+async function prepareRecording() {
+  await showActionPrompt('Record mode: choose the folder to save recorded API pages into.', 'Choose folder');
+
+  try {
+    if (!await chooseRecordDirectory()) {
+      showErrorMessage('No folder chosen. Loading from the live API without recording.');
+    }
+  } catch (error) {
+    showErrorMessage(`${error.message}. Loading from the live API without recording.`);
   }
 }
 
@@ -1104,6 +1611,9 @@ async function loadData(forceRefresh = false) {
  * Initialize the application
  */
 async function init() {
+  if (getTransportSettings().mode === 'record') {
+    await prepareRecording();
+  }
   await loadData(false);
 }
 
@@ -1263,7 +1773,7 @@ function initRefreshButton() {
     refreshButton.textContent = 'Refreshing...';
 
     try {
-      await loadData(true);
+      await syncData();
     } finally {
       // Re-enable button
       refreshButton.disabled = false;
@@ -1287,7 +1797,7 @@ function initExportButton() {
     exportButton.textContent = 'Exporting...';
 
     try {
-      await exportAllChartData(artworks);
+      await exportAllChartData(artworks, getAttributionStrategy(), getUncertainDateMode(), getGenderPreset());
     } catch (error) {
       showErrorMessage('Failed to export data. Please try again.');
     } finally {
@@ -1302,15 +1812,7 @@ function initExportButton() {
  */
 function initializeApplication() {
   // Initialize consent banner first
-  initConsentBanner(
-    () => {
-      // On accept - reload data to use cache
-      loadData(false);
-    },
-    () => {
-      // On decline - continue without cache
-    }
-  );
+  initConsentBanner(applyConsentChoice);
 
   waitForChart();
   initBackToTop();
@@ -1318,7 +1820,37 @@ function initializeApplication() {
   initTabs();
   initHamburgerMenu();
   initRefreshButton();
+  initDownloadControls();
+  subscribeToProgress(showLoadProgress);
+  subscribeToCacheUpdates(showUpdateFromOtherTab);
   initExportButton();
+  initSnapshotPanel();
+  initArtistIdentityPanel();
+  initOverridePanel(() => {
+    // A running download applies the new overrides to its records once complete
+    artworks = applyOverrides(artworks, getCuratorOverrides());
+    updateAllVisualizations();
+  });
+  initCachePanel({
+    onExpiryChange: () => {
+      refreshCachePanel(activeScope);
+      refreshScopePanel(artworks, activeScope);
+    },
+    onPurge: purgeSavedData,
+    onRedownload: () => loadData(true)
+  });
+  initDumpImport(importData);
+  // Labels, attribution, date handling and gender categories are switched on the data already loaded
+  initLanguageSwitch(() => updateAllVisualizations());
+  initAttributionSwitch(() => updateAllVisualizations());
+  initUncertainDatesSwitch(() => updateAllVisualizations());
+  initGenderPresetSwitch(() => updateAllVisualizations());
+  initScopePanel(applyScope);
+  registerServiceWorker();
+  const consent = getStorageConsent();
+  if (consent?.cache || consent?.snapshots) {
+    requestPersistentStorage();
+  }
 }
 
 // Check if DOM is ready
@@ -0,0 +1,96 @@
+/**
+ * Attribution of works with more than one creator
+ * Every record keeps all its creators (see normalize.js); the record's own
+ * gender, creatorId, creatorName, nationality, birthYear and birthDate are those of the first.
+ * The calculator counts "attribution units": for the 'first' strategy these
+ * are the records themselves, otherwise one copy of a record per creator
+ * carrying that creator's details, weighted by `credit` (see creditOf).
+ */
+
+// Strategies offered in the overview; `unit` says what the overview percentages are shares of
+export const ATTRIBUTION_STRATEGIES = [
+  { value: 'first', label: 'First creator only', unit: 'of collection' },
+  { value: 'fractional', label: 'Split credit between creators', unit: 'of collection (shared credit)' },
+  { value: 'perCreator', label: 'Once per creator', unit: 'of creator credits' }
+];
+
+/**
+ * Get the weight an attribution unit counts with
+ * @param {Object} item - Artwork or attribution unit
+ * @returns {number} 1, or the creator's share of a work under 'fractional'
+ */
+export function creditOf(item) {
+  return item.credit ?? 1;
+}
+
+/**
+ * Sum the credit of attribution units
+ * @param {Array<Object>} items - Artworks or attribution units
+ * @returns {number}
+ */
+export function totalCredit(items) {
+  return items.reduce((sum, item) => sum + creditOf(item), 0);
+}
+
+/**
+ * Expand artworks into attribution units
+ * @param {Array<Object>} artworks - Normalized artworks
+ * @param {string} strategy - One of ATTRIBUTION_STRATEGIES
+ * @returns {Array<Object>} The artworks themselves for 'first'; otherwise
+ *   works with several creators become one shallow copy per creator
+ */
+export function attributeArtworks(artworks, strategy) {
+  if (strategy !== 'fractional' && strategy !== 'perCreator') return artworks;
+
+  const units = [];
+  artworks.forEach(artwork => {
+    const creators = artwork.creators || [];
+    if (creators.length < 2) {
+      units.push(artwork);
+      return;
+    }
+
+    creators.forEach(creator => {
+      const unit = {
+        ...artwork,
+        gender: creator.gender,
+        creatorId: creator.id,
+        creatorName: creator.name,
+        nationality: creator.nationality,
+        birthYear: creator.birthYear,
+        birthDate: creator.birthDate
+      };
+      if (strategy === 'fractional') unit.credit = 1 / creators.length;
+      units.push(unit);
+    });
+  });
+  return units;
+}
+
+/**
+ * Count works made by creator teams, and teams of mixed gender
+ * @param {Array<Object>} artworks - Normalized artworks (not attribution units)
+ * @returns {Object} { totalWorks, multiCreator, mixedGender, combinations }
+ *   where a team is of mixed gender when its creators' known genders differ,
+ *   and combinations counts mixed teams by their genders (e.g. "Female + Male")
+ */
+export function getCreatorTeamData(artworks) {
+  let multiCreator = 0;
+  let mixedGender = 0;
+  const combinations = {};
+
+  artworks.forEach(artwork => {
+    const creators = artwork.creators || [];
+    if (creators.length < 2) return;
+    multiCreator++;
+
+    const genders = [...new Set(creators.map(creator => creator.gender).filter(gender => gender !== 'Unknown'))];
+    if (genders.length < 2) return;
+    mixedGender++;
+
+    const key = genders.sort().join(' + ');
+    combinations[key] = (combinations[key] || 0) + 1;
+  });
+
+  return { totalWorks: artworks.length, multiCreator, mixedGender, combinations };
+}
@@ -1,70 +1,102 @@
 /**
  * Statistics calculation utilities
+ * Functions take artworks or attribution units (see attribution.js) and count
+ * each with its credit; medians and other distributions count every unit once.
+ * Results are split by gender category (see data/genders.js): `genders` lists
+ * the categories in chart order and per-gender values are keyed by category.
  */
+import { creditOf, totalCredit } from './attribution.js';
+import { artistKey, getCanonicalNames } from '../data/artists.js';
+import { isUncertainDate, dateYear } from '../data/dates.js';
+import { getGenders, byGender, genderLabel } from '../data/genders.js';
 
 /**
  * End year for 50-year female trend analysis (1975-2025)
  */
 const TREND_END_YEAR = 2025;
 
+/**
+ * Years shown in the birth and creation year histograms
+ */
+const HISTOGRAM_FIRST_YEAR = 1400;
+const HISTOGRAM_LAST_YEAR = 2025;
+
+/**
+ * Sum the values of an object
+ * @param {Object} values - Numbers keyed by gender
+ * @returns {number}
+ */
+function sumValues(values) {
+  return Object.values(values).reduce((sum, value) => sum + value, 0);
+}
+
 /**
  * Calculates gender statistics for a collection of artworks
  * @param {Array<Object>} items - Normalized artwork items
- * @returns {Object} Statistics object with counts and percentages for each gender
+ * @returns {Object} { genders, stats, total, percent } where stats holds the
+ *   count and percent the share (one decimal, as text) of each gender
  */
 export function calculateStats(items) {
-  const stats = { Male: 0, Female: 0, Unknown: 0 };
-  items.forEach(a => stats[a.gender]++);
+  const genders = getGenders(items);
+  const stats = byGender(genders);
+  items.forEach(a => { stats[a.gender] += creditOf(a); });
 
-  const total = stats.Male + stats.Female + stats.Unknown;
-  const malePercent = total > 0 ? ((stats.Male / total) * 100).toFixed(1) : 0;
-  const femalePercent = total > 0 ? ((stats.Female / total) * 100).toFixed(1) : 0;
-  const unknownPercent = total > 0 ? ((stats.Unknown / total) * 100).toFixed(1) : 0;
+  const total = sumValues(stats);
+  const percent = byGender(genders, gender => total > 0 ? ((stats[gender] / total) * 100).toFixed(1) : 0);
 
-  return { stats, total, malePercent, femalePercent, unknownPercent };
+  return { genders, stats, total, percent };
 }
 
 /**
- * Get object type data grouped by gender
+ * Count items by a label and gender, most frequent label first
+ * @param {Array<Object>} items - Normalized artwork items
+ * @param {Function} getLabels - Labels of an item
+ * @param {number} [limit=Infinity] - Labels returned
+ * @returns {Object} { labels, genders, data } with one count per label in data[gender]
  */
-export function getObjectTypeData(items) {
+function countByLabel(items, getLabels, limit = Infinity) {
+  const genders = getGenders(items);
   const counts = {};
   items.forEach(a => {
-    if (a.object_type) {
-      if (!counts[a.object_type]) counts[a.object_type] = { Male: 0, Female: 0, Unknown: 0 };
-      counts[a.object_type][a.gender]++;
-    }
+    getLabels(a).forEach(label => {
+      if (!counts[label]) counts[label] = byGender(genders);
+      counts[label][a.gender] += creditOf(a);
+    });
   });
-  const sorted = Object.entries(counts).sort((a, b) => (b[1].Male + b[1].Female + b[1].Unknown) - (a[1].Male + a[1].Female + a[1].Unknown));
+
+  const sorted = Object.entries(counts).sort((a, b) => sumValues(b[1]) - sumValues(a[1])).slice(0, limit);
   return {
     labels: sorted.map(e => e[0]),
-    maleData: sorted.map(e => e[1].Male),
-    femaleData: sorted.map(e => e[1].Female),
-    unknownData: sorted.map(e => e[1].Unknown)
+    genders,
+    data: byGender(genders, gender => sorted.map(e => e[1][gender]))
   };
 }
 
+/**
+ * Get object type data grouped by gender
+ */
+export function getObjectTypeData(items) {
+  return countByLabel(items, a => a.object_type ? [a.object_type] : []);
+}
+
 /**
  * Get nationality data grouped by gender (top 20)
- * Counts unique artists per nationality, not total artworks
+ * Counts unique artists (see data/artists.js) per nationality, not total artworks
  */
 export function getNationalityData(items) {
+  const genders = getGenders(items);
   const counts = {};
 
   // Track unique artists per nationality and gender
   items.forEach(a => {
     const nat = a.nationality || "Unknown";
-    const artist = a.creatorName || "Unknown";
+    const artist = artistKey(a);
 
     // Skip if no known artist
-    if (artist === "Unknown") return;
+    if (!artist) return;
 
     if (!counts[nat]) {
-      counts[nat] = {
-        Male: new Set(),
-        Female: new Set(),
-        Unknown: new Set()
-      };
+      counts[nat] = byGender(genders, () => new Set());
     }
 
     // Add artist to the appropriate gender set for this nationality
@@ -74,22 +106,17 @@ export function getNationalityData(items) {
   // Convert Sets to counts
   const nationalityCounts = {};
   Object.entries(counts).forEach(([nat, genderSets]) => {
-    nationalityCounts[nat] = {
-      Male: genderSets.Male.size,
-      Female: genderSets.Female.size,
-      Unknown: genderSets.Unknown.size
-    };
+    nationalityCounts[nat] = byGender(genders, gender => genderSets[gender].size);
   });
 
   const sorted = Object.entries(nationalityCounts)
-    .sort((a, b) => (b[1].Male + b[1].Female + b[1].Unknown) - (a[1].Male + a[1].Female + a[1].Unknown))
+    .sort((a, b) => sumValues(b[1]) - sumValues(a[1]))
     .slice(0, 20);
 
   return {
     labels: sorted.map(e => e[0]),
-    maleData: sorted.map(e => e[1].Male),
-    femaleData: sorted.map(e => e[1].Female),
-    unknownData: sorted.map(e => e[1].Unknown)
+    genders,
+    data: byGender(genders, gender => sorted.map(e => e[1][gender]))
   };
 }
 
@@ -97,58 +124,48 @@ export function getNationalityData(items) {
  * Get top attribute data (techniques, materials, etc.)
  */
 export function getTopAttributeData(items, attr) {
-  const counts = {};
-  items.forEach(a => {
-    (a[attr] || []).forEach(v => {
-      if (!counts[v]) counts[v] = { Male: 0, Female: 0, Unknown: 0 };
-      counts[v][a.gender]++;
-    });
-  });
-  const sorted = Object.entries(counts).sort((a, b) => (b[1].Male + b[1].Female + b[1].Unknown) - (a[1].Male + a[1].Female + a[1].Unknown)).slice(0, 20);
-  return {
-    labels: sorted.map(e => e[0]),
-    maleData: sorted.map(e => e[1].Male),
-    femaleData: sorted.map(e => e[1].Female),
-    unknownData: sorted.map(e => e[1].Unknown)
-  };
+  return countByLabel(items, a => a[attr] || [], 20);
 }
 
 /**
- * Get exhibition statistics by gender
+ * Count works, exhibitions and works ever exhibited by gender
+ * @param {Array<Object>} items - Normalized artwork items
+ * @returns {Object} { genders, totalWorks, totalExhibitions, worksExhibited }
  */
-export function getExhibitionData(items) {
-  const counts = { Male: 0, Female: 0, Unknown: 0 };
-  const worksExhibited = { Male: 0, Female: 0, Unknown: 0 };
-  const totalWorks = { Male: 0, Female: 0, Unknown: 0 };
+function countExhibitions(items) {
+  const genders = getGenders(items);
+  const totalWorks = byGender(genders);
+  const totalExhibitions = byGender(genders);
+  const worksExhibited = byGender(genders);
 
   items.forEach(a => {
-    totalWorks[a.gender]++;
-    counts[a.gender] += a.exhibitions;
+    totalWorks[a.gender] += creditOf(a);
+    totalExhibitions[a.gender] += a.exhibitions * creditOf(a);
     if (a.exhibitions > 0) {
-      worksExhibited[a.gender]++;
+      worksExhibited[a.gender] += creditOf(a);
     }
   });
 
+  return { genders, totalWorks, totalExhibitions, worksExhibited };
+}
+
+/**
+ * Get exhibition statistics by gender
+ */
+export function getExhibitionData(items) {
+  const { genders, totalWorks, totalExhibitions, worksExhibited } = countExhibitions(items);
+
   return {
     labels: ["Total Exhibitions", "Works Ever Exhibited", "Avg per Work"],
-    maleData: [
-      counts.Male,
-      worksExhibited.Male,
-      totalWorks.Male > 0 ? (counts.Male / totalWorks.Male).toFixed(2) : 0
-    ],
-    femaleData: [
-      counts.Female,
-      worksExhibited.Female,
-      totalWorks.Female > 0 ? (counts.Female / totalWorks.Female).toFixed(2) : 0
-    ],
-    unknownData: [
-      counts.Unknown,
-      worksExhibited.Unknown,
-      totalWorks.Unknown > 0 ? (counts.Unknown / totalWorks.Unknown).toFixed(2) : 0
-    ],
+    genders,
+    data: byGender(genders, gender => [
+      totalExhibitions[gender],
+      worksExhibited[gender],
+      totalWorks[gender] > 0 ? (totalExhibitions[gender] / totalWorks[gender]).toFixed(2) : 0
+    ]),
     totalWorks,
     worksExhibited,
-    totalExhibitions: counts
+    totalExhibitions
   };
 }
 
@@ -157,38 +174,19 @@ export function getExhibitionData(items) {
  * Returns average exhibitions per artwork and percentage ever exhibited
  */
 export function getExhibitionMetrics(items) {
-  const totalWorks = { Male: 0, Female: 0, Unknown: 0 };
-  const totalExhibitions = { Male: 0, Female: 0, Unknown: 0 };
-  const worksExhibited = { Male: 0, Female: 0, Unknown: 0 };
-
-  items.forEach(a => {
-    totalWorks[a.gender]++;
-    totalExhibitions[a.gender] += a.exhibitions;
-    if (a.exhibitions > 0) {
-      worksExhibited[a.gender]++;
-    }
-  });
-
-  // Calculate averages
-  const avgMale = totalWorks.Male > 0 ? totalExhibitions.Male / totalWorks.Male : 0;
-  const avgFemale = totalWorks.Female > 0 ? totalExhibitions.Female / totalWorks.Female : 0;
-  const avgUnknown = totalWorks.Unknown > 0 ? totalExhibitions.Unknown / totalWorks.Unknown : 0;
-
-  // Calculate percentages ever exhibited
-  const percentMale = totalWorks.Male > 0 ? (worksExhibited.Male / totalWorks.Male) * 100 : 0;
-  const percentFemale = totalWorks.Female > 0 ? (worksExhibited.Female / totalWorks.Female) * 100 : 0;
-  const percentUnknown = totalWorks.Unknown > 0 ? (worksExhibited.Unknown / totalWorks.Unknown) * 100 : 0;
+  const { genders, totalWorks, totalExhibitions, worksExhibited } = countExhibitions(items);
 
   return {
+    genders,
     // Average exhibitions per artwork
     avgData: {
-      labels: ['Male', 'Female', 'Unknown'],
-      values: [avgMale, avgFemale, avgUnknown]
+      labels: genders,
+      values: genders.map(gender => totalWorks[gender] > 0 ? totalExhibitions[gender] / totalWorks[gender] : 0)
     },
     // Percentage ever exhibited
     percentData: {
-      labels: ['Male', 'Female', 'Unknown'],
-      values: [percentMale, percentFemale, percentUnknown]
+      labels: genders,
+      values: genders.map(gender => totalWorks[gender] > 0 ? (worksExhibited[gender] / totalWorks[gender]) * 100 : 0)
     },
     // Raw counts for tooltips
     totalWorks,
@@ -198,127 +196,94 @@ export function getExhibitionMetrics(items) {
 }
 
 /**
- * Get on-display statistics by gender
+ * Split works by gender and a yes/no property, such as being on display
+ * @param {Array<Object>} items - Normalized artwork items
+ * @param {Function} test - Whether an item has the property
+ * @returns {Object} { genders, matching, total, percent } with counts per gender
+ *   and the matching share of each gender (0-100)
  */
-export function getOnDisplayData(items) {
-  const displayed = { Male: 0, Female: 0, Unknown: 0 };
-  const total = { Male: 0, Female: 0, Unknown: 0 };
+function splitByGender(items, test) {
+  const genders = getGenders(items);
+  const matching = byGender(genders);
+  const total = byGender(genders);
 
-  items.forEach(a => {
-    total[a.gender]++;
-    if (a.onDisplay) {
-      displayed[a.gender]++;
+  items.forEach(item => {
+    total[item.gender] += creditOf(item);
+    if (test(item)) {
+      matching[item.gender] += creditOf(item);
     }
   });
 
-  const percentMale = total.Male > 0 ? ((displayed.Male / total.Male) * 100) : 0;
-  const percentFemale = total.Female > 0 ? ((displayed.Female / total.Female) * 100) : 0;
-  const percentUnknown = total.Unknown > 0 ? ((displayed.Unknown / total.Unknown) * 100) : 0;
-
-  const percentNotDisplayedMale = 100 - percentMale;
-  const percentNotDisplayedFemale = 100 - percentFemale;
-  const percentNotDisplayedUnknown = 100 - percentUnknown;
+  const percent = byGender(genders, gender => total[gender] > 0 ? (matching[gender] / total[gender]) * 100 : 0);
+  return { genders, matching, total, percent };
+}
 
-  const notDisplayed = {
-    Male: total.Male - displayed.Male,
-    Female: total.Female - displayed.Female,
-    Unknown: total.Unknown - displayed.Unknown
-  };
+/**
+ * Get on-display statistics by gender
+ */
+export function getOnDisplayData(items) {
+  const { genders, matching: displayed, total, percent } = splitByGender(items, a => a.onDisplay);
+  const notDisplayed = byGender(genders, gender => total[gender] - displayed[gender]);
 
   return {
-    labels: ["Male", "Female", "Unknown"],
-    displayedPercent: [percentMale, percentFemale, percentUnknown],
-    notDisplayedPercent: [percentNotDisplayedMale, percentNotDisplayedFemale, percentNotDisplayedUnknown],
-    displayedCount: [displayed.Male, displayed.Female, displayed.Unknown],
-    notDisplayedCount: [notDisplayed.Male, notDisplayed.Female, notDisplayed.Unknown],
+    labels: genders,
+    genders,
+    displayedPercent: genders.map(gender => percent[gender]),
+    notDisplayedPercent: genders.map(gender => 100 - percent[gender]),
+    displayedCount: genders.map(gender => displayed[gender]),
+    notDisplayedCount: genders.map(gender => notDisplayed[gender]),
     displayed,
     total,
-    // Keep old format for compatibility with insight text
-    maleData: [displayed.Male, total.Male, percentMale.toFixed(1)],
-    femaleData: [displayed.Female, total.Female, percentFemale.toFixed(1)],
-    unknownData: [displayed.Unknown, total.Unknown, percentUnknown.toFixed(1)]
+    // Share displayed (one decimal, as text) for the insight text
+    percent: byGender(genders, gender => percent[gender].toFixed(1))
   };
 }
 
 /**
  * Convert count data to percentages for 100% stacked charts
+ * @param {Object} data - { labels, genders, data } counts per gender
+ * @returns {Object} { labels, genders, data, count } with the percentages in
+ *   data and the original counts, for tooltips, in count
  */
 export function convertToPercentages(data) {
-  const percentageData = {
+  const totals = data.labels.map((_, i) => data.genders.reduce((sum, gender) => sum + data.data[gender][i], 0));
+
+  return {
     labels: data.labels,
-    maleData: [],
-    femaleData: [],
-    unknownData: [],
-    // Also return the original count data for tooltips
-    maleCount: data.maleData,
-    femaleCount: data.femaleData,
-    unknownCount: data.unknownData
+    genders: data.genders,
+    data: byGender(data.genders, gender =>
+      data.data[gender].map((count, i) => totals[i] > 0 ? (count / totals[i]) * 100 : 0)
+    ),
+    count: data.data
   };
-
-  for (let i = 0; i < data.labels.length; i++) {
-    const total = data.maleData[i] + data.femaleData[i] + data.unknownData[i];
-    if (total > 0) {
-      percentageData.maleData.push((data.maleData[i] / total) * 100);
-      percentageData.femaleData.push((data.femaleData[i] / total) * 100);
-      percentageData.unknownData.push((data.unknownData[i] / total) * 100);
-    } else {
-      percentageData.maleData.push(0);
-      percentageData.femaleData.push(0);
-      percentageData.unknownData.push(0);
-    }
-  }
-
-  return percentageData;
 }
 
 /**
  * Get gender distribution over time (percentage per year)
  */
 export function getGenderDistributionOverTime(items) {
+  const genders = getGenders(items);
   const yearData = {};
 
   // Filter to only items with acquisition year
   items.filter(a => a.acquisitionYear !== null).forEach(a => {
     const year = a.acquisitionYear;
     if (!yearData[year]) {
-      yearData[year] = { Male: 0, Female: 0, Unknown: 0 };
+      yearData[year] = byGender(genders);
     }
-    yearData[year][a.gender]++;
+    yearData[year][a.gender] += creditOf(a);
   });
 
   const years = Object.keys(yearData).sort((a, b) => a - b);
-  const malePercent = [];
-  const femalePercent = [];
-  const unknownPercent = [];
-  const maleCount = [];
-  const femaleCount = [];
-  const unknownCount = [];
-
-  years.forEach(year => {
-    const total = yearData[year].Male + yearData[year].Female + yearData[year].Unknown;
-    maleCount.push(yearData[year].Male);
-    femaleCount.push(yearData[year].Female);
-    unknownCount.push(yearData[year].Unknown);
-
-    if (total > 0) {
-      malePercent.push((yearData[year].Male / total) * 100);
-      femalePercent.push((yearData[year].Female / total) * 100);
-      unknownPercent.push((yearData[year].Unknown / total) * 100);
-    } else {
-      malePercent.push(0);
-      femalePercent.push(0);
-      unknownPercent.push(0);
-    }
-  });
+  const totals = years.map(year => sumValues(yearData[year]));
 
   return {
     years,
-    malePercent,
-    femalePercent,
-    unknownPercent,
-    maleCount,
-    femaleCount,
-    unknownCount
+    genders,
+    percent: byGender(genders, gender =>
+      years.map((year, i) => totals[i] > 0 ? (yearData[year][gender] / totals[i]) * 100 : 0)
+    ),
+    count: byGender(genders, gender => years.map(year => yearData[year][gender]))
   };
 }
 
@@ -326,7 +291,9 @@ export function getGenderDistributionOverTime(items) {
  * Analyze creator gender vs depicted person gender
  * Answers: Who depicts whom? Do male artists depict more women or men?
  * @param {Array<Object>} items - Normalized artwork items
- * @returns {Object} Analysis of creator-depicted gender relationships
+ * @returns {Object} Analysis of creator-depicted gender relationships: genders
+ *   (of creators) and depictedGenders, combinations and percentages keyed by
+ *   creator then depicted gender, and per depicted gender one value per creator gender
  */
 export function getCreatorDepictedGenderData(items) {
   // Filter to items with depicted persons
@@ -334,65 +301,76 @@ export function getCreatorDepictedGenderData(items) {
     item.depictedPersons && item.depictedPersons.length > 0
   );
 
+  const genders = getGenders(items);
+  const depictedGenders = getGenders(itemsWithDepictions.flatMap(item => item.depictedPersons));
+
   // Count combinations: creator gender → depicted gender
-  const combinations = {
-    'Male': { 'Male': 0, 'Female': 0, 'Unknown': 0 },
-    'Female': { 'Male': 0, 'Female': 0, 'Unknown': 0 },
-    'Unknown': { 'Male': 0, 'Female': 0, 'Unknown': 0 }
-  };
+  const combinations = byGender(genders, () => byGender(depictedGenders));
 
   // Count total artworks with depictions by creator gender
-  const creatorCounts = { 'Male': 0, 'Female': 0, 'Unknown': 0 };
+  const creatorCounts = byGender(genders);
 
   itemsWithDepictions.forEach(item => {
     const creatorGender = item.gender;
-    creatorCounts[creatorGender]++;
+    creatorCounts[creatorGender] += creditOf(item);
 
     // Count each depicted person
     item.depictedPersons.forEach(person => {
       const depictedGender = person.gender;
-      combinations[creatorGender][depictedGender]++;
+      combinations[creatorGender][depictedGender] += creditOf(item);
     });
   });
 
   // Calculate percentages for each creator gender
-  const percentages = {
-    'Male': { 'Male': 0, 'Female': 0, 'Unknown': 0 },
-    'Female': { 'Male': 0, 'Female': 0, 'Unknown': 0 },
-    'Unknown': { 'Male': 0, 'Female': 0, 'Unknown': 0 }
-  };
-
-  ['Male', 'Female', 'Unknown'].forEach(creatorGender => {
-    const totalDepicted = combinations[creatorGender]['Male'] +
-                          combinations[creatorGender]['Female'] +
-                          combinations[creatorGender]['Unknown'];
-
-    if (totalDepicted > 0) {
-      percentages[creatorGender]['Male'] = (combinations[creatorGender]['Male'] / totalDepicted) * 100;
-      percentages[creatorGender]['Female'] = (combinations[creatorGender]['Female'] / totalDepicted) * 100;
-      percentages[creatorGender]['Unknown'] = (combinations[creatorGender]['Unknown'] / totalDepicted) * 100;
-    }
+  const percentages = byGender(genders, creatorGender => {
+    const totalDepicted = sumValues(combinations[creatorGender]);
+    return byGender(depictedGenders, depictedGender =>
+      totalDepicted > 0 ? (combinations[creatorGender][depictedGender] / totalDepicted) * 100 : 0
+    );
   });
 
   return {
-    totalArtworks: items.length,
-    artworksWithDepictions: itemsWithDepictions.length,
-    coveragePercent: ((itemsWithDepictions.length / items.length) * 100).toFixed(1),
+    totalArtworks: totalCredit(items),
+    artworksWithDepictions: totalCredit(itemsWithDepictions),
+    coveragePercent: ((totalCredit(itemsWithDepictions) / totalCredit(items)) * 100).toFixed(1),
+    genders,
+    depictedGenders,
     creatorCounts,
     combinations,
     percentages,
     // Format for chart display
-    labels: ['Male creators', 'Female creators', 'Unknown creators'],
-    maleDepictedPercent: [percentages['Male']['Male'], percentages['Female']['Male'], percentages['Unknown']['Male']],
-    femaleDepictedPercent: [percentages['Male']['Female'], percentages['Female']['Female'], percentages['Unknown']['Female']],
-    unknownDepictedPercent: [percentages['Male']['Unknown'], percentages['Female']['Unknown'], percentages['Unknown']['Unknown']],
+    labels: genders.map(gender => `${genderLabel(gender)} creators`),
+    depictedPercent: byGender(depictedGenders, depicted => genders.map(creator => percentages[creator][depicted])),
     // Count arrays for tooltips
-    maleDepictedCount: [combinations['Male']['Male'], combinations['Female']['Male'], combinations['Unknown']['Male']],
-    femaleDepictedCount: [combinations['Male']['Female'], combinations['Female']['Female'], combinations['Unknown']['Female']],
-    unknownDepictedCount: [combinations['Male']['Unknown'], combinations['Female']['Unknown'], combinations['Unknown']['Unknown']]
+    depictedCount: byGender(depictedGenders, depicted => genders.map(creator => combinations[creator][depicted]))
   };
 }
 
+/**
+ * Median of sorted numbers
+ * @param {Array<number>} sorted - Numbers in ascending order
+ * @returns {number}
+ */
+function median(sorted) {
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 !== 0 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Share of each bin in counts per gender
+ * @param {Object} binCounts - Counts per gender and bin
+ * @returns {Object} { percent, totals } with the percentage of each gender's total per bin
+ */
+function toGenderPercentages(binCounts) {
+  const totals = {};
+  const percent = {};
+  Object.entries(binCounts).forEach(([gender, counts]) => {
+    totals[gender] = counts.reduce((a, b) => a + b, 0);
+    percent[gender] = counts.map(count => totals[gender] > 0 ? (count / totals[gender]) * 100 : 0);
+  });
+  return { percent, totals };
+}
+
 /**
  * Get dimension statistics by gender for paintings
  * Analyzes physical size (area) and height/width distributions
@@ -410,25 +388,20 @@ export function getDimensionData(items, objectType = "Painting") {
   );
 
   // Group by gender
-  const byGender = {
-    Male: [],
-    Female: [],
-    Unknown: []
-  };
+  const genders = getGenders(filtered);
+  const byGenderDims = byGender(genders, () => []);
 
   filtered.forEach(item => {
-    byGender[item.gender].push(item.dimensions);
+    byGenderDims[item.gender].push(item.dimensions);
   });
 
   // Calculate statistics for each gender
-  const stats = {};
-
-  ['Male', 'Female', 'Unknown'].forEach(gender => {
-    const dims = byGender[gender];
+  const stats = byGender(genders, gender => {
+    const dims = byGenderDims[gender];
     const count = dims.length;
 
     if (count === 0) {
-      stats[gender] = {
+      return {
         count: 0,
         avgArea: 0,
         medianArea: 0,
@@ -436,7 +409,6 @@ export function getDimensionData(items, objectType = "Painting") {
         avgWidth: 0,
         areas: []
       };
-      return;
     }
 
     // Calculate areas in cm² (convert from mm²)
@@ -448,13 +420,7 @@ export function getDimensionData(items, objectType = "Painting") {
     const sumHeight = heights.reduce((a, b) => a + b, 0);
     const sumWidth = widths.reduce((a, b) => a + b, 0);
 
-    // Median calculation
-    const median = arr => {
-      const mid = Math.floor(arr.length / 2);
-      return arr.length % 2 !== 0 ? arr[mid] : (arr[mid - 1] + arr[mid]) / 2;
-    };
-
-    stats[gender] = {
+    return {
       count,
       avgArea: sumArea / count,
       medianArea: median(areas),
@@ -471,24 +437,15 @@ export function getDimensionData(items, objectType = "Painting") {
   return {
     objectType,
     totalCount: filtered.length,
+    genders,
     stats,
     // Format for bar chart display (average dimensions)
     labels: ['Avg Height (cm)', 'Avg Width (cm)', 'Avg Area (cm²)'],
-    maleData: [
-      stats.Male.avgHeight.toFixed(1),
-      stats.Male.avgWidth.toFixed(1),
-      stats.Male.avgArea.toFixed(0)
-    ],
-    femaleData: [
-      stats.Female.avgHeight.toFixed(1),
-      stats.Female.avgWidth.toFixed(1),
-      stats.Female.avgArea.toFixed(0)
-    ],
-    unknownData: [
-      stats.Unknown.avgHeight.toFixed(1),
-      stats.Unknown.avgWidth.toFixed(1),
-      stats.Unknown.avgArea.toFixed(0)
-    ]
+    data: byGender(genders, gender => [
+      stats[gender].avgHeight.toFixed(1),
+      stats[gender].avgWidth.toFixed(1),
+      stats[gender].avgArea.toFixed(0)
+    ])
   };
 }
 
@@ -521,44 +478,46 @@ export function getAreaDistributionData(items, objectType = "Painting") {
   ];
 
   // Initialize bin counts
-  const binCounts = {
-    Male: bins.map(() => 0),
-    Female: bins.map(() => 0),
-    Unknown: bins.map(() => 0)
-  };
+  const genders = getGenders(filtered);
+  const binCounts = byGender(genders, () => bins.map(() => 0));
 
   // Count artworks in each bin
   filtered.forEach(item => {
     const areaCm2 = item.dimensions.area / 100;
     const binIndex = bins.findIndex(bin => areaCm2 >= bin.min && areaCm2 < bin.max);
     if (binIndex !== -1) {
-      binCounts[item.gender][binIndex]++;
+      binCounts[item.gender][binIndex] += creditOf(item);
     }
   });
 
   // Convert to percentages within each gender
-  const toPercent = (counts, total) =>
-    total > 0 ? counts.map(c => (c / total) * 100) : counts.map(() => 0);
-
-  const maleTotal = binCounts.Male.reduce((a, b) => a + b, 0);
-  const femaleTotal = binCounts.Female.reduce((a, b) => a + b, 0);
-  const unknownTotal = binCounts.Unknown.reduce((a, b) => a + b, 0);
+  const { percent, totals } = toGenderPercentages(binCounts);
 
   return {
     labels: bins.map(b => b.label),
+    genders,
     // Absolute counts
-    maleData: binCounts.Male,
-    femaleData: binCounts.Female,
-    unknownData: binCounts.Unknown,
+    data: binCounts,
     // Percentage distributions
-    malePercent: toPercent(binCounts.Male, maleTotal),
-    femalePercent: toPercent(binCounts.Female, femaleTotal),
-    unknownPercent: toPercent(binCounts.Unknown, unknownTotal),
+    percent,
     // Totals for reference
-    totals: { Male: maleTotal, Female: femaleTotal, Unknown: unknownTotal }
+    totals
   };
 }
 
+/**
+ * Get the acquisition lag of items with both production and acquisition years
+ * @param {Array<Object>} items - Normalized artwork items
+ * @returns {Array<Object>} Items acquired in or after their production year
+ */
+function filterLagItems(items) {
+  return items.filter(item =>
+    item.productionYear &&
+    item.acquisitionYear &&
+    item.acquisitionYear >= item.productionYear
+  );
+}
+
 /**
  * Get acquisition lag data (time between production and acquisition)
  * Analyzes whether works by different genders are acquired at different rates
@@ -567,55 +526,34 @@ export function getAreaDistributionData(items, objectType = "Painting") {
  */
 export function getAcquisitionLagData(items) {
   // Filter to items with both production and acquisition years
-  const filtered = items.filter(item =>
-    item.productionYear &&
-    item.acquisitionYear &&
-    item.acquisitionYear >= item.productionYear
-  );
+  const filtered = filterLagItems(items);
 
   // Group by gender
-  const byGender = {
-    Male: [],
-    Female: [],
-    Unknown: []
-  };
+  const genders = getGenders(filtered);
+  const lagsByGender = byGender(genders, () => []);
 
   filtered.forEach(item => {
-    const lag = item.acquisitionYear - item.productionYear;
-    byGender[item.gender].push({
-      lag,
-      acquisitionYear: item.acquisitionYear,
-      productionYear: item.productionYear
-    });
+    lagsByGender[item.gender].push(item.acquisitionYear - item.productionYear);
   });
 
   // Calculate statistics for each gender
-  const stats = {};
-
-  ['Male', 'Female', 'Unknown'].forEach(gender => {
-    const lags = byGender[gender].map(d => d.lag).sort((a, b) => a - b);
+  const stats = byGender(genders, gender => {
+    const lags = lagsByGender[gender].sort((a, b) => a - b);
     const count = lags.length;
 
     if (count === 0) {
-      stats[gender] = {
+      return {
         count: 0,
         avgLag: 0,
         medianLag: 0,
         minLag: 0,
         maxLag: 0
       };
-      return;
     }
 
     const sumLag = lags.reduce((a, b) => a + b, 0);
 
-    // Median calculation
-    const median = arr => {
-      const mid = Math.floor(arr.length / 2);
-      return arr.length % 2 !== 0 ? arr[mid] : (arr[mid - 1] + arr[mid]) / 2;
-    };
-
-    stats[gender] = {
+    return {
       count,
       avgLag: sumLag / count,
       medianLag: median(lags),
@@ -627,21 +565,14 @@ export function getAcquisitionLagData(items) {
 
   return {
     totalCount: filtered.length,
+    genders,
     stats,
     // Format for bar chart display
     labels: ['Avg Lag (years)', 'Median Lag (years)'],
-    maleData: [
-      stats.Male.avgLag.toFixed(0),
-      stats.Male.medianLag.toFixed(0)
-    ],
-    femaleData: [
-      stats.Female.avgLag.toFixed(0),
-      stats.Female.medianLag.toFixed(0)
-    ],
-    unknownData: [
-      stats.Unknown.avgLag.toFixed(0),
-      stats.Unknown.medianLag.toFixed(0)
-    ]
+    data: byGender(genders, gender => [
+      stats[gender].avgLag.toFixed(0),
+      stats[gender].medianLag.toFixed(0)
+    ])
   };
 }
 
@@ -653,11 +584,7 @@ export function getAcquisitionLagData(items) {
  */
 export function getAcquisitionLagDistribution(items) {
   // Filter to items with both production and acquisition years
-  const filtered = items.filter(item =>
-    item.productionYear &&
-    item.acquisitionYear &&
-    item.acquisitionYear >= item.productionYear
-  );
+  const filtered = filterLagItems(items);
 
   // Define lag bins (in years)
   const bins = [
@@ -672,47 +599,36 @@ export function getAcquisitionLagDistribution(items) {
   ];
 
   // Initialize bin counts
-  const binCounts = {
-    Male: bins.map(() => 0),
-    Female: bins.map(() => 0),
-    Unknown: bins.map(() => 0)
-  };
+  const genders = getGenders(filtered);
+  const binCounts = byGender(genders, () => bins.map(() => 0));
 
   // Count artworks in each bin
   filtered.forEach(item => {
     const lag = item.acquisitionYear - item.productionYear;
     const binIndex = bins.findIndex(bin => lag >= bin.min && lag < bin.max);
     if (binIndex !== -1) {
-      binCounts[item.gender][binIndex]++;
+      binCounts[item.gender][binIndex] += creditOf(item);
     }
   });
 
   // Convert to percentages within each gender
-  const toPercent = (counts, total) =>
-    total > 0 ? counts.map(c => (c / total) * 100) : counts.map(() => 0);
-
-  const maleTotal = binCounts.Male.reduce((a, b) => a + b, 0);
-  const femaleTotal = binCounts.Female.reduce((a, b) => a + b, 0);
-  const unknownTotal = binCounts.Unknown.reduce((a, b) => a + b, 0);
+  const { percent, totals } = toGenderPercentages(binCounts);
 
   return {
     labels: bins.map(b => b.label),
+    genders,
     // Absolute counts
-    maleData: binCounts.Male,
-    femaleData: binCounts.Female,
-    unknownData: binCounts.Unknown,
+    data: binCounts,
     // Percentage distributions
-    malePercent: toPercent(binCounts.Male, maleTotal),
-    femalePercent: toPercent(binCounts.Female, femaleTotal),
-    unknownPercent: toPercent(binCounts.Unknown, unknownTotal),
+    percent,
     // Totals for reference
-    totals: { Male: maleTotal, Female: femaleTotal, Unknown: unknownTotal }
+    totals
   };
 }
 
 /**
  * Get female representation trend over time (1975-2025)
- * Returns yearly female percentage with collection average
+ * Returns yearly female percentage (of works in every gender category) with collection average
  */
 export function getFemaleTrendData(items, allItems, startYear = 1975) {
   // Filter to startYear-2025
@@ -726,11 +642,10 @@ export function getFemaleTrendData(items, allItems, startYear = 1975) {
   recentItems.forEach(a => {
     const year = a.acquisitionYear;
     if (!yearlyData[year]) {
-      yearlyData[year] = { male: 0, female: 0, unknown: 0 };
+      yearlyData[year] = { female: 0, total: 0 };
     }
-    if (a.gender === 'Male') yearlyData[year].male++;
-    else if (a.gender === 'Female') yearlyData[year].female++;
-    else yearlyData[year].unknown++;
+    if (a.gender === 'Female') yearlyData[year].female += creditOf(a);
+    yearlyData[year].total += creditOf(a);
   });
 
   // Convert to arrays and calculate percentages
@@ -740,8 +655,7 @@ export function getFemaleTrendData(items, allItems, startYear = 1975) {
   for (let year = startYear; year <= TREND_END_YEAR; year++) {
     const data = yearlyData[year];
     if (data) {
-      const total = data.male + data.female + data.unknown;
-      const femalePercent = total > 0 ? (data.female / total) * 100 : 0;
+      const femalePercent = data.total > 0 ? (data.female / data.total) * 100 : 0;
       years.push(year);
       femalePercents.push(femalePercent);
     }
@@ -750,7 +664,7 @@ export function getFemaleTrendData(items, allItems, startYear = 1975) {
   // Calculate collection average (including unknown)
   const allStats = calculateStats(allItems);
   const collectionFemalePercent = allStats.total > 0
-    ? (allStats.stats.Female / allItems.length) * 100
+    ? (allStats.stats.Female / allStats.total) * 100
     : 0;
 
   return {
@@ -766,38 +680,20 @@ export function getFemaleTrendData(items, allItems, startYear = 1975) {
  * @returns {Object} Image availability statistics by gender
  */
 export function getHasImageData(items) {
-  const withImage = { Male: 0, Female: 0, Unknown: 0 };
-  const total = { Male: 0, Female: 0, Unknown: 0 };
-
-  items.forEach(item => {
-    total[item.gender]++;
-    if (item.hasImage) {
-      withImage[item.gender]++;
-    }
-  });
-
-  const percentMale = total.Male > 0 ? ((withImage.Male / total.Male) * 100) : 0;
-  const percentFemale = total.Female > 0 ? ((withImage.Female / total.Female) * 100) : 0;
-  const percentUnknown = total.Unknown > 0 ? ((withImage.Unknown / total.Unknown) * 100) : 0;
-
-  const withoutImage = {
-    Male: total.Male - withImage.Male,
-    Female: total.Female - withImage.Female,
-    Unknown: total.Unknown - withImage.Unknown
-  };
+  const { genders, matching: withImage, total, percent } = splitByGender(items, item => item.hasImage);
+  const withoutImage = byGender(genders, gender => total[gender] - withImage[gender]);
 
   return {
-    labels: ['Male', 'Female', 'Unknown'],
-    withImagePercent: [percentMale, percentFemale, percentUnknown],
-    withoutImagePercent: [100 - percentMale, 100 - percentFemale, 100 - percentUnknown],
-    withImageCount: [withImage.Male, withImage.Female, withImage.Unknown],
-    withoutImageCount: [withoutImage.Male, withoutImage.Female, withoutImage.Unknown],
+    labels: genders,
+    genders,
+    withImagePercent: genders.map(gender => percent[gender]),
+    withoutImagePercent: genders.map(gender => 100 - percent[gender]),
+    withImageCount: genders.map(gender => withImage[gender]),
+    withoutImageCount: genders.map(gender => withoutImage[gender]),
     withImage,
     total,
-    // For insight generation
-    maleData: [withImage.Male, total.Male, percentMale.toFixed(1)],
-    femaleData: [withImage.Female, total.Female, percentFemale.toFixed(1)],
-    unknownData: [withImage.Unknown, total.Unknown, percentUnknown.toFixed(1)]
+    // Share with an image (one decimal, as text) for the insight text
+    percent: byGender(genders, gender => percent[gender].toFixed(1))
   };
 }
 
@@ -809,6 +705,7 @@ export function getHasImageData(items) {
  */
 export function getDepartmentGenderData(items) {
   // Count combinations: gender → department
+  const genders = getGenders(items);
   const departmentCounts = {};
 
   items.forEach(item => {
@@ -816,11 +713,11 @@ export function getDepartmentGenderData(items) {
     const gender = item.gender;
 
     if (!departmentCounts[dept]) {
-      departmentCounts[dept] = { Male: 0, Female: 0, Unknown: 0, total: 0 };
+      departmentCounts[dept] = { ...byGender(genders), total: 0 };
     }
 
-    departmentCounts[dept][gender]++;
-    departmentCounts[dept].total++;
+    departmentCounts[dept][gender] += creditOf(item);
+    departmentCounts[dept].total += creditOf(item);
   });
 
   // Sort departments by total count and take top departments
@@ -833,11 +730,7 @@ export function getDepartmentGenderData(items) {
   const links = [];
 
   // Add gender nodes (left side)
-  const genderNodes = [
-    { name: 'Male', id: 'gender_male' },
-    { name: 'Female', id: 'gender_female' },
-    { name: 'Unknown', id: 'gender_unknown' }
-  ];
+  const genderNodes = genders.map(gender => ({ name: genderLabel(gender), id: `gender_${gender.toLowerCase()}`, gender }));
   nodes.push(...genderNodes);
 
   // Add department nodes (right side)
@@ -848,130 +741,188 @@ export function getDepartmentGenderData(items) {
   // Create links from genders to departments
   sortedDepts.forEach(([dept, counts], deptIndex) => {
     // Only create links for non-zero values
-    if (counts.Male > 0) {
-      links.push({
-        source: 'gender_male',
-        target: `dept_${deptIndex}`,
-        value: counts.Male
-      });
-    }
-    if (counts.Female > 0) {
-      links.push({
-        source: 'gender_female',
-        target: `dept_${deptIndex}`,
-        value: counts.Female
-      });
-    }
-    if (counts.Unknown > 0) {
-      links.push({
-        source: 'gender_unknown',
-        target: `dept_${deptIndex}`,
-        value: counts.Unknown
-      });
-    }
+    genderNodes.forEach(node => {
+      if (counts[node.gender] > 0) {
+        links.push({
+          source: node.id,
+          target: `dept_${deptIndex}`,
+          value: counts[node.gender]
+        });
+      }
+    });
   });
 
   // Calculate totals
-  const totalMale = sortedDepts.reduce((sum, [_, counts]) => sum + counts.Male, 0);
-  const totalFemale = sortedDepts.reduce((sum, [_, counts]) => sum + counts.Female, 0);
-  const totalUnknown = sortedDepts.reduce((sum, [_, counts]) => sum + counts.Unknown, 0);
+  const totals = byGender(genders, gender => sortedDepts.reduce((sum, [_, counts]) => sum + counts[gender], 0));
 
   return {
     nodes,
     links,
+    genders,
     departmentCounts: Object.fromEntries(sortedDepts),
-    totalMale,
-    totalFemale,
-    totalUnknown,
-    totalArtworks: totalMale + totalFemale + totalUnknown
+    totals,
+    totalArtworks: sumValues(totals)
   };
 }
 
 /**
- * Get birth year distribution data for histogram visualization
- * Creates binned distribution of artist birth years by gender
- * Counts unique artists, not artworks
- * @param {Array<Object>} items - Normalized artwork items
- * @returns {Object} Birth year distribution by gender
+ * Get the years a date covers in a year histogram
+ * @param {Object|null} date - Parsed date (see data/dates.js)
+ * @param {string} mode - Handling of uncertain dates: 'distribute' over their
+ *   range, 'exclude', or count at their 'start' year
+ * @returns {Object|null} { from, to, uncertain }, inclusive and clipped to the
+ *   histogram years; null when the date is missing, left out or out of range
  */
-export function getBirthYearData(items) {
-  // Filter to items with valid birth years
-  const filtered = items.filter(item => item.birthYear && item.birthYear >= 1400 && item.birthYear <= 2025);
+function getHistogramYears(date, mode) {
+  if (!date) return null;
+  const uncertain = isUncertainDate(date);
+  if (uncertain && mode === 'exclude') return null;
 
-  if (filtered.length === 0) {
-    return {
-      labels: [],
-      maleData: [],
-      femaleData: [],
-      unknownData: [],
-      totals: { Male: 0, Female: 0, Unknown: 0 }
-    };
-  }
+  const spread = mode === 'distribute' && date.start !== null && date.end !== null;
+  const from = spread ? date.start : dateYear(date);
+  const to = spread ? date.end : dateYear(date);
+  if (to < HISTOGRAM_FIRST_YEAR || from > HISTOGRAM_LAST_YEAR) return null;
+
+  return { from: Math.max(from, HISTOGRAM_FIRST_YEAR), to: Math.min(to, HISTOGRAM_LAST_YEAR), uncertain };
+}
 
-  // Find min and max birth years to define range
-  const birthYears = filtered.map(item => item.birthYear);
+/**
+ * Create decade bins covering a range of years
+ * @param {Array<Object>} ranges - { from, to } year ranges
+ * @returns {Array<Object>} Bins ({ min, max, label }, max exclusive)
+ */
+function createDecadeBins(ranges) {
   // Use reduce to avoid stack overflow with large arrays
-  const minYear = birthYears.reduce((min, year) => year < min ? year : min, birthYears[0]);
-  const maxYear = birthYears.reduce((max, year) => year > max ? year : max, birthYears[0]);
+  const minYear = ranges.reduce((min, range) => range.from < min ? range.from : min, ranges[0].from);
+  const maxYear = ranges.reduce((max, range) => range.to > max ? range.to : max, ranges[0].to);
 
-  // Create bins by decade (10-year intervals)
   const bins = [];
-  const startDecade = Math.floor(minYear / 10) * 10;
-  const endDecade = Math.ceil(maxYear / 10) * 10;
-
-  for (let year = startDecade; year < endDecade; year += 10) {
+  for (let year = Math.floor(minYear / 10) * 10; year <= maxYear; year += 10) {
     bins.push({
       min: year,
       max: year + 10,
       label: `${year}s`
     });
   }
+  return bins;
+}
 
-  // Initialize bin sets for unique artists
-  const binArtists = {
-    Male: bins.map(() => new Set()),
-    Female: bins.map(() => new Set()),
-    Unknown: bins.map(() => new Set())
+/**
+ * Share a year range between the decade bins it overlaps
+ * @param {Object} range - { from, to } inclusive years
+ * @param {Array<Object>} bins - From createDecadeBins()
+ * @returns {Array<Array<number>>} [bin index, share] pairs; the shares add up to 1
+ */
+function shareOverBins(range, bins) {
+  const span = range.to - range.from + 1;
+  const first = Math.floor((range.from - bins[0].min) / 10);
+  const last = Math.floor((range.to - bins[0].min) / 10);
+
+  const shares = [];
+  for (let index = first; index <= last; index++) {
+    const overlap = Math.min(range.to + 1, bins[index].max) - Math.max(range.from, bins[index].min);
+    shares.push([index, overlap / span]);
+  }
+  return shares;
+}
+
+/**
+ * Convert bin counts to the histogram result shared by the year histograms
+ * @param {Array<Object>} bins - Decade bins
+ * @param {Array<string>} genders - Gender categories
+ * @param {Object} binCounts - Counts per gender and bin
+ * @param {Object} uncertainCounts - Part of binCounts from uncertain dates
+ * @param {Object} excluded - Counts per gender left out as uncertain
+ * @param {string} mode - Handling of uncertain dates
+ * @returns {Object}
+ */
+function toYearHistogram(bins, genders, binCounts, uncertainCounts, excluded, mode) {
+  // Convert to percentages for each gender
+  const { percent, totals } = toGenderPercentages(binCounts);
+
+  return {
+    labels: bins.map(b => b.label),
+    genders,
+    data: binCounts,
+    percent,
+    totals,
+    // Uncertainty, for tooltips
+    uncertainData: uncertainCounts,
+    excluded,
+    uncertainDates: mode,
+    minYear: bins[0].min,
+    maxYear: bins[bins.length - 1].max - 1
   };
+}
 
-  // Track unique artists in each bin
-  filtered.forEach(item => {
-    const binIndex = bins.findIndex(bin => item.birthYear >= bin.min && item.birthYear < bin.max);
-    if (binIndex !== -1) {
-      const artistKey = `${item.creatorName || 'Unknown'}_${item.birthYear}`;
-      binArtists[item.gender][binIndex].add(artistKey);
+/**
+ * Empty result of the year histograms
+ * @param {Array<string>} genders - Gender categories
+ * @param {Object} excluded - Counts per gender left out as uncertain
+ * @param {string} mode - Handling of uncertain dates
+ * @returns {Object}
+ */
+function emptyYearHistogram(genders, excluded, mode) {
+  return {
+    labels: [],
+    genders,
+    data: byGender(genders, () => []),
+    percent: byGender(genders, () => []),
+    totals: byGender(genders),
+    uncertainData: byGender(genders, () => []),
+    excluded,
+    uncertainDates: mode
+  };
+}
+
+/**
+ * Get birth year distribution data for histogram visualization
+ * Creates binned distribution of artist birth years by gender
+ * Counts unique artists (see data/artists.js), not artworks
+ * @param {Array<Object>} items - Normalized artwork items
+ * @param {string} [mode='start'] - Uncertain birth dates (circa, ranges, open
+ *   bounds): 'distribute' over their range, 'exclude', or count at their 'start' year
+ * @returns {Object} Birth year distribution by gender
+ */
+export function getBirthYearData(items, mode = 'start') {
+  const genders = getGenders(items);
+  const dated = [];
+  const excludedArtists = byGender(genders, () => new Set());
+
+  items.forEach(item => {
+    // Unnamed creators without a reference still count once per birth year
+    const artist = artistKey(item) || `unknown:${dateYear(item.birthDate)}`;
+    const years = getHistogramYears(item.birthDate, mode);
+    if (years) {
+      dated.push({ item, artist, years });
+    } else if (mode === 'exclude' && isUncertainDate(item.birthDate)) {
+      excludedArtists[item.gender].add(artist);
     }
   });
 
-  // Convert sets to counts
-  const binCounts = {
-    Male: binArtists.Male.map(set => set.size),
-    Female: binArtists.Female.map(set => set.size),
-    Unknown: binArtists.Unknown.map(set => set.size)
-  };
+  const excluded = byGender(genders, gender => excludedArtists[gender].size);
+  if (dated.length === 0) return emptyYearHistogram(genders, excluded, mode);
 
-  // Calculate totals
-  const maleTotal = binCounts.Male.reduce((a, b) => a + b, 0);
-  const femaleTotal = binCounts.Female.reduce((a, b) => a + b, 0);
-  const unknownTotal = binCounts.Unknown.reduce((a, b) => a + b, 0);
+  const bins = createDecadeBins(dated.map(entry => entry.years));
 
-  // Convert to percentages for each gender
-  const malePercent = binCounts.Male.map(count => maleTotal > 0 ? (count / maleTotal) * 100 : 0);
-  const femalePercent = binCounts.Female.map(count => femaleTotal > 0 ? (count / femaleTotal) * 100 : 0);
-  const unknownPercent = binCounts.Unknown.map(count => unknownTotal > 0 ? (count / unknownTotal) * 100 : 0);
+  // Each unique artist's share of each bin, taken from the first of their works
+  const binArtists = byGender(genders, () => bins.map(() => new Map()));
+  const uncertainArtists = byGender(genders, () => bins.map(() => new Map()));
 
-  return {
-    labels: bins.map(b => b.label),
-    maleData: binCounts.Male,
-    femaleData: binCounts.Female,
-    unknownData: binCounts.Unknown,
-    malePercent,
-    femalePercent,
-    unknownPercent,
-    totals: { Male: maleTotal, Female: femaleTotal, Unknown: unknownTotal },
-    minYear,
-    maxYear
-  };
+  dated.forEach(({ item, artist, years }) => {
+    shareOverBins(years, bins).forEach(([index, share]) => {
+      if (binArtists[item.gender][index].has(artist)) return;
+      binArtists[item.gender][index].set(artist, share);
+      if (years.uncertain) uncertainArtists[item.gender][index].set(artist, share);
+    });
+  });
+
+  // Convert shares to counts
+  const sum = map => [...map.values()].reduce((a, b) => a + b, 0);
+  const binCounts = byGender(genders, gender => binArtists[gender].map(sum));
+  const uncertainCounts = byGender(genders, gender => uncertainArtists[gender].map(sum));
+
+  return toYearHistogram(bins, genders, binCounts, uncertainCounts, excluded, mode);
 }
 
 /**
@@ -979,78 +930,41 @@ export function getBirthYearData(items) {
  * Creates binned distribution of artwork creation years by gender
  * Counts artworks, not unique artists
  * @param {Array<Object>} items - Normalized artwork items
+ * @param {string} [mode='start'] - Uncertain production dates (circa, ranges,
+ *   open bounds): 'distribute' over their range, 'exclude', or count at their 'start' year
  * @returns {Object} Creation year distribution by gender
  */
-export function getCreationYearData(items) {
-  // Filter to items with valid production years
-  const filtered = items.filter(item => item.productionYear && item.productionYear >= 1400 && item.productionYear <= 2025);
-
-  if (filtered.length === 0) {
-    return {
-      labels: [],
-      maleData: [],
-      femaleData: [],
-      unknownData: [],
-      totals: { Male: 0, Female: 0, Unknown: 0 }
-    };
-  }
+export function getCreationYearData(items, mode = 'start') {
+  const genders = getGenders(items);
+  const dated = [];
+  const excluded = byGender(genders);
 
-  // Find min and max creation years to define range
-  const creationYears = filtered.map(item => item.productionYear);
-  // Use reduce to avoid stack overflow with large arrays
-  const minYear = creationYears.reduce((min, year) => year < min ? year : min, creationYears[0]);
-  const maxYear = creationYears.reduce((max, year) => year > max ? year : max, creationYears[0]);
+  items.forEach(item => {
+    const years = getHistogramYears(item.productionDate, mode);
+    if (years) {
+      dated.push({ item, years });
+    } else if (mode === 'exclude' && isUncertainDate(item.productionDate)) {
+      excluded[item.gender] += creditOf(item);
+    }
+  });
 
-  // Create bins by decade (10-year intervals)
-  const bins = [];
-  const startDecade = Math.floor(minYear / 10) * 10;
-  const endDecade = Math.ceil(maxYear / 10) * 10;
+  if (dated.length === 0) return emptyYearHistogram(genders, excluded, mode);
 
-  for (let year = startDecade; year < endDecade; year += 10) {
-    bins.push({
-      min: year,
-      max: year + 10,
-      label: `${year}s`
-    });
-  }
+  const bins = createDecadeBins(dated.map(entry => entry.years));
 
   // Initialize bin counts
-  const binCounts = {
-    Male: bins.map(() => 0),
-    Female: bins.map(() => 0),
-    Unknown: bins.map(() => 0)
-  };
-
-  // Count artworks in each bin
-  filtered.forEach(item => {
-    const binIndex = bins.findIndex(bin => item.productionYear >= bin.min && item.productionYear < bin.max);
-    if (binIndex !== -1) {
-      binCounts[item.gender][binIndex]++;
-    }
+  const binCounts = byGender(genders, () => bins.map(() => 0));
+  const uncertainCounts = byGender(genders, () => bins.map(() => 0));
+
+  // Count artworks in each bin, sharing uncertain dates when distributed
+  dated.forEach(({ item, years }) => {
+    shareOverBins(years, bins).forEach(([index, share]) => {
+      binCounts[item.gender][index] += share * creditOf(item);
+      if (years.uncertain) uncertainCounts[item.gender][index] += share * creditOf(item);
+    });
   });
 
-  // Calculate totals
-  const maleTotal = binCounts.Male.reduce((a, b) => a + b, 0);
-  const femaleTotal = binCounts.Female.reduce((a, b) => a + b, 0);
-  const unknownTotal = binCounts.Unknown.reduce((a, b) => a + b, 0);
-
-  // Convert to percentages for each gender
-  const malePercent = binCounts.Male.map(count => maleTotal > 0 ? (count / maleTotal) * 100 : 0);
-  const femalePercent = binCounts.Female.map(count => femaleTotal > 0 ? (count / femaleTotal) * 100 : 0);
-  const unknownPercent = binCounts.Unknown.map(count => unknownTotal > 0 ? (count / unknownTotal) * 100 : 0);
-
-  return {
-    labels: bins.map(b => b.label),
-    maleData: binCounts.Male,
-    femaleData: binCounts.Female,
-    unknownData: binCounts.Unknown,
-    malePercent,
-    femalePercent,
-    unknownPercent,
-    totals: { Male: maleTotal, Female: femaleTotal, Unknown: unknownTotal },
-    minYear,
-    maxYear
-  };
+  return toYearHistogram(bins, genders, binCounts, uncertainCounts, excluded, mode);
 }
 
 /**
@@ -1083,6 +997,8 @@ export function getDepictedLocationData(items) {
   const COPENHAGEN_LAT = 55.6761;
   const COPENHAGEN_LON = 12.5683;
 
+  const genders = getGenders(items);
+
   // Aggregate locations by coordinates and gender
   const locationMap = new Map();
 
@@ -1098,32 +1014,21 @@ export function getDepictedLocationData(items) {
             latitude: loc.latitude,
             longitude: loc.longitude,
             distance,
-            Male: 0,
-            Female: 0,
-            Unknown: 0
+            counts: byGender(genders)
           });
         }
 
         const locationData = locationMap.get(key);
-        locationData[item.gender]++;
+        locationData.counts[item.gender] += creditOf(item);
       });
     }
   });
 
   // Convert to arrays for each gender
-  const locations = Array.from(locationMap.values());
-
-  const maleLocations = locations
-    .filter(loc => loc.Male > 0)
-    .map(loc => ({ ...loc, count: loc.Male }));
-
-  const femaleLocations = locations
-    .filter(loc => loc.Female > 0)
-    .map(loc => ({ ...loc, count: loc.Female }));
-
-  const unknownLocations = locations
-    .filter(loc => loc.Unknown > 0)
-    .map(loc => ({ ...loc, count: loc.Unknown }));
+  const allLocations = Array.from(locationMap.values());
+  const locations = byGender(genders, gender => allLocations
+    .filter(loc => loc.counts[gender] > 0)
+    .map(loc => ({ ...loc, count: loc.counts[gender] })));
 
   // Distance analysis: categorize by distance from Copenhagen
   const distanceBins = [
@@ -1135,51 +1040,27 @@ export function getDepictedLocationData(items) {
     { label: '2000+ km', min: 2000, max: Infinity }
   ];
 
-  const distanceDistribution = {
-    Male: Array(distanceBins.length).fill(0),
-    Female: Array(distanceBins.length).fill(0),
-    Unknown: Array(distanceBins.length).fill(0)
-  };
+  const distanceDistribution = byGender(genders, () => Array(distanceBins.length).fill(0));
 
-  locations.forEach(loc => {
+  allLocations.forEach(loc => {
     const binIndex = distanceBins.findIndex(bin => loc.distance >= bin.min && loc.distance < bin.max);
     if (binIndex >= 0) {
-      distanceDistribution.Male[binIndex] += loc.Male;
-      distanceDistribution.Female[binIndex] += loc.Female;
-      distanceDistribution.Unknown[binIndex] += loc.Unknown;
+      genders.forEach(gender => {
+        distanceDistribution[gender][binIndex] += loc.counts[gender];
+      });
     }
   });
 
   // Calculate totals and percentages
-  const totalMale = distanceDistribution.Male.reduce((sum, val) => sum + val, 0);
-  const totalFemale = distanceDistribution.Female.reduce((sum, val) => sum + val, 0);
-  const totalUnknown = distanceDistribution.Unknown.reduce((sum, val) => sum + val, 0);
-
-  const malePercents = distanceDistribution.Male.map(val =>
-    totalMale > 0 ? (val / totalMale * 100) : 0
-  );
-  const femalePercents = distanceDistribution.Female.map(val =>
-    totalFemale > 0 ? (val / totalFemale * 100) : 0
-  );
-  const unknownPercents = distanceDistribution.Unknown.map(val =>
-    totalUnknown > 0 ? (val / totalUnknown * 100) : 0
-  );
-
-  // Calculate average distance (weighted by count)
-  const avgDistanceMale = maleLocations.length > 0
-    ? maleLocations.reduce((sum, loc) => sum + loc.distance * loc.count, 0) / totalMale
-    : 0;
-  const avgDistanceFemale = femaleLocations.length > 0
-    ? femaleLocations.reduce((sum, loc) => sum + loc.distance * loc.count, 0) / totalFemale
-    : 0;
+  const { percent: percents, totals } = toGenderPercentages(distanceDistribution);
 
   // Helper function to calculate median and quartiles from distance array
   const calculateDistanceStats = (locations, total) => {
     if (locations.length === 0) {
-      return { median: 0, q1: 0, q3: 0, min: 0, max: 0 };
+      return { median: 0, q1: 0, q3: 0, min: 0, max: 0, avg: 0 };
     }
 
-    // Create array of distances, repeating each distance by its count
+    // Create array of distances, repeating each distance by its count (rounded up for shared credit)
     const distances = [];
     locations.forEach(loc => {
       for (let i = 0; i < loc.count; i++) {
@@ -1197,60 +1078,36 @@ export function getDepictedLocationData(items) {
     const q1 = distances[Math.floor(distances.length * 0.25)];
     const q3 = distances[Math.floor(distances.length * 0.75)];
 
+    // Calculate average distance (weighted by count)
+    const avg = locations.reduce((sum, loc) => sum + loc.distance * loc.count, 0) / total;
+
     return {
       median,
       q1,
       q3,
       min: distances[0],
-      max: distances[distances.length - 1]
+      max: distances[distances.length - 1],
+      avg
     };
   };
 
-  const maleStats = calculateDistanceStats(maleLocations, totalMale);
-  const femaleStats = calculateDistanceStats(femaleLocations, totalFemale);
-  const unknownStats = calculateDistanceStats(unknownLocations, totalUnknown);
+  // Median and distribution statistics
+  const distanceStats = byGender(genders, gender => {
+    const stats = calculateDistanceStats(locations[gender], totals[gender]);
+    return Object.fromEntries(Object.entries(stats).map(([key, value]) => [key, value.toFixed(0)]));
+  });
 
   return {
-    maleLocations,
-    femaleLocations,
-    unknownLocations,
-    allLocations: locations,
+    genders,
+    locations,
+    allLocations,
     distanceBins: distanceBins.map(b => b.label),
     distanceDistribution,
-    malePercents,
-    femalePercents,
-    unknownPercents,
-    totals: { Male: totalMale, Female: totalFemale, Unknown: totalUnknown },
-    // Average distances (for backwards compatibility)
-    avgDistanceMale: avgDistanceMale.toFixed(0),
-    avgDistanceFemale: avgDistanceFemale.toFixed(0),
-    // Median and distribution statistics
-    maleStats: {
-      median: maleStats.median.toFixed(0),
-      q1: maleStats.q1.toFixed(0),
-      q3: maleStats.q3.toFixed(0),
-      min: maleStats.min.toFixed(0),
-      max: maleStats.max.toFixed(0),
-      avg: avgDistanceMale.toFixed(0)
-    },
-    femaleStats: {
-      median: femaleStats.median.toFixed(0),
-      q1: femaleStats.q1.toFixed(0),
-      q3: femaleStats.q3.toFixed(0),
-      min: femaleStats.min.toFixed(0),
-      max: femaleStats.max.toFixed(0),
-      avg: avgDistanceFemale.toFixed(0)
-    },
-    unknownStats: {
-      median: unknownStats.median.toFixed(0),
-      q1: unknownStats.q1.toFixed(0),
-      q3: unknownStats.q3.toFixed(0),
-      min: unknownStats.min.toFixed(0),
-      max: unknownStats.max.toFixed(0),
-      avg: 0
-    },
-    artworksWithLocation: items.filter(item => item.geoLocations && item.geoLocations.length > 0).length,
-    totalArtworks: items.length
+    percents,
+    totals,
+    distanceStats,
+    artworksWithLocation: totalCredit(items.filter(item => item.geoLocations && item.geoLocations.length > 0)),
+    totalArtworks: totalCredit(items)
   };
 }
 
@@ -1370,13 +1227,14 @@ export function getColorTimelineData(items) {
     item.productionYear <= 2025
   );
 
+  const genders = getGenders(itemsWithData);
+
   if (itemsWithData.length === 0) {
     return {
       labels: [],
-      maleData: {},
-      femaleData: {},
-      unknownData: {},
-      totals: { Male: 0, Female: 0, Unknown: 0 }
+      genders,
+      data: byGender(genders, () => ({})),
+      totals: byGender(genders)
     };
   }
 
@@ -1385,7 +1243,7 @@ export function getColorTimelineData(items) {
   itemsWithData.forEach(item => {
     const decade = Math.floor(item.productionYear / 10) * 10;
     if (!decades[decade]) {
-      decades[decade] = { Male: {}, Female: {}, Unknown: {} };
+      decades[decade] = byGender(genders, () => ({}));
     }
 
     const gender = item.gender;
@@ -1397,7 +1255,7 @@ export function getColorTimelineData(items) {
       if (!decades[decade][gender][colorFamily]) {
         decades[decade][gender][colorFamily] = 0;
       }
-      decades[decade][gender][colorFamily]++;
+      decades[decade][gender][colorFamily] += creditOf(item);
     });
   });
 
@@ -1416,110 +1274,88 @@ export function getColorTimelineData(items) {
 
   // Prepare data structure for stacked area chart
   // Each color family gets arrays of percentages over time for each gender
-  const maleData = {};
-  const femaleData = {};
-  const unknownData = {};
-
-  colorFamilies.forEach(family => {
-    maleData[family] = [];
-    femaleData[family] = [];
-    unknownData[family] = [];
-  });
+  const data = byGender(genders, () => Object.fromEntries(colorFamilies.map(family => [family, []])));
 
   sortedDecades.forEach(decade => {
     const decadeData = decades[decade];
 
-    // Calculate totals for each gender in this decade
-    const maleTotalInDecade = Object.values(decadeData.Male).reduce((a, b) => a + b, 0);
-    const femaleTotalInDecade = Object.values(decadeData.Female).reduce((a, b) => a + b, 0);
-    const unknownTotalInDecade = Object.values(decadeData.Unknown).reduce((a, b) => a + b, 0);
+    genders.forEach(gender => {
+      // Calculate the gender's total in this decade
+      const totalInDecade = sumValues(decadeData[gender]);
 
-    colorFamilies.forEach(family => {
-      const maleCount = decadeData.Male[family] || 0;
-      const femaleCount = decadeData.Female[family] || 0;
-      const unknownCount = decadeData.Unknown[family] || 0;
-
-      maleData[family].push(maleTotalInDecade > 0 ? (maleCount / maleTotalInDecade * 100) : 0);
-      femaleData[family].push(femaleTotalInDecade > 0 ? (femaleCount / femaleTotalInDecade * 100) : 0);
-      unknownData[family].push(unknownTotalInDecade > 0 ? (unknownCount / unknownTotalInDecade * 100) : 0);
+      colorFamilies.forEach(family => {
+        const count = decadeData[gender][family] || 0;
+        data[gender][family].push(totalInDecade > 0 ? (count / totalInDecade * 100) : 0);
+      });
     });
   });
 
   return {
     labels,
     colorFamilies,
-    maleData,
-    femaleData,
-    unknownData,
-    totals: {
-      Male: itemsWithData.filter(i => i.gender === 'Male').length,
-      Female: itemsWithData.filter(i => i.gender === 'Female').length,
-      Unknown: itemsWithData.filter(i => i.gender === 'Unknown').length
-    },
-    totalWithData: itemsWithData.length,
-    totalArtworks: items.length
+    genders,
+    data,
+    totals: byGender(genders, gender => totalCredit(itemsWithData.filter(i => i.gender === gender))),
+    totalWithData: totalCredit(itemsWithData),
+    totalArtworks: totalCredit(items)
   };
 }
 
 /**
  * Get artist data for scatterplot and top lists
- * Aggregates artworks by artist name, including birth year and gender
+ * Aggregates artworks by artist identity (see data/artists.js), including birth year and gender
  * @param {Array<Object>} items - Normalized artwork items
  * @returns {Object} Artist data including scatterplot points and top lists
  */
 export function getArtistData(items) {
-  // Aggregate by artist name
+  // Aggregate by artist identity, named by the spelling most works use
   const artistMap = new Map();
+  const names = getCanonicalNames(items);
 
   items.forEach(item => {
-    if (!item.creatorName || item.creatorName === 'Unknown') return;
+    const key = artistKey(item);
+    if (!key) return;
 
-    const key = item.creatorName;
     if (!artistMap.has(key)) {
       artistMap.set(key, {
-        name: item.creatorName,
+        name: names.get(key),
         gender: item.gender,
         birthYear: item.birthYear,
         artworkCount: 0,
         nationality: item.nationality
       });
     }
-    artistMap.get(key).artworkCount++;
+    artistMap.get(key).artworkCount += creditOf(item);
   });
 
   // Convert to array and sort by artwork count
-  const artists = Array.from(artistMap.values())
+  const allArtists = Array.from(artistMap.values())
     .filter(artist => artist.artworkCount > 0)
     .sort((a, b) => b.artworkCount - a.artworkCount);
 
   // Separate by gender
-  const maleArtists = artists.filter(a => a.gender === 'Male');
-  const femaleArtists = artists.filter(a => a.gender === 'Female');
-  const unknownArtists = artists.filter(a => a.gender === 'Unknown');
+  const genders = getGenders(allArtists);
+  const artists = byGender(genders, gender => allArtists.filter(a => a.gender === gender));
 
   // Get top 10 for each gender
-  const topMale = maleArtists.slice(0, 10);
-  const topFemale = femaleArtists.slice(0, 10);
+  const top = byGender(genders, gender => artists[gender].slice(0, 10));
 
   // Prepare scatterplot data (filter to artists with birth year and at least 2 works to reduce clutter)
-  const scatterData = artists.filter(a => a.birthYear && a.birthYear >= 1400 && a.birthYear <= 2025 && a.artworkCount >= 2);
+  const scatterData = allArtists.filter(a => a.birthYear && a.birthYear >= 1400 && a.birthYear <= 2025 && a.artworkCount >= 2);
 
   return {
-    allArtists: artists,
-    maleArtists,
-    femaleArtists,
-    unknownArtists,
-    topMale,
-    topFemale,
+    allArtists,
+    genders,
+    artists,
+    top,
     scatterData,
     stats: {
-      totalArtists: artists.length,
-      maleArtistCount: maleArtists.length,
-      femaleArtistCount: femaleArtists.length,
-      unknownArtistCount: unknownArtists.length,
-      avgWorksPerArtist: artists.length > 0 ? (items.length / artists.length).toFixed(1) : 0,
-      medianMaleWorks: maleArtists.length > 0 ? maleArtists[Math.floor(maleArtists.length / 2)].artworkCount : 0,
-      medianFemaleWorks: femaleArtists.length > 0 ? femaleArtists[Math.floor(femaleArtists.length / 2)].artworkCount : 0
+      totalArtists: allArtists.length,
+      artistCount: byGender(genders, gender => artists[gender].length),
+      avgWorksPerArtist: allArtists.length > 0 ? (totalCredit(items) / allArtists.length).toFixed(1) : 0,
+      medianWorks: byGender(genders, gender => artists[gender].length > 0
+        ? artists[gender][Math.floor(artists[gender].length / 2)].artworkCount
+        : 0)
     }
   };
 }
@@ -1533,22 +1369,18 @@ export function getArtistData(items) {
 export function getColorTreemapData(items) {
   // Filter to items with color data
   const itemsWithColors = items.filter(item => item.colors && item.colors.length > 0);
+  const genders = getGenders(itemsWithColors);
 
   if (itemsWithColors.length === 0) {
     return {
-      male: [],
-      female: [],
-      unknown: [],
-      totals: { Male: 0, Female: 0, Unknown: 0 }
+      genders,
+      colors: byGender(genders, () => []),
+      totals: byGender(genders)
     };
   }
 
   // Count occurrences of each hex color by gender
-  const colorCounts = {
-    Male: {},
-    Female: {},
-    Unknown: {}
-  };
+  const colorCounts = byGender(genders, () => ({}));
 
   // Count each color occurrence
   itemsWithColors.forEach(item => {
@@ -1557,7 +1389,7 @@ export function getColorTreemapData(items) {
       if (!colorCounts[item.gender][normalizedHex]) {
         colorCounts[item.gender][normalizedHex] = 0;
       }
-      colorCounts[item.gender][normalizedHex]++;
+      colorCounts[item.gender][normalizedHex] += creditOf(item);
     });
   });
 
@@ -1568,23 +1400,12 @@ export function getColorTreemapData(items) {
       .sort((a, b) => b.count - a.count);
   };
 
-  const maleColors = convertToArray(colorCounts.Male);
-  const femaleColors = convertToArray(colorCounts.Female);
-  const unknownColors = convertToArray(colorCounts.Unknown);
-
-  // Calculate totals
-  const maleTotal = maleColors.reduce((sum, c) => sum + c.count, 0);
-  const femaleTotal = femaleColors.reduce((sum, c) => sum + c.count, 0);
-  const unknownTotal = unknownColors.reduce((sum, c) => sum + c.count, 0);
+  const colors = byGender(genders, gender => convertToArray(colorCounts[gender]));
 
   return {
-    male: maleColors,
-    female: femaleColors,
-    unknown: unknownColors,
-    totals: {
-      Male: maleTotal,
-      Female: femaleTotal,
-      Unknown: unknownTotal
-    }
+    genders,
+    colors,
+    // Calculate totals
+    totals: byGender(genders, gender => colors[gender].reduce((sum, c) => sum + c.count, 0))
   };
 }
@@ -0,0 +1,151 @@
+/**
+ * Dated snapshot history: compact per-record fingerprints of the collection
+ * and snapshot-to-snapshot comparison
+ */
+import { CONFIG } from '../config.js';
+import { calculateStats } from './calculator.js';
+import { recordKey } from '../data/normalize.js';
+import { hashString } from '../utils/hash.js';
+
+/**
+ * Normalized fields that count as a change when they differ between snapshots
+ */
+const SNAPSHOT_FIELDS = [
+  'gender',
+  'creatorName',
+  'nationality',
+  'birthYear',
+  'object_type',
+  'department',
+  'acquisitionYear',
+  'productionYear',
+  'exhibitions',
+  'onDisplay',
+  'hasImage'
+];
+
+/**
+ * Values shown in the overview stat cards
+ * @param {Object} stats - Work count per gender category
+ * @returns {Array<Object>} Stat card values ({ label, value, unit })
+ */
+function getStatCardValues(stats) {
+  // Snapshots taken before non-binary and collective categories only hold Male, Female and Unknown
+  const total = Object.values(stats).reduce((sum, count) => sum + count, 0);
+  const knownPercent = total > 0 ? ((total - (stats.Unknown || 0)) / total) * 100 : 0;
+
+  return [
+    { label: 'Works', value: total, unit: '' },
+    { label: 'Works by male artists', value: stats.Male, unit: '' },
+    { label: 'Works by female artists', value: stats.Female, unit: '' },
+    { label: 'Gender data complete', value: parseFloat(knownPercent.toFixed(1)), unit: '%' }
+  ];
+}
+
+/**
+ * Build a compact snapshot of the collection
+ * Records are stored column-wise (keys, genders, hashes, labels) to keep each
+ * snapshot small enough to retain several of them. The snapshot records the
+ * cache version it was normalized under (see snapshotVersionMismatch).
+ * @param {Array<Object>} artworks - Normalized artwork items
+ * @param {Date} [takenAt=new Date()] - Snapshot time
+ * @returns {Object} { summary, records }
+ */
+export function buildSnapshot(artworks, takenAt = new Date()) {
+  const { stats } = calculateStats(artworks);
+  const records = { keys: [], genders: [], hashes: [], labels: [] };
+
+  artworks.forEach(artwork => {
+    const key = recordKey(artwork);
+    if (!key) return;
+
+    records.keys.push(key);
+    records.genders.push(artwork.gender);
+    records.hashes.push(hashString(JSON.stringify(SNAPSHOT_FIELDS.map(field => artwork[field]))));
+    records.labels.push(`${artwork.objectNumber || key} · ${artwork.creatorName}`);
+  });
+
+  return {
+    summary: {
+      // One snapshot per day; a later sync on the same day replaces it
+      id: takenAt.toISOString().slice(0, 10),
+      takenAt: takenAt.getTime(),
+      itemCount: artworks.length,
+      stats: { ...stats },
+      version: CONFIG.cache.version || 1
+    },
+    records
+  };
+}
+
+/**
+ * Check whether two snapshots were normalized alike
+ * Snapshots outlive cache version bumps, and a bump means normalization
+ * changed (e.g. date parsing or the gender mapping), so comparing across one
+ * would report records as changed that SMK never touched.
+ * @param {Object} older - Summary of the earlier snapshot
+ * @param {Object} newer - Summary of the later snapshot
+ * @returns {Object|null} { from, to } versions when they differ (null for a
+ *   snapshot taken before versions were recorded), otherwise null
+ */
+export function snapshotVersionMismatch(older, newer) {
+  const from = older.version ?? null;
+  const to = newer.version ?? null;
+  return from === to && from !== null ? null : { from, to };
+}
+
+/**
+ * Compare two snapshots
+ * @param {Object} older - { summary, records } of the earlier snapshot
+ * @param {Object} newer - { summary, records } of the later snapshot
+ * @returns {Object} Added, removed and changed records, gender reclassifications
+ *   and the net change to each overview stat card
+ */
+export function compareSnapshots(older, newer) {
+  const olderIndex = new Map();
+  older.records.keys.forEach((key, i) => olderIndex.set(key, i));
+
+  const added = [];
+  const changed = [];
+  const genderChanges = [];
+
+  newer.records.keys.forEach((key, i) => {
+    const label = newer.records.labels[i];
+    const gender = newer.records.genders[i];
+
+    if (!olderIndex.has(key)) {
+      added.push({ key, label, gender });
+      return;
+    }
+
+    const j = olderIndex.get(key);
+    olderIndex.delete(key);
+
+    if (older.records.hashes[j] !== newer.records.hashes[i]) {
+      const change = { key, label, fromGender: older.records.genders[j], toGender: gender };
+      changed.push(change);
+      if (change.fromGender !== change.toGender) {
+        genderChanges.push(change);
+      }
+    }
+  });
+
+  // Whatever is left in the older index no longer exists
+  const removed = Array.from(olderIndex.entries()).map(([key, j]) => ({
+    key,
+    label: older.records.labels[j],
+    gender: older.records.genders[j]
+  }));
+
+  const before = getStatCardValues(older.summary.stats);
+  const after = getStatCardValues(newer.summary.stats);
+  const statChanges = before.map((stat, i) => ({
+    label: stat.label,
+    unit: stat.unit,
+    before: stat.value,
+    after: after[i].value,
+    delta: parseFloat((after[i].value - stat.value).toFixed(1))
+  }));
+
+  return { added, removed, changed, genderChanges, statChanges };
+}
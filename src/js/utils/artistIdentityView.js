@@ -0,0 +1,121 @@
+/**
+ * Artist identity panel: lists names shared by several artists and artists
+ * catalogued under several names (see data/artists.js). The registry is only
+ * built while the panel is open.
+ */
+import { buildArtistRegistry } from '../data/artists.js';
+
+// Entries listed per section; the rest are counted
+const MAX_ENTRIES = 100;
+
+// Artworks of the last refresh, rendered when the panel is opened
+let pendingArtworks = [];
+
+/**
+ * Describe one artist of a name collision
+ * @param {Object} artist - Registry entry
+ * @returns {string} e.g. "reference 123, born 1850, Danish, 12 works"
+ */
+function describeArtist(artist) {
+  const parts = [artist.id ? `reference ${artist.id}` : 'no reference'];
+  if (artist.birthYear) parts.push(`born ${artist.birthYear}`);
+  if (artist.nationality && artist.nationality !== 'Unknown') parts.push(artist.nationality);
+  parts.push(`${artist.artworkCount.toLocaleString()} ${artist.artworkCount === 1 ? 'work' : 'works'}`);
+  return parts.join(', ');
+}
+
+/**
+ * Create one section of the panel
+ * @param {string} title - Section title
+ * @param {Array<Object>} entries - Entries, of which MAX_ENTRIES are listed
+ * @param {Function} render - Fills the list item of an entry
+ * @returns {HTMLElement}
+ */
+function createSection(title, entries, render) {
+  const section = document.createElement('div');
+  section.className = 'artist-identity-section';
+
+  const heading = document.createElement('h4');
+  heading.textContent = `${title} (${entries.length.toLocaleString()})`;
+  section.appendChild(heading);
+
+  const list = document.createElement('ul');
+  entries.slice(0, MAX_ENTRIES).forEach(entry => {
+    const item = document.createElement('li');
+    render(item, entry);
+    list.appendChild(item);
+  });
+  if (entries.length > MAX_ENTRIES) {
+    const more = document.createElement('li');
+    more.textContent = `and ${(entries.length - MAX_ENTRIES).toLocaleString()} more`;
+    list.appendChild(more);
+  }
+  section.appendChild(list);
+
+  return section;
+}
+
+/**
+ * Render the registry of the pending artworks
+ */
+function render() {
+  const body = document.getElementById('artistIdentityBody');
+  const summary = document.getElementById('artistIdentitySummary');
+  if (!body || !summary) return;
+
+  const { artists, collisions, unidentified } = buildArtistRegistry(pendingArtworks);
+  const credits = [...artists.values()].reduce((sum, artist) => sum + artist.artworkCount, 0);
+  const aliased = [...artists.values()]
+    .filter(artist => artist.aliases.length)
+    .sort((a, b) => b.artworkCount - a.artworkCount);
+
+  summary.textContent = `Artist identities: ${artists.size.toLocaleString()} artists, ${collisions.length.toLocaleString()} ambiguous ${collisions.length === 1 ? 'name' : 'names'}`;
+  body.textContent = '';
+
+  const note = document.createElement('p');
+  note.className = 'tool-panel-note';
+  note.textContent = `Artists are told apart by their SMK authority reference. ${unidentified.toLocaleString()} of ${credits.toLocaleString()} creator credits have none and are told apart by name only.`;
+  body.appendChild(note);
+
+  if (collisions.length) {
+    body.appendChild(createSection('Names shared by several artists', collisions, (item, collision) => {
+      const name = document.createElement('code');
+      name.textContent = collision.name;
+      item.appendChild(name);
+      item.appendChild(document.createTextNode(` ${collision.artists.map(describeArtist).join('; ')}`));
+    }));
+  }
+  if (aliased.length) {
+    body.appendChild(createSection('Artists catalogued under several names', aliased, (item, artist) => {
+      const name = document.createElement('code');
+      name.textContent = artist.name;
+      item.appendChild(name);
+      item.appendChild(document.createTextNode(` also ${artist.aliases.join('; ')}`));
+    }));
+  }
+}
+
+/**
+ * Update the panel for the loaded artworks; it is redrawn now only if open
+ * @param {Array<Object>} artworks - Normalized artworks
+ */
+export function refreshArtistIdentityPanel(artworks) {
+  const panel = document.getElementById('artistIdentityPanel');
+  if (!panel) return;
+
+  pendingArtworks = artworks;
+  panel.style.display = artworks.length ? '' : 'none';
+  if (panel.open) render();
+}
+
+/**
+ * Initialize the artist identity panel
+ */
+export function initArtistIdentityPanel() {
+  const panel = document.getElementById('artistIdentityPanel');
+  if (!panel) return;
+
+  panel.addEventListener('toggle', () => {
+    if (panel.open) render();
+  });
+}
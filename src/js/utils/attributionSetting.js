@@ -0,0 +1,31 @@
+/**
+ * Attribution strategy for works with several creators (see
+ * stats/attribution.js)
+ */
+import { CONFIG } from '../config.js';
+import { ATTRIBUTION_STRATEGIES } from '../stats/attribution.js';
+import { getCookieSetting, initCookieSelect } from './cookieSelect.js';
+
+const ATTRIBUTION_COOKIE_NAME = 'smk_attribution';
+
+/**
+ * Get the chosen attribution strategy
+ * @returns {string} One of ATTRIBUTION_STRATEGIES (CONFIG.stats.attribution without a choice)
+ */
+export function getAttributionStrategy() {
+  return getCookieSetting(ATTRIBUTION_COOKIE_NAME, ATTRIBUTION_STRATEGIES, CONFIG.stats.attribution);
+}
+
+/**
+ * Initialize the attribution switch
+ * @param {Function} onChange - Called with the new strategy
+ */
+export function initAttributionSwitch(onChange) {
+  initCookieSelect({
+    selectId: 'attributionSelect',
+    cookie: ATTRIBUTION_COOKIE_NAME,
+    options: ATTRIBUTION_STRATEGIES,
+    fallback: CONFIG.stats.attribution,
+    onChange
+  });
+}
@@ -0,0 +1,58 @@
+/**
+ * Cache expiry policy chosen in the cache panel (see cacheView.js), kept in a
+ * cookie between visits. Without a choice CONFIG.cache.duration applies.
+ */
+import { CONFIG } from '../config.js';
+import { setCookie, getCookie, deleteCookie } from './cookies.js';
+
+const EXPIRY_COOKIE_NAME = 'smk_cache_expiry';
+const EXPIRY_COOKIE_DURATION = 365; // days
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Policies offered in the cache panel
+export const CACHE_EXPIRY_OPTIONS = [
+  { value: 'never', label: 'Never', duration: Infinity },
+  { value: '1d', label: 'After 1 day', duration: DAY },
+  { value: '7d', label: 'After 7 days', duration: 7 * DAY },
+  { value: '30d', label: 'After 30 days', duration: 30 * DAY }
+];
+
+/**
+ * Get the expiry policy in effect
+ * @returns {string|null} Value of one of CACHE_EXPIRY_OPTIONS, or null when
+ *   CONFIG.cache.duration matches none of them
+ */
+export function getCacheExpiry() {
+  const saved = getCookie(EXPIRY_COOKIE_NAME);
+  if (CACHE_EXPIRY_OPTIONS.some(option => option.value === saved)) {
+    return saved;
+  }
+  const fallback = CACHE_EXPIRY_OPTIONS.find(option => option.duration === CONFIG.cache.duration);
+  return fallback ? fallback.value : null;
+}
+
+/**
+ * Save the expiry policy
+ * @param {string} value - Value of one of CACHE_EXPIRY_OPTIONS
+ */
+export function saveCacheExpiry(value) {
+  setCookie(EXPIRY_COOKIE_NAME, value, EXPIRY_COOKIE_DURATION);
+}
+
+/**
+ * Forget the expiry policy (when the user declines the data cache)
+ */
+export function clearCacheExpiry() {
+  deleteCookie(EXPIRY_COOKIE_NAME);
+}
+
+/**
+ * Get how long cached data stays valid
+ * @returns {number} Milliseconds (Infinity when the cache never expires)
+ */
+export function getCacheDuration() {
+  const expiry = getCacheExpiry();
+  const option = CACHE_EXPIRY_OPTIONS.find(entry => entry.value === expiry);
+  return option ? option.duration : CONFIG.cache.duration;
+}
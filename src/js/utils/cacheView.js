@@ -0,0 +1,152 @@
+/**
+ * Cache panel: shows what is cached for the current scope and lets the user
+ * choose when the cache expires, delete it, or download the data again
+ */
+import { CONFIG } from '../config.js';
+import { getCacheMetadata } from '../api/smkApi.js';
+import { estimateStorage } from '../api/storageQuota.js';
+import { describeScope } from '../api/scope.js';
+import { hasStorageConsent } from './consent.js';
+import { CACHE_EXPIRY_OPTIONS, getCacheExpiry, saveCacheExpiry } from './cacheSettings.js';
+
+/**
+ * Format a byte count for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} e.g. "820 KB" or "12.4 MB"
+ */
+function formatBytes(bytes) {
+  if (bytes < 1024 * 1024) {
+    return `${Math.max(1, Math.round(bytes / 1024)).toLocaleString()} KB`;
+  }
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Format a date for display, as elsewhere in the app
+ * @param {number} timestamp - Milliseconds since the epoch
+ * @returns {string}
+ */
+function formatDate(timestamp) {
+  return new Date(timestamp).toLocaleDateString('da-DK', { day: '2-digit', month: '2-digit', year: 'numeric' });
+}
+
+/**
+ * Create the table describing the cached dataset
+ * @param {Object} metadata - From getCacheMetadata()
+ * @param {Object|null} storage - From estimateStorage()
+ * @returns {HTMLTableElement}
+ */
+function createDetailsTable(metadata, storage) {
+  let expiry = 'Never';
+  if (metadata.isExpired) {
+    expiry = 'Expired (replaced on the next load while online)';
+  } else if (metadata.expiresAt !== null) {
+    expiry = formatDate(metadata.expiresAt);
+  }
+
+  const rows = [
+    ['Snapshot date', formatDate(metadata.timestamp)],
+    ['Records', metadata.itemCount.toLocaleString()],
+    ['Size', metadata.storedBytes !== null ? formatBytes(metadata.storedBytes) : 'Unknown'],
+    ['Schema version', metadata.isCurrentVersion
+      ? `${metadata.version} (current)`
+      : `${metadata.version} (outdated, replaced on the next load)`],
+    ['Expires', expiry]
+  ];
+  if (storage) {
+    rows.push(['Site storage in use', `${formatBytes(storage.usage)} of ${formatBytes(storage.quota)}`]);
+  }
+
+  const table = document.createElement('table');
+  table.className = 'cache-details';
+  const body = table.createTBody();
+  rows.forEach(([label, value]) => {
+    const row = body.insertRow();
+    const th = document.createElement('th');
+    th.scope = 'row';
+    th.textContent = label;
+    row.appendChild(th);
+    row.insertCell().textContent = value;
+  });
+  return table;
+}
+
+/**
+ * Update the panel for the dataset on screen; it is only shown once the user
+ * has consented to caching
+ * @param {Object|null} scope - Fetch scope of the dataset on screen
+ */
+export async function refreshCachePanel(scope) {
+  const panel = document.getElementById('cachePanel');
+  const details = document.getElementById('cacheDetails');
+  const summary = document.getElementById('cacheSummary');
+  if (!panel || !details || !summary) return;
+
+  if (hasStorageConsent() !== true) {
+    panel.style.display = 'none';
+    return;
+  }
+
+  const [metadata, storage] = await Promise.all([getCacheMetadata(scope), estimateStorage()]);
+  panel.style.display = '';
+  details.textContent = '';
+  document.getElementById('cacheExpirySelect').value = getCacheExpiry() ?? '';
+
+  if (!metadata) {
+    summary.textContent = 'Cache: empty';
+    const note = document.createElement('p');
+    note.className = 'tool-panel-note';
+    note.textContent = `Nothing is cached for this scope (${describeScope(scope)}) yet.`;
+    details.appendChild(note);
+    return;
+  }
+
+  summary.textContent = `Cache: ${metadata.itemCount.toLocaleString()} records from ${formatDate(metadata.timestamp)}`;
+  details.appendChild(createDetailsTable(metadata, storage));
+}
+
+/**
+ * Initialize the cache panel controls
+ * @param {Object} handlers
+ * @param {Function} handlers.onExpiryChange - Called after a new expiry policy was saved
+ * @param {Function} handlers.onPurge - Deletes all saved data
+ * @param {Function} handlers.onRedownload - Downloads the current dataset again
+ */
+export function initCachePanel({ onExpiryChange, onPurge, onRedownload }) {
+  const select = document.getElementById('cacheExpirySelect');
+  const purgeButton = document.getElementById('cachePurgeButton');
+  const redownloadButton = document.getElementById('cacheRedownloadButton');
+  if (!select || !purgeButton || !redownloadButton) return;
+
+  CACHE_EXPIRY_OPTIONS.forEach(option => {
+    const element = document.createElement('option');
+    element.value = option.value;
+    element.textContent = option.label;
+    select.appendChild(element);
+  });
+
+  // CONFIG.cache.duration may match none of the options
+  if (getCacheExpiry() === null) {
+    const element = document.createElement('option');
+    element.value = '';
+    element.textContent = `Default (${Math.round(CONFIG.cache.duration / (24 * 60 * 60 * 1000))} days)`;
+    select.prepend(element);
+  }
+
+  select.addEventListener('change', () => {
+    if (!select.value) return;
+    saveCacheExpiry(select.value);
+    onExpiryChange();
+  });
+
+  purgeButton.addEventListener('click', async () => {
+    purgeButton.disabled = true;
+    try {
+      await onPurge();
+    } finally {
+      purgeButton.disabled = false;
+    }
+  });
+
+  redownloadButton.addEventListener('click', () => onRedownload());
+}
@@ -0,0 +1,43 @@
+/**
+ * Compressed record chunks for the IndexedDB cache
+ * A chunk holds a batch of records as gzipped JSON. Browsers without
+ * CompressionStream store plain UTF-8 JSON instead; the encoding is recorded
+ * with each chunk so both kinds can be read back.
+ */
+
+/**
+ * Pipe bytes through a compression or decompression stream
+ * @param {Uint8Array} bytes - Input bytes
+ * @param {TransformStream} transform - CompressionStream or DecompressionStream
+ * @returns {Promise<Uint8Array>} Output bytes
+ */
+async function pipeBytes(bytes, transform) {
+  const stream = new Blob([bytes]).stream().pipeThrough(transform);
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Encode records as a chunk
+ * @param {Array<Object>} records - JSON-compatible records
+ * @returns {Promise<Object>} { encoding: 'gzip' | 'json', bytes: Uint8Array }
+ */
+export async function compressRecords(records) {
+  const json = new TextEncoder().encode(JSON.stringify(records));
+
+  if (typeof CompressionStream === 'undefined') {
+    return { encoding: 'json', bytes: json };
+  }
+  return { encoding: 'gzip', bytes: await pipeBytes(json, new CompressionStream('gzip')) };
+}
+
+/**
+ * Decode a chunk produced by compressRecords
+ * @param {Object} chunk - { encoding, bytes }
+ * @returns {Promise<Array<Object>>} Records
+ */
+export async function decompressRecords(chunk) {
+  const json = chunk.encoding === 'gzip'
+    ? await pipeBytes(chunk.bytes, new DecompressionStream('gzip'))
+    : chunk.bytes;
+  return JSON.parse(new TextDecoder().decode(json));
+}
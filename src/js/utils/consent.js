@@ -1,28 +1,57 @@
 /**
- * GDPR-compliant consent management for IndexedDB storage
+ * GDPR-compliant consent management for browser storage
+ * Consent is given per purpose, and can be changed at any time from the
+ * "Privacy & storage" control, which re-opens the consent dialog.
  */
+import { setCookie, getCookie, deleteCookie } from './cookies.js';
 
 const CONSENT_COOKIE_NAME = 'smk_storage_consent';
 const CONSENT_COOKIE_DURATION = 365; // days
 
+// Purposes the user can consent to separately, with the dialog checkbox of each
+export const STORAGE_PURPOSES = [
+  { id: 'cache', checkbox: 'consentCache' },
+  { id: 'views', checkbox: 'consentViews' },
+  { id: 'snapshots', checkbox: 'consentSnapshots' },
+  { id: 'overrides', checkbox: 'consentOverrides' }
+];
+
+// Called when a choice is made in the dialog (see initConsentBanner)
+let changeHandler = null;
+
+/**
+ * Get the user's consent choice
+ * The cookie lists the accepted purposes joined by '+' ('none' if there are
+ * none); 'accepted' and 'declined' are the single choice of earlier versions.
+ * @returns {Object|null} { cache, views, snapshots, overrides } booleans, or null if no choice made
+ */
+export function getStorageConsent() {
+  const value = getCookie(CONSENT_COOKIE_NAME);
+  if (value === null) return null;
+
+  const accepted = value === 'accepted'
+    ? STORAGE_PURPOSES.map(purpose => purpose.id)
+    : value.split('+');
+  return Object.fromEntries(STORAGE_PURPOSES.map(purpose => [purpose.id, accepted.includes(purpose.id)]));
+}
+
 /**
  * Check if user has given consent for data storage
+ * @param {string} [purpose='cache'] - One of STORAGE_PURPOSES
  * @returns {boolean|null} true if accepted, false if declined, null if no choice made
  */
-export function hasStorageConsent() {
-  const consent = getCookie(CONSENT_COOKIE_NAME);
-  if (consent === 'accepted') return true;
-  if (consent === 'declined') return false;
-  return null;
+export function hasStorageConsent(purpose = 'cache') {
+  const consent = getStorageConsent();
+  return consent ? consent[purpose] === true : null;
 }
 
 /**
  * Save user's consent choice
- * @param {boolean} accepted - Whether user accepted storage
+ * @param {Object} choices - { cache, views, snapshots, overrides } booleans
  */
-export function saveConsent(accepted) {
-  const value = accepted ? 'accepted' : 'declined';
-  setCookie(CONSENT_COOKIE_NAME, value, CONSENT_COOKIE_DURATION);
+export function saveConsent(choices) {
+  const accepted = STORAGE_PURPOSES.filter(purpose => choices[purpose.id]).map(purpose => purpose.id);
+  setCookie(CONSENT_COOKIE_NAME, accepted.length ? accepted.join('+') : 'none', CONSENT_COOKIE_DURATION);
 }
 
 /**
@@ -33,13 +62,18 @@ export function clearConsent() {
 }
 
 /**
- * Show consent banner
+ * Show consent banner, with the checkboxes set to the current choice
  */
 export function showConsentBanner() {
   const banner = document.getElementById('consentBanner');
-  if (banner) {
-    banner.style.display = 'block';
-  }
+  if (!banner) return;
+
+  const consent = getStorageConsent();
+  STORAGE_PURPOSES.forEach(purpose => {
+    const checkbox = document.getElementById(purpose.checkbox);
+    if (checkbox) checkbox.checked = consent?.[purpose.id] === true;
+  });
+  banner.style.display = 'block';
 }
 
 /**
@@ -52,57 +86,53 @@ export function hideConsentBanner() {
   }
 }
 
+/**
+ * Save a choice made in the dialog and report what changed
+ * @param {Function} choose - Returns whether a purpose is accepted
+ */
+function applyChoice(choose) {
+  const previous = getStorageConsent();
+  const choices = Object.fromEntries(STORAGE_PURPOSES.map(purpose => [purpose.id, choose(purpose)]));
+  saveConsent(choices);
+  hideConsentBanner();
+  if (changeHandler) changeHandler(choices, previous);
+}
+
 /**
  * Initialize consent banner with event listeners
- * @param {Function} onAccept - Callback when user accepts
- * @param {Function} onDecline - Callback when user declines
+ * @param {Function} onChange - Called with the new choice and the previous one
+ *   (null on the first visit) whenever the user saves a choice
  */
-export function initConsentBanner(onAccept, onDecline) {
+export function initConsentBanner(onChange) {
+  changeHandler = onChange;
+
   const acceptBtn = document.getElementById('consentAccept');
+  const saveBtn = document.getElementById('consentSave');
   const declineBtn = document.getElementById('consentDecline');
+  const settingsBtn = document.getElementById('privacySettingsButton');
 
   if (acceptBtn) {
-    acceptBtn.addEventListener('click', () => {
-      saveConsent(true);
-      hideConsentBanner();
-      if (onAccept) onAccept();
-    });
+    acceptBtn.addEventListener('click', () => applyChoice(() => true));
+  }
+
+  if (saveBtn) {
+    saveBtn.addEventListener('click', () => applyChoice(purpose => {
+      const checkbox = document.getElementById(purpose.checkbox);
+      return Boolean(checkbox && checkbox.checked);
+    }));
   }
 
   if (declineBtn) {
-    declineBtn.addEventListener('click', () => {
-      saveConsent(false);
-      hideConsentBanner();
-      if (onDecline) onDecline();
-    });
+    declineBtn.addEventListener('click', () => applyChoice(() => false));
+  }
+
+  if (settingsBtn) {
+    settingsBtn.addEventListener('click', showConsentBanner);
   }
 
   // Check if we need to show banner
-  const consent = hasStorageConsent();
-  if (consent === null) {
+  if (getStorageConsent() === null) {
     // No choice made yet, show banner
     showConsentBanner();
   }
 }
-
-// Cookie utility functions
-function setCookie(name, value, days) {
-  const expires = new Date();
-  expires.setTime(expires.getTime() + days * 24 * 60 * 60 * 1000);
-  document.cookie = `${name}=${value};expires=${expires.toUTCString()};path=/;SameSite=Lax`;
-}
-
-function getCookie(name) {
-  const nameEQ = name + '=';
-  const ca = document.cookie.split(';');
-  for (let i = 0; i < ca.length; i++) {
-    let c = ca[i];
-    while (c.charAt(0) === ' ') c = c.substring(1, c.length);
-    if (c.indexOf(nameEQ) === 0) return c.substring(nameEQ.length, c.length);
-  }
-  return null;
-}
-
-function deleteCookie(name) {
-  document.cookie = `${name}=;expires=Thu, 01 Jan 1970 00:00:00 UTC;path=/;`;
-}
@@ -0,0 +1,46 @@
+/**
+ * Overview settings chosen in a select box and kept in a cookie between
+ * visits (label language, attribution, uncertain dates, gender categories)
+ */
+import { setCookie, getCookie } from './cookies.js';
+
+const SETTING_COOKIE_DURATION = 365; // days
+
+/**
+ * Read a setting from its cookie
+ * @param {string} cookie - Cookie name
+ * @param {Array<Object>} options - Valid choices ({ value, label })
+ * @param {string} fallback - Value without a (valid) choice
+ * @returns {string}
+ */
+export function getCookieSetting(cookie, options, fallback) {
+  const saved = getCookie(cookie);
+  return options.some(option => option.value === saved) ? saved : fallback;
+}
+
+/**
+ * Fill a setting's select box, select the saved choice and save new ones
+ * @param {Object} setting
+ * @param {string} setting.selectId - ID of the select box
+ * @param {string} setting.cookie - Cookie name
+ * @param {Array<Object>} setting.options - Choices ({ value, label })
+ * @param {string} setting.fallback - Value without a (valid) choice
+ * @param {Function} setting.onChange - Called with the new value once saved
+ */
+export function initCookieSelect({ selectId, cookie, options, fallback, onChange }) {
+  const select = document.getElementById(selectId);
+  if (!select) return;
+
+  options.forEach(({ value, label }) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    select.appendChild(option);
+  });
+  select.value = getCookieSetting(cookie, options, fallback);
+
+  select.addEventListener('change', () => {
+    setCookie(cookie, select.value, SETTING_COOKIE_DURATION);
+    onChange(select.value);
+  });
+}
@@ -0,0 +1,40 @@
+/**
+ * Cookie helpers for the few choices kept between visits
+ * (storage consent, cache settings and the overview settings, see cookieSelect.js)
+ */
+
+/**
+ * Set a cookie for the whole site
+ * @param {string} name - Cookie name
+ * @param {string} value - Cookie value
+ * @param {number} days - Lifetime in days
+ */
+export function setCookie(name, value, days) {
+  const expires = new Date();
+  expires.setTime(expires.getTime() + days * 24 * 60 * 60 * 1000);
+  document.cookie = `${name}=${value};expires=${expires.toUTCString()};path=/;SameSite=Lax`;
+}
+
+/**
+ * Read a cookie
+ * @param {string} name - Cookie name
+ * @returns {string|null} Value, or null if the cookie is not set
+ */
+export function getCookie(name) {
+  const nameEQ = name + '=';
+  const ca = document.cookie.split(';');
+  for (let i = 0; i < ca.length; i++) {
+    let c = ca[i];
+    while (c.charAt(0) === ' ') c = c.substring(1, c.length);
+    if (c.indexOf(nameEQ) === 0) return c.substring(nameEQ.length, c.length);
+  }
+  return null;
+}
+
+/**
+ * Delete a cookie
+ * @param {string} name - Cookie name
+ */
+export function deleteCookie(name) {
+  document.cookie = `${name}=;expires=Thu, 01 Jan 1970 00:00:00 UTC;path=/;`;
+}
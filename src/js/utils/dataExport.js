@@ -27,8 +27,9 @@ import {
   getColorTimelineData,
   getArtistData
 } from '../stats/calculator.js';
-
-const GENDERS = ['Male', 'Female', 'Unknown'];
+import { attributeArtworks, getCreatorTeamData } from '../stats/attribution.js';
+import { countCorrections } from '../data/overrides.js';
+import { applyGenderPreset, genderLabel } from '../data/genders.js';
 
 /**
  * Converts headers + row arrays into an RFC 4180-ish CSV string
@@ -48,25 +49,73 @@ function pct(value) {
   return typeof value === 'number' ? value.toFixed(2) : value;
 }
 
+/**
+ * Column headers with one column per gender category, e.g. "Male Count"
+ * @param {Array<string>} genders - Category keys
+ * @param {string} suffix - Text after the category label
+ */
+function genderColumns(genders, suffix) {
+  return genders.map(gender => `${genderLabel(gender)} ${suffix}`);
+}
+
+/**
+ * Headers and rows of a per-bin table: the counts and shares of every gender category
+ * @param {string} binHeader - Header of the first column
+ * @param {Array<string>} labels - Bin labels
+ * @param {Array<string>} genders - Category keys
+ * @param {Object} counts - Count array per category
+ * @param {Object} percents - Percentage array per category
+ * @param {string} unit - Header suffix of the count columns, e.g. "Count" or "Works"
+ */
+function countAndPercentTable(binHeader, labels, genders, counts, percents, unit = 'Count') {
+  return [
+    [binHeader, ...genderColumns(genders, unit), ...genderColumns(genders, '%')],
+    labels.map((label, i) => [
+      label,
+      ...genders.map(gender => counts[gender][i]),
+      ...genders.map(gender => pct(percents[gender][i]))
+    ])
+  ];
+}
+
+/**
+ * Part of a year histogram bin counted from uncertain dates, all genders together
+ */
+function uncertainInBin(data, index) {
+  return data.genders.reduce((sum, gender) => sum + data.uncertainData[gender][index], 0);
+}
+
 /**
  * Builds { filename, headers, rows } for every chart/insight in the app
+ * @param {Array<Object>} loaded - Normalized artwork items, with the curator overrides applied
+ * @param {string} strategy - Attribution strategy of the charts (see stats/attribution.js)
+ * @param {string} uncertainDates - Handling of uncertain dates in the year histograms
+ * @param {string} genderPreset - Gender categories of the charts (see data/genders.js)
  */
-function buildDatasets(artworks) {
+function buildDatasets(loaded, strategy, uncertainDates, genderPreset) {
   const datasets = [];
   const add = (filename, headers, rows) => datasets.push({ filename, headers, rows });
+  const records = applyGenderPreset(loaded, genderPreset);
+  const artworks = attributeArtworks(records, strategy);
 
   // Overview
   const stats = calculateStats(artworks);
+  const teams = getCreatorTeamData(records);
   add('overview-summary.csv',
     ['Metric', 'Value'],
     [
-      ['Total artworks', stats.total],
-      ['Male artist works', stats.stats.Male],
-      ['Male artist works (%)', stats.malePercent],
-      ['Female artist works', stats.stats.Female],
-      ['Female artist works (%)', stats.femalePercent],
-      ['Unknown gender works', stats.stats.Unknown],
-      ['Unknown gender works (%)', stats.unknownPercent]
+      ['Attribution', strategy],
+      ['Uncertain dates', uncertainDates],
+      ['Gender categories', genderPreset],
+      ['Total artworks', records.length],
+      ['Attributed total', stats.total],
+      ...stats.genders.flatMap(gender => {
+        const label = gender === 'Unknown' ? 'Unknown gender works' : `${genderLabel(gender)} artist works`;
+        return [[label, stats.stats[gender]], [`${label} (%)`, stats.percent[gender]]];
+      }),
+      ['Works with several creators', teams.multiCreator],
+      ['Mixed-gender creator teams', teams.mixedGender],
+      ['Values corrected locally', countCorrections(loaded).values]
     ]);
 
   // Artists
@@ -77,73 +126,45 @@ function buildDatasets(artworks) {
 
   add('top-10-artists.csv',
     ['Rank', 'Gender', 'Artist Name', 'Artwork Count', 'Birth Year', 'Nationality'],
-    [
-      ...artistData.topMale.map((a, i) => [i + 1, 'Male', a.name, a.artworkCount, a.birthYear || '', a.nationality || '']),
-      ...artistData.topFemale.map((a, i) => [i + 1, 'Female', a.name, a.artworkCount, a.birthYear || '', a.nationality || ''])
-    ]);
+    artistData.genders
+      .filter(gender => gender !== 'Unknown')
+      .flatMap(gender => artistData.top[gender].map((a, i) => [i + 1, gender, a.name, a.artworkCount, a.birthYear || '', a.nationality || ''])));
 
   add('artist-summary-stats.csv',
     ['Metric', 'Value'],
     [
       ['Total unique artists', artistData.stats.totalArtists],
-      ['Male artists', artistData.stats.maleArtistCount],
-      ['Female artists', artistData.stats.femaleArtistCount],
-      ['Unknown gender artists', artistData.stats.unknownArtistCount],
+      ...artistData.genders.map(gender => [gender === 'Unknown' ? 'Unknown gender artists' : `${genderLabel(gender)} artists`, artistData.stats.artistCount[gender]]),
       ['Avg works per artist', artistData.stats.avgWorksPerArtist],
-      ['Median works per male artist', artistData.stats.medianMaleWorks],
-      ['Median works per female artist', artistData.stats.medianFemaleWorks]
+      ...artistData.genders
+        .filter(gender => gender !== 'Unknown')
+        .map(gender => [`Median works per ${genderLabel(gender).toLowerCase()} artist`, artistData.stats.medianWorks[gender]])
     ]);
 
   const nationalityData = getNationalityData(artworks);
   add('nationality-top20.csv',
-    ['Nationality', 'Male Artists', 'Female Artists', 'Unknown Artists', 'Total Artists'],
-    nationalityData.labels.map((label, i) => [
-      label,
-      nationalityData.maleData[i],
-      nationalityData.femaleData[i],
-      nationalityData.unknownData[i],
-      nationalityData.maleData[i] + nationalityData.femaleData[i] + nationalityData.unknownData[i]
-    ]));
+    ['Nationality', ...genderColumns(nationalityData.genders, 'Artists'), 'Total Artists'],
+    nationalityData.labels.map((label, i) => {
+      const counts = nationalityData.genders.map(gender => nationalityData.data[gender][i]);
+      return [label, ...counts, counts.reduce((sum, count) => sum + count, 0)];
+    }));
 
-  const birthYearData = getBirthYearData(artworks);
+  const birthYearData = getBirthYearData(artworks, uncertainDates);
+  const [birthHeaders, birthRows] = countAndPercentTable('Decade', birthYearData.labels, birthYearData.genders, birthYearData.data, birthYearData.percent, 'Artists');
   add('artist-birth-year-distribution.csv',
-    ['Decade', 'Male Artists', 'Female Artists', 'Unknown Artists', 'Male %', 'Female %', 'Unknown %'],
-    birthYearData.labels.map((label, i) => [
-      label,
-      birthYearData.maleData[i],
-      birthYearData.femaleData[i],
-      birthYearData.unknownData[i],
-      pct(birthYearData.malePercent[i]),
-      pct(birthYearData.femalePercent[i]),
-      pct(birthYearData.unknownPercent[i])
-    ]));
+    [...birthHeaders, 'From Uncertain Dates'],
+    birthRows.map((row, i) => [...row, uncertainInBin(birthYearData, i)]));
 
   // Temporal / acquisition
-  const creationYearData = getCreationYearData(artworks);
+  const creationYearData = getCreationYearData(artworks, uncertainDates);
+  const [creationHeaders, creationRows] = countAndPercentTable('Decade', creationYearData.labels, creationYearData.genders, creationYearData.data, creationYearData.percent, 'Works');
   add('creation-year-distribution.csv',
-    ['Decade', 'Male Works', 'Female Works', 'Unknown Works', 'Male %', 'Female %', 'Unknown %'],
-    creationYearData.labels.map((label, i) => [
-      label,
-      creationYearData.maleData[i],
-      creationYearData.femaleData[i],
-      creationYearData.unknownData[i],
-      pct(creationYearData.malePercent[i]),
-      pct(creationYearData.femalePercent[i]),
-      pct(creationYearData.unknownPercent[i])
-    ]));
+    [...creationHeaders, 'From Uncertain Dates'],
+    creationRows.map((row, i) => [...row, uncertainInBin(creationYearData, i)]));
 
   const timelineData = getGenderDistributionOverTime(artworks);
   add('gender-distribution-over-time.csv',
-    ['Year', 'Male Count', 'Female Count', 'Unknown Count', 'Male %', 'Female %', 'Unknown %'],
-    timelineData.years.map((year, i) => [
-      year,
-      timelineData.maleCount[i],
-      timelineData.femaleCount[i],
-      timelineData.unknownCount[i],
-      pct(timelineData.malePercent[i]),
-      pct(timelineData.femalePercent[i]),
-      pct(timelineData.unknownPercent[i])
-    ]));
+    ...countAndPercentTable('Year', timelineData.years, timelineData.genders, timelineData.count, timelineData.percent));
 
   const trendData = getFemaleTrendData(artworks, artworks, 1975);
   add('female-trend-1975-2025.csv',
@@ -153,116 +174,67 @@ function buildDatasets(artworks) {
   const lagData = getAcquisitionLagData(artworks);
   add('acquisition-lag-summary.csv',
     ['Gender', 'Count', 'Avg Lag (years)', 'Median Lag (years)', 'Min Lag (years)', 'Max Lag (years)'],
-    GENDERS.map(g => [g, lagData.stats[g].count, pct(lagData.stats[g].avgLag), lagData.stats[g].medianLag, lagData.stats[g].minLag, lagData.stats[g].maxLag]));
+    lagData.genders.map(g => [g, lagData.stats[g].count, pct(lagData.stats[g].avgLag), lagData.stats[g].medianLag, lagData.stats[g].minLag, lagData.stats[g].maxLag]));
 
   const lagDistData = getAcquisitionLagDistribution(artworks);
   add('acquisition-lag-distribution.csv',
-    ['Lag Bin (years)', 'Male Count', 'Female Count', 'Unknown Count', 'Male %', 'Female %', 'Unknown %'],
-    lagDistData.labels.map((label, i) => [
-      label,
-      lagDistData.maleData[i],
-      lagDistData.femaleData[i],
-      lagDistData.unknownData[i],
-      pct(lagDistData.malePercent[i]),
-      pct(lagDistData.femalePercent[i]),
-      pct(lagDistData.unknownPercent[i])
-    ]));
+    ...countAndPercentTable('Lag Bin (years)', lagDistData.labels, lagDistData.genders, lagDistData.data, lagDistData.percent));
 
   // Collection organization
   const departmentData = getDepartmentGenderData(artworks);
   add('department-gender-flow.csv',
-    ['Department', 'Male', 'Female', 'Unknown', 'Total'],
-    Object.entries(departmentData.departmentCounts).map(([dept, counts]) => [dept, counts.Male, counts.Female, counts.Unknown, counts.total]));
+    ['Department', ...departmentData.genders.map(genderLabel), 'Total'],
+    Object.entries(departmentData.departmentCounts).map(([dept, counts]) => [dept, ...departmentData.genders.map(gender => counts[gender]), counts.total]));
 
   const objectTypeData = getObjectTypeData(artworks);
   const objectTypePercent = convertToPercentages(objectTypeData);
   add('object-types-by-gender.csv',
-    ['Object Type', 'Male Count', 'Female Count', 'Unknown Count', 'Male %', 'Female %', 'Unknown %'],
-    objectTypeData.labels.map((label, i) => [
-      label,
-      objectTypeData.maleData[i],
-      objectTypeData.femaleData[i],
-      objectTypeData.unknownData[i],
-      pct(objectTypePercent.maleData[i]),
-      pct(objectTypePercent.femaleData[i]),
-      pct(objectTypePercent.unknownData[i])
-    ]));
+    ...countAndPercentTable('Object Type', objectTypeData.labels, objectTypeData.genders, objectTypeData.data, objectTypePercent.data));
 
   const techniquesData = getTopAttributeData(artworks, 'techniques');
   const techniquesPercent = convertToPercentages(techniquesData);
   add('techniques-by-gender.csv',
-    ['Technique', 'Male Count', 'Female Count', 'Unknown Count', 'Male %', 'Female %', 'Unknown %'],
-    techniquesData.labels.map((label, i) => [
-      label,
-      techniquesData.maleData[i],
-      techniquesData.femaleData[i],
-      techniquesData.unknownData[i],
-      pct(techniquesPercent.maleData[i]),
-      pct(techniquesPercent.femaleData[i]),
-      pct(techniquesPercent.unknownData[i])
-    ]));
+    ...countAndPercentTable('Technique', techniquesData.labels, techniquesData.genders, techniquesData.data, techniquesPercent.data));
 
   const materialsData = getTopAttributeData(artworks, 'materials');
   const materialsPercent = convertToPercentages(materialsData);
   add('materials-by-gender.csv',
-    ['Material', 'Male Count', 'Female Count', 'Unknown Count', 'Male %', 'Female %', 'Unknown %'],
-    materialsData.labels.map((label, i) => [
-      label,
-      materialsData.maleData[i],
-      materialsData.femaleData[i],
-      materialsData.unknownData[i],
-      pct(materialsPercent.maleData[i]),
-      pct(materialsPercent.femaleData[i]),
-      pct(materialsPercent.unknownData[i])
-    ]));
+    ...countAndPercentTable('Material', materialsData.labels, materialsData.genders, materialsData.data, materialsPercent.data));
 
   // Subject & content
   const creatorDepictedData = getCreatorDepictedGenderData(artworks);
+  const depictedGenders = creatorDepictedData.depictedGenders;
   add('creator-depicted-gender.csv',
-    ['Creator Gender', 'Depicted Male %', 'Depicted Female %', 'Depicted Unknown %', 'Depicted Male Count', 'Depicted Female Count', 'Depicted Unknown Count'],
+    ['Creator Gender', ...genderColumns(depictedGenders, '%').map(h => `Depicted ${h}`), ...genderColumns(depictedGenders, 'Count').map(h => `Depicted ${h}`)],
     creatorDepictedData.labels.map((label, i) => [
       label,
-      pct(creatorDepictedData.maleDepictedPercent[i]),
-      pct(creatorDepictedData.femaleDepictedPercent[i]),
-      pct(creatorDepictedData.unknownDepictedPercent[i]),
-      creatorDepictedData.maleDepictedCount[i],
-      creatorDepictedData.femaleDepictedCount[i],
-      creatorDepictedData.unknownDepictedCount[i]
+      ...depictedGenders.map(gender => pct(creatorDepictedData.depictedPercent[gender][i])),
+      ...depictedGenders.map(gender => creatorDepictedData.depictedCount[gender][i])
     ]));
 
   const locationData = getDepictedLocationData(artworks);
   add('depicted-locations.csv',
-    ['Location Name', 'Latitude', 'Longitude', 'Distance from Copenhagen (km)', 'Male Count', 'Female Count', 'Unknown Count'],
-    locationData.allLocations.map(loc => [loc.name || '', loc.latitude, loc.longitude, loc.distance.toFixed(0), loc.Male, loc.Female, loc.Unknown]));
+    ['Location Name', 'Latitude', 'Longitude', 'Distance from Copenhagen (km)', ...genderColumns(locationData.genders, 'Count')],
+    locationData.allLocations.map(loc => [loc.name || '', loc.latitude, loc.longitude, loc.distance.toFixed(0), ...locationData.genders.map(gender => loc.counts[gender])]));
 
   add('depicted-location-distance-bins.csv',
-    ['Distance Bin', 'Male Count', 'Female Count', 'Unknown Count', 'Male %', 'Female %', 'Unknown %'],
-    locationData.distanceBins.map((label, i) => [
-      label,
-      locationData.distanceDistribution.Male[i],
-      locationData.distanceDistribution.Female[i],
-      locationData.distanceDistribution.Unknown[i],
-      pct(locationData.malePercents[i]),
-      pct(locationData.femalePercents[i]),
-      pct(locationData.unknownPercents[i])
-    ]));
+    ...countAndPercentTable('Distance Bin', locationData.distanceBins, locationData.genders, locationData.distanceDistribution, locationData.percents));
 
   add('depicted-location-distance-summary.csv',
     ['Gender', 'Count', 'Median (km)', 'Q1 (km)', 'Q3 (km)', 'Min (km)', 'Max (km)', 'Avg (km)'],
-    [
-      ['Male', locationData.totals.Male, locationData.maleStats.median, locationData.maleStats.q1, locationData.maleStats.q3, locationData.maleStats.min, locationData.maleStats.max, locationData.maleStats.avg],
-      ['Female', locationData.totals.Female, locationData.femaleStats.median, locationData.femaleStats.q1, locationData.femaleStats.q3, locationData.femaleStats.min, locationData.femaleStats.max, locationData.femaleStats.avg],
-      ['Unknown', locationData.totals.Unknown, locationData.unknownStats.median, locationData.unknownStats.q1, locationData.unknownStats.q3, locationData.unknownStats.min, locationData.unknownStats.max, locationData.unknownStats.avg]
-    ]);
+    locationData.genders.map(g => {
+      const s = locationData.distanceStats[g];
+      return [g, locationData.totals[g], s.median, s.q1, s.q3, s.min, s.max, s.avg];
+    }));
 
   // Color analysis (13-color system)
   const colorTimelineData = getColorTimelineData(artworks);
   const colorTimelineRows = [];
   colorTimelineData.labels.forEach((decade, i) => {
     colorTimelineData.colorFamilies.forEach(family => {
-      colorTimelineRows.push([decade, family, 'Male', pct(colorTimelineData.maleData[family][i])]);
-      colorTimelineRows.push([decade, family, 'Female', pct(colorTimelineData.femaleData[family][i])]);
-      colorTimelineRows.push([decade, family, 'Unknown', pct(colorTimelineData.unknownData[family][i])]);
+      colorTimelineData.genders.forEach(gender => {
+        colorTimelineRows.push([decade, family, gender, pct(colorTimelineData.data[gender][family][i])]);
+      });
     });
   });
   add('color-distribution-by-decade.csv',
@@ -270,37 +242,28 @@ function buildDatasets(artworks) {
     colorTimelineRows);
 
   const colorTreemapData = getColorTreemapData(artworks);
-  add('color-treemap-male.csv', ['Hex Color', 'Count'], colorTreemapData.male.slice(0, 100).map(c => [c.hex, c.count]));
-  add('color-treemap-female.csv', ['Hex Color', 'Count'], colorTreemapData.female.slice(0, 100).map(c => [c.hex, c.count]));
-  add('color-treemap-unknown.csv', ['Hex Color', 'Count'], colorTreemapData.unknown.slice(0, 100).map(c => [c.hex, c.count]));
+  colorTreemapData.genders.forEach(gender => {
+    add(`color-treemap-${gender.toLowerCase()}.csv`, ['Hex Color', 'Count'], colorTreemapData.colors[gender].slice(0, 100).map(c => [c.hex, c.count]));
+  });
 
   // Physical characteristics
   const dimensionData = getDimensionData(artworks, 'Painting');
   add('painting-dimensions.csv',
     ['Gender', 'Count', 'Avg Height (cm)', 'Avg Width (cm)', 'Avg Area (cm²)', 'Median Area (cm²)', 'Min Area (cm²)', 'Max Area (cm²)'],
-    GENDERS.map(g => {
+    dimensionData.genders.map(g => {
       const s = dimensionData.stats[g];
       return [g, s.count, pct(s.avgHeight), pct(s.avgWidth), pct(s.avgArea), pct(s.medianArea), pct(s.minArea), pct(s.maxArea)];
     }));
 
   const areaDistData = getAreaDistributionData(artworks, 'Painting');
   add('painting-size-distribution.csv',
-    ['Area Bin (cm²)', 'Male Count', 'Female Count', 'Unknown Count', 'Male %', 'Female %', 'Unknown %'],
-    areaDistData.labels.map((label, i) => [
-      label,
-      areaDistData.maleData[i],
-      areaDistData.femaleData[i],
-      areaDistData.unknownData[i],
-      pct(areaDistData.malePercent[i]),
-      pct(areaDistData.femalePercent[i]),
-      pct(areaDistData.unknownPercent[i])
-    ]));
+    ...countAndPercentTable('Area Bin (cm²)', areaDistData.labels, areaDistData.genders, areaDistData.data, areaDistData.percent));
 
   // Visibility & access
   const exhibitionMetrics = getExhibitionMetrics(artworks);
   add('exhibitions-by-gender.csv',
     ['Gender', 'Total Works', 'Works Ever Exhibited', 'Ever Exhibited (%)', 'Total Exhibitions', 'Avg Exhibitions per Work'],
-    GENDERS.map(g => [
+    exhibitionMetrics.genders.map(g => [
       g,
       exhibitionMetrics.totalWorks[g],
       exhibitionMetrics.worksExhibited[g],
@@ -312,9 +275,9 @@ function buildDatasets(artworks) {
   const onDisplayData = getOnDisplayData(artworks);
   add('on-display-by-gender.csv',
     ['Gender', 'Total Works', 'On Display Count', 'On Display %', 'Not Displayed Count', 'Not Displayed %'],
-    onDisplayData.labels.map((label, i) => [
-      label,
-      onDisplayData.total[label],
+    onDisplayData.genders.map((gender, i) => [
+      gender,
+      onDisplayData.total[gender],
       onDisplayData.displayedCount[i],
       pct(onDisplayData.displayedPercent[i]),
       onDisplayData.notDisplayedCount[i],
@@ -324,9 +287,9 @@ function buildDatasets(artworks) {
   const hasImageData = getHasImageData(artworks);
   add('digitization-by-gender.csv',
     ['Gender', 'Total Works', 'Photographed Count', 'Photographed %', 'Not Photographed Count', 'Not Photographed %'],
-    hasImageData.labels.map((label, i) => [
-      label,
-      hasImageData.total[label],
+    hasImageData.genders.map((gender, i) => [
+      gender,
+      hasImageData.total[gender],
       hasImageData.withImageCount[i],
       pct(hasImageData.withImagePercent[i]),
       hasImageData.withoutImageCount[i],
@@ -338,10 +301,13 @@ function buildDatasets(artworks) {
 
 /**
  * Builds a CSV per chart and downloads them bundled as a single .zip file
- * @param {Array<Object>} artworks - Normalized artwork items (full in-memory collection)
+ * @param {Array<Object>} artworks - Normalized artwork items (full in-memory collection, with the curator overrides applied)
+ * @param {string} strategy - Attribution strategy of the charts (see stats/attribution.js)
+ * @param {string} uncertainDates - Handling of uncertain dates in the year histograms
+ * @param {string} genderPreset - Gender categories of the charts (see data/genders.js)
  */
-export async function exportAllChartData(artworks) {
-  const datasets = buildDatasets(artworks);
+export async function exportAllChartData(artworks, strategy, uncertainDates, genderPreset) {
+  const datasets = buildDatasets(artworks, strategy, uncertainDates, genderPreset);
 
   const zip = new JSZip();
   datasets.forEach(({ filename, headers, rows }) => {
@@ -0,0 +1,92 @@
+/**
+ * Data health panel: shows the schema check report from the last fetch or
+ * sync (see data/schemaCheck.js) as a collapsible list of issues
+ */
+
+/**
+ * Create one section of the report
+ * @param {string} title - Section title
+ * @param {Array<Object>} entries - Report entries
+ * @param {Function} describe - Returns the text shown for an entry
+ * @returns {HTMLElement}
+ */
+function createSection(title, entries, describe) {
+  const section = document.createElement('div');
+  section.className = 'data-health-section';
+
+  const heading = document.createElement('h4');
+  heading.textContent = `${title} (${entries.length.toLocaleString()})`;
+  section.appendChild(heading);
+
+  const list = document.createElement('ul');
+  entries.forEach(entry => {
+    const item = document.createElement('li');
+    const path = document.createElement('code');
+    path.textContent = entry.path;
+    item.appendChild(path);
+    const text = describe(entry);
+    if (text) {
+      item.appendChild(document.createTextNode(` ${text}`));
+    }
+    list.appendChild(item);
+  });
+  section.appendChild(list);
+
+  return section;
+}
+
+/**
+ * Render the data health report
+ * @param {Object|null} report - From getDataHealthReport(), or null when the data came from the cache
+ */
+export function showDataHealthReport(report) {
+  const panel = document.getElementById('dataHealthPanel');
+  const summary = document.getElementById('dataHealthSummary');
+  const body = document.getElementById('dataHealthBody');
+  if (!panel || !summary || !body) return;
+
+  panel.style.display = '';
+  body.textContent = '';
+
+  const note = (text) => {
+    const p = document.createElement('p');
+    p.className = 'tool-panel-note';
+    p.textContent = text;
+    body.appendChild(p);
+  };
+
+  if (!report || report.inspectedItems === 0) {
+    summary.textContent = 'Data health: not checked';
+    note(report
+      ? 'No records were downloaded, so nothing was checked.'
+      : 'The data was loaded from the cache, so nothing was checked this session. Sync or refresh to check incoming records.');
+    return;
+  }
+
+  const issueCount = report.newFields.length + report.missingFields.length + report.shapeChanges.length;
+  summary.textContent = issueCount === 0
+    ? 'Data health: no schema changes'
+    : `Data health: ${issueCount.toLocaleString()} schema ${issueCount === 1 ? 'change' : 'changes'}`;
+  panel.classList.toggle('data-health-warning', issueCount > 0);
+
+  note(`Checked ${report.inspectedItems.toLocaleString()} records on ${new Date(report.checkedAt).toLocaleString('da-DK')} against the bundled API field reference.`);
+
+  if (!report.referenceLoaded) {
+    note('The field reference could not be loaded, so new fields are not reported.');
+  }
+
+  if (issueCount === 0) return;
+
+  if (report.shapeChanges.length) {
+    body.appendChild(createSection('Changed type or shape', report.shapeChanges,
+      entry => `expected ${entry.expected}, got ${entry.example} in ${entry.count.toLocaleString()} records`));
+  }
+  if (report.missingFields.length) {
+    body.appendChild(createSection('Missing fields', report.missingFields,
+      () => 'not present in any record'));
+  }
+  if (report.newFields.length) {
+    body.appendChild(createSection('New fields', report.newFields,
+      entry => `in ${entry.count.toLocaleString()} records, e.g. ${entry.example}`));
+  }
+}
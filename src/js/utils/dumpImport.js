@@ -0,0 +1,83 @@
+/**
+ * Offline import controls: file picker and drag-and-drop for SMK API dumps
+ */
+import { DUMP_EXTENSIONS, isSupportedDumpFile } from '../api/dataSources.js';
+import { showErrorMessage } from './ui.js';
+
+/**
+ * Hand a chosen file to the importer, rejecting unsupported file types
+ * @param {File} file - Chosen or dropped file
+ * @param {Function} onImport - Called with the file when it is supported
+ */
+function handleFile(file, onImport) {
+  if (!file) return;
+
+  if (!isSupportedDumpFile(file)) {
+    showErrorMessage(`Cannot import ${file.name}. Supported files: ${DUMP_EXTENSIONS.join(', ')}`);
+    return;
+  }
+
+  onImport(file);
+}
+
+/**
+ * Check whether a drag operation carries files (and not, say, selected text)
+ * @param {DragEvent} event - Drag event
+ * @returns {boolean}
+ */
+function isFileDrag(event) {
+  return Array.from(event.dataTransfer?.types || []).includes('Files');
+}
+
+/**
+ * Initialize the import button and page-wide drag-and-drop
+ * @param {Function} onImport - Called with the File to import
+ */
+export function initDumpImport(onImport) {
+  const importButton = document.getElementById('importDataButton');
+  const fileInput = document.getElementById('importFileInput');
+
+  if (importButton && fileInput) {
+    fileInput.accept = DUMP_EXTENSIONS.join(',');
+
+    importButton.addEventListener('click', () => fileInput.click());
+
+    fileInput.addEventListener('change', () => {
+      handleFile(fileInput.files[0], onImport);
+      // Allow the same file to be picked again
+      fileInput.value = '';
+    });
+  }
+
+  // dragenter/dragleave fire for every child element, so count them
+  let dragDepth = 0;
+
+  document.addEventListener('dragenter', (e) => {
+    if (!isFileDrag(e)) return;
+    dragDepth++;
+    document.body.classList.add('drop-import-active');
+  });
+
+  document.addEventListener('dragleave', (e) => {
+    if (!isFileDrag(e)) return;
+    dragDepth = Math.max(0, dragDepth - 1);
+    if (dragDepth === 0) {
+      document.body.classList.remove('drop-import-active');
+    }
+  });
+
+  document.addEventListener('dragover', (e) => {
+    if (!isFileDrag(e)) return;
+    // Required for the drop event to fire
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+  });
+
+  document.addEventListener('drop', (e) => {
+    if (!isFileDrag(e)) return;
+    e.preventDefault();
+    dragDepth = 0;
+    document.body.classList.remove('drop-import-active');
+    handleFile(e.dataTransfer.files[0], onImport);
+  });
+}
@@ -0,0 +1,30 @@
+/**
+ * Gender categories shown in the charts (see data/genders.js)
+ */
+import { CONFIG } from '../config.js';
+import { GENDER_PRESETS } from '../data/genders.js';
+import { getCookieSetting, initCookieSelect } from './cookieSelect.js';
+
+const GENDER_PRESET_COOKIE_NAME = 'smk_gender_preset';
+
+/**
+ * Get the chosen gender preset
+ * @returns {string} One of GENDER_PRESETS (CONFIG.stats.genderPreset without a choice)
+ */
+export function getGenderPreset() {
+  return getCookieSetting(GENDER_PRESET_COOKIE_NAME, GENDER_PRESETS, CONFIG.stats.genderPreset);
+}
+
+/**
+ * Initialize the gender preset switch
+ * @param {Function} onChange - Called with the new preset
+ */
+export function initGenderPresetSwitch(onChange) {
+  initCookieSelect({
+    selectId: 'genderPresetSelect',
+    cookie: GENDER_PRESET_COOKIE_NAME,
+    options: GENDER_PRESETS,
+    fallback: CONFIG.stats.genderPreset,
+    onChange
+  });
+}
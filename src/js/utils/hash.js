@@ -0,0 +1,17 @@
+/**
+ * Small non-cryptographic hashing helpers
+ */
+
+/**
+ * 32-bit FNV-1a hash of a string
+ * @param {string} str - Input string
+ * @returns {number} Unsigned 32-bit hash
+ */
+export function hashString(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
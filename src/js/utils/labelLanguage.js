@@ -0,0 +1,39 @@
+/**
+ * Language of the catalogue labels in the charts: department names, object
+ * types, techniques, materials and titles (see data/labels.js)
+ */
+import { CONFIG } from '../config.js';
+import { LANGUAGE_NAMES } from '../data/labels.js';
+import { getCookieSetting, initCookieSelect } from './cookieSelect.js';
+
+const LANGUAGE_COOKIE_NAME = 'smk_label_language';
+
+/**
+ * Get the languages offered for labels
+ * @returns {Array<Object>} One option per language of CONFIG.api.languages
+ */
+function languageOptions() {
+  return CONFIG.api.languages.map(language => ({ value: language, label: LANGUAGE_NAMES[language] || language }));
+}
+
+/**
+ * Get the language chosen for labels
+ * @returns {string} One of CONFIG.api.languages (the first without a choice)
+ */
+export function getLabelLanguage() {
+  return getCookieSetting(LANGUAGE_COOKIE_NAME, languageOptions(), CONFIG.api.languages[0]);
+}
+
+/**
+ * Initialize the label language switch
+ * @param {Function} onChange - Called with the new language
+ */
+export function initLanguageSwitch(onChange) {
+  initCookieSelect({
+    selectId: 'labelLanguageSelect',
+    cookie: LANGUAGE_COOKIE_NAME,
+    options: languageOptions(),
+    fallback: CONFIG.api.languages[0],
+    onChange
+  });
+}
@@ -0,0 +1,344 @@
+/**
+ * Curator override panel: add, import, review and export the local
+ * corrections of data/overrides.js. Overrides are kept in IndexedDB when the
+ * visitor allows it (see utils/consent.js), otherwise for this visit only.
+ */
+import {
+  OVERRIDE_FIELDS,
+  OVERRIDE_TARGETS,
+  createOverride,
+  parseOverrides,
+  overridesToCSV,
+  overridesToJSON,
+  countCorrections,
+  reviewOverrides
+} from '../data/overrides.js';
+import { genderLabel } from '../data/genders.js';
+import { listOverrides, saveOverrides, setCuratorOverrides } from '../api/smkApi.js';
+import { hasStorageConsent } from './consent.js';
+
+// Errors listed after an import; the rest are counted
+const MAX_ERRORS = 10;
+
+// Overrides in the order they were added
+let overrides = [];
+
+// Artworks of the last refresh, reviewed when the panel is opened
+let pendingArtworks = [];
+
+// Called after the overrides changed
+let changeHandler = () => {};
+
+/**
+ * Get the curator overrides
+ * @returns {Array<Object>}
+ */
+export function getCuratorOverrides() {
+  return overrides;
+}
+
+/**
+ * Keep the overrides in IndexedDB, when the visitor allows it
+ * @returns {Promise<void>}
+ */
+export async function saveCuratorOverrides() {
+  if (!hasStorageConsent('overrides')) return;
+  await saveOverrides(overrides);
+}
+
+/**
+ * Replace the overrides, keep them, apply them to later loads and redraw the charts
+ * @param {Array<Object>} next - New overrides
+ */
+function setOverrides(next) {
+  overrides = next;
+  setCuratorOverrides(next);
+  saveCuratorOverrides();
+  changeHandler();
+}
+
+/**
+ * Add overrides, replacing those with the same id in place
+ * @param {Array<Object>} added - Valid overrides
+ */
+function addOverrides(added) {
+  const byId = new Map(overrides.map(override => [override.id, override]));
+  added.forEach(override => byId.set(override.id, override));
+  setOverrides([...byId.values()]);
+}
+
+/**
+ * Show the outcome of the last action
+ * @param {string} text - Message
+ * @param {Array<string>} [errors=[]] - Problems, of which MAX_ERRORS are listed
+ */
+function showMessage(text, errors = []) {
+  const message = document.getElementById('overrideMessage');
+  if (!message) return;
+
+  message.textContent = text;
+  if (!errors.length) return;
+
+  const list = document.createElement('ul');
+  errors.slice(0, MAX_ERRORS).forEach(error => {
+    const item = document.createElement('li');
+    item.textContent = error;
+    list.appendChild(item);
+  });
+  if (errors.length > MAX_ERRORS) {
+    const more = document.createElement('li');
+    more.textContent = `and ${(errors.length - MAX_ERRORS).toLocaleString()} more`;
+    list.appendChild(more);
+  }
+  message.appendChild(list);
+}
+
+/**
+ * Format the value of an override or the catalogue for display
+ * @param {string} field - One of OVERRIDE_FIELDS
+ * @param {*} value - Value
+ * @returns {string}
+ */
+function formatValue(field, value) {
+  if (value === null || value === undefined || value === '') return '(missing)';
+  return field === 'gender' ? genderLabel(value) : String(value);
+}
+
+/**
+ * Describe how an override compares to the loaded records
+ * @param {Object} review - From reviewOverrides()
+ * @returns {string}
+ */
+function describeReview(review) {
+  if (!review.records) return 'no loaded record';
+  if (!review.changed) return 'matches catalogue';
+  return `${review.changed.toLocaleString()} of ${review.records.toLocaleString()} corrected`;
+}
+
+/**
+ * Create the review table of the overrides
+ * @returns {HTMLTableElement}
+ */
+function createReviewTable() {
+  const table = document.createElement('table');
+  table.className = 'override-table';
+
+  const header = table.createTHead().insertRow();
+  ['Target', 'Key', 'Field', 'Catalogue value', 'Override', 'Records', 'Note', ''].forEach(text => {
+    const th = document.createElement('th');
+    th.textContent = text;
+    header.appendChild(th);
+  });
+
+  const targetLabels = Object.fromEntries(OVERRIDE_TARGETS.map(option => [option.value, option.label]));
+  const fieldLabels = Object.fromEntries(OVERRIDE_FIELDS.map(option => [option.value, option.label]));
+
+  const body = table.createTBody();
+  reviewOverrides(pendingArtworks, overrides).forEach(review => {
+    const { override } = review;
+    const row = body.insertRow();
+    row.title = `Added ${new Date(override.createdAt).toLocaleString()}${override.author ? ` by ${override.author}` : ''}`;
+
+    [
+      targetLabels[override.target],
+      override.key,
+      fieldLabels[override.field],
+      review.catalogue.map(value => formatValue(override.field, value)).join(', '),
+      formatValue(override.field, override.value),
+      describeReview(review),
+      override.note
+    ].forEach(text => {
+      row.insertCell().textContent = text;
+    });
+
+    const remove = document.createElement('button');
+    remove.className = 'map-filter-btn';
+    remove.textContent = 'Remove';
+    remove.addEventListener('click', () => {
+      setOverrides(overrides.filter(other => other.id !== override.id));
+      showMessage(`Removed the ${fieldLabels[override.field].toLowerCase()} override of ${override.key}.`);
+    });
+    row.insertCell().appendChild(remove);
+  });
+
+  return table;
+}
+
+/**
+ * Render the review of the overrides against the pending artworks
+ */
+function render() {
+  const list = document.getElementById('overrideList');
+  if (!list) return;
+
+  list.textContent = '';
+  if (overrides.length) list.appendChild(createReviewTable());
+}
+
+/**
+ * Download text as a file
+ * @param {string} text - File contents
+ * @param {string} type - MIME type
+ * @param {string} filename - File name
+ */
+function downloadText(text, type, filename) {
+  const blob = new Blob([text], { type });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Export the overrides, with the catalogue values they replace, to send to SMK
+ * @param {string} format - 'csv' or 'json'
+ */
+function exportOverrides(format) {
+  if (!overrides.length) {
+    showMessage('There are no overrides to export.');
+    return;
+  }
+
+  const date = new Date().toISOString().slice(0, 10);
+  if (format === 'csv') {
+    const catalogue = new Map(reviewOverrides(pendingArtworks, overrides)
+      .map(review => [review.override.id, review.catalogue.join('; ')]));
+    downloadText(overridesToCSV(overrides, { catalogueValue: override => catalogue.get(override.id) }),
+      'text/csv;charset=utf-8', `smk-overrides-${date}.csv`);
+  } else {
+    downloadText(overridesToJSON(overrides), 'application/json', `smk-overrides-${date}.json`);
+  }
+}
+
+/**
+ * Add the override entered in the form
+ */
+function addFromForm() {
+  const read = id => document.getElementById(id)?.value ?? '';
+  const { override, error } = createOverride({
+    target: read('overrideTarget'),
+    key: read('overrideKey'),
+    field: read('overrideField'),
+    value: read('overrideValue'),
+    note: read('overrideNote'),
+    author: read('overrideAuthor')
+  });
+
+  if (error) {
+    showMessage(`Cannot add the override: ${error}.`);
+    return;
+  }
+
+  addOverrides([override]);
+  const field = OVERRIDE_FIELDS.find(option => option.value === override.field).label.toLowerCase();
+  showMessage(`Added the ${field} override of ${override.key}.`);
+  ['overrideKey', 'overrideValue', 'overrideNote'].forEach(id => {
+    const input = document.getElementById(id);
+    if (input) input.value = '';
+  });
+}
+
+/**
+ * Import overrides from a JSON or CSV file
+ * @param {File} file - Chosen file
+ */
+async function importFile(file) {
+  if (!file) return;
+
+  let text;
+  try {
+    text = await file.text();
+  } catch (error) {
+    showMessage(`Cannot read ${file.name}: ${error.message}`);
+    return;
+  }
+
+  const { overrides: imported, errors } = parseOverrides(text, file.name);
+  if (imported.length) addOverrides(imported);
+  showMessage(`Imported ${imported.length.toLocaleString()} ${imported.length === 1 ? 'override' : 'overrides'} from ${file.name}${errors.length ? `; ${errors.length.toLocaleString()} skipped:` : '.'}`, errors);
+}
+
+/**
+ * Fill a select box with options
+ * @param {string} id - Element ID
+ * @param {Array<Object>} options - { value, label }
+ */
+function fillSelect(id, options) {
+  const select = document.getElementById(id);
+  if (!select) return;
+
+  select.textContent = '';
+  options.forEach(({ value, label }) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    select.appendChild(option);
+  });
+}
+
+/**
+ * Update the panel for the loaded artworks; the review is redrawn now only if open
+ * @param {Array<Object>} artworks - Normalized artworks with the overrides applied
+ */
+export function refreshOverridePanel(artworks) {
+  const panel = document.getElementById('overridePanel');
+  const summary = document.getElementById('overrideSummary');
+  if (!panel) return;
+
+  pendingArtworks = artworks;
+  panel.style.display = artworks.length ? '' : 'none';
+
+  if (summary) {
+    const { values } = countCorrections(artworks);
+    summary.textContent = overrides.length
+      ? `Curator overrides: ${overrides.length.toLocaleString()} ${overrides.length === 1 ? 'override' : 'overrides'}, ${values.toLocaleString()} ${values === 1 ? 'value' : 'values'} corrected locally`
+      : 'Curator overrides';
+  }
+  if (panel.open) render();
+}
+
+/**
+ * Initialize the curator override panel and load the kept overrides
+ * @param {Function} onChange - Called when the overrides change, to redraw the charts
+ * @returns {Promise<void>}
+ */
+export async function initOverridePanel(onChange) {
+  changeHandler = onChange;
+
+  const panel = document.getElementById('overridePanel');
+  if (panel) {
+    fillSelect('overrideTarget', OVERRIDE_TARGETS);
+    fillSelect('overrideField', OVERRIDE_FIELDS);
+
+    panel.addEventListener('toggle', () => {
+      if (panel.open) render();
+    });
+    document.getElementById('overrideAddButton')?.addEventListener('click', addFromForm);
+    document.getElementById('overrideExportCsvButton')?.addEventListener('click', () => exportOverrides('csv'));
+    document.getElementById('overrideExportJsonButton')?.addEventListener('click', () => exportOverrides('json'));
+
+    const importButton = document.getElementById('overrideImportButton');
+    const fileInput = document.getElementById('overrideFileInput');
+    if (importButton && fileInput) {
+      importButton.addEventListener('click', () => fileInput.click());
+      fileInput.addEventListener('change', () => {
+        importFile(fileInput.files[0]);
+        // Allow the same file to be picked again
+        fileInput.value = '';
+      });
+    }
+  }
+
+  if (!hasStorageConsent('overrides')) return;
+  const kept = await listOverrides();
+  // Overrides added while loading are kept too, and replace saved ones with the same id
+  if (kept.length) {
+    const added = new Set(overrides.map(override => override.id));
+    setOverrides([...kept.filter(override => !added.has(override.id)), ...overrides]);
+  }
+}
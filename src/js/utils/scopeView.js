@@ -0,0 +1,159 @@
+/**
+ * Scope builder panel: turns department, object type, acquisition years,
+ * on-display and has-image choices into a fetch scope (see api/scope.js)
+ */
+import { listIndexedValues, listCachedScopes } from '../api/smkApi.js';
+import { normalizeScope, getScopeKey, describeScope } from '../api/scope.js';
+
+// Loads a scope (set by initScopePanel)
+let applyScope = () => {};
+
+/**
+ * Values that were derived locally rather than read from the API, so they
+ * cannot be used as SMK search filters
+ * @param {string} value - Department or object type
+ * @returns {boolean}
+ */
+function isFilterableValue(value) {
+  return Boolean(value) && value !== 'Unknown' && !value.startsWith('Other (');
+}
+
+/**
+ * Fill a select with the distinct values of a field, keeping the current choice
+ * Values come from the cached full collection and the loaded artworks.
+ * @param {HTMLSelectElement} select - Select element (first option is "Any")
+ * @param {string} field - Indexed artwork field
+ * @param {Array<Object>} artworks - Currently loaded artworks
+ */
+async function fillOptions(select, field, artworks) {
+  const values = new Set(await listIndexedValues(field));
+  artworks.forEach(artwork => values.add(artwork[field]));
+
+  const current = select.value;
+  while (select.options.length > 1) {
+    select.remove(1);
+  }
+
+  Array.from(values)
+    .filter(isFilterableValue)
+    .sort((a, b) => a.localeCompare(b))
+    .forEach(value => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = value;
+      select.appendChild(option);
+    });
+
+  select.value = values.has(current) ? current : '';
+}
+
+/**
+ * Read the scope currently set in the builder
+ * @returns {Object|null} Normalized scope, or null for the full collection
+ */
+function readScope() {
+  return normalizeScope({
+    department: document.getElementById('scopeDepartment').value,
+    objectType: document.getElementById('scopeObjectType').value,
+    acquiredFrom: document.getElementById('scopeAcquiredFrom').value,
+    acquiredTo: document.getElementById('scopeAcquiredTo').value,
+    onDisplay: document.getElementById('scopeOnDisplay').checked,
+    hasImage: document.getElementById('scopeHasImage').checked
+  });
+}
+
+/**
+ * Set the builder controls to a scope
+ * @param {Object|null} scope - Normalized scope
+ */
+function writeScope(scope) {
+  const setSelect = (id, value) => {
+    const select = document.getElementById(id);
+    // Scopes loaded from the cache may name a value the list does not have yet
+    if (value && !Array.from(select.options).some(option => option.value === value)) {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = value;
+      select.appendChild(option);
+    }
+    select.value = value || '';
+  };
+
+  setSelect('scopeDepartment', scope?.department);
+  setSelect('scopeObjectType', scope?.objectType);
+  document.getElementById('scopeAcquiredFrom').value = scope?.acquiredFrom ?? '';
+  document.getElementById('scopeAcquiredTo').value = scope?.acquiredTo ?? '';
+  document.getElementById('scopeOnDisplay').checked = Boolean(scope?.onDisplay);
+  document.getElementById('scopeHasImage').checked = Boolean(scope?.hasImage);
+}
+
+/**
+ * List the scopes that are already cached, each with a button to load it
+ * @param {Object|null} activeScope - Scope currently shown
+ */
+async function renderCachedScopes(activeScope) {
+  const container = document.getElementById('scopeCachedList');
+  if (!container) return;
+
+  const activeKey = getScopeKey(activeScope);
+  const scopes = (await listCachedScopes()).filter(entry => !entry.isExpired);
+  container.textContent = '';
+  if (scopes.length === 0) return;
+
+  const heading = document.createElement('p');
+  heading.className = 'tool-panel-note';
+  heading.textContent = 'Cached scopes:';
+  container.appendChild(heading);
+
+  scopes.forEach(entry => {
+    const button = document.createElement('button');
+    button.className = 'map-filter-btn';
+    if (getScopeKey(entry.scope) === activeKey) {
+      button.classList.add('active');
+    }
+    button.textContent = `${describeScope(entry.scope)} (${entry.itemCount.toLocaleString()})`;
+    button.addEventListener('click', () => {
+      writeScope(entry.scope);
+      applyScope(entry.scope);
+    });
+    container.appendChild(button);
+  });
+}
+
+/**
+ * Update the panel after data has been loaded
+ * @param {Array<Object>} artworks - Loaded artworks
+ * @param {Object|null} activeScope - Scope the artworks were fetched with
+ */
+export async function refreshScopePanel(artworks, activeScope) {
+  const summary = document.getElementById('scopeSummary');
+  if (!summary) return;
+
+  summary.textContent = describeScope(activeScope);
+
+  await Promise.all([
+    fillOptions(document.getElementById('scopeDepartment'), 'department', artworks),
+    fillOptions(document.getElementById('scopeObjectType'), 'object_type', artworks)
+  ]);
+  writeScope(activeScope);
+  await renderCachedScopes(activeScope);
+}
+
+/**
+ * Initialize the scope builder controls
+ * @param {Function} onApply - Called with the normalized scope (null for the full collection)
+ */
+export function initScopePanel(onApply) {
+  const applyButton = document.getElementById('scopeApplyButton');
+  const resetButton = document.getElementById('scopeResetButton');
+  if (!applyButton || !resetButton) return;
+
+  applyScope = onApply;
+
+  applyButton.addEventListener('click', () => applyScope(readScope()));
+
+  resetButton.addEventListener('click', () => {
+    writeScope(null);
+    applyScope(null);
+  });
+}
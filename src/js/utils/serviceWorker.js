@@ -0,0 +1,18 @@
+/**
+ * Service worker registration (see sw.js at the site root)
+ */
+
+/**
+ * Register the service worker that makes the app work offline
+ * Failures are logged only: the app works the same without it, just not offline.
+ */
+export async function registerServiceWorker() {
+  if (!('serviceWorker' in navigator)) return;
+
+  try {
+    // Resolved from this module so the app can be served from a subpath
+    await navigator.serviceWorker.register(new URL('../../../sw.js', import.meta.url));
+  } catch (error) {
+    console.warn('Service worker registration failed:', error);
+  }
+}
@@ -0,0 +1,182 @@
+/**
+ * Snapshot history panel: lists the dated snapshots kept in IndexedDB and
+ * renders the comparison between two of them
+ */
+import { listSnapshots, getSnapshot } from '../api/smkApi.js';
+import { CONFIG } from '../config.js';
+import { compareSnapshots, snapshotVersionMismatch } from '../stats/snapshots.js';
+
+/**
+ * Maximum records listed per category (the rest is summarised as a count)
+ */
+const MAX_LISTED_RECORDS = 100;
+
+/**
+ * Format a snapshot for display in the select boxes
+ * @param {Object} summary - Snapshot summary
+ * @returns {string} Label with date, record count and, for a snapshot in an earlier data format, a note
+ */
+function formatSnapshotLabel(summary) {
+  const date = new Date(summary.takenAt).toLocaleDateString('da-DK', { day: '2-digit', month: '2-digit', year: 'numeric' });
+  const format = summary.version === (CONFIG.cache.version || 1) ? '' : ', earlier data format';
+  return `${date} (${summary.itemCount.toLocaleString()} artworks${format})`;
+}
+
+/**
+ * Create a collapsible list of records
+ * @param {string} title - List title
+ * @param {Array<Object>} records - Records ({ label, ... })
+ * @param {Function} describe - Returns the text shown for a record
+ * @returns {HTMLElement}
+ */
+function createRecordList(title, records, describe) {
+  const details = document.createElement('details');
+  details.className = 'snapshot-records';
+
+  const summary = document.createElement('summary');
+  summary.textContent = `${title} (${records.length.toLocaleString()})`;
+  details.appendChild(summary);
+
+  const list = document.createElement('ul');
+  records.slice(0, MAX_LISTED_RECORDS).forEach(record => {
+    const item = document.createElement('li');
+    item.textContent = describe(record);
+    list.appendChild(item);
+  });
+
+  if (records.length > MAX_LISTED_RECORDS) {
+    const more = document.createElement('li');
+    more.className = 'snapshot-more';
+    more.textContent = `…and ${(records.length - MAX_LISTED_RECORDS).toLocaleString()} more`;
+    list.appendChild(more);
+  }
+
+  details.appendChild(list);
+  return details;
+}
+
+/**
+ * Create the table of net changes to the overview stat cards
+ * @param {Array<Object>} statChanges - From compareSnapshots()
+ * @returns {HTMLTableElement}
+ */
+function createStatTable(statChanges) {
+  const table = document.createElement('table');
+  table.className = 'snapshot-stats';
+
+  const header = table.createTHead().insertRow();
+  ['', 'Before', 'After', 'Change'].forEach(text => {
+    const th = document.createElement('th');
+    th.textContent = text;
+    header.appendChild(th);
+  });
+
+  const body = table.createTBody();
+  statChanges.forEach(stat => {
+    const row = body.insertRow();
+    const sign = stat.delta > 0 ? '+' : '';
+    [
+      stat.label,
+      `${stat.before.toLocaleString()}${stat.unit}`,
+      `${stat.after.toLocaleString()}${stat.unit}`,
+      `${sign}${stat.delta.toLocaleString()}${stat.unit === '%' ? ' pp' : ''}`
+    ].forEach(text => {
+      row.insertCell().textContent = text;
+    });
+  });
+
+  return table;
+}
+
+/**
+ * Compare two snapshots and render the result
+ * @param {string} fromId - Earlier snapshot id
+ * @param {string} toId - Later snapshot id
+ */
+async function renderComparison(fromId, toId) {
+  const container = document.getElementById('snapshotComparison');
+  if (!container) return;
+
+  container.textContent = 'Comparing snapshots...';
+
+  const [older, newer] = await Promise.all([getSnapshot(fromId), getSnapshot(toId)]);
+  if (!older || !newer) {
+    container.textContent = 'One of the selected snapshots is no longer available.';
+    return;
+  }
+
+  // Records normalized differently would all show as changed
+  if (snapshotVersionMismatch(older.summary, newer.summary)) {
+    container.textContent = 'These snapshots were taken with different versions of the data processing, so their records cannot be compared reliably. Compare snapshots taken in the same data format.';
+    return;
+  }
+
+  const result = compareSnapshots(older, newer);
+  container.textContent = '';
+
+  const summary = document.createElement('p');
+  summary.textContent = `${result.added.length.toLocaleString()} added, ${result.removed.length.toLocaleString()} removed and ${result.changed.length.toLocaleString()} changed records, including ${result.genderChanges.length.toLocaleString()} gender reclassifications.`;
+  container.appendChild(summary);
+
+  container.appendChild(createStatTable(result.statChanges));
+  container.appendChild(createRecordList('Gender reclassifications', result.genderChanges,
+    r => `${r.label}: ${r.fromGender} → ${r.toGender}`));
+  container.appendChild(createRecordList('Added', result.added, r => `${r.label} (${r.gender})`));
+  container.appendChild(createRecordList('Removed', result.removed, r => `${r.label} (${r.gender})`));
+  container.appendChild(createRecordList('Changed', result.changed, r => r.label));
+}
+
+/**
+ * Reload the list of snapshots; the panel is only shown once there are two
+ */
+export async function refreshSnapshotPanel() {
+  const panel = document.getElementById('snapshotPanel');
+  const fromSelect = document.getElementById('snapshotFrom');
+  const toSelect = document.getElementById('snapshotTo');
+  if (!panel || !fromSelect || !toSelect) return;
+
+  const snapshots = await listSnapshots();
+  if (snapshots.length < 2) {
+    panel.style.display = 'none';
+    return;
+  }
+
+  [fromSelect, toSelect].forEach(select => {
+    select.textContent = '';
+    snapshots.forEach(summary => {
+      const option = document.createElement('option');
+      option.value = summary.id;
+      option.textContent = formatSnapshotLabel(summary);
+      select.appendChild(option);
+    });
+  });
+
+  // Default to the two most recent snapshots
+  fromSelect.value = snapshots[1].id;
+  toSelect.value = snapshots[0].id;
+  panel.style.display = 'block';
+}
+
+/**
+ * Initialize the snapshot comparison controls
+ */
+export function initSnapshotPanel() {
+  const compareButton = document.getElementById('snapshotCompareButton');
+  if (!compareButton) return;
+
+  compareButton.addEventListener('click', async () => {
+    const fromId = document.getElementById('snapshotFrom').value;
+    const toId = document.getElementById('snapshotTo').value;
+    if (!fromId || !toId || fromId === toId) return;
+
+    // Always compare older → newer regardless of selection order
+    const [olderId, newerId] = fromId < toId ? [fromId, toId] : [toId, fromId];
+
+    compareButton.disabled = true;
+    try {
+      await renderComparison(olderId, newerId);
+    } finally {
+      compareButton.disabled = false;
+    }
+  });
+}
@@ -0,0 +1,21 @@
+/**
+ * Helpers for moving artwork batches between the data worker and the main thread
+ */
+
+/**
+ * Encode records as a transferable buffer
+ * @param {Array<Object>} records - Plain JSON-compatible records
+ * @returns {ArrayBuffer} UTF-8 encoded JSON
+ */
+export function encodeBatch(records) {
+  return new TextEncoder().encode(JSON.stringify(records)).buffer;
+}
+
+/**
+ * Decode a buffer produced by encodeBatch
+ * @param {ArrayBuffer} buffer - UTF-8 encoded JSON
+ * @returns {Array<Object>} Decoded records
+ */
+export function decodeBatch(buffer) {
+  return JSON.parse(new TextDecoder().decode(buffer));
+}
@@ -41,10 +41,231 @@ export function showSuccessMessage(message) {
 /**
  * Update loading indicator
  * @param {number} count - Number of items processed
+ * @param {number} [recovered=0] - Records recovered from an interrupted download
+ * @param {number|null} [total=null] - Records in the source, when known
  */
-export function updateLoadingIndicator(count) {
+export function updateLoadingIndicator(count, recovered = 0, total = null) {
   const loading = document.getElementById('loading');
-  loading.textContent = `Loading SMK data... ${count} items processed`;
+  const processed = total ? `${count} of ${total} items processed` : `${count} items processed`;
+  loading.textContent = recovered > 0
+    ? `Resuming SMK data download... ${processed} (${recovered.toLocaleString()} recovered)`
+    : `Loading SMK data... ${processed}`;
+}
+
+/**
+ * Format a duration for the progress details
+ * @param {number} ms - Milliseconds
+ * @returns {string} e.g. "40 s" or "3 min"
+ */
+function formatDuration(ms) {
+  const seconds = Math.ceil(ms / 1000);
+  return seconds < 90 ? `${seconds} s` : `${Math.round(seconds / 60)} min`;
+}
+
+/**
+ * Render a progress event (see api/progress.js) as a progress bar with
+ * percentage, throughput, ETA and retry state. The record count itself is
+ * shown by the loading indicator.
+ * @param {Object} event - Progress event
+ */
+export function showLoadProgress(event) {
+  const container = document.getElementById('loadProgress');
+  if (!container) return;
+
+  if (['complete', 'cancelled', 'failed'].includes(event.status)) {
+    container.style.display = 'none';
+    return;
+  }
+
+  const track = container.querySelector('.load-progress-track');
+  const fill = container.querySelector('.load-progress-fill');
+  const details = container.querySelector('.load-progress-details');
+  const retry = container.querySelector('.load-progress-retry');
+
+  container.style.display = 'block';
+  container.classList.toggle('indeterminate', event.percent === null);
+
+  if (event.percent !== null) {
+    fill.style.width = `${event.percent}%`;
+    track.setAttribute('aria-valuenow', Math.floor(event.percent));
+  } else {
+    fill.style.width = '';
+    track.removeAttribute('aria-valuenow');
+  }
+
+  const parts = [];
+  if (event.status === 'waiting') {
+    parts.push('Waiting for a download in another tab');
+  } else if (event.remote) {
+    parts.push('Downloading in another tab');
+  }
+  if (event.percent !== null) {
+    parts.push(`${Math.floor(event.percent)}%`);
+  }
+  if (event.throughput) {
+    parts.push(`${Math.round(event.throughput).toLocaleString()} records/s`);
+  }
+  if (event.status === 'paused') {
+    parts.push('paused');
+  } else if (event.eta !== null) {
+    parts.push(`about ${formatDuration(event.eta)} left`);
+  }
+  details.textContent = parts.join(' · ');
+
+  if (event.retry) {
+    const { attempt, maxAttempts, delay, offset, message } = event.retry;
+    const target = offset !== null ? `page at record ${offset.toLocaleString()}` : 'request';
+    retry.textContent = `${message}. Retrying ${target} in ${formatDuration(delay)} (attempt ${attempt + 1} of ${maxAttempts})`;
+  } else {
+    retry.textContent = '';
+  }
+}
+
+/**
+ * Show that the download is paused
+ * @param {number} count - Number of items processed
+ * @param {number|null} total - Records in the source, when known
+ */
+export function showPausedIndicator(count, total) {
+  const loading = document.getElementById('loading');
+  loading.textContent = total
+    ? `Download paused at ${count.toLocaleString()} of ${total.toLocaleString()} items`
+    : `Download paused at ${count.toLocaleString()} items`;
+}
+
+/**
+ * Show the Pause, Resume and Stop controls for a running download
+ * @param {boolean} canPause - Whether the source can be paused (API downloads only)
+ */
+export function showDownloadControls(canPause) {
+  const controls = document.getElementById('downloadControls');
+  if (!controls) return;
+
+  controls.style.display = 'flex';
+  document.getElementById('pauseDownloadButton').style.display = canPause ? '' : 'none';
+  document.getElementById('resumeDownloadButton').style.display = 'none';
+}
+
+/**
+ * Swap the Pause and Resume controls
+ * @param {boolean} paused - Whether the download is paused
+ */
+export function setDownloadControlsPaused(paused) {
+  const pauseButton = document.getElementById('pauseDownloadButton');
+  const resumeButton = document.getElementById('resumeDownloadButton');
+  if (!pauseButton || !resumeButton) return;
+
+  pauseButton.style.display = paused ? 'none' : '';
+  resumeButton.style.display = paused ? '' : 'none';
+}
+
+/**
+ * Hide the download controls
+ */
+export function hideDownloadControls() {
+  const controls = document.getElementById('downloadControls');
+  if (controls) {
+    controls.style.display = 'none';
+  }
+}
+
+/**
+ * Flag every stat card, insight box and the page itself as showing partial data
+ * The label is drawn by CSS from the --partial-data-label property, so stat
+ * cards and insights rendered later carry it too.
+ * @param {Object|null} state - { loaded, total, paused, stopped }, or null once the data is complete
+ */
+export function setPartialDataState(state) {
+  const banner = document.getElementById('partialDataBanner');
+  document.body.classList.toggle('partial-data', Boolean(state));
+
+  if (!state) {
+    document.body.style.removeProperty('--partial-data-label');
+    if (banner) banner.style.display = 'none';
+    return;
+  }
+
+  const records = state.total
+    ? `${state.loaded.toLocaleString()} of ${state.total.toLocaleString()} records`
+    : `${state.loaded.toLocaleString()} records so far`;
+  const status = state.stopped ? ', download stopped' : state.paused ? ', download paused' : '';
+
+  document.body.style.setProperty('--partial-data-label', JSON.stringify(`Partial data (${records})`));
+  if (banner) {
+    banner.textContent = `Partial data (${records}${status}). Charts, figures and insights are incomplete.`;
+    banner.style.display = 'block';
+  }
+}
+
+/**
+ * Show that an interrupted download is being resumed
+ * @param {number} recovered - Number of records recovered from the saved pages
+ */
+export function showResumeIndicator(recovered) {
+  const loading = document.getElementById('loading');
+  loading.textContent = `Resuming interrupted download... ${recovered.toLocaleString()} records recovered`;
+}
+
+/**
+ * Update loading indicator during a delta sync
+ * @param {number} count - Number of changed records processed
+ */
+export function updateSyncIndicator(count) {
+  const loading = document.getElementById('loading');
+  loading.textContent = `Syncing SMK data... ${count} changed records processed`;
+}
+
+/**
+ * Show a message with a single action button in the loading indicator
+ * @param {string} message - Message to display
+ * @param {string} buttonLabel - Button text
+ * @returns {Promise<void>} Resolves when the button is clicked (a user gesture)
+ */
+export function showActionPrompt(message, buttonLabel) {
+  const loading = document.getElementById('loading');
+  loading.style.display = 'block';
+  loading.textContent = `${message} `;
+
+  const button = document.createElement('button');
+  button.textContent = buttonLabel;
+  button.style.cssText = 'margin-left: 0.5rem; padding: 0.25rem 0.5rem;';
+  loading.appendChild(button);
+
+  return new Promise((resolve) => {
+    button.addEventListener('click', () => {
+      button.remove();
+      resolve();
+    }, { once: true });
+  });
+}
+
+/**
+ * Show a message with a choice of buttons in the loading indicator
+ * @param {string} message - Message to show
+ * @param {Array<Object>} choices - Buttons ({ value, label }) in display order
+ * @returns {Promise<string>} Resolves with the value of the button clicked
+ */
+export function showChoicePrompt(message, choices) {
+  const loading = document.getElementById('loading');
+  loading.style.display = 'block';
+  loading.textContent = `${message} `;
+
+  const buttons = choices.map(choice => {
+    const button = document.createElement('button');
+    button.textContent = choice.label;
+    button.style.cssText = 'margin-left: 0.5rem; padding: 0.25rem 0.5rem;';
+    loading.appendChild(button);
+    return button;
+  });
+
+  return new Promise((resolve) => {
+    buttons.forEach((button, index) => {
+      button.addEventListener('click', () => {
+        buttons.forEach(other => other.remove());
+        resolve(choices[index].value);
+      }, { once: true });
+    });
+  });
 }
 
 /**
@@ -69,8 +290,9 @@ export function showLoadingIndicator() {
  * Show cache status information
  * @param {number} timestamp - Timestamp when data was cached
  * @param {number} itemCount - Number of items in cache
+ * @param {string} [scopeLabel] - Description of the cached scope (see describeScope)
  */
-export function showCacheStatus(timestamp, itemCount) {
+export function showCacheStatus(timestamp, itemCount, scopeLabel = 'Full collection') {
   const cacheStatus = document.getElementById('cacheStatus');
   const cacheInfo = document.getElementById('cacheInfo');
   const refreshButton = document.getElementById('refreshButton');
@@ -97,7 +319,13 @@ export function showCacheStatus(timestamp, itemCount) {
     timeText = `${daysAgo} days ago`;
   }
 
-  cacheInfo.innerHTML = `Using cached data from <strong>${date.toLocaleDateString('da-DK', { day: '2-digit', month: '2-digit', year: 'numeric' })}</strong> (${timeText}) • ${itemCount.toLocaleString()} artworks`;
+  cacheInfo.innerHTML = `Using cached data from <strong>${date.toLocaleDateString('da-DK', { day: '2-digit', month: '2-digit', year: 'numeric' })}</strong> (${timeText}) • ${itemCount.toLocaleString()} artworks • `;
+
+  // Scope labels contain department and object type names from the API
+  const scope = document.createElement('span');
+  scope.className = 'cache-scope';
+  scope.textContent = `Scope: ${scopeLabel}`;
+  cacheInfo.appendChild(scope);
   cacheStatus.style.display = 'flex';
   if (refreshButton) refreshButton.style.display = 'inline-block';
 }
@@ -0,0 +1,37 @@
+/**
+ * How the birth and creation year histograms count uncertain dates (circa,
+ * ranges and open bounds, see data/dates.js)
+ */
+import { CONFIG } from '../config.js';
+import { getCookieSetting, initCookieSelect } from './cookieSelect.js';
+
+const UNCERTAIN_DATES_COOKIE_NAME = 'smk_uncertain_dates';
+
+// Options offered in the overview
+export const UNCERTAIN_DATE_MODES = [
+  { value: 'distribute', label: 'Spread across their range' },
+  { value: 'exclude', label: 'Leave out' },
+  { value: 'start', label: 'Count at the earliest year' }
+];
+
+/**
+ * Get the chosen handling of uncertain dates
+ * @returns {string} One of UNCERTAIN_DATE_MODES (CONFIG.stats.uncertainDates without a choice)
+ */
+export function getUncertainDateMode() {
+  return getCookieSetting(UNCERTAIN_DATES_COOKIE_NAME, UNCERTAIN_DATE_MODES, CONFIG.stats.uncertainDates);
+}
+
+/**
+ * Initialize the uncertain dates switch
+ * @param {Function} onChange - Called with the new mode
+ */
+export function initUncertainDatesSwitch(onChange) {
+  initCookieSelect({
+    selectId: 'uncertainDatesSelect',
+    cookie: UNCERTAIN_DATES_COOKIE_NAME,
+    options: UNCERTAIN_DATE_MODES,
+    fallback: CONFIG.stats.uncertainDates,
+    onChange
+  });
+}
@@ -0,0 +1,28 @@
+/**
+ * Abortable delay, used for simulated latency and retry backoff
+ */
+
+/**
+ * Wait, rejecting early if the operation is aborted
+ * @param {number} ms - Milliseconds to wait
+ * @param {AbortSignal} signal - Abort signal for the active operation
+ * @returns {Promise<void>}
+ */
+export function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new DOMException('Request aborted', 'AbortError'));
+    };
+    const timer = setTimeout(() => {
+      signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    if (signal.aborted) {
+      onAbort();
+    } else {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+  });
+}
@@ -0,0 +1,177 @@
+/**
+ * Service worker: precaches the app shell, the CDN libraries and the world
+ * atlas so that a collection cached in IndexedDB can be explored offline.
+ * Registered by src/js/main.js.
+ *
+ * - App files are served from the cache and refreshed in the background
+ *   (stale-while-revalidate), so a slow gallery connection never blocks a load
+ * - CDN files are versioned URLs and served cache-first
+ * - SMK API requests and recorded fixtures are never intercepted; artwork data
+ *   lives in IndexedDB (see src/js/api/smkApi.js)
+ *
+ * Bump CACHE_VERSION when files are added to or removed from the lists below.
+ */
+const CACHE_VERSION = 11;
+const CACHE_NAME = `smk-app-v${CACHE_VERSION}`;
+
+// Same-origin files, relative to this script
+const APP_SHELL = [
+  './',
+  'index.html',
+  'style.css',
+  'manifest.webmanifest',
+  'img/icon.svg',
+  'img/hero-img-1.jpg',
+  'img/hero-img-2.jpg',
+  'img/hero-img-3.jpg',
+  'img/hero-img-4.jpg',
+  'img/hero-img-5.jpg',
+  'docs/smk-api-datapoints-reference.json',
+  'src/js/main.js',
+  'src/js/config.js',
+  'src/js/api/dataSources.js',
+  'src/js/api/dataWorker.js',
+  'src/js/api/fetchErrors.js',
+  'src/js/api/progress.js',
+  'src/js/api/scope.js',
+  'src/js/api/smkApi.js',
+  'src/js/api/storageQuota.js',
+  'src/js/api/tabCoordination.js',
+  'src/js/api/transport.js',
+  'src/js/charts/artistCharts.js',
+  'src/js/charts/barCharts.js',
+  'src/js/charts/colorCharts.js',
+  'src/js/charts/depictionMap.js',
+  'src/js/charts/genderDatasets.js',
+  'src/js/charts/genderFilters.js',
+  'src/js/charts/lineCharts.js',
+  'src/js/charts/nationalityDiverging.js',
+  'src/js/charts/sankey.js',
+  'src/js/charts/worldMap.js',
+  'src/js/data/artists.js',
+  'src/js/data/dates.js',
+  'src/js/data/dumpReader.js',
+  'src/js/data/genders.js',
+  'src/js/data/labels.js',
+  'src/js/data/normalize.js',
+  'src/js/data/overrides.js',
+  'src/js/data/schemaCheck.js',
+  'src/js/stats/attribution.js',
+  'src/js/stats/calculator.js',
+  'src/js/stats/snapshots.js',
+  'src/js/utils/artistIdentityView.js',
+  'src/js/utils/attributionSetting.js',
+  'src/js/utils/cacheSettings.js',
+  'src/js/utils/cacheView.js',
+  'src/js/utils/compression.js',
+  'src/js/utils/consent.js',
+  'src/js/utils/cookieSelect.js',
+  'src/js/utils/cookies.js',
+  'src/js/utils/dataExport.js',
+  'src/js/utils/dataHealthView.js',
+  'src/js/utils/debounce.js',
+  'src/js/utils/dumpImport.js',
+  'src/js/utils/genderPresetSetting.js',
+  'src/js/utils/hash.js',
+  'src/js/utils/labelLanguage.js',
+  'src/js/utils/lazyLoad.js',
+  'src/js/utils/overrideView.js',
+  'src/js/utils/scopeView.js',
+  'src/js/utils/snapshotView.js',
+  'src/js/utils/serviceWorker.js',
+  'src/js/utils/transfer.js',
+  'src/js/utils/uncertainDatesSetting.js',
+  'src/js/utils/ui.js',
+  'src/js/utils/wait.js'
+];
+
+// Libraries loaded by index.html and the atlas used by both maps (CONFIG.maps.worldAtlasUrl)
+const CDN_FILES = [
+  'https://cdn.jsdelivr.net/npm/chart.js@4.4.0/dist/chart.umd.js',
+  'https://cdn.jsdelivr.net/npm/d3@7.8.5/dist/d3.min.js',
+  'https://cdn.jsdelivr.net/npm/topojson-client@3.1.0/dist/topojson-client.min.js',
+  'https://cdn.jsdelivr.net/npm/d3-sankey@0.12.3/dist/d3-sankey.min.js',
+  'https://cdn.jsdelivr.net/npm/jszip@3.10.1/dist/jszip.min.js',
+  'https://cdn.jsdelivr.net/npm/world-atlas@2/countries-110m.json'
+];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then(cache => cache.addAll([...APP_SHELL, ...CDN_FILES]))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(names
+        .filter(name => name.startsWith('smk-app-') && name !== CACHE_NAME)
+        .map(name => caches.delete(name))))
+      .then(() => self.clients.claim())
+  );
+});
+
+/**
+ * Serve from the cache, falling back to the network (and caching the result)
+ * @param {Request} request - Request for a versioned CDN file
+ * @returns {Promise<Response>}
+ */
+async function cacheFirst(request) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) {
+    const cache = await caches.open(CACHE_NAME);
+    cache.put(request, response.clone());
+  }
+  return response;
+}
+
+/**
+ * Serve from the cache and refresh the cached copy in the background
+ * @param {Request} request - Request for an app file
+ * @param {ExtendableEvent} event - Fetch event, kept alive until the refresh is stored
+ * @returns {Promise<Response>}
+ */
+async function staleWhileRevalidate(request, event) {
+  const cache = await caches.open(CACHE_NAME);
+  // The query string (e.g. ?apiMode=replay) does not change the page itself
+  const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+
+  const refresh = fetch(request)
+    .then(response => {
+      if (response.ok) {
+        return cache.put(request, response.clone()).then(() => response);
+      }
+      return response;
+    });
+
+  if (cached) {
+    event.waitUntil(refresh.catch(() => {}));
+    return cached;
+  }
+  return refresh;
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  if (CDN_FILES.includes(url.href)) {
+    event.respondWith(cacheFirst(request));
+    return;
+  }
+
+  const scope = new URL(self.registration.scope);
+  if (url.origin !== scope.origin || !url.pathname.startsWith(scope.pathname)) return;
+
+  // Recorded API pages must always come from disk as they are now
+  if (url.pathname.startsWith(`${scope.pathname}fixtures/`)) return;
+
+  event.respondWith(staleWhileRevalidate(request, event));
+});